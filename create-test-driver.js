@@ -75,8 +75,8 @@ async function createTestDriver() {
         availability: {
           status: DRIVER_AVAILABILITY.AVAILABLE,
           currentLocation: {
-            latitude: 31.5204,
-            longitude: 74.3587,
+            type: 'Point',
+            coordinates: [74.3587, 31.5204],
             address: 'Lahore Railway Station'
           },
           lastUpdated: new Date()
@@ -102,8 +102,8 @@ async function createTestDriver() {
       driver.approvedAt = new Date();
       driver.availability.status = DRIVER_AVAILABILITY.AVAILABLE;
       driver.availability.currentLocation = {
-        latitude: 31.5204,
-        longitude: 74.3587,
+        type: 'Point',
+        coordinates: [74.3587, 31.5204],
         address: 'Lahore Railway Station'
       };
       driver.availability.lastUpdated = new Date();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Driver from './src/models/Driver.js';
+
+dotenv.config();
+
+// Converts legacy { latitude, longitude } driver locations to GeoJSON points
+// and builds the 2dsphere index used for nearby driver matching.
+async function migrateDriverLocations() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+
+    const legacyDrivers = await Driver.collection.find({
+      'availability.currentLocation': { $exists: true },
+      'availability.currentLocation.type': { $exists: false }
+    }).toArray();
+
+    console.log(`Found ${legacyDrivers.length} drivers with legacy locations`);
+
+    for (const driver of legacyDrivers) {
+      const { latitude, longitude, address } = driver.availability.currentLocation || {};
+
+      try {
+        if (latitude == null || longitude == null) {
+          await Driver.collection.updateOne(
+            { _id: driver._id },
+            { $unset: { 'availability.currentLocation': '' } }
+          );
+          console.log(`⚠️ Driver ${driver._id} had no coordinates, location cleared`);
+          continue;
+        }
+
+        await Driver.collection.updateOne(
+          { _id: driver._id },
+          {
+            $set: {
+              'availability.currentLocation': {
+                type: 'Point',
+                coordinates: [Number(longitude), Number(latitude)],
+                ...(address && { address })
+              }
+            }
+          }
+        );
+        console.log(`✅ Driver ${driver._id} migrated`);
+      } catch (updateError) {
+        console.log(`❌ Failed to migrate driver ${driver._id}: ${updateError.message}`);
+      }
+    }
+
+    await Driver.syncIndexes();
+    console.log('Driver indexes synced');
+
+    console.log('Migration completed');
+
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateDriverLocations();
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Ride from './src/models/Ride.js';
+import Rating from './src/models/Rating.js';
+import { recalculateRatingAverage } from './src/services/rating.service.js';
+import { RATING_DIRECTIONS } from './src/config/constants.js';
+
+dotenv.config();
+
+// Creates Rating documents for ratings stored only on rides (before the Rating collection existed)
+// and rebuilds every affected driver and passenger average from them. Safe to run more than once.
+async function migrateRatings() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+
+    const rides = Ride.find({
+      $or: [
+        { 'rating.passengerRating': { $ne: null } },
+        { 'rating.driverRating': { $ne: null } }
+      ]
+    })
+      .select('passengerId driverId rating completedAt updatedAt')
+      .populate('passengerId', 'userId')
+      .populate('driverId', 'userId')
+      .lean()
+      .cursor();
+
+    const drivers = new Set();
+    const passengers = new Set();
+    let created = 0;
+    let skipped = 0;
+
+    for await (const ride of rides) {
+      if (!ride.passengerId || !ride.driverId) {
+        skipped++;
+        continue;
+      }
+
+      // Keep the original order so the rolling window picks the right trips
+      const ratedAt = ride.rating.ratedAt || ride.completedAt || ride.updatedAt;
+      const entries = [
+        {
+          direction: RATING_DIRECTIONS.PASSENGER_TO_DRIVER,
+          rating: ride.rating.passengerRating,
+          review: ride.rating.passengerReview,
+          raterId: ride.passengerId.userId
+        },
+        {
+          direction: RATING_DIRECTIONS.DRIVER_TO_PASSENGER,
+          rating: ride.rating.driverRating,
+          review: ride.rating.driverReview,
+          raterId: ride.driverId.userId
+        }
+      ];
+
+      for (const entry of entries) {
+        if (entry.rating == null) continue;
+
+        try {
+          const result = await Rating.updateOne(
+            { rideId: ride._id, direction: entry.direction },
+            {
+              $setOnInsert: {
+                raterId: entry.raterId,
+                driverId: ride.driverId._id,
+                passengerId: ride.passengerId._id,
+                rating: Math.min(5, Math.max(1, Math.round(entry.rating))),
+                review: entry.review,
+                tags: [],
+                editableUntil: ratedAt,
+                createdAt: ratedAt,
+                updatedAt: ratedAt
+              }
+            },
+            { upsert: true, timestamps: false }
+          );
+
+          if (result.upsertedCount) {
+            created++;
+            if (entry.direction === RATING_DIRECTIONS.PASSENGER_TO_DRIVER) {
+              drivers.add(ride.driverId._id.toString());
+            } else {
+              passengers.add(ride.passengerId._id.toString());
+            }
+          }
+        } catch (insertError) {
+          console.log(`❌ Failed to migrate ${entry.direction} rating of ride ${ride._id}: ${insertError.message}`);
+        }
+      }
+    }
+
+    console.log(`Created ${created} ratings (${skipped} rides without driver or passenger skipped)`);
+
+    for (const driverId of drivers) {
+      await recalculateRatingAverage(RATING_DIRECTIONS.PASSENGER_TO_DRIVER, new mongoose.Types.ObjectId(driverId));
+    }
+    for (const passengerId of passengers) {
+      await recalculateRatingAverage(RATING_DIRECTIONS.DRIVER_TO_PASSENGER, new mongoose.Types.ObjectId(passengerId));
+    }
+    console.log(`✅ Rebuilt averages for ${drivers.size} drivers and ${passengers.size} passengers`);
+
+    console.log('Migration completed');
+
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateRatings();
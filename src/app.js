@@ -59,6 +59,8 @@ import driverMatchingRoutes from './routes/driverMatching.routes.js';
 import cancellationRoutes from './routes/cancellation.routes.js';
 import chatRoutes from './routes/chat.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
+import referralRoutes from './routes/referral.routes.js';
+import rideScheduleRoutes from './routes/rideSchedule.routes.js';
 
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/rides`, rideRoutes);
@@ -74,6 +76,8 @@ app.use(`/api/${API_VERSION}/matching`, driverMatchingRoutes);
 app.use(`/api/${API_VERSION}/cancellation`, cancellationRoutes);
 app.use(`/api/${API_VERSION}/chat`, chatRoutes);
 app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`/api/${API_VERSION}/referrals`, referralRoutes);
+app.use(`/api/${API_VERSION}/ride-schedules`, rideScheduleRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -12,13 +12,172 @@ export const USER_STATUS = {
 };
 
 export const RIDE_STATUS = {
+  SCHEDULED: 'scheduled',
   PENDING: 'pending',
   ACCEPTED: 'accepted',
+  ARRIVED: 'arrived',
   IN_PROGRESS: 'in-progress',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
 };
 
+// Intermediate stops a passenger can add between pickup and dropoff
+export const MAX_RIDE_STOPS = 3;
+
+export const RIDE_STOP_STATUS = {
+  PENDING: 'pending',
+  REACHED: 'reached',
+};
+
+export const DESTINATION_CHANGE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+};
+
+// What happened to the fare quote a ride was booked with
+export const FARE_QUOTE_STATUS = {
+  HONOURED: 'honoured',
+  MISSING: 'missing',
+  EXPIRED: 'expired',
+  INVALID: 'invalid',
+  MISMATCH: 'mismatch',
+};
+
+// Promo codes take a flat amount or a percentage off the fare
+export const PROMO_DISCOUNT_TYPES = {
+  FLAT: 'flat',
+  PERCENTAGE: 'percentage',
+};
+
+// A redemption is released when its ride is cancelled, freeing the usage
+export const PROMO_REDEMPTION_STATUS = {
+  APPLIED: 'applied',
+  RELEASED: 'released',
+};
+
+// Each completed ride can be rated once in each direction
+export const RATING_DIRECTIONS = {
+  PASSENGER_TO_DRIVER: 'passenger-to-driver',
+  DRIVER_TO_PASSENGER: 'driver-to-passenger',
+};
+
+// Tags a rater can attach, by direction
+export const RATING_TAGS = {
+  [RATING_DIRECTIONS.PASSENGER_TO_DRIVER]: [
+    'clean-car', 'safe-driving', 'friendly', 'on-time', 'good-navigation',
+    'dirty-car', 'unsafe-driving', 'rude', 'late', 'wrong-route',
+  ],
+  [RATING_DIRECTIONS.DRIVER_TO_PASSENGER]: [
+    'polite', 'on-time', 'respectful',
+    'rude', 'late', 'messy', 'wrong-pickup',
+  ],
+};
+
+// Driver gender, declared at registration and verified by an admin during approval
+export const GENDERS = {
+  FEMALE: 'female',
+  MALE: 'male',
+};
+
+// Which drivers a passenger is willing to be matched with
+export const DRIVER_GENDER_PREFERENCES = {
+  ANY: 'any',
+  FEMALE: 'female',
+};
+
+// Recurring commute schedules; only active schedules turn occurrences into rides
+export const RIDE_SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  ENDED: 'ended', // Past its end date
+};
+
+// Changes a passenger made to one occurrence of a recurring schedule
+export const RIDE_SCHEDULE_EXCEPTION_TYPES = {
+  SKIP: 'skip',
+  RESCHEDULE: 'reschedule',
+};
+
+// Why the ride monitor asked the passenger "Are you safe?"
+export const RIDE_SAFETY_CHECK_REASONS = {
+  OFF_ROUTE: 'off_route', // Too far from the planned route for too long
+  UNEXPECTED_STOP: 'unexpected_stop', // Stopped too long away from pickup, stops and destination
+  SIGNAL_LOST: 'signal_lost', // No location from the driver's phone for too long
+};
+
+export const RIDE_SAFETY_CHECK_STATUS = {
+  PENDING: 'pending',
+  SAFE: 'safe',
+  HELP: 'help', // Passenger asked for help; an SOS alert was raised
+  ESCALATED: 'escalated', // No answer in time; an automatic SOS alert was raised
+};
+
+// Who a live-trip share link was created for
+export const RIDE_SHARE_SOURCES = {
+  MANUAL: 'manual', // Passenger shared the ride themselves
+  AUTO: 'auto', // Sent to the passenger's chosen emergency contacts on every ride
+  RIDER: 'rider', // Sent to someone riding on the passenger's booking
+};
+
+// Why a driver's claim on a scheduled ride was given up
+export const RIDE_RESERVATION_RELEASE_REASONS = {
+  DRIVER: 'driver', // The driver withdrew
+  DRIVER_OFFLINE: 'driver_offline', // Driver offline when the ride activated
+  DRIVER_BUSY: 'driver_busy', // Driver still on another trip when the ride activated
+};
+
+// How a person ended up on someone's block list
+export const BLOCK_SOURCES = {
+  MANUAL: 'manual',
+  RATING: 'rating', // Added automatically by a 1-star rating
+};
+
+// Post-ride tips; a failed tip can be retried
+export const TIP_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// Referral lifecycle: pending until the referee has ridden enough, held when the
+// two accounts look like the same person, then rewarded (or rejected by an admin)
+export const REFERRAL_STATUS = {
+  PENDING: 'pending',
+  HELD: 'held',
+  REWARDED: 'rewarded',
+  REJECTED: 'rejected',
+};
+
+export const REFERRAL_HOLD_REASONS = {
+  SHARED_DEVICE: 'shared-device',
+  SHARED_PHONE: 'shared-phone',
+};
+
+// Fare tables are looked up by city; rides outside these areas use the default table
+export const DEFAULT_FARE_CITY = 'default';
+
+export const SERVICE_CITIES = [
+  { key: 'lahore', name: 'Lahore', center: { latitude: 31.5204, longitude: 74.3587 }, radiusKm: 35 },
+  { key: 'karachi', name: 'Karachi', center: { latitude: 24.8607, longitude: 67.0011 }, radiusKm: 45 },
+  { key: 'islamabad', name: 'Islamabad', center: { latitude: 33.6844, longitude: 73.0479 }, radiusKm: 25 },
+  { key: 'rawalpindi', name: 'Rawalpindi', center: { latitude: 33.5651, longitude: 73.0169 }, radiusKm: 20 },
+  { key: 'faisalabad', name: 'Faisalabad', center: { latitude: 31.4504, longitude: 73.1350 }, radiusKm: 25 },
+  { key: 'multan', name: 'Multan', center: { latitude: 30.1575, longitude: 71.5249 }, radiusKm: 20 },
+  { key: 'peshawar', name: 'Peshawar', center: { latitude: 34.0151, longitude: 71.5249 }, radiusKm: 25 },
+];
+
+export const RIDE_OFFER_STATUS = {
+  OFFERED: 'offered',
+  VIEWED: 'viewed',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  SUPERSEDED: 'superseded',
+};
+
 export const PAYMENT_STATUS = {
   PENDING: 'pending',
   COMPLETED: 'completed',
@@ -36,6 +195,17 @@ export const PAYMENT_METHODS = {
 export const RIDE_TYPES = {
   ONE_TIME: 'one-time',
   SUBSCRIPTION: 'subscription',
+  POOL: 'pool',
+};
+
+export const RIDE_POOL_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+export const POOL_STOP_TYPES = {
+  PICKUP: 'pickup',
+  DROPOFF: 'dropoff',
 };
 
 export const SOS_STATUS = {
@@ -68,6 +238,7 @@ export const NOTIFICATION_TYPES = {
   SOS_ALERT: 'sos_alert',
   DRIVER_APPROVAL: 'driver_approval',
   COMPLAINT: 'complaint',
+  REFERRAL: 'referral',
 };
 
 export const DRIVER_AVAILABILITY = {
@@ -11,7 +11,38 @@ import Subscription from '../models/Subscription.js';
 import SystemSettings from '../models/SystemSettings.js';
 import AiInteraction from '../models/ChatbotAndVoiceLogs.js';
 import { uploadImage } from '../config/cloudinary.js';
+import { transitionRide, getRideTimeline, RIDE_ACTORS } from '../services/rideState.service.js';
+import surgeService from '../services/surge.service.js';
+import {
+  getFareTable,
+  listFareTablesService,
+  getFareTableByIdService,
+  createFareTableService,
+  updateFareTableService,
+  deleteFareTableService
+} from '../services/fare.service.js';
+import {
+  listPromotionsService,
+  getPromotionByIdService,
+  createPromotionService,
+  updatePromotionService,
+  deletePromotionService,
+  getPromotionReportService,
+  listPromotionRedemptionsService
+} from '../services/promo.service.js';
+import {
+  listReferralsService,
+  reviewReferralService,
+  getReferralReportService
+} from '../services/referral.service.js';
+import {
+  listRatingsService,
+  getRatingDistributionService,
+  setRatingExclusionService
+} from '../services/rating.service.js';
+import { getRideMonitorSettings, updateRideMonitorSettings } from '../services/rideMonitor.service.js';
 import logger from '../utils/logger.js';
+import { RIDE_STATUS, RATING_DIRECTIONS, GENDERS, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 
 export const getDashboardStats = async (req, res) => {
   try {
@@ -51,7 +82,7 @@ export const getDashboardStats = async (req, res) => {
 
       // Active rides
       Ride.countDocuments({
-        status: { $in: ['pending', 'accepted', 'in-progress'] }
+        status: { $in: ['pending', 'accepted', 'arrived', 'in-progress'] }
       }),
 
       // Pending driver approvals
@@ -583,10 +614,20 @@ export const getPendingDrivers = async (req, res) => {
 
 /**
  * DRIVER MANAGEMENT - Approve driver
+ * The driver's gender is only verified when the admin confirms it: pass gender to set
+ * it, or genderVerified: true to confirm the declared one. Otherwise use verifyDriverGender.
  */
 export const approveDriver = async (req, res) => {
   try {
     const { id } = req.params;
+    const { gender, genderVerified } = req.body;
+
+    if (gender !== undefined && !Object.values(GENDERS).includes(gender)) {
+      return res.status(400).json({
+        success: false,
+        message: `gender must be one of: ${Object.values(GENDERS).join(', ')}`
+      });
+    }
 
     const driver = await Driver.findById(id);
     if (!driver) {
@@ -596,14 +637,31 @@ export const approveDriver = async (req, res) => {
       });
     }
 
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+
     driver.isApproved = true;
     driver.approvedAt = new Date();
+    if (gender) driver.gender = gender;
+    const genderConfirmed = Boolean(gender) || genderVerified === true;
+    if (genderConfirmed && driver.gender) {
+      driver.genderVerified = true;
+      driver.genderVerifiedAt = new Date();
+      driver.genderVerifiedBy = adminProfile?._id || null;
+    }
     await driver.save();
 
     logger.info(`Driver ${id} approved by admin`);
     res.json({
       success: true,
-      message: 'Driver approved successfully'
+      message: driver.genderVerified
+        ? 'Driver approved successfully'
+        : driver.gender
+          ? 'Driver approved successfully. The declared gender is not verified yet, so the driver will not match passengers with a driver preference.'
+          : 'Driver approved successfully. No gender was declared, so the driver will not match passengers with a driver preference.',
+      data: {
+        gender: driver.gender,
+        genderVerified: driver.genderVerified
+      }
     });
 
   } catch (error) {
@@ -615,6 +673,58 @@ export const approveDriver = async (req, res) => {
   }
 };
 
+/**
+ * DRIVER MANAGEMENT - Verify or correct a driver's gender outside approval (admin)
+ */
+export const verifyDriverGender = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { gender, verified = true } = req.body;
+
+    if (!Object.values(GENDERS).includes(gender)) {
+      return res.status(400).json({
+        success: false,
+        message: `gender must be one of: ${Object.values(GENDERS).join(', ')}`
+      });
+    }
+
+    const driver = await Driver.findById(id);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const isVerified = verified !== false;
+
+    driver.gender = gender;
+    driver.genderVerified = isVerified;
+    driver.genderVerifiedAt = isVerified ? new Date() : null;
+    driver.genderVerifiedBy = isVerified ? adminProfile?._id || null : null;
+    await driver.save();
+
+    logger.info(`Driver ${id} gender set to ${gender} (${isVerified ? 'verified' : 'unverified'}) by admin`);
+    res.json({
+      success: true,
+      message: 'Driver gender updated successfully',
+      data: {
+        gender: driver.gender,
+        genderVerified: driver.genderVerified,
+        genderVerifiedAt: driver.genderVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Verify driver gender error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update driver gender'
+    });
+  }
+};
+
 /**
  * DRIVER MANAGEMENT - Reject driver
  */
@@ -713,7 +823,7 @@ export const getAllRides = async (req, res) => {
 export const getActiveRidesAdmin = async (req, res) => {
   try {
     const rides = await Ride.find({
-      status: { $in: ['pending', 'accepted', 'in-progress'] }
+      status: { $in: ['pending', 'accepted', 'arrived', 'in-progress'] }
     })
       .populate('passengerId', 'name phone')
       .populate('driverId', 'name phone')
@@ -753,9 +863,11 @@ export const getRideDetailsAdmin = async (req, res) => {
       });
     }
 
+    const timeline = await getRideTimeline(ride._id);
+
     res.json({
       success: true,
-      data: ride
+      data: { ...ride.toJSON(), timeline }
     });
 
   } catch (error) {
@@ -781,25 +893,24 @@ export const cancelRideAdmin = async (req, res) => {
       });
     }
 
-    if (ride.status === 'completed') {
+    // Update ride status (state machine stops dispatch and frees the driver)
+    try {
+      await transitionRide(ride, RIDE_STATUS.CANCELLED, {
+        actor: { role: RIDE_ACTORS.ADMIN, userId: req.user.userId },
+        reason: reason || 'Cancelled by admin'
+      });
+    } catch (transitionError) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel completed ride'
+        message: transitionError.message
       });
     }
 
-    // Update ride status
-    ride.status = 'cancelled';
-    ride.cancelledBy = 'system';
-    ride.cancellationReason = reason || 'Cancelled by admin';
-    ride.cancelledAt = new Date();
-    await ride.save();
-
     // Process refund if applicable
     if (refundAmount > 0 && ride.payment.status === 'completed') {
       // Create refund payment record
       await Payment.create({
-        rideId: ride._id,
+        ride: ride._id,
         userId: ride.passengerId,
         type: 'refund',
         amount: refundAmount,
@@ -890,6 +1001,91 @@ export const getRideReports = async (req, res) => {
   }
 };
 
+/**
+ * REPORTS - How often rides with a driver gender preference found a driver, per pickup zone
+ */
+export const getDriverPreferenceReport = async (req, res) => {
+  try {
+    const { startDate, endDate, driverGender } = req.query;
+
+    const matchQuery = {
+      driverGenderPreference: driverGender || { $ne: DRIVER_GENDER_PREFERENCES.ANY }
+    };
+    if (startDate || endDate) {
+      matchQuery.createdAt = {};
+      if (startDate) matchQuery.createdAt.$gte = new Date(startDate);
+      if (endDate) matchQuery.createdAt.$lte = new Date(endDate);
+    }
+
+    const hasDriver = { $gt: ['$driverId', null] };
+    const noDriverCancelledBy = (actor) => ({
+      $and: [
+        { $eq: ['$status', 'cancelled'] },
+        { $not: [hasDriver] },
+        { $eq: ['$cancelledBy', actor] }
+      ]
+    });
+
+    const zones = await Ride.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: { zone: '$zone', driverGender: '$driverGenderPreference' },
+          requested: { $sum: 1 },
+          matched: { $sum: { $cond: [hasDriver, 1, 0] } },
+          // Search ran out without any matching driver accepting
+          unmatched: { $sum: { $cond: [noDriverCancelledBy('system'), 1, 0] } },
+          cancelledWhileSearching: { $sum: { $cond: [noDriverCancelledBy('passenger'), 1, 0] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          zone: '$_id.zone',
+          driverGender: '$_id.driverGender',
+          requested: 1,
+          matched: 1,
+          unmatched: 1,
+          cancelledWhileSearching: 1,
+          matchRate: {
+            $round: [
+              { $multiply: [{ $divide: ['$matched', { $max: [{ $add: ['$matched', '$unmatched'] }, 1] }] }, 100] },
+              1
+            ]
+          }
+        }
+      },
+      { $sort: { requested: -1 } }
+    ]);
+
+    const totals = zones.reduce((sum, zone) => ({
+      requested: sum.requested + zone.requested,
+      matched: sum.matched + zone.matched,
+      unmatched: sum.unmatched + zone.unmatched,
+      cancelledWhileSearching: sum.cancelledWhileSearching + zone.cancelledWhileSearching
+    }), { requested: 0, matched: 0, unmatched: 0, cancelledWhileSearching: 0 });
+    const decided = totals.matched + totals.unmatched;
+
+    res.json({
+      success: true,
+      data: {
+        zones,
+        totals: {
+          ...totals,
+          matchRate: decided ? Math.round(totals.matched / decided * 1000) / 10 : 0
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get driver preference report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate driver preference report'
+    });
+  }
+};
+
 /**
  * REPORTS - Get earnings reports
  */
@@ -1234,7 +1430,7 @@ export const getSystemStats = async (req, res) => {
     };
 
     const activeRides = await Ride.countDocuments({
-      status: { $in: ['pending', 'accepted', 'in-progress'] }
+      status: { $in: ['pending', 'accepted', 'arrived', 'in-progress'] }
     });
 
     const todayStats = await Ride.aggregate([
@@ -1781,6 +1977,690 @@ export const updateSystemSettings = async (req, res) => {
   }
 };
 
+/**
+ * SURGE - Current surge map per zone (admin)
+ */
+export const getSurgeMap = async (req, res) => {
+  try {
+    const surgeMap = await surgeService.getSurgeMap();
+
+    res.json({
+      success: true,
+      data: surgeMap
+    });
+  } catch (error) {
+    logger.error('Get surge map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get surge map'
+    });
+  }
+};
+
+/**
+ * SURGE - Pin a zone to a fixed multiplier (admin)
+ * Zone is given as a geohash cell or as latitude/longitude inside it
+ */
+export const setSurgeOverride = async (req, res) => {
+  try {
+    const { cell, latitude, longitude, multiplier, durationMinutes, reason } = req.body;
+
+    if (!cell && (latitude == null || longitude == null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a surge cell or latitude and longitude'
+      });
+    }
+
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+    const zone = cell || surgeService.getCell({ latitude, longitude });
+
+    const override = await surgeService.setOverride(zone, { multiplier, durationMinutes, reason }, adminId);
+
+    res.json({
+      success: true,
+      message: 'Surge override saved',
+      data: override
+    });
+  } catch (error) {
+    logger.error('Set surge override error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to set surge override'
+    });
+  }
+};
+
+/**
+ * SURGE - Return a zone to dynamic pricing (admin)
+ */
+export const clearSurgeOverride = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const result = await surgeService.clearOverride(req.params.cell, adminId);
+
+    res.json({
+      success: true,
+      message: 'Surge override removed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Clear surge override error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to clear surge override'
+    });
+  }
+};
+
+/**
+ * PRICING - List fare table versions (admin)
+ */
+export const getFareTables = async (req, res) => {
+  try {
+    const { city, vehicleType, includeInactive, page = 1, limit = 50 } = req.query;
+
+    const result = await listFareTablesService({
+      city,
+      vehicleType,
+      includeInactive: includeInactive === 'true',
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get fare tables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get fare tables'
+    });
+  }
+};
+
+/**
+ * PRICING - Fare table that applied to a city/vehicle type at a given time (admin)
+ */
+export const resolveFareTable = async (req, res) => {
+  try {
+    const { city, vehicleType, at } = req.query;
+
+    if (!vehicleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicleType is required'
+      });
+    }
+
+    const atDate = at ? new Date(at) : new Date();
+    if (isNaN(atDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date for at'
+      });
+    }
+
+    const table = await getFareTable({ city: city?.toLowerCase(), vehicleType, at: atDate });
+
+    res.json({
+      success: true,
+      data: table
+    });
+  } catch (error) {
+    logger.error('Resolve fare table error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve fare table'
+    });
+  }
+};
+
+/**
+ * PRICING - Get one fare table version (admin)
+ */
+export const getFareTableDetails = async (req, res) => {
+  try {
+    const table = await getFareTableByIdService(req.params.id);
+
+    res.json({
+      success: true,
+      data: table
+    });
+  } catch (error) {
+    logger.error('Get fare table error:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Fare table not found'
+    });
+  }
+};
+
+/**
+ * PRICING - Create a new fare table version (admin)
+ */
+export const createFareTable = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const table = await createFareTableService(req.body, adminId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fare table created successfully',
+      data: table
+    });
+  } catch (error) {
+    logger.error('Create fare table error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to create fare table'
+    });
+  }
+};
+
+/**
+ * PRICING - Edit a fare table version that has not taken effect yet (admin)
+ */
+export const updateFareTable = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const table = await updateFareTableService(req.params.id, req.body, adminId);
+
+    res.json({
+      success: true,
+      message: 'Fare table updated successfully',
+      data: table
+    });
+  } catch (error) {
+    logger.error('Update fare table error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update fare table'
+    });
+  }
+};
+
+/**
+ * PRICING - Withdraw a fare table version that has not taken effect yet (admin)
+ */
+export const deleteFareTable = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const table = await deleteFareTableService(req.params.id, adminId);
+
+    res.json({
+      success: true,
+      message: 'Fare table withdrawn successfully',
+      data: table
+    });
+  } catch (error) {
+    logger.error('Delete fare table error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to delete fare table'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - List promo codes (admin)
+ */
+export const getPromotions = async (req, res) => {
+  try {
+    const { search, isActive, page = 1, limit = 50 } = req.query;
+
+    const result = await listPromotionsService({
+      search,
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotions'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Redemption totals per promo code over a period (admin)
+ */
+export const getPromotionReport = async (req, res) => {
+  try {
+    const { promotionId, from, to } = req.query;
+
+    if (promotionId && !mongoose.Types.ObjectId.isValid(promotionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotionId'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date for from or to'
+      });
+    }
+
+    const report = await getPromotionReportService({ promotionId, from: fromDate, to: toDate });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get promotion report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotion report'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Get one promo code (admin)
+ */
+export const getPromotionDetails = async (req, res) => {
+  try {
+    const promotion = await getPromotionByIdService(req.params.id);
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    logger.error('Get promotion error:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Promotion not found'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Redemptions of one promo code (admin)
+ */
+export const getPromotionRedemptions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const result = await listPromotionRedemptionsService(req.params.id, {
+      status,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get promotion redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotion redemptions'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Create a promo code (admin)
+ */
+export const createPromotion = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const promotion = await createPromotionService(req.body, adminId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    logger.error('Create promotion error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to create promotion'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Edit a promo code (admin)
+ */
+export const updatePromotion = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const promotion = await updatePromotionService(req.params.id, req.body, adminId);
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    logger.error('Update promotion error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update promotion'
+    });
+  }
+};
+
+/**
+ * PROMOTIONS - Deactivate a promo code, keeping its redemptions (admin)
+ */
+export const deletePromotion = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const promotion = await deletePromotionService(req.params.id, adminId);
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    logger.error('Delete promotion error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to delete promotion'
+    });
+  }
+};
+
+/**
+ * REFERRALS - List referrals, e.g. those held for review (admin)
+ */
+export const getReferrals = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const result = await listReferralsService({
+      status,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get referrals'
+    });
+  }
+};
+
+/**
+ * REFERRALS - Conversions and payouts over a period (admin)
+ */
+export const getReferralReport = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date for from or to'
+      });
+    }
+
+    const report = await getReferralReportService({ from: fromDate, to: toDate });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get referral report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get referral report'
+    });
+  }
+};
+
+/**
+ * REFERRALS - Release or reject a referral held as a possible self-referral (admin)
+ */
+export const reviewReferral = async (req, res) => {
+  try {
+    const { approve, notes } = req.body;
+
+    if (typeof approve !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'approve must be true or false'
+      });
+    }
+
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const referral = await reviewReferralService(req.params.id, { approve, notes }, adminId);
+
+    res.json({
+      success: true,
+      message: approve ? 'Referral released' : 'Referral rejected',
+      data: referral
+    });
+  } catch (error) {
+    logger.error('Review referral error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to review referral'
+    });
+  }
+};
+
+// Shared query parsing for the rating endpoints; returns an error message or the filters
+const parseRatingFilters = ({ direction, driverId, passengerId, from, to }) => {
+  if (direction && !Object.values(RATING_DIRECTIONS).includes(direction)) {
+    return { error: `direction must be one of: ${Object.values(RATING_DIRECTIONS).join(', ')}` };
+  }
+  for (const id of [driverId, passengerId]) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      return { error: 'Invalid driverId or passengerId' };
+    }
+  }
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return { error: 'Invalid date for from or to' };
+  }
+
+  return {
+    filters: {
+      direction,
+      driverId: driverId ? new mongoose.Types.ObjectId(driverId) : undefined,
+      passengerId: passengerId ? new mongoose.Types.ObjectId(passengerId) : undefined,
+      from: fromDate,
+      to: toDate
+    }
+  };
+};
+
+/**
+ * RATINGS - List individual ratings (admin)
+ */
+export const getRatings = async (req, res) => {
+  try {
+    const { rating, excluded, tag, page = 1, limit = 50 } = req.query;
+
+    const { error, filters } = parseRatingFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await listRatingsService({
+      ...filters,
+      rating: rating ? parseInt(rating) : undefined,
+      excluded: excluded === undefined ? undefined : excluded === 'true',
+      tag,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 50))
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ratings'
+    });
+  }
+};
+
+/**
+ * RATINGS - Star and tag distribution, optionally for one driver or passenger (admin)
+ */
+export const getRatingDistribution = async (req, res) => {
+  try {
+    const { error, filters } = parseRatingFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const distribution = await getRatingDistributionService(filters);
+
+    res.json({
+      success: true,
+      data: distribution
+    });
+  } catch (error) {
+    logger.error('Get rating distribution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get rating distribution'
+    });
+  }
+};
+
+/**
+ * RATINGS - Exclude an unfair rating from averages, or restore it (admin)
+ */
+export const setRatingExclusion = async (req, res) => {
+  try {
+    const { excluded, reason } = req.body;
+
+    if (typeof excluded !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'excluded must be true or false'
+      });
+    }
+    if (excluded && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to exclude a rating'
+      });
+    }
+
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const result = await setRatingExclusionService(req.params.id, { excluded, reason }, adminId);
+
+    res.json({
+      success: true,
+      message: excluded ? 'Rating excluded' : 'Rating restored',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Set rating exclusion error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update rating'
+    });
+  }
+};
+
+/**
+ * SAFETY - Current ride monitor thresholds (admin)
+ */
+export const getRideMonitorConfig = async (req, res) => {
+  try {
+    const settings = await getRideMonitorSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Get ride monitor settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ride monitor settings'
+    });
+  }
+};
+
+/**
+ * SAFETY - Change when rides are flagged off route, stopped or silent (admin)
+ */
+export const updateRideMonitorConfig = async (req, res) => {
+  try {
+    const adminProfile = await Admin.findOne({ userId: req.user.userId });
+    const adminId = adminProfile?._id || req.user.userId;
+
+    const settings = await updateRideMonitorSettings(req.body, adminId);
+
+    res.json({
+      success: true,
+      message: 'Ride monitor settings updated',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Update ride monitor settings error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to update ride monitor settings'
+    });
+  }
+};
+
 /**
  * Create user (admin) - passenger or driver
  */
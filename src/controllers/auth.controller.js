@@ -16,6 +16,7 @@ import Driver from '../models/Driver.js';
 import logger from '../utils/logger.js';
 import { sendSMS } from '../services/sms.service.js';
 import { sendOTPEmail } from '../services/email.service.js';
+import { findReferrerByCode } from '../services/referral.service.js';
 import jwt from 'jsonwebtoken';
 
 /** Use bypass OTP 123456 when Twilio fails (trial: unverified number or daily limit exceeded) */
@@ -58,6 +59,10 @@ export const registerDriver = async (req,res) =>{
       return sendError(res, 'CNIC is already registered with another account', 400);
     }
 
+    if (userData.referralCode && !(await findReferrerByCode(userData.referralCode))) {
+      return sendError(res, 'Invalid referral code', 400);
+    }
+
     const uploadPromises = [];
     if (cnicImageFile) uploadPromises.push(uploadImage(cnicImageFile.path, { folder: 'baneen/cnic' }).then((r) => r.url));
     uploadPromises.push(uploadImage(licensePic.path, { folder: 'baneen/driver-license' }).then((r) => r.url));
@@ -282,6 +287,10 @@ export const registerPassenger = async (req, res) => {
       return sendError(res, 'CNIC is already registered with another account', 400);
     }
 
+    if (userData.referralCode && !(await findReferrerByCode(userData.referralCode))) {
+      return sendError(res, 'Invalid referral code', 400);
+    }
+
     let cnicImageUrl = null;
     if (cnicImageFile) {
       try {
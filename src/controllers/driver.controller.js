@@ -1,10 +1,17 @@
-import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
 import Vehicle from '../models/Vehicle.js';
+import driverMatchingService from '../services/driverMatching.service.js';
 import { sendSuccess, sendError } from '../utils/response.js';
-import { DRIVER_AVAILABILITY } from '../config/constants.js';
+import { listBlockedUsersService, blockUserService, unblockUserService } from '../services/blocklist.service.js';
+import {
+  listOpenScheduledRidesService,
+  listClaimedScheduledRidesService,
+  claimScheduledRideService,
+  releaseScheduledRideService
+} from '../services/scheduledRide.service.js';
+import { DRIVER_AVAILABILITY, TIP_STATUS, USER_ROLES, GENDERS } from '../config/constants.js';
 import logger from '../utils/logger.js';
 
 export const getProfile = async (req, res) => {
@@ -23,6 +30,8 @@ export const getProfile = async (req, res) => {
       driver: {
         _id: driver._id,
         name: driver.name,
+        gender: driver.gender,
+        genderVerified: driver.genderVerified,
         licenseNumber: driver.licenseNumber,
         licenseImage: driver.licenseImage,
         vehicle: driver.vehicle,
@@ -49,11 +58,24 @@ export const getProfile = async (req, res) => {
 export const updateProfile = async (req, res) => {
   try {
     const driverId = req.user.userId;
-    const { name } = req.body;
+    const { name, gender } = req.body;
+
+    if (gender !== undefined && !Object.values(GENDERS).includes(gender)) {
+      return sendError(res, `gender must be one of: ${Object.values(GENDERS).join(', ')}`, 400);
+    }
+
+    const update = { name };
+    if (gender) {
+      // A changed gender has to be verified by an admin again before it counts for passenger preferences
+      const current = await Driver.findOne({ userId: driverId }).select('gender');
+      if (current && current.gender !== gender) {
+        Object.assign(update, { gender, genderVerified: false, genderVerifiedAt: null, genderVerifiedBy: null });
+      }
+    }
 
     const driver = await Driver.findOneAndUpdate(
       { userId: driverId },
-      { name },
+      update,
       { new: true, runValidators: true }
     ).populate('userId', 'email phone role isVerified');
 
@@ -65,6 +87,8 @@ export const updateProfile = async (req, res) => {
       driver: {
         _id: driver._id,
         name: driver.name,
+        gender: driver.gender,
+        genderVerified: driver.genderVerified,
         licenseNumber: driver.licenseNumber,
         licenseImage: driver.licenseImage,
         vehicle: driver.vehicle,
@@ -274,6 +298,23 @@ export const getRideDetails = async (req, res) => {
 };
 
 
+// Fares and tips are reported separately; tips are paid to the driver without commission
+const TIP_AMOUNT = { $cond: [{ $eq: ['$tip.status', TIP_STATUS.COMPLETED] }, '$tip.amount', 0] };
+
+const sumEarnings = async (driverId, since) => {
+  const [result] = await Ride.aggregate([
+    {
+      $match: {
+        driverId,
+        status: 'completed',
+        ...(since && { completedAt: { $gte: since } })
+      }
+    },
+    { $group: { _id: null, fares: { $sum: '$fare.final' }, tips: { $sum: TIP_AMOUNT } } }
+  ]);
+  return { fares: result?.fares || 0, tips: result?.tips || 0 };
+};
+
 export const getEarnings = async (req, res) => {
   try {
     const driverId = req.user.userId;
@@ -284,67 +325,33 @@ export const getEarnings = async (req, res) => {
     }
 
     // Get earnings breakdown by time period
+    const now = new Date();
     const [
       todayEarnings,
       weekEarnings,
       monthEarnings,
       totalEarnings
     ] = await Promise.all([
-      // Today's earnings
-      Ride.aggregate([
-        {
-          $match: {
-            driverId: mongoose.Types.ObjectId(driverId),
-            status: 'completed',
-            completedAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$fare.final' } } }
-      ]),
-
-      Ride.aggregate([
-        {
-          $match: {
-            driverId: mongoose.Types.ObjectId(driverId),
-            status: 'completed',
-            completedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$fare.final' } } }
-      ]),
-
-      // This month's earnings
-      Ride.aggregate([
-        {
-          $match: {
-            driverId: mongoose.Types.ObjectId(driverId),
-            status: 'completed',
-            completedAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$fare.final' } } }
-      ]),
-
-      // Total earnings
-      Ride.aggregate([
-        {
-          $match: {
-            driverId: mongoose.Types.ObjectId(driverId),
-            status: 'completed'
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$fare.final' } } }
-      ]),
+      sumEarnings(driver._id, new Date(new Date().setHours(0, 0, 0, 0))),
+      sumEarnings(driver._id, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)),
+      sumEarnings(driver._id, new Date(now.getFullYear(), now.getMonth(), 1)),
+      sumEarnings(driver._id),
     ]);
 
     return sendSuccess(res, {
       earnings: {
-        today: todayEarnings[0]?.total || 0,
-        thisWeek: weekEarnings[0]?.total || 0,
-        thisMonth: monthEarnings[0]?.total || 0,
-        total: totalEarnings[0]?.total || 0,
+        today: todayEarnings.fares,
+        thisWeek: weekEarnings.fares,
+        thisMonth: monthEarnings.fares,
+        total: totalEarnings.fares,
         pending: driver.earnings.pending,
         withdrawn: driver.earnings.withdrawn,
+      },
+      tips: {
+        today: todayEarnings.tips,
+        thisWeek: weekEarnings.tips,
+        thisMonth: monthEarnings.tips,
+        total: totalEarnings.tips,
       }
     }, 'Earnings retrieved successfully');
   } catch (error) {
@@ -382,12 +389,7 @@ export const getDriverStats = async (req, res) => {
       }),
     ]);
 
-    const acceptedRides = await Ride.countDocuments({
-      driverId,
-      status: { $in: ['accepted', 'in-progress', 'completed'] }
-    });
-
-    const acceptanceRate = totalRides > 0 ? (acceptedRides / totalRides) * 100 : 0;
+    const acceptanceRate = await driverMatchingService.calculateAcceptanceRate(driver._id);
 
     return sendSuccess(res, {
       stats: {
@@ -396,7 +398,7 @@ export const getDriverStats = async (req, res) => {
         cancelledRides,
         thisMonthRides,
         thisWeekRides,
-        acceptanceRate: Math.round(acceptanceRate * 100) / 100,
+        acceptanceRate: acceptanceRate === null ? null : Math.round(acceptanceRate * 100) / 100, // null until the driver has answered an offer
         rating: driver.rating,
         isApproved: driver.isApproved,
         status: driver.status,
@@ -442,7 +444,7 @@ export const getEarningsStats = async (req, res) => {
     const earnings = await Ride.aggregate([
       {
         $match: {
-          driverId: mongoose.Types.ObjectId(driverId),
+          driverId: driver._id,
           status: 'completed',
           completedAt: { $gte: dateFilter }
         }
@@ -453,6 +455,7 @@ export const getEarningsStats = async (req, res) => {
             $dateToString: { format: '%Y-%m-%d', date: '$completedAt' }
           },
           amount: { $sum: '$fare.final' },
+          tips: { $sum: TIP_AMOUNT },
           rides: { $sum: 1 }
         }
       },
@@ -466,10 +469,12 @@ export const getEarningsStats = async (req, res) => {
       earnings: earnings.map(item => ({
         date: item._id,
         amount: item.amount,
+        tips: item.tips,
         rides: item.rides
       })),
       summary: {
         totalEarnings: earnings.reduce((sum, item) => sum + item.amount, 0),
+        totalTips: earnings.reduce((sum, item) => sum + item.tips, 0),
         totalRides: earnings.reduce((sum, item) => sum + item.rides, 0),
         averagePerRide: earnings.length > 0 ?
           earnings.reduce((sum, item) => sum + item.amount, 0) /
@@ -501,4 +506,87 @@ export const setOnline = async (req, res) => {
     logger.error('Set online error:', error);
     return sendError(res, 'Failed to set driver online', 500);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Passengers this driver will never be matched with
+ */
+export const getBlockedPassengers = async (req, res) => {
+  try {
+    const result = await listBlockedUsersService(req.user.userId, USER_ROLES.DRIVER);
+    return sendSuccess(res, result, 'Block list retrieved successfully');
+  } catch (error) {
+    logger.error('Get blocked passengers error:', error);
+    return sendError(res, error.message || 'Failed to get block list', error.message?.includes('not found') ? 404 : 500);
+  }
+};
+
+/**
+ * Block a passenger, by id or by a ride they took with this driver
+ */
+export const blockPassenger = async (req, res) => {
+  try {
+    const { passengerId, rideId, reason } = req.body;
+    const result = await blockUserService(req.user.userId, USER_ROLES.DRIVER, { targetId: passengerId, rideId, reason });
+    return sendSuccess(res, result, result.alreadyBlocked ? 'Passenger was already blocked' : 'Passenger blocked successfully');
+  } catch (error) {
+    logger.error('Block passenger error:', error);
+    return sendError(res, error.message || 'Failed to block passenger', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const unblockPassenger = async (req, res) => {
+  try {
+    const result = await unblockUserService(req.user.userId, USER_ROLES.DRIVER, req.params.id);
+    return sendSuccess(res, result, 'Passenger unblocked successfully');
+  } catch (error) {
+    logger.error('Unblock passenger error:', error);
+    return sendError(res, error.message || 'Failed to unblock passenger', 400);
+  }
+};
+
+/**
+ * Upcoming scheduled rides near the driver that nobody has claimed yet
+ */
+export const getOpenScheduledRides = async (req, res) => {
+  try {
+    const result = await listOpenScheduledRidesService(req.user.userId);
+    return sendSuccess(res, result, 'Scheduled rides retrieved successfully');
+  } catch (error) {
+    logger.error('Get open scheduled rides error:', error);
+    return sendError(res, error.message || 'Failed to get scheduled rides', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const getClaimedScheduledRides = async (req, res) => {
+  try {
+    const result = await listClaimedScheduledRidesService(req.user.userId);
+    return sendSuccess(res, result, 'Claimed rides retrieved successfully');
+  } catch (error) {
+    logger.error('Get claimed scheduled rides error:', error);
+    return sendError(res, error.message || 'Failed to get claimed rides', error.message?.includes('not found') ? 404 : 500);
+  }
+};
+
+/**
+ * Claim a scheduled ride ahead of pickup; it is offered to this driver first when it activates
+ */
+export const claimScheduledRide = async (req, res) => {
+  try {
+    const result = await claimScheduledRideService(req.user.userId, req.params.id);
+    return sendSuccess(res, result, 'Ride claimed successfully');
+  } catch (error) {
+    logger.error('Claim scheduled ride error:', error);
+    return sendError(res, error.message || 'Failed to claim ride', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const releaseScheduledRide = async (req, res) => {
+  try {
+    const result = await releaseScheduledRideService(req.user.userId, req.params.id);
+    return sendSuccess(res, result, 'Ride released successfully');
+  } catch (error) {
+    logger.error('Release scheduled ride error:', error);
+    return sendError(res, error.message || 'Failed to release ride', error.message?.includes('not found') ? 404 : 400);
+  }
+};
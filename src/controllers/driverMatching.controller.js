@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import driverMatchingService from '../services/driverMatching.service.js';
 import { sendSuccess, sendError } from '../utils/response.js';
 import logger from '../utils/logger.js';
@@ -25,7 +26,7 @@ export const findAvailableDrivers = async (req, res) => {
         rating: driver.rating,
         distance: driver.distance,
         vehicle: {
-          type: driver.vehicle?.type,
+          type: driver.vehicle?.vehicleType,
           model: driver.vehicle?.model,
           registrationNumber: driver.vehicle?.registrationNumber
         }
@@ -112,7 +113,13 @@ export const handleDriverResponse = async (req, res) => {
 
 export const getMatchingStats = async (req, res) => {
   try {
-    const stats = await driverMatchingService.getMatchingStats();
+    const { driverId } = req.query;
+
+    if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+      return sendError(res, 'Invalid driver ID', 400);
+    }
+
+    const stats = await driverMatchingService.getMatchingStats(driverId || null);
 
     return sendSuccess(res, { stats }, 'Matching statistics retrieved successfully');
 
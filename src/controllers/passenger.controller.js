@@ -2,7 +2,10 @@ import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Passenger from '../models/Passenger.js';
 import Ride from '../models/Ride.js';
+import { listBlockedUsersService, blockUserService, unblockUserService } from '../services/blocklist.service.js';
+import { updateAutoShareService } from '../services/rideShare.service.js';
 import { sendSuccess, sendError } from '../utils/response.js';
+import { USER_ROLES, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 import logger from '../utils/logger.js';
 
 export const getProfile = async (req, res) => {
@@ -22,9 +25,11 @@ export const getProfile = async (req, res) => {
         _id: passenger._id,
         name: passenger.name,
         emergencyContacts: passenger.emergencyContacts,
+        autoShare: passenger.autoShare,
         subscription: passenger.subscription,
         rating: passenger.rating,
         totalRides: passenger.totalRides,
+        driverGenderPreference: passenger.driverGenderPreference,
         cnicImage: passenger.cnicImage,
         createdAt: passenger.createdAt,
         updatedAt: passenger.updatedAt,
@@ -40,11 +45,15 @@ export const getProfile = async (req, res) => {
 export const updateProfile = async (req, res) => {
   try {
     const passengerId = req.user.userId;
-    const { name } = req.body;
+    const { name, driverGenderPreference } = req.body;
+
+    if (driverGenderPreference !== undefined && !Object.values(DRIVER_GENDER_PREFERENCES).includes(driverGenderPreference)) {
+      return sendError(res, `driverGenderPreference must be one of: ${Object.values(DRIVER_GENDER_PREFERENCES).join(', ')}`, 400);
+    }
 
     const passenger = await Passenger.findOneAndUpdate(
       { userId: passengerId },
-      { name },
+      { name, driverGenderPreference },
       { new: true, runValidators: true }
     ).populate('userId', 'email phone role isVerified');
 
@@ -57,9 +66,11 @@ export const updateProfile = async (req, res) => {
         _id: passenger._id,
         name: passenger.name,
         emergencyContacts: passenger.emergencyContacts,
+        autoShare: passenger.autoShare,
         subscription: passenger.subscription,
         rating: passenger.rating,
         totalRides: passenger.totalRides,
+        driverGenderPreference: passenger.driverGenderPreference,
         cnicImage: passenger.cnicImage,
       },
       user: passenger.userId,
@@ -149,7 +160,8 @@ export const deleteEmergencyContact = async (req, res) => {
       { userId: passengerId },
       {
         $pull: {
-          emergencyContacts: { _id: contactId }
+          emergencyContacts: { _id: contactId },
+          'autoShare.contactIds': contactId
         }
       },
       { new: true }
@@ -168,6 +180,19 @@ export const deleteEmergencyContact = async (req, res) => {
   }
 };
 
+/**
+ * Turn auto-share of every ride to chosen emergency contacts on or off
+ */
+export const updateAutoShare = async (req, res) => {
+  try {
+    const autoShare = await updateAutoShareService(req.user.userId, req.body);
+    return sendSuccess(res, { autoShare }, `Auto-share turned ${autoShare.enabled ? 'on' : 'off'}`);
+  } catch (error) {
+    logger.error('Update auto-share error:', error);
+    return sendError(res, error.message || 'Failed to update auto-share', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
 export const getRideHistory = async (req, res) => {
   try {
     const passengerId = req.user.userId;
@@ -301,4 +326,41 @@ export const getPassengerStats = async (req, res) => {
     logger.error('Get passenger stats error:', error);
     return sendError(res, 'Failed to get statistics', 500);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Drivers this passenger will never be matched with
+ */
+export const getBlockedDrivers = async (req, res) => {
+  try {
+    const result = await listBlockedUsersService(req.user.userId, USER_ROLES.PASSENGER);
+    return sendSuccess(res, result, 'Block list retrieved successfully');
+  } catch (error) {
+    logger.error('Get blocked drivers error:', error);
+    return sendError(res, error.message || 'Failed to get block list', error.message?.includes('not found') ? 404 : 500);
+  }
+};
+
+/**
+ * Block a driver, by id or by a ride they drove for this passenger
+ */
+export const blockDriver = async (req, res) => {
+  try {
+    const { driverId, rideId, reason } = req.body;
+    const result = await blockUserService(req.user.userId, USER_ROLES.PASSENGER, { targetId: driverId, rideId, reason });
+    return sendSuccess(res, result, result.alreadyBlocked ? 'Driver was already blocked' : 'Driver blocked successfully');
+  } catch (error) {
+    logger.error('Block driver error:', error);
+    return sendError(res, error.message || 'Failed to block driver', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const unblockDriver = async (req, res) => {
+  try {
+    const result = await unblockUserService(req.user.userId, USER_ROLES.PASSENGER, req.params.id);
+    return sendSuccess(res, result, 'Driver unblocked successfully');
+  } catch (error) {
+    logger.error('Unblock driver error:', error);
+    return sendError(res, error.message || 'Failed to unblock driver', 400);
+  }
+};
@@ -289,7 +289,7 @@ export const getAllPayments = async (req, res) => {
 
     const payments = await Payment.find(query)
       .populate('userId', 'name email phone')
-      .populate('rideId', 'pickup dropoff status')
+      .populate('ride', 'pickup dropoff status')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit) || 50)
       .skip(((parseInt(page) || 1) - 1) * (parseInt(limit) || 50));
@@ -0,0 +1,13 @@
+import { getReferralDashboardService } from '../services/referral.service.js';
+import { sendSuccess, sendError } from '../utils/response.js';
+import logger from '../utils/logger.js';
+
+export const getReferralDashboard = async (req, res) => {
+  try {
+    const dashboard = await getReferralDashboardService(req.user.userId);
+    return sendSuccess(res, dashboard, 'Referral dashboard retrieved successfully');
+  } catch (error) {
+    logger.error('Get referral dashboard error:', error);
+    return sendError(res, error.message || 'Failed to get referral dashboard', 500);
+  }
+};
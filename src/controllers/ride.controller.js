@@ -1,11 +1,14 @@
 import {
   requestRideService,
   acceptRideService,
+  markArrivedService,
   startRideService,
   updateRideLocationService,
+  requestDestinationChangeService,
   completeRideService,
   cancelRideService,
   rateRideService,
+  addTipService,
   getRideDetailsService,
   getRideHistoryService,
   getFareEstimateService,
@@ -13,8 +16,10 @@ import {
   getScheduledRidesService
 } from '../services/ride.service.js';
 import { triggerSOSAlertService } from '../services/sos.service.js';
+import { shareRideService, listRideSharesService, revokeRideShareService, getSharedRideService } from '../services/rideShare.service.js';
+import { respondSafetyCheckService } from '../services/rideMonitor.service.js';
 import { geocodeAddress } from '../services/maps.service.js';
-import { USER_ROLES } from '../config/constants.js';
+import { USER_ROLES, VEHICLE_TYPES, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 import { sendSuccess, sendError } from '../utils/response.js';
 import cancellationService from '../services/cancellation.service.js';
 import logger from '../utils/logger.js';
@@ -71,6 +76,26 @@ export const acceptRide = async (req, res) => {
   }
 };
 
+export const markArrived = async (req, res) => {
+  try {
+    const driverId = req.user.userId;
+    const { id: rideId } = req.params;
+    const { currentCoords } = req.body || {};
+
+    if (currentCoords && (currentCoords.latitude == null || currentCoords.longitude == null)) {
+      return sendError(res, 'Current coordinates must include latitude and longitude', 400);
+    }
+
+    const result = await markArrivedService(driverId, rideId, currentCoords);
+
+    return sendSuccess(res, result, 'Arrival recorded successfully');
+
+  } catch (error) {
+    logger.error('Mark arrived error:', error);
+    return sendError(res, error.message || 'Failed to mark arrival', 400);
+  }
+};
+
 export const startRide = async (req, res) => {
   try {
     const driverId = req.user.userId;
@@ -95,11 +120,16 @@ export const startRide = async (req, res) => {
     }
 
 
+    const { pin } = req.body;
+    if (!pin) {
+      return sendError(res, 'Trip PIN from the passenger is required to start the ride', 400);
+    }
+
     if (!req.file) {
       return sendError(res, 'Driver photo is required to start the ride', 400);
     }
 
-    const result = await startRideService(driverId, rideId, startCoords, req.file);
+    const result = await startRideService(driverId, rideId, startCoords, req.file, pin);
 
     return sendSuccess(res, result, 'Ride started successfully');
 
@@ -187,18 +217,19 @@ export const cancelRide = async (req, res) => {
       return sendError(res, 'Cancellation reason is required', 400);
     }
 
-  
-    const cancellationResult = await cancellationService.processCancellation(
+    const cancellationResult = await cancellationService.quoteCancellation(
       rideId,
-      userRole === USER_ROLES.DRIVER ? 'driver' : 'passenger',
-      reason
+      userRole === USER_ROLES.DRIVER ? 'driver' : 'passenger'
     );
 
     if (!cancellationResult.success) {
       return sendError(res, cancellationResult.reason, 400);
     }
 
-    const result = await cancelRideService(userId, userRole, rideId, { reason });
+    const result = await cancelRideService(userId, userRole, rideId, {
+      reason,
+      cancellationFee: cancellationResult.fee
+    });
 
     return sendSuccess(res, {
       ride: result,
@@ -213,12 +244,28 @@ export const cancelRide = async (req, res) => {
   }
 };
 
+export const changeDestination = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id: rideId } = req.params;
+    const { dropoffLocation, dropoffCoords } = req.body;
+
+    const result = await requestDestinationChangeService(userId, rideId, { dropoffLocation, dropoffCoords });
+
+    return sendSuccess(res, result, 'Destination change sent to driver');
+
+  } catch (error) {
+    logger.error('Destination change error:', error);
+    return sendError(res, error.message || 'Failed to change destination', 400);
+  }
+};
+
 export const rateRide = async (req, res) => {
   try {
     const userId = req.user.userId;
     const userRole = req.user.role;
     const { id: rideId } = req.params;
-    const { rating, review } = req.body;
+    const { rating, review, tags, tip, tipPayWith, blockUser } = req.body;
 
     if (!rating || rating < 1 || rating > 5) {
       return res.status(400).json({
@@ -227,7 +274,7 @@ export const rateRide = async (req, res) => {
       });
     }
 
-    const result = await rateRideService(userId, userRole, rideId, { rating, review });
+    const result = await rateRideService(userId, userRole, rideId, { rating, review, tags, tip, tipPayWith, blockUser });
 
     res.json({
       success: true,
@@ -244,6 +291,28 @@ export const rateRide = async (req, res) => {
   }
 };
 
+export const addTip = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id: rideId } = req.params;
+
+    const result = await addTipService(userId, rideId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Tip added successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Add tip error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 export const getRideDetails = async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -305,9 +374,80 @@ export const getScheduledRides = async (req, res) => {
   }
 };
 
+/**
+ * Public view of a ride from its share link (no login)
+ */
+export const getSharedRide = async (req, res) => {
+  try {
+    const result = await getSharedRideService(req.params.token);
+    return sendSuccess(res, result, 'Ride retrieved successfully');
+  } catch (error) {
+    logger.error('Get shared ride error:', error);
+    return sendError(res, error.message || 'Failed to get ride', error.message?.includes('not found') ? 404 : 410);
+  }
+};
+
+/**
+ * Create a live share link for an active ride, optionally texting it to contacts
+ */
+export const shareRide = async (req, res) => {
+  try {
+    const share = await shareRideService(req.user.userId, req.params.id, req.body);
+    return sendSuccess(res, { share }, 'Ride shared successfully', 201);
+  } catch (error) {
+    logger.error('Share ride error:', error);
+    return sendError(res, error.message || 'Failed to share ride', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const getRideShares = async (req, res) => {
+  try {
+    const shares = await listRideSharesService(req.user.userId, req.params.id);
+    return sendSuccess(res, { shares }, 'Share links retrieved successfully');
+  } catch (error) {
+    logger.error('Get ride shares error:', error);
+    return sendError(res, error.message || 'Failed to get share links', error.message?.includes('not found') ? 404 : 500);
+  }
+};
+
+export const revokeRideShare = async (req, res) => {
+  try {
+    const share = await revokeRideShareService(req.user.userId, req.params.id, req.params.shareId);
+    return sendSuccess(res, { share }, 'Share link turned off');
+  } catch (error) {
+    logger.error('Revoke ride share error:', error);
+    return sendError(res, error.message || 'Failed to turn off share link', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
+export const respondSafetyCheck = async (req, res) => {
+  try {
+    const { checkId, safe } = req.body;
+    const result = await respondSafetyCheckService(req.user.userId, req.params.id, checkId, safe);
+    return sendSuccess(res, result, safe ? 'Glad you are safe' : 'Help is on the way. An SOS alert has been raised');
+  } catch (error) {
+    logger.error('Safety check response error:', error);
+    return sendError(res, error.message || 'Failed to answer safety check', error.message?.includes('not found') ? 404 : 400);
+  }
+};
+
 export const getFareEstimate = async (req, res) => {
   try {
-    const { pickupLat, pickupLng, dropoffLat, dropoffLng, pickupAddress, dropoffAddress } = req.query;
+    const { pickupLat, pickupLng, dropoffLat, dropoffLng, pickupAddress, dropoffAddress, vehicleType, stops, promoCode, driverGenderPreference } = req.query;
+
+    if (vehicleType && !Object.values(VEHICLE_TYPES).includes(vehicleType)) {
+      return res.status(400).json({
+        success: false,
+        message: `vehicleType must be one of: ${Object.values(VEHICLE_TYPES).join(', ')}`
+      });
+    }
+
+    if (driverGenderPreference && !Object.values(DRIVER_GENDER_PREFERENCES).includes(driverGenderPreference)) {
+      return res.status(400).json({
+        success: false,
+        message: `driverGenderPreference must be one of: ${Object.values(DRIVER_GENDER_PREFERENCES).join(', ')}`
+      });
+    }
 
     let pickupCoords, dropoffCoords;
 
@@ -349,7 +489,27 @@ export const getFareEstimate = async (req, res) => {
       });
     }
 
-    const result = await getFareEstimateService(pickupCoords, dropoffCoords);
+    // Intermediate stops as "lat,lng|lat,lng"
+    const stopCoords = stops
+      ? stops.split('|').map(stop => {
+        const [latitude, longitude] = stop.split(',').map(parseFloat);
+        return { latitude, longitude };
+      })
+      : [];
+
+    if (stopCoords.some(stop => !Number.isFinite(stop.latitude) || !Number.isFinite(stop.longitude))) {
+      return res.status(400).json({
+        success: false,
+        message: 'stops must be formatted as "lat,lng|lat,lng"'
+      });
+    }
+
+    // Signed-in passengers get their per-passenger promo rules and default driver preference applied too
+    const result = await getFareEstimateService(pickupCoords, dropoffCoords, vehicleType, stopCoords, {
+      promoCode,
+      driverGenderPreference,
+      userId: req.user?.role === USER_ROLES.PASSENGER ? req.user.userId : null
+    });
 
     res.json({
       success: true,
@@ -401,7 +561,7 @@ export const getActiveRides = async (req, res) => {
     const userRole = req.user.role;
 
     let query = {
-      status: { $in: ['pending', 'accepted', 'in-progress'] }
+      status: { $in: ['pending', 'accepted', 'arrived', 'in-progress'] }
     };
 
     if (userRole === USER_ROLES.PASSENGER) {
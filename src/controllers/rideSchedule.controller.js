@@ -0,0 +1,109 @@
+import {
+  createRideScheduleService,
+  listRideSchedulesService,
+  getRideScheduleService,
+  updateRideScheduleService,
+  pauseRideScheduleService,
+  resumeRideScheduleService,
+  cancelRideScheduleService,
+  skipOccurrenceService,
+  rescheduleOccurrenceService
+} from '../services/rideSchedule.service.js';
+import { sendSuccess, sendError } from '../utils/response.js';
+import logger from '../utils/logger.js';
+
+const errorStatus = (error) => (error.message?.includes('not found') ? 404 : 400);
+
+export const createRideSchedule = async (req, res) => {
+  try {
+    const schedule = await createRideScheduleService(req.user.userId, req.body);
+    return sendSuccess(res, { schedule }, 'Recurring ride created successfully', 201);
+  } catch (error) {
+    logger.error('Create ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to create recurring ride', errorStatus(error));
+  }
+};
+
+export const getRideSchedules = async (req, res) => {
+  try {
+    const schedules = await listRideSchedulesService(req.user.userId, { status: req.query.status });
+    return sendSuccess(res, { schedules, count: schedules.length }, 'Recurring rides retrieved successfully');
+  } catch (error) {
+    logger.error('Get ride schedules error:', error);
+    return sendError(res, error.message || 'Failed to get recurring rides', 500);
+  }
+};
+
+/**
+ * A recurring ride with its upcoming occurrences and the rides booked for them
+ */
+export const getRideSchedule = async (req, res) => {
+  try {
+    const result = await getRideScheduleService(req.user.userId, req.params.id);
+    return sendSuccess(res, result, 'Recurring ride retrieved successfully');
+  } catch (error) {
+    logger.error('Get ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to get recurring ride', errorStatus(error));
+  }
+};
+
+export const updateRideSchedule = async (req, res) => {
+  try {
+    const schedule = await updateRideScheduleService(req.user.userId, req.params.id, req.body);
+    return sendSuccess(res, { schedule }, 'Recurring ride updated successfully');
+  } catch (error) {
+    logger.error('Update ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to update recurring ride', errorStatus(error));
+  }
+};
+
+export const pauseRideSchedule = async (req, res) => {
+  try {
+    const result = await pauseRideScheduleService(req.user.userId, req.params.id);
+    return sendSuccess(res, result, 'Recurring ride paused successfully');
+  } catch (error) {
+    logger.error('Pause ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to pause recurring ride', errorStatus(error));
+  }
+};
+
+export const resumeRideSchedule = async (req, res) => {
+  try {
+    const schedule = await resumeRideScheduleService(req.user.userId, req.params.id);
+    return sendSuccess(res, { schedule }, 'Recurring ride resumed successfully');
+  } catch (error) {
+    logger.error('Resume ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to resume recurring ride', errorStatus(error));
+  }
+};
+
+export const cancelRideSchedule = async (req, res) => {
+  try {
+    const result = await cancelRideScheduleService(req.user.userId, req.params.id, req.body.reason);
+    return sendSuccess(res, result, 'Recurring ride cancelled successfully');
+  } catch (error) {
+    logger.error('Cancel ride schedule error:', error);
+    return sendError(res, error.message || 'Failed to cancel recurring ride', errorStatus(error));
+  }
+};
+
+export const skipOccurrence = async (req, res) => {
+  try {
+    const occurrence = await skipOccurrenceService(req.user.userId, req.params.id, req.body.occurrenceAt);
+    return sendSuccess(res, { occurrence }, 'Ride skipped successfully');
+  } catch (error) {
+    logger.error('Skip ride occurrence error:', error);
+    return sendError(res, error.message || 'Failed to skip ride', errorStatus(error));
+  }
+};
+
+export const rescheduleOccurrence = async (req, res) => {
+  try {
+    const { occurrenceAt, pickupAt } = req.body;
+    const occurrence = await rescheduleOccurrenceService(req.user.userId, req.params.id, occurrenceAt, pickupAt);
+    return sendSuccess(res, { occurrence }, 'Ride rescheduled successfully');
+  } catch (error) {
+    logger.error('Reschedule ride occurrence error:', error);
+    return sendError(res, error.message || 'Failed to reschedule ride', errorStatus(error));
+  }
+};
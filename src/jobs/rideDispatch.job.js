@@ -0,0 +1,47 @@
+/**
+ * Cron job to cancel pending rides whose dispatch is no longer running
+ * (e.g. the server restarted mid-search) once maxSearchTime has passed
+ * Runs every minute
+ */
+import cron from 'node-cron';
+import driverMatchingService from '../services/driverMatching.service.js';
+import logger from '../utils/logger.js';
+
+export function startRideDispatchJob() {
+  // Run every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await driverMatchingService.expireStalePendingRides();
+      if (result.expired > 0) {
+        logger.info(`Ride dispatch job: cancelled ${result.expired} stale pending ride(s)`);
+      }
+    } catch (error) {
+      logger.error('Ride dispatch job error:', error);
+    }
+  });
+
+  logger.info('Ride dispatch cleanup job started (runs every minute)');
+}
+
+/**
+ * Batch matching of waiting rides (only when BATCH_MATCHING_ENABLED=true)
+ * Runs every batchIntervalSeconds
+ */
+export function startBatchMatchingJob() {
+  if (!driverMatchingService.batchMatchingEnabled) {
+    logger.info('Batch matching disabled, rides are dispatched one by one');
+    return;
+  }
+
+  const interval = driverMatchingService.batchIntervalSeconds;
+
+  cron.schedule(`*/${interval} * * * * *`, async () => {
+    try {
+      await driverMatchingService.runBatchMatching();
+    } catch (error) {
+      logger.error('Batch matching job error:', error);
+    }
+  });
+
+  logger.info(`Batch matching job started (runs every ${interval} seconds)`);
+}
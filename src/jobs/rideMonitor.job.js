@@ -0,0 +1,29 @@
+/**
+ * Cron job to prompt passengers whose driver's phone went silent and to raise an
+ * automatic SOS for "Are you safe?" prompts nobody answered
+ * Runs every 30 seconds
+ */
+import cron from 'node-cron';
+import { checkSilentRides, escalateUnansweredChecks } from '../services/rideMonitor.service.js';
+import logger from '../utils/logger.js';
+
+export function startRideMonitorJob() {
+  // Run every 30 seconds
+  cron.schedule('*/30 * * * * *', async () => {
+    try {
+      const { prompted } = await checkSilentRides();
+      if (prompted > 0) {
+        logger.info(`Ride monitor job: prompted ${prompted} passenger(s) after lost driver signal`);
+      }
+
+      const { escalated } = await escalateUnansweredChecks();
+      if (escalated > 0) {
+        logger.warn(`Ride monitor job: escalated ${escalated} unanswered safety check(s) to SOS`);
+      }
+    } catch (error) {
+      logger.error('Ride monitor job error:', error);
+    }
+  });
+
+  logger.info('Ride monitor job started (runs every 30 seconds)');
+}
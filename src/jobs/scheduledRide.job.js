@@ -1,19 +1,33 @@
 /**
- * Cron job to activate scheduled rides when pickup time is approaching
+ * Cron job to book upcoming occurrences of recurring rides, remind drivers
+ * about rides they claimed and activate scheduled rides when pickup time is approaching
  * Runs every 5 minutes
  */
 import cron from 'node-cron';
 import { processScheduledRides } from '../services/scheduledRide.service.js';
+import { processRecurringSchedules } from '../services/rideSchedule.service.js';
 import logger from '../utils/logger.js';
 
 export function startScheduledRideJob() {
   // Run every 5 minutes
   cron.schedule('*/5 * * * *', async () => {
+    try {
+      const recurring = await processRecurringSchedules();
+      if (recurring.booked > 0 || recurring.failed > 0) {
+        logger.info(`Scheduled ride job: booked ${recurring.booked} recurring ride(s), ${recurring.failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Recurring ride job error:', error);
+    }
+
     try {
       const result = await processScheduledRides();
       if (result.processed > 0) {
         logger.info(`Scheduled ride job: activated ${result.activated}/${result.processed} ride(s)`);
       }
+      if (result.reminded > 0) {
+        logger.info(`Scheduled ride job: reminded ${result.reminded} driver(s) about claimed rides`);
+      }
     } catch (error) {
       logger.error('Scheduled ride job error:', error);
     }
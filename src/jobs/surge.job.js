@@ -0,0 +1,28 @@
+/**
+ * Cron job to recompute surge multipliers per zone from recent demand and available drivers
+ * Runs every minute
+ */
+import cron from 'node-cron';
+import surgeService from '../services/surge.service.js';
+import logger from '../utils/logger.js';
+
+export function startSurgeJob() {
+  const run = async () => {
+    try {
+      const result = await surgeService.recompute();
+      if (result.surging > 0) {
+        logger.info(`Surge job: ${result.surging} zone(s) surging`);
+      }
+    } catch (error) {
+      logger.error('Surge job error:', error);
+    }
+  };
+
+  // Publish a first map right away instead of waiting a full minute
+  run();
+
+  // Run every minute
+  cron.schedule('* * * * *', run);
+
+  logger.info('Surge pricing job started (runs every minute)');
+}
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { DRIVER_AVAILABILITY } from '../config/constants.js';
+import { DRIVER_AVAILABILITY, BLOCK_SOURCES, GENDERS } from '../config/constants.js';
 
 const vehicleSchema = new mongoose.Schema({
   vehicleId: {
@@ -57,6 +57,36 @@ const vehicleSchema = new mongoose.Schema({
   },
 });
 
+// GeoJSON Point - coordinates are stored as [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point',
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+  },
+  address: {
+    type: String,
+    default: null,
+  },
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Keep latitude/longitude readable for existing API consumers
+pointSchema.virtual('latitude').get(function () {
+  return this.coordinates?.[1] ?? null;
+});
+
+pointSchema.virtual('longitude').get(function () {
+  return this.coordinates?.[0] ?? null;
+});
+
 const availabilitySchema = new mongoose.Schema({
   status: {
     type: String,
@@ -64,18 +94,8 @@ const availabilitySchema = new mongoose.Schema({
     default: DRIVER_AVAILABILITY.OFFLINE,
   },
   currentLocation: {
-    latitude: {
-      type: Number,
-      default: null,
-    },
-    longitude: {
-      type: Number,
-      default: null,
-    },
-    address: {
-      type: String,
-      default: null,
-    },
+    type: pointSchema,
+    default: undefined,
   },
   lastUpdated: {
     type: Date,
@@ -99,8 +119,42 @@ const earningsSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Part of total that came from passenger tips (no commission taken)
+  tips: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
 });
 
+// A passenger this driver never wants to be matched with again
+const blockedPassengerSchema = new mongoose.Schema({
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Passenger',
+    required: true,
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  source: {
+    type: String,
+    enum: Object.values(BLOCK_SOURCES),
+    default: BLOCK_SOURCES.MANUAL,
+  },
+  blockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const driverSchema = new mongoose.Schema(
   {
     userId: {
@@ -120,6 +174,25 @@ const driverSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Declared by the driver; only counts for passenger preferences once an admin has verified it
+    gender: {
+      type: String,
+      enum: Object.values(GENDERS),
+      default: null,
+    },
+    genderVerified: {
+      type: Boolean,
+      default: false,
+    },
+    genderVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    genderVerifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
     licenseNumber: {
       type: String,
       required: false,
@@ -143,12 +216,17 @@ const driverSchema = new mongoose.Schema(
         lastUpdated: Date.now(),
       }),
     },
+    // Average of the last rated trips, maintained by the rating service
     rating: {
       type: Number,
       default: 0,
       min: 0,
       max: 5,
     },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
     totalRides: {
       type: Number,
       default: 0,
@@ -188,6 +266,7 @@ const driverSchema = new mongoose.Schema(
       enum: ['OFFLINE', 'ONLINE', 'ON_RIDE'],
       default: 'OFFLINE'
     },
+    blockedPassengers: [blockedPassengerSchema],
   },
   {
     timestamps: true,
@@ -196,12 +275,16 @@ const driverSchema = new mongoose.Schema(
 
 // Indexes
 driverSchema.index({ 'availability.status': 1 });
+driverSchema.index({ gender: 1, genderVerified: 1 });
+driverSchema.index({ 'availability.currentLocation': '2dsphere' });
+driverSchema.index({ 'blockedPassengers.passengerId': 1 });
+
 driverSchema.methods.updateAvailability = function (status, location) {
   this.availability.status = status;
   if (location) {
     this.availability.currentLocation = {
-      latitude: location.latitude,
-      longitude: location.longitude,
+      type: 'Point',
+      coordinates: [Number(location.longitude), Number(location.latitude)],
       address: location.address || null,
     };
   }
@@ -222,12 +305,6 @@ driverSchema.methods.addEarning = function (amount) {
   this.earnings.pending += amount;
 };
 
-// Method to update rating
-driverSchema.methods.updateRating = function (newRating) {
-  const totalRatings = this.totalRides || 1;
-  this.rating = ((this.rating * (totalRatings - 1)) + newRating) / totalRatings;
-};
-
 const Driver = mongoose.model('Driver', driverSchema);
 
 export default Driver;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { VEHICLE_TYPES } from '../config/constants.js';
+
+// Versioned price list for one city and vehicle type.
+// A version applies from effectiveFrom until the next version takes effect;
+// versions already in effect are never edited so past fares stay auditable.
+const fareTableSchema = new mongoose.Schema({
+  city: { type: String, required: true, lowercase: true, trim: true }, // 'default' = fallback for all cities
+  vehicleType: { type: String, enum: Object.values(VEHICLE_TYPES), required: true },
+  version: { type: Number, required: true },
+
+  // Rates (PKR)
+  baseFare: { type: Number, required: true, min: 0 },
+  bookingFee: { type: Number, default: 0, min: 0 }, // Flat fee, not multiplied by surge
+  perStopFee: { type: Number, default: 0, min: 0 }, // Per intermediate stop, not multiplied by surge
+  minimumFare: { type: Number, default: 0, min: 0 },
+  perKmRate: { type: Number, required: true, min: 0 },
+  perMinuteRate: { type: Number, required: true, min: 0 },
+  waitingRatePerMinute: { type: Number, default: 0, min: 0 },
+  waitingGraceMinutes: { type: Number, default: 3, min: 0 }, // Free waiting after the driver arrives
+  currency: { type: String, default: 'PKR' },
+
+  effectiveFrom: { type: Date, required: true },
+  isActive: { type: Boolean, default: true }, // false = withdrawn before it took effect
+  notes: { type: String },
+
+  // Audit
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+fareTableSchema.index({ city: 1, vehicleType: 1, version: -1 }, { unique: true });
+fareTableSchema.index({ city: 1, vehicleType: 1, isActive: 1, effectiveFrom: -1 });
+
+// Virtual for whether this version has started to apply
+fareTableSchema.virtual('isInEffect').get(function() {
+  return this.isActive && this.effectiveFrom <= new Date();
+});
+
+const FareTable = mongoose.model('FareTable', fareTableSchema);
+
+export default FareTable;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { BLOCK_SOURCES, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 
 const emergencyContactSchema = new mongoose.Schema({
   name: {
@@ -35,6 +36,34 @@ const subscriptionSchema = new mongoose.Schema({
   },
 });
 
+// A driver this passenger never wants to be matched with again
+const blockedDriverSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true,
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  source: {
+    type: String,
+    enum: Object.values(BLOCK_SOURCES),
+    default: BLOCK_SOURCES.MANUAL,
+  },
+  blockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const passengerSchema = new mongoose.Schema(
   {
     userId: {
@@ -50,16 +79,31 @@ const passengerSchema = new mongoose.Schema(
       trim: true,
     },
     emergencyContacts: [emergencyContactSchema],
+    // Chosen emergency contacts are texted a live-trip link whenever a driver accepts a ride
+    autoShare: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      contactIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+      }],
+    },
     subscription: {
       type: subscriptionSchema,
       default: () => ({}),
     },
+    // Average of the last rated trips, maintained by the rating service
     rating: {
       type: Number,
       default: 0,
       min: 0,
       max: 5,
     },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
     totalRides: {
       type: Number,
       default: 0,
@@ -75,7 +119,20 @@ const passengerSchema = new mongoose.Schema(
     cnicImage: {
       type: String,
       // required: true,
-    }
+    },
+    // Ride credit (PKR) from referrals, taken off the fare of completed rides
+    rideCredit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    blockedDrivers: [blockedDriverSchema],
+    // Default for new ride requests; can be overridden per ride
+    driverGenderPreference: {
+      type: String,
+      enum: Object.values(DRIVER_GENDER_PREFERENCES),
+      default: DRIVER_GENDER_PREFERENCES.ANY,
+    },
   },
   {
     timestamps: true,
@@ -84,19 +141,13 @@ const passengerSchema = new mongoose.Schema(
 
 // Indexes
 passengerSchema.index({ rating: -1 });
+passengerSchema.index({ 'blockedDrivers.driverId': 1 });
 
 // Virtual for average rating calculation
 passengerSchema.virtual('averageRating').get(function () {
   return this.rating || 0;
 });
 
-// Method to update rating
-passengerSchema.methods.updateRating = function (newRating) {
-  // Simple average calculation - can be enhanced with weighted average
-  const totalRatings = this.totalRides || 1;
-  this.rating = ((this.rating * (totalRatings - 1)) + newRating) / totalRatings;
-};
-
 // Method to check if subscription is active
 passengerSchema.methods.hasActiveSubscription = function () {
   if (!this.subscription?.isActive) return false;
@@ -1,12 +1,25 @@
 import mongoose from 'mongoose';
 
 const paymentSchema = new mongoose.Schema({
-    ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+    // Subscription payments are not tied to a ride
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: function() { return this.type !== 'subscription'; } },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    type: { type: String, enum: ['ride', 'tip', 'subscription', 'refund'], default: 'ride' }, // What the payment was for
     amount: { type: Number, required: true },
-    method: { type: String, enum: ['cash', 'card'], required: true },
-    status: { type: String, enum: ['pending', 'completed', 'refunded'], default: 'pending' },
+    currency: { type: String, default: 'PKR' },
+    method: { type: String, enum: ['cash', 'card', 'easypaisa', 'jazzcash', 'wallet'], required: true },
+    status: { type: String, enum: ['pending', 'completed', 'failed', 'refunded'], default: 'pending' },
+    gateway: { type: String },
+    transactionId: { type: String },
+    gatewayResponse: { type: mongoose.Schema.Types.Mixed },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    processedAt: { type: Date },
+    verifiedAt: { type: Date },
   }, { timestamps: true });
 
+paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ userId: 1, createdAt: -1 });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
-export default Payment;
\ No newline at end of file
+export default Payment;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { PROMO_REDEMPTION_STATUS } from '../config/constants.js';
+
+// One use of a promo code on a ride.
+// Each applied redemption takes a numbered slot (1..perUserLimit) for its passenger;
+// the unique slot index stops concurrent requests from going over the per-user limit.
+const promoRedemptionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  code: { type: String, required: true },
+  passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passenger', required: true },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  slot: { type: Number, required: true, min: 1 },
+  discount: { type: Number, required: true, min: 0 }, // PKR taken off the fare
+  fareBeforeDiscount: { type: Number },
+  status: {
+    type: String,
+    enum: Object.values(PROMO_REDEMPTION_STATUS),
+    default: PROMO_REDEMPTION_STATUS.APPLIED
+  },
+  releasedAt: { type: Date },
+  releaseReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+promoRedemptionSchema.index(
+  { promotionId: 1, passengerId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: PROMO_REDEMPTION_STATUS.APPLIED } }
+);
+promoRedemptionSchema.index({ rideId: 1 });
+promoRedemptionSchema.index({ promotionId: 1, createdAt: -1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+export default PromoRedemption;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { VEHICLE_TYPES, PROMO_DISCOUNT_TYPES } from '../config/constants.js';
+
+// Promo code that passengers apply to a fare estimate or ride request.
+// usedCount is only changed with conditional updates so it never passes usageLimit.
+const promotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+
+  // Discount
+  discountType: { type: String, enum: Object.values(PROMO_DISCOUNT_TYPES), required: true },
+  discountValue: { type: Number, required: true, min: 0 }, // PKR for flat, percent for percentage
+  maxDiscount: { type: Number, min: 0 }, // Cap for percentage discounts (PKR)
+  minFare: { type: Number, default: 0, min: 0 }, // Fare must be at least this to qualify
+
+  // Usage limits (usageLimit null = unlimited)
+  usageLimit: { type: Number, min: 1 },
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+
+  // Eligibility (empty lists = all vehicle types / cities)
+  validFrom: { type: Date, required: true },
+  validUntil: { type: Date, required: true },
+  vehicleTypes: [{ type: String, enum: Object.values(VEHICLE_TYPES) }],
+  cities: [{ type: String, lowercase: true, trim: true }],
+  firstRideOnly: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+
+  // Audit
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+promotionSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+// Virtual for uses left before the total limit is reached
+promotionSchema.virtual('remainingUses').get(function() {
+  return this.usageLimit ? Math.max(0, this.usageLimit - this.usedCount) : null;
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { RATING_DIRECTIONS } from '../config/constants.js';
+
+// One rating of one ride in one direction (passenger rating the driver or the other way round).
+// Driver and passenger averages are rebuilt from these, so excluded ratings drop out of them.
+const ratingSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  direction: { type: String, enum: Object.values(RATING_DIRECTIONS), required: true },
+  raterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+  passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passenger', required: true },
+
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  review: { type: String, trim: true },
+  tags: [{ type: String }],
+
+  editableUntil: { type: Date, required: true },
+  editedAt: { type: Date },
+
+  // Admin moderation - excluded ratings do not count towards averages
+  excluded: { type: Boolean, default: false },
+  exclusion: {
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    at: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+ratingSchema.index({ rideId: 1, direction: 1 }, { unique: true });
+ratingSchema.index({ direction: 1, driverId: 1, excluded: 1, createdAt: -1 });
+ratingSchema.index({ direction: 1, passengerId: 1, excluded: 1, createdAt: -1 });
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+export default Rating;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { USER_ROLES, REFERRAL_STATUS, REFERRAL_HOLD_REASONS } from '../config/constants.js';
+
+// One user signing up with another user's referral code.
+// The referrer is rewarded once the referee completes ridesRequired rides.
+const referralSchema = new mongoose.Schema({
+  referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  referrerRole: { type: String, enum: Object.values(USER_ROLES), required: true },
+  refereeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  refereeRole: { type: String, enum: Object.values(USER_ROLES), required: true },
+  code: { type: String, required: true },
+
+  status: { type: String, enum: Object.values(REFERRAL_STATUS), default: REFERRAL_STATUS.PENDING },
+  holdReasons: [{ type: String, enum: Object.values(REFERRAL_HOLD_REASONS) }],
+
+  // Progress
+  ridesRequired: { type: Number, required: true, min: 1 },
+  ridesCompleted: { type: Number, default: 0 },
+  qualifiedAt: { type: Date }, // Referee reached ridesRequired
+
+  // Reward paid to the referrer: ride credit for passengers, earnings bonus for drivers
+  reward: {
+    type: { type: String, enum: ['ride-credit', 'driver-bonus'] },
+    amount: { type: Number, default: 0 },
+    paidAt: { type: Date }
+  },
+
+  // Admin review of held referrals
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  reviewedAt: { type: Date },
+  reviewNotes: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+export default Referral;
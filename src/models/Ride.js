@@ -1,13 +1,27 @@
 import mongoose from 'mongoose';
+import { RIDE_STOP_STATUS, RIDE_TYPES, DESTINATION_CHANGE_STATUS, FARE_QUOTE_STATUS, TIP_STATUS, DRIVER_GENDER_PREFERENCES, RIDE_RESERVATION_RELEASE_REASONS, RIDE_SAFETY_CHECK_REASONS, RIDE_SAFETY_CHECK_STATUS } from '../config/constants.js';
+import { cleanTrackedPath } from '../utils/trackedPath.js';
 
 const rideSchema = new mongoose.Schema({
   passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passenger', required: true },
   driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
-  rideType: { type: String, enum: ['one-time', 'subscription'], default: 'one-time' },
+  // Someone else riding on the passenger's booking; the passenger stays the booker for chat, SOS and payment
+  rider: {
+    name: { type: String, trim: true },
+    phone: { type: String },
+    notifiedAt: { type: Date } // Driver details and tracking link sent by SMS
+  },
+  rideType: { type: String, enum: Object.values(RIDE_TYPES), default: RIDE_TYPES.ONE_TIME },
   vehicleType: { type: String, enum: ['car', 'bike', 'auto'], required: true },
+  // Only drivers with this verified gender are offered the ride
+  driverGenderPreference: {
+    type: String,
+    enum: Object.values(DRIVER_GENDER_PREFERENCES),
+    default: DRIVER_GENDER_PREFERENCES.ANY
+  },
   status: {
     type: String,
-    enum: ['scheduled', 'pending', 'accepted', 'in-progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'pending', 'accepted', 'arrived', 'in-progress', 'completed', 'cancelled'],
     default: 'pending'
   },
 
@@ -15,6 +29,25 @@ const rideSchema = new mongoose.Schema({
   scheduledAt: { type: Date },
   isScheduled: { type: Boolean, default: false },
 
+  // Occurrence of a recurring schedule this ride was created for
+  recurrence: {
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'RideSchedule' },
+    occurrenceAt: { type: Date }, // Slot in the weekly pattern, before any reschedule
+    superseded: { type: Boolean } // Cancelled because the series changed; the occurrence is booked again
+  },
+  // Offered this driver first when dispatch starts
+  preferredDriverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+  // Driver who claimed this scheduled ride ahead of pickup; offered it first on activation
+  reservation: {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    claimedAt: { type: Date },
+    remindedAt: { type: Date }, // Hour-before reminder sent to the driver
+    // Last claim that was given up, so the passenger and support can see what happened
+    releasedDriverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    releasedAt: { type: Date },
+    releaseReason: { type: String, enum: Object.values(RIDE_RESERVATION_RELEASE_REASONS) }
+  },
+
   // Location Data
   pickup: {
     location: {
@@ -24,6 +57,8 @@ const rideSchema = new mongoose.Schema({
     address: { type: String, required: true },
     timestamp: { type: Date }
   },
+  zone: { type: String }, // Geohash cell of the pickup, used for surge pricing
+  city: { type: String }, // Pricing city of the pickup, used to resolve the fare table
   destination: {
     location: {
       latitude: { type: Number, required: true },
@@ -32,11 +67,73 @@ const rideSchema = new mongoose.Schema({
     address: { type: String, required: true }
   },
 
+  // Intermediate stops between pickup and destination, in visiting order
+  stops: [{
+    location: {
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true }
+    },
+    address: { type: String, required: true },
+    order: { type: Number },
+    status: { type: String, enum: Object.values(RIDE_STOP_STATUS), default: RIDE_STOP_STATUS.PENDING },
+    reachedAt: { type: Date }
+  }],
+
+  // Destination changes requested during the ride, with the fare quoted for each
+  destinationChanges: [{
+    status: {
+      type: String,
+      enum: Object.values(DESTINATION_CHANGE_STATUS),
+      default: DESTINATION_CHANGE_STATUS.PENDING
+    },
+    previousDestination: {
+      location: { latitude: Number, longitude: Number },
+      address: String
+    },
+    newDestination: {
+      location: { latitude: Number, longitude: Number },
+      address: String
+    },
+    requestedFrom: { latitude: Number, longitude: Number }, // Where the car was when re-routed
+    travelledDistance: Number, // meters driven before the change
+    travelledDuration: Number, // seconds since the ride started
+    route: {
+      distance: Number, // meters, from requestedFrom to the new destination
+      duration: Number, // seconds
+      polyline: String
+    },
+    previousEstimate: Number,
+    newEstimate: Number,
+    fareBreakdown: { type: mongoose.Schema.Types.Mixed },
+    requestedAt: { type: Date, default: Date.now },
+    expiresAt: Date,
+    respondedAt: Date
+  }],
+
+  // Shared ride (rideType 'pool')
+  pool: {
+    poolId: { type: mongoose.Schema.Types.ObjectId, ref: 'RidePool' },
+    seats: { type: Number, default: 1 },
+    joinedAt: { type: Date }
+  },
+
+  // Promo code redeemed when the ride was requested (discount is a fixed PKR amount)
+  promo: {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    redemptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoRedemption' },
+    code: { type: String },
+    discount: { type: Number }
+  },
+
   // Route & Distance Data
   route: {
     distance: { type: Number }, // in meters
     duration: { type: Number }, // in seconds
     polyline: { type: String }, // Google Maps polyline
+    legs: [{
+      distance: Number, // in meters, from the previous point
+      duration: Number  // in seconds
+    }],
     waypoints: [{
       latitude: Number,
       longitude: Number,
@@ -49,13 +146,36 @@ const rideSchema = new mongoose.Schema({
     estimated: { type: Number, required: true },
     final: { type: Number },
     cancellationFee: { type: Number, default: 0 },
+    creditApplied: { type: Number, default: 0 }, // Passenger ride credit used towards the final fare
     currency: { type: String, default: 'PKR' },
+    // Upfront quote the passenger booked with; a valid one locks the estimate
+    quote: {
+      status: { type: String, enum: Object.values(FARE_QUOTE_STATUS) },
+      quoteId: String,
+      issuedAt: Date,
+      expiresAt: Date
+    },
+    // How the final fare was derived from the tracked path (kept for disputes)
+    reconciliation: { type: mongoose.Schema.Types.Mixed },
     breakdown: {
       baseFare: Number,
       distanceFare: Number,
       timeFare: Number,
       waitingFare: Number,
-      surgeMultiplier: { type: Number, default: 1.0 }
+      bookingFee: Number,
+      stops: Number,
+      stopFee: Number,
+      poolDiscount: Number,
+      promoCode: String,
+      promoDiscount: Number,
+      minimumFare: Number,
+      surgeMultiplier: { type: Number, default: 1.0 },
+      // Fare table version the ride was priced with (null = built-in rates)
+      fareTable: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'FareTable' },
+        city: String,
+        version: Number
+      }
     }
   },
 
@@ -69,6 +189,16 @@ const rideSchema = new mongoose.Schema({
     paidAt: { type: Date }
   },
 
+  // Tip from the passenger after the ride; goes to the driver in full
+  tip: {
+    amount: { type: Number, min: 0 },
+    method: { type: String, enum: ['cash', 'easypaisa', 'jazzcash', 'card', 'wallet'] },
+    status: { type: String, enum: Object.values(TIP_STATUS) },
+    transactionId: { type: String },
+    addedAt: { type: Date },
+    paidAt: { type: Date }
+  },
+
   // Real-time Tracking Data
   tracking: {
     startLocation: {
@@ -101,6 +231,20 @@ const rideSchema = new mongoose.Schema({
     driverPhoto: { type: String }, // URL to driver's identity photo (required before ride start)
     driverPhotoUploadedAt: { type: Date },
     verifiedAt: { type: Date },
+    // Trip PIN shown only to the passenger; the driver must enter it to start the ride
+    startPin: {
+      code: { type: String, select: false },
+      generatedAt: { type: Date },
+      verifiedAt: { type: Date },
+      lockedAt: { type: Date }, // Set once too many wrong PINs were entered
+      failedAttempts: [{
+        at: { type: Date, default: Date.now },
+        location: {
+          latitude: Number,
+          longitude: Number
+        }
+      }]
+    },
     sosAlerts: [{
       triggeredAt: { type: Date },
       location: {
@@ -117,6 +261,33 @@ const rideSchema = new mongoose.Schema({
       resolved: { type: Boolean, default: false },
       resolvedAt: Date,
       notes: String
+    }],
+    // Live monitoring state kept by the ride monitor while the ride is in progress
+    monitor: {
+      lastSignalAt: Date, // Last location received from the driver's phone
+      offRouteSince: Date,
+      offRouteMeters: Number,
+      stoppedSince: Date,
+      stopLocation: {
+        latitude: Number,
+        longitude: Number
+      },
+      quietUntil: Date // No new check before this, after the passenger said they were safe
+    },
+    // "Are you safe?" prompts sent to the passenger
+    checks: [{
+      reason: { type: String, enum: Object.values(RIDE_SAFETY_CHECK_REASONS) },
+      status: { type: String, enum: Object.values(RIDE_SAFETY_CHECK_STATUS), default: RIDE_SAFETY_CHECK_STATUS.PENDING },
+      location: {
+        latitude: Number,
+        longitude: Number
+      },
+      measured: Number, // Meters off route, or seconds stopped or silent
+      promptedAt: Date,
+      expiresAt: Date, // Escalated to an automatic SOS if unanswered by then
+      respondedAt: Date,
+      escalatedAt: Date,
+      sosAlertId: { type: mongoose.Schema.Types.ObjectId, ref: 'SOSAlert' }
     }]
   },
 
@@ -130,14 +301,24 @@ const rideSchema = new mongoose.Schema({
   },
 
   // Cancellation Data
-  cancelledBy: { type: String, enum: ['passenger', 'driver', 'system'] },
+  cancelledBy: { type: String, enum: ['passenger', 'driver', 'admin', 'system'] },
   cancellationReason: { type: String },
   cancellationFee: { type: Number, default: 0 },
 
   // Timestamps
   requestedAt: { type: Date, default: Date.now },
+  activatedAt: { type: Date }, // Scheduled ride started looking for a driver
   acceptedAt: { type: Date },
+  arrivedAt: { type: Date }, // Driver reached the pickup
   startedAt: { type: Date },
+
+  // Waiting at pickup between arrivedAt and startedAt
+  waiting: {
+    seconds: { type: Number, default: 0 },
+    graceMinutes: { type: Number },
+    chargeableMinutes: { type: Number, default: 0 },
+    ratePerMinute: { type: Number }
+  },
   completedAt: { type: Date },
   cancelledAt: { type: Date },
 
@@ -159,6 +340,9 @@ rideSchema.index({ passengerId: 1, status: 1 });
 rideSchema.index({ driverId: 1, status: 1 });
 rideSchema.index({ status: 1, createdAt: -1 });
 rideSchema.index({ status: 'scheduled', scheduledAt: 1 });
+rideSchema.index({ 'reservation.driverId': 1, status: 1, scheduledAt: 1 }, { sparse: true });
+rideSchema.index({ zone: 1, requestedAt: -1 });
+rideSchema.index({ 'recurrence.scheduleId': 1, 'recurrence.occurrenceAt': 1 }, { sparse: true });
 rideSchema.index({ 'pickup.location': '2dsphere' });
 rideSchema.index({ 'destination.location': '2dsphere' });
 rideSchema.index({ 'tracking.currentLocation': '2dsphere' });
@@ -171,38 +355,14 @@ rideSchema.virtual('duration').get(function() {
   return null;
 });
 
-// Virtual for ride distance traveled
+// Virtual for ride distance traveled, measured on the cleaned GPS trail
 rideSchema.virtual('distanceTraveled').get(function() {
   if (this.tracking && this.tracking.path && this.tracking.path.length > 1) {
-    // Calculate distance from path points (simplified)
-    let distance = 0;
-    for (let i = 1; i < this.tracking.path.length; i++) {
-      const prev = this.tracking.path[i-1];
-      const curr = this.tracking.path[i];
-      // Haversine formula for distance between points
-      distance += calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
-    }
-    return distance; // in meters
+    return cleanTrackedPath(this.tracking.path).distance; // in meters
   }
   return this.route ? this.route.distance : 0;
 });
 
-// Helper function for distance calculation
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c;
-}
-
 const Ride = mongoose.model('Ride', rideSchema);
 
 export default Ride;
\ No newline at end of file
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Append-only log of ride status transitions
+const rideEventSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, immutable: true },
+  from: { type: String, default: null, immutable: true }, // null = ride created
+  to: { type: String, required: true, immutable: true },
+
+  // Who performed the transition
+  actor: {
+    role: { type: String, enum: ['passenger', 'driver', 'admin', 'system'], required: true, immutable: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true }
+  },
+
+  reason: { type: String, immutable: true },
+  location: {
+    latitude: { type: Number, immutable: true },
+    longitude: { type: Number, immutable: true }
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed, immutable: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+rideEventSchema.index({ rideId: 1, createdAt: 1 });
+rideEventSchema.index({ to: 1, createdAt: -1 });
+
+// Events are never edited or removed once written
+rideEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ride events are immutable'));
+  }
+  next();
+});
+
+rideEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Ride events are immutable'));
+  }
+);
+
+const RideEvent = mongoose.model('RideEvent', rideEventSchema);
+
+export default RideEvent;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { RIDE_OFFER_STATUS } from '../config/constants.js';
+
+// One document per offer a driver received during dispatch
+const rideOfferSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+  status: {
+    type: String,
+    enum: Object.values(RIDE_OFFER_STATUS),
+    default: RIDE_OFFER_STATUS.OFFERED
+  },
+
+  // Dispatch context at the time of the offer
+  attempt: { type: Number, default: 1 }, // 1 = first driver offered this ride
+  radiusKm: { type: Number },
+  distanceKm: { type: Number }, // driver distance to pickup
+  score: { type: Number },
+
+  // Timestamps
+  offeredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date },
+  viewedAt: { type: Date },
+  respondedAt: { type: Date }, // accepted, rejected, expired or superseded
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+rideOfferSchema.index({ rideId: 1, status: 1 });
+rideOfferSchema.index({ driverId: 1, offeredAt: -1 });
+rideOfferSchema.index({ status: 1, offeredAt: -1 });
+
+// Virtual for how long the driver took to answer
+rideOfferSchema.virtual('responseTime').get(function() {
+  if (this.respondedAt && this.offeredAt) {
+    return this.respondedAt - this.offeredAt; // in milliseconds
+  }
+  return null;
+});
+
+const RideOffer = mongoose.model('RideOffer', rideOfferSchema);
+
+export default RideOffer;
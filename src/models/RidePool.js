@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { RIDE_POOL_STATUS, POOL_STOP_TYPES, RIDE_STOP_STATUS } from '../config/constants.js';
+
+// A driver's shared trip: the pooled rides on board and the order of their pickups and dropoffs
+const poolStopSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  type: { type: String, enum: Object.values(POOL_STOP_TYPES), required: true },
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  address: { type: String },
+  seats: { type: Number, default: 1 },
+  status: { type: String, enum: Object.values(RIDE_STOP_STATUS), default: RIDE_STOP_STATUS.PENDING },
+  reachedAt: { type: Date }
+}, { _id: false });
+
+const ridePoolSchema = new mongoose.Schema({
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+  vehicleType: { type: String, required: true },
+  capacity: { type: Number, required: true }, // Passenger seats in the vehicle
+  seatsTaken: { type: Number, default: 0 },
+  rides: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Ride' }],
+  stops: [poolStopSchema], // Visiting order; reached stops stay at the front
+  status: {
+    type: String,
+    enum: Object.values(RIDE_POOL_STATUS),
+    default: RIDE_POOL_STATUS.OPEN
+  },
+  revision: { type: Number, default: 0 }, // Bumped on every change so stale plans are rejected
+  closedAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+ridePoolSchema.index({ status: 1, vehicleType: 1 });
+ridePoolSchema.index({ driverId: 1, status: 1 });
+
+// Virtual for free seats
+ridePoolSchema.virtual('seatsAvailable').get(function() {
+  return Math.max(0, this.capacity - this.seatsTaken);
+});
+
+const RidePool = mongoose.model('RidePool', ridePoolSchema);
+
+export default RidePool;
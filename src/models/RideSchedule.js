@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { RIDE_SCHEDULE_STATUS, RIDE_SCHEDULE_EXCEPTION_TYPES, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
+
+const LOCAL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const placeSchema = new mongoose.Schema({
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  address: { type: String, required: true }
+}, { _id: false });
+
+// Recurring commute booked by a passenger. Dates and times are local (Pakistan time);
+// the scheduled ride job turns each upcoming occurrence into a normal scheduled Ride.
+const rideScheduleSchema = new mongoose.Schema({
+  passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passenger', required: true, index: true },
+  status: {
+    type: String,
+    enum: Object.values(RIDE_SCHEDULE_STATUS),
+    default: RIDE_SCHEDULE_STATUS.ACTIVE
+  },
+
+  // Trip booked for every occurrence
+  pickup: { type: placeSchema, required: true },
+  destination: { type: placeSchema, required: true },
+  vehicleType: { type: String, enum: ['car', 'bike', 'auto'], required: true },
+  paymentMethod: { type: String, enum: ['cash', 'easypaisa', 'jazzcash', 'card'], required: true },
+  notes: { type: String },
+  driverGenderPreference: {
+    type: String,
+    enum: Object.values(DRIVER_GENDER_PREFERENCES),
+    default: DRIVER_GENDER_PREFERENCES.ANY
+  },
+  preferredDriverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', default: null },
+
+  // Weekly pattern: one pickup per entry (dayOfWeek 0 = Sunday)
+  pattern: [{
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true },
+    time: { type: String, match: LOCAL_TIME, required: true }, // HH:mm
+    _id: false
+  }],
+  startDate: { type: String, match: LOCAL_DATE, required: true }, // YYYY-MM-DD
+  endDate: { type: String, match: LOCAL_DATE, default: null },
+  skipDates: [{ type: String, match: LOCAL_DATE }], // Holidays - no rides on these days
+
+  // Single occurrences the passenger skipped or moved
+  exceptions: [{
+    occurrenceAt: { type: Date, required: true },
+    type: { type: String, enum: Object.values(RIDE_SCHEDULE_EXCEPTION_TYPES), required: true },
+    pickupAt: { type: Date }, // New pickup time for reschedules
+    createdAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+
+  // Occurrences up to this time have been booked as rides
+  materialisedUntil: { type: Date, default: Date.now },
+  lastError: {
+    occurrenceAt: Date,
+    message: String,
+    at: Date
+  },
+
+  pausedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String }
+}, {
+  timestamps: true
+});
+
+rideScheduleSchema.index({ status: 1, materialisedUntil: 1 });
+
+const RideSchedule = mongoose.model('RideSchedule', rideScheduleSchema);
+
+export default RideSchedule;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { RIDE_SHARE_SOURCES } from '../config/constants.js';
+
+// A revocable public link that shows one ride live to whoever holds the token
+const rideShareSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  passengerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passenger', required: true },
+  token: { type: String, required: true, unique: true },
+  source: {
+    type: String,
+    enum: Object.values(RIDE_SHARE_SOURCES),
+    default: RIDE_SHARE_SOURCES.MANUAL
+  },
+
+  // People the link was texted to
+  recipients: [{
+    name: { type: String },
+    phone: { type: String, required: true },
+    notifiedAt: { type: Date }, // Unset when the SMS could not be sent
+    _id: false
+  }],
+
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  endedAt: { type: Date }, // Ride finished; the link shows the final status briefly, then expires
+
+  viewCount: { type: Number, default: 0 },
+  lastViewedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+rideShareSchema.index({ rideId: 1, revokedAt: 1, expiresAt: 1 });
+
+rideShareSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const RideShare = mongoose.model('RideShare', rideShareSchema);
+
+export default RideShare;
@@ -88,6 +88,25 @@ const userSchema = new mongoose.Schema(
       enum: Object.values(USER_STATUS),
       default: USER_STATUS.ACTIVE,
     },
+    // Code this user shares to refer others; referredBy is set when they signed up with one
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Device the account was registered from (used to hold back self-referrals)
+    registrationDeviceId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
     lastLogin: {
       type: Date,
       default: null,
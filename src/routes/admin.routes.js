@@ -3,6 +3,8 @@ import { authenticate } from '../middleware/auth.middleware.js';
 import { requireRole } from '../middleware/role.middleware.js';
 import { USER_ROLES } from '../config/constants.js';
 import { uploadProfilePhoto, cleanupTempFiles } from '../middleware/upload.middleware.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { fareTableSchema, fareTableUpdateSchema, promotionSchema, promotionUpdateSchema, rideMonitorSettingsSchema } from '../utils/validators.js';
 import {
   getDashboardStats,
   getAllUsers,
@@ -17,6 +19,7 @@ import {
   getPendingDrivers,
   approveDriver,
   rejectDriver,
+  verifyDriverGender,
   getAllRides,
   getActiveRidesAdmin,
   getRideDetailsAdmin,
@@ -25,6 +28,7 @@ import {
   getEarningsReports,
   getUserReports,
   getDriverReports,
+  getDriverPreferenceReport,
   getSubscriptionPlans,
   createSubscriptionPlan,
   updateSubscriptionPlan,
@@ -37,8 +41,32 @@ import {
   getActiveSOSAlerts,
   getSOSAlertDetails,
   resolveSOSAlert,
+  getRideMonitorConfig,
+  updateRideMonitorConfig,
   getSystemSettings,
   updateSystemSettings,
+  getSurgeMap,
+  setSurgeOverride,
+  clearSurgeOverride,
+  getFareTables,
+  resolveFareTable,
+  getFareTableDetails,
+  createFareTable,
+  updateFareTable,
+  deleteFareTable,
+  getPromotions,
+  getPromotionReport,
+  getPromotionDetails,
+  getPromotionRedemptions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getReferrals,
+  getReferralReport,
+  reviewReferral,
+  getRatings,
+  getRatingDistribution,
+  setRatingExclusion,
   updateAdminProfile,
   uploadAdminProfilePhoto,
   getChatbotConversations,
@@ -65,6 +93,7 @@ router.get('/drivers/pending', getPendingDrivers);
 router.get('/drivers/:id', getDriverDetails);
 router.put('/drivers/:id/approve', approveDriver);
 router.put('/drivers/:id/reject', rejectDriver);
+router.put('/drivers/:id/gender', verifyDriverGender);
 
 router.get('/rides', getAllRides);
 router.get('/rides/active', getActiveRidesAdmin);
@@ -75,6 +104,7 @@ router.get('/reports/rides', getRideReports);
 router.get('/reports/earnings', getEarningsReports);
 router.get('/reports/users', getUserReports);
 router.get('/reports/drivers', getDriverReports);
+router.get('/reports/driver-preference', getDriverPreferenceReport);
 
 router.get('/subscriptions/plans', getSubscriptionPlans);
 router.post('/subscriptions/plans', createSubscriptionPlan);
@@ -89,6 +119,8 @@ router.get('/sos/alerts', getAllSOSAlerts);
 router.get('/sos/alerts/active', getActiveSOSAlerts);
 router.get('/sos/alerts/:id', getSOSAlertDetails);
 router.put('/sos/alerts/:id/resolve', resolveSOSAlert);
+router.get('/safety/ride-monitor', getRideMonitorConfig);
+router.put('/safety/ride-monitor', validate(rideMonitorSettingsSchema), updateRideMonitorConfig);
 
 router.get('/chatbot/conversations', getChatbotConversations);
 router.get('/chatbot/analytics', getChatbotAnalytics);
@@ -100,4 +132,31 @@ router.get('/system/stats', getSystemStats);
 router.get('/system/settings', getSystemSettings);
 router.put('/system/settings', updateSystemSettings);
 
+router.get('/surge', getSurgeMap);
+router.put('/surge/overrides', setSurgeOverride);
+router.delete('/surge/overrides/:cell', clearSurgeOverride);
+
+router.get('/pricing', getFareTables);
+router.get('/pricing/resolve', resolveFareTable);
+router.get('/pricing/:id', getFareTableDetails);
+router.post('/pricing', validate(fareTableSchema), createFareTable);
+router.put('/pricing/:id', validate(fareTableUpdateSchema), updateFareTable);
+router.delete('/pricing/:id', deleteFareTable);
+
+router.get('/promotions', getPromotions);
+router.get('/promotions/report', getPromotionReport);
+router.get('/promotions/:id', getPromotionDetails);
+router.get('/promotions/:id/redemptions', getPromotionRedemptions);
+router.post('/promotions', validate(promotionSchema), createPromotion);
+router.put('/promotions/:id', validate(promotionUpdateSchema), updatePromotion);
+router.delete('/promotions/:id', deletePromotion);
+
+router.get('/referrals', getReferrals);
+router.get('/referrals/report', getReferralReport);
+router.put('/referrals/:id/review', reviewReferral);
+
+router.get('/ratings', getRatings);
+router.get('/ratings/distribution', getRatingDistribution);
+router.put('/ratings/:id/exclusion', setRatingExclusion);
+
 export default router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { requireRole } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validation.middleware.js';
 import { USER_ROLES } from '../config/constants.js';
+import { blockPassengerSchema } from '../utils/validators.js';
 import {
   getProfile,
   updateProfile,
@@ -14,6 +16,13 @@ import {
   getEarnings,
   getDriverStats,
   getEarningsStats,
+  getBlockedPassengers,
+  blockPassenger,
+  unblockPassenger,
+  getOpenScheduledRides,
+  getClaimedScheduledRides,
+  claimScheduledRide,
+  releaseScheduledRide,
 } from '../controllers/driver.controller.js';
 
 const router = express.Router();
@@ -33,9 +42,18 @@ router.put('/vehicle/:id', updateVehicle);
 router.get('/rides', getRideHistory);
 router.get('/rides/:id', getRideDetails);
 
+router.get('/scheduled-rides', getOpenScheduledRides);
+router.get('/scheduled-rides/claimed', getClaimedScheduledRides);
+router.post('/scheduled-rides/:id/claim', claimScheduledRide);
+router.delete('/scheduled-rides/:id/claim', releaseScheduledRide);
+
 router.get('/earnings', getEarnings);
 router.get('/earnings/stats', getEarningsStats);
 
 router.get('/stats', getDriverStats);
 
+router.get('/blocked-passengers', getBlockedPassengers);
+router.post('/blocked-passengers', validate(blockPassengerSchema), blockPassenger);
+router.delete('/blocked-passengers/:id', unblockPassenger);
+
 export default router;
\ No newline at end of file
@@ -1,17 +1,23 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { requireRole } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validation.middleware.js';
 import { USER_ROLES } from '../config/constants.js';
+import { blockDriverSchema, autoShareSchema } from '../utils/validators.js';
 import {
   getProfile,
   updateProfile,
   addEmergencyContact,
   updateEmergencyContact,
   deleteEmergencyContact,
+  updateAutoShare,
   getRideHistory,
   getRideDetails,
   getSubscriptionStatus,
   getPassengerStats,
+  getBlockedDrivers,
+  blockDriver,
+  unblockDriver,
 } from '../controllers/passenger.controller.js';
 
 const router = express.Router();
@@ -25,6 +31,7 @@ router.put('/profile', updateProfile);
 router.post('/emergency-contacts', addEmergencyContact);
 router.put('/emergency-contacts/:id', updateEmergencyContact);
 router.delete('/emergency-contacts/:id', deleteEmergencyContact);
+router.put('/auto-share', validate(autoShareSchema), updateAutoShare);
 
 router.get('/rides', getRideHistory);
 router.get('/rides/:id', getRideDetails);
@@ -33,4 +40,8 @@ router.get('/subscription', getSubscriptionStatus);
 
 router.get('/stats', getPassengerStats);
 
+router.get('/blocked-drivers', getBlockedDrivers);
+router.post('/blocked-drivers', validate(blockDriverSchema), blockDriver);
+router.delete('/blocked-drivers/:id', unblockDriver);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { USER_ROLES } from '../config/constants.js';
+import { getReferralDashboard } from '../controllers/referral.controller.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', requireRole([USER_ROLES.PASSENGER, USER_ROLES.DRIVER]), getReferralDashboard);
+
+export default router;
@@ -1,18 +1,21 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validation.middleware.js';
-import { sosAlertSchema, rideRequestSchema } from '../utils/validators.js';
+import { sosAlertSchema, rideRequestSchema, destinationChangeSchema, tipSchema, rideShareSchema, safetyCheckResponseSchema } from '../utils/validators.js';
 import { requireRole } from '../middleware/role.middleware.js';
 import { USER_ROLES } from '../config/constants.js';
 import { uploadDriverPhoto } from '../middleware/upload.middleware.js';
 import {
   requestRide,
   acceptRide,
+  markArrived,
   startRide,
   updateRideLocation,
+  changeDestination,
   completeRide,
   cancelRide,
   rateRide,
+  addTip,
   getRideDetails,
   getRideHistory,
   getScheduledRides,
@@ -21,11 +24,17 @@ import {
   getActiveRides,
   getRideStats,
   triggerSOSAlert,
+  getSharedRide,
+  shareRide,
+  getRideShares,
+  revokeRideShare,
+  respondSafetyCheck,
 } from '../controllers/ride.controller.js';
 
 const router = express.Router();
 
-router.get('/estimate', getFareEstimate);
+router.get('/estimate', optionalAuthenticate, getFareEstimate);
+router.get('/track/:token', getSharedRide);
 
 router.use(authenticate);
 
@@ -42,15 +51,26 @@ router.get('/stats', getRideStats);
 
 router.put('/:id/accept', requireRole([USER_ROLES.DRIVER]), acceptRide);
 
+router.put('/:id/arrived', requireRole([USER_ROLES.DRIVER]), markArrived);
+
 router.put('/:id/start', requireRole([USER_ROLES.DRIVER]), uploadDriverPhoto, startRide);
 
 router.put('/:id/location', requireRole([USER_ROLES.DRIVER]), updateRideLocation);
 
+router.put('/:id/destination', requireRole([USER_ROLES.PASSENGER]), validate(destinationChangeSchema), changeDestination);
+
 router.put('/:id/complete', requireRole([USER_ROLES.DRIVER]), completeRide);
 
 router.post('/:id/cancel', requireRole([USER_ROLES.PASSENGER, USER_ROLES.DRIVER]), cancelRide);
 
 router.post('/:id/rate', requireRole([USER_ROLES.PASSENGER, USER_ROLES.DRIVER]), rateRide);
+router.post('/:id/tip', requireRole([USER_ROLES.PASSENGER]), validate(tipSchema), addTip);
+
+router.post('/:id/share', requireRole([USER_ROLES.PASSENGER]), validate(rideShareSchema), shareRide);
+router.get('/:id/shares', requireRole([USER_ROLES.PASSENGER]), getRideShares);
+router.delete('/:id/shares/:shareId', requireRole([USER_ROLES.PASSENGER]), revokeRideShare);
+
+router.post('/:id/safety-check', requireRole([USER_ROLES.PASSENGER]), validate(safetyCheckResponseSchema), respondSafetyCheck);
 
 router.get('/:id', getRideDetails);
 
@@ -0,0 +1,41 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { USER_ROLES } from '../config/constants.js';
+import {
+  rideScheduleSchema,
+  rideScheduleUpdateSchema,
+  rideOccurrenceSkipSchema,
+  rideOccurrenceRescheduleSchema
+} from '../utils/validators.js';
+import {
+  createRideSchedule,
+  getRideSchedules,
+  getRideSchedule,
+  updateRideSchedule,
+  pauseRideSchedule,
+  resumeRideSchedule,
+  cancelRideSchedule,
+  skipOccurrence,
+  rescheduleOccurrence,
+} from '../controllers/rideSchedule.controller.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireRole([USER_ROLES.PASSENGER]));
+
+router.post('/', validate(rideScheduleSchema), createRideSchedule);
+router.get('/', getRideSchedules);
+router.get('/:id', getRideSchedule);
+router.put('/:id', validate(rideScheduleUpdateSchema), updateRideSchedule);
+
+router.post('/:id/pause', pauseRideSchedule);
+router.post('/:id/resume', resumeRideSchedule);
+router.post('/:id/cancel', cancelRideSchedule);
+
+router.post('/:id/occurrences/skip', validate(rideOccurrenceSkipSchema), skipOccurrence);
+router.post('/:id/occurrences/reschedule', validate(rideOccurrenceRescheduleSchema), rescheduleOccurrence);
+
+export default router;
@@ -7,6 +7,9 @@ import { createServer } from 'net';
 import { createServer as createHttpServer } from 'http';
 import socketService from './services/socket.service.js';
 import { startScheduledRideJob } from './jobs/scheduledRide.job.js';
+import { startRideDispatchJob, startBatchMatchingJob } from './jobs/rideDispatch.job.js';
+import { startSurgeJob } from './jobs/surge.job.js';
+import { startRideMonitorJob } from './jobs/rideMonitor.job.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,6 +61,18 @@ connectDatabase()
 
       // Start scheduled ride activation job
       startScheduledRideJob();
+
+      // Start stale pending ride cleanup job
+      startRideDispatchJob();
+
+      // Start batch matching of waiting rides (when enabled)
+      startBatchMatchingJob();
+
+      // Start surge pricing recompute job
+      startSurgeJob();
+
+      // Start in-ride safety monitoring (lost signal, unanswered safety checks)
+      startRideMonitorJob();
     });
   })
   .catch((error) => {
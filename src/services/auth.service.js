@@ -9,6 +9,7 @@ import { USER_ROLES } from '../config/constants.js';
 import logger from '../utils/logger.js';
 import axios from 'axios';
 import { DRIVER_AVAILABILITY } from '../config/constants.js';
+import { assignReferralCode, createReferral } from './referral.service.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,8 +22,6 @@ const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
   throw new Error('JWT secrets are not defined in environment variables');
 }
-const BASE_FARE = 100;
-const PER_KM_RATE = 30;
 const DRIVER_SEARCH_RADIUS_KM = 5;
 
 // 🔹 Google Maps Distance Helper
@@ -71,8 +70,21 @@ export const verifyRefreshToken = (token) => {
 
 import bcrypt from 'bcryptjs';
 
+// Give a new user their own referral code and record who referred them.
+// Referral problems never block registration.
+const setUpReferral = async (user, referralCode) => {
+  try {
+    await assignReferralCode(user);
+    if (referralCode) {
+      await createReferral(user, referralCode);
+    }
+  } catch (error) {
+    logger.error(`Referral setup failed for user ${user._id}:`, error);
+  }
+};
+
 export const registerDriverService = async (userData, files) => {
-  const { name, email, phone, alternatePhone, cnic, password, vehicleType, vehicleName, owner, address } = userData;
+  const { name, email, phone, alternatePhone, cnic, password, vehicleType, vehicleName, owner, address, gender, referralCode, deviceId } = userData;
 
   // 1️⃣ Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -90,14 +102,18 @@ export const registerDriverService = async (userData, files) => {
     cnic,
     cnicImage: files.cnicImage, // Store CNIC image in User model
     password: password, // Plain text - will be hashed by User model pre-save middleware
-    role: 'driver'
+    role: 'driver',
+    registrationDeviceId: deviceId || null
   });
 
+  await setUpReferral(user, referralCode);
+
   // 3️⃣ Create driver profile with uploaded files and vehicle information
   const profile = await Driver.create({
     userId: user._id,
     name: name,
     address: address,
+    gender: gender,
     licenseImage: files.licensePic, // Driver model has 'licenseImage' field, not 'licensePic'
     vehicle: {
       vehicleType: vehicleType,
@@ -130,7 +146,7 @@ export const registerDriverService = async (userData, files) => {
   return { user, profile, accessToken, refreshToken };
 };
 export const registerPassengerService = async (userData, files) => {
-  const { name, email, phone, cnic, password } = userData;
+  const { name, email, phone, cnic, password, referralCode, deviceId } = userData;
 
   if(!name || !email || !phone || !cnic || !password) throw new Error('All fields are required');
 
@@ -147,9 +163,12 @@ export const registerPassengerService = async (userData, files) => {
     phone,
     cnic,
     password: password, // Plain text - will be hashed by User model pre-save middleware
-    role: 'passenger'
+    role: 'passenger',
+    registrationDeviceId: deviceId || null
   });
 
+  await setUpReferral(user, referralCode);
+
   // Create passenger profile with CNIC picture
   console.log('Creating passenger with:', {
     userId: user._id,
@@ -0,0 +1,179 @@
+import Passenger from '../models/Passenger.js';
+import Driver from '../models/Driver.js';
+import Ride from '../models/Ride.js';
+import logger from '../utils/logger.js';
+import { USER_ROLES, BLOCK_SOURCES } from '../config/constants.js';
+
+export const BLOCKLIST_CONFIG = {
+  MAX_ENTRIES: 200 // Per passenger or driver
+};
+
+// Passengers block drivers and drivers block passengers; a block keeps the pair apart either way
+const SIDES = {
+  [USER_ROLES.PASSENGER]: {
+    Owner: Passenger,
+    Target: Driver,
+    listField: 'blockedDrivers',
+    targetField: 'driverId',
+    rideOwnerField: 'passengerId',
+    label: 'Driver'
+  },
+  [USER_ROLES.DRIVER]: {
+    Owner: Driver,
+    Target: Passenger,
+    listField: 'blockedPassengers',
+    targetField: 'passengerId',
+    rideOwnerField: 'driverId',
+    label: 'Passenger'
+  }
+};
+
+const getSide = (userRole) => {
+  const side = SIDES[userRole];
+  if (!side) {
+    throw new Error('Unauthorized');
+  }
+  return side;
+};
+
+/**
+ * Drivers a passenger must never be matched with: drivers the passenger blocked
+ * and drivers who blocked the passenger
+ * @param {ObjectId} passengerId - Passenger _id
+ * @returns {string[]} - Driver _ids
+ */
+export const getBlockedDriverIds = async (passengerId) => {
+  if (!passengerId) return [];
+
+  const [passenger, blockedBy] = await Promise.all([
+    Passenger.findById(passengerId, 'blockedDrivers.driverId').lean(),
+    Driver.find({ 'blockedPassengers.passengerId': passengerId }).distinct('_id')
+  ]);
+
+  const ids = [
+    ...(passenger?.blockedDrivers || []).map(entry => entry.driverId),
+    ...blockedBy
+  ].map(id => id.toString());
+
+  return [...new Set(ids)];
+};
+
+/**
+ * Passengers a driver must never be matched with: passengers the driver blocked
+ * and passengers who blocked the driver
+ * @param {ObjectId} driverId - Driver _id
+ * @returns {string[]} - Passenger _ids
+ */
+export const getBlockedPassengerIds = async (driverId) => {
+  if (!driverId) return [];
+
+  const [driver, blockedBy] = await Promise.all([
+    Driver.findById(driverId, 'blockedPassengers.passengerId').lean(),
+    Passenger.find({ 'blockedDrivers.driverId': driverId }).distinct('_id')
+  ]);
+
+  const ids = [
+    ...(driver?.blockedPassengers || []).map(entry => entry.passengerId),
+    ...blockedBy
+  ].map(id => id.toString());
+
+  return [...new Set(ids)];
+};
+
+/**
+ * People on the caller's block list (Passenger or Driver)
+ */
+export const listBlockedUsersService = async (userId, userRole) => {
+  const { Owner, listField, targetField } = getSide(userRole);
+
+  const owner = await Owner.findOne({ userId }, listField)
+    .populate(`${listField}.${targetField}`, 'name rating');
+  if (!owner) {
+    throw new Error('Profile not found');
+  }
+
+  return {
+    blocked: [...owner[listField]].sort((a, b) => b.blockedAt - a.blockedAt),
+    count: owner[listField].length,
+    limit: BLOCKLIST_CONFIG.MAX_ENTRIES
+  };
+};
+
+/**
+ * Add someone to the caller's block list, either directly or as the other party of one of their rides
+ * @param {Object} data - { targetId, rideId, reason, source }
+ */
+export const blockUserService = async (userId, userRole, { targetId, rideId, reason, source = BLOCK_SOURCES.MANUAL }) => {
+  const { Owner, Target, listField, targetField, rideOwnerField, label } = getSide(userRole);
+
+  const owner = await Owner.findOne({ userId }, `_id ${listField}`);
+  if (!owner) {
+    throw new Error('Profile not found');
+  }
+
+  if (rideId) {
+    const ride = await Ride.findById(rideId, `${rideOwnerField} ${targetField}`);
+    if (!ride || ride[rideOwnerField]?.toString() !== owner._id.toString()) {
+      throw new Error('Ride not found');
+    }
+    if (!ride[targetField]) {
+      throw new Error(`This ride has no ${label.toLowerCase()} to block`);
+    }
+    if (targetId && targetId.toString() !== ride[targetField].toString()) {
+      throw new Error(`${label} was not on this ride`);
+    }
+    targetId = ride[targetField];
+  }
+
+  if (!targetId) {
+    throw new Error(`${label} or ride is required`);
+  }
+  if (!(await Target.exists({ _id: targetId }))) {
+    throw new Error(`${label} not found`);
+  }
+
+  const existing = owner[listField].find(entry => entry[targetField].toString() === targetId.toString());
+  if (existing) {
+    return { blocked: existing, alreadyBlocked: true };
+  }
+  if (owner[listField].length >= BLOCKLIST_CONFIG.MAX_ENTRIES) {
+    throw new Error(`You can block at most ${BLOCKLIST_CONFIG.MAX_ENTRIES} people`);
+  }
+
+  const entry = { [targetField]: targetId, rideId: rideId || null, reason, source, blockedAt: new Date() };
+
+  // Conditional push so two concurrent blocks of the same person add one entry
+  const updated = await Owner.findOneAndUpdate(
+    { _id: owner._id, [`${listField}.${targetField}`]: { $ne: targetId } },
+    { $push: { [listField]: entry } },
+    { new: true, projection: listField }
+  );
+  const saved = (updated || await Owner.findById(owner._id, listField))[listField]
+    .find(item => item[targetField].toString() === targetId.toString());
+
+  logger.info(`${userRole} ${owner._id} blocked ${label.toLowerCase()} ${targetId} (${source})`);
+  return { blocked: saved, alreadyBlocked: !updated };
+};
+
+/**
+ * Take someone off the caller's block list
+ */
+export const unblockUserService = async (userId, userRole, targetId) => {
+  const { Owner, listField, targetField, label } = getSide(userRole);
+
+  const owner = await Owner.findOne({ userId }, '_id');
+  if (!owner) {
+    throw new Error('Profile not found');
+  }
+
+  const result = await Owner.updateOne(
+    { _id: owner._id },
+    { $pull: { [listField]: { [targetField]: targetId } } }
+  );
+  if (!result.modifiedCount) {
+    throw new Error(`${label} is not on your block list`);
+  }
+
+  logger.info(`${userRole} ${owner._id} unblocked ${label.toLowerCase()} ${targetId}`);
+  return { [targetField]: targetId };
+};
@@ -1,4 +1,5 @@
 import Ride from '../models/Ride.js';
+import surgeService from './surge.service.js';
 import logger from '../utils/logger.js';
 
 // Cancellation Fee Service
@@ -20,13 +21,6 @@ class CancellationService {
       }
     };
 
-    // Surge multipliers for peak hours/demand
-    this.SURGE_MULTIPLIERS = {
-      normal: 1.0,
-      peak: 1.5,
-      high: 2.0
-    };
-
     // Time thresholds in minutes
     this.TIME_THRESHOLDS = {
       immediate: 1,
@@ -76,7 +70,7 @@ class CancellationService {
       const baseFee = this.BASE_FEES[cancelledBy][feeCategory];
 
       // Apply surge multiplier
-      const surgeMultiplier = await this.calculateSurgeMultiplier(cancellationTime);
+      const surgeMultiplier = await this.calculateSurgeMultiplier(ride);
       let finalFee = baseFee * surgeMultiplier;
 
       // Apply discounts for special cases
@@ -118,32 +112,17 @@ class CancellationService {
   }
 
   /**
-   * Calculate surge multiplier based on time and demand
+   * Surge the ride was priced at, so the fee follows the same zone surge as the fare.
+   * Rides without a stored multiplier use the pickup zone's current surge.
    */
-  async calculateSurgeMultiplier(cancellationTime) {
-    const hour = cancellationTime.getHours();
-    const day = cancellationTime.getDay();
-
-    // Peak hours: 7-9 AM, 5-7 PM on weekdays
-    const isPeakHour = (
-      (hour >= 7 && hour <= 9) ||
-      (hour >= 17 && hour <= 19)
-    ) && day >= 1 && day <= 5; // Monday to Friday
-
-    // High demand weekends: Friday 8PM - Sunday 8PM
-    const isWeekendHigh = (
-      (day === 5 && hour >= 20) || // Friday after 8PM
-      (day === 6) || // All Saturday
-      (day === 0 && hour <= 20) // Sunday until 8PM
-    );
-
-    if (isWeekendHigh) {
-      return this.SURGE_MULTIPLIERS.high;
-    } else if (isPeakHour) {
-      return this.SURGE_MULTIPLIERS.peak;
-    } else {
-      return this.SURGE_MULTIPLIERS.normal;
+  async calculateSurgeMultiplier(ride) {
+    const priced = ride.fare?.breakdown?.surgeMultiplier;
+    if (priced) {
+      return priced;
     }
+
+    const { multiplier } = await surgeService.getMultiplierForLocation(ride.pickup.location);
+    return multiplier;
   }
 
   /**
@@ -260,9 +239,10 @@ class CancellationService {
   }
 
   /**
-   * Process ride cancellation
+   * Check a cancellation is allowed and quote its fee.
+   * The status change itself is made by the ride state machine.
    */
-  async processCancellation(rideId, cancelledBy, reason, cancellationTime = new Date()) {
+  async quoteCancellation(rideId, cancelledBy, cancellationTime = new Date()) {
     try {
       // Check if cancellation is allowed
       const canCancel = await this.canCancelRide(rideId, cancelledBy, cancellationTime);
@@ -277,31 +257,15 @@ class CancellationService {
       // Calculate cancellation fee
       const feeCalculation = await this.calculateCancellationFee(rideId, cancelledBy, cancellationTime);
 
-      // Update ride status
-      const ride = await Ride.findByIdAndUpdate(rideId, {
-        status: 'cancelled',
-        cancelledBy,
-        cancellationReason: reason,
-        'fare.cancellationFee': feeCalculation.fee,
-        cancelledAt: cancellationTime
-      }, { new: true });
-
-      if (!ride) {
-        throw new Error('Failed to update ride status');
-      }
-
-      logger.info(`Ride ${rideId} cancelled by ${cancelledBy}, fee: PKR ${feeCalculation.fee}`);
-
       return {
         success: true,
-        ride,
         fee: feeCalculation.fee,
         breakdown: feeCalculation.breakdown,
         policy: feeCalculation.policy
       };
 
     } catch (error) {
-      logger.error('Process cancellation error:', error);
+      logger.error('Quote cancellation error:', error);
       throw error;
     }
   }
@@ -4,7 +4,8 @@ import logger from '../utils/logger.js';
 
 /**
  * Get the other participant's userId for a ride
- * Chat is only available once driver is assigned
+ * Chat is only available once driver is assigned. On rides booked for someone
+ * else the passenger side is always the booker's account.
  */
 export const getOtherParticipant = async (rideId, currentUserId) => {
   const ride = await Ride.findById(rideId)
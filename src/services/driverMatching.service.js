@@ -1,15 +1,47 @@
+import dotenv from 'dotenv';
 import Driver from '../models/Driver.js';
+import mongoose from 'mongoose';
 import Ride from '../models/Ride.js';
+import RideOffer from '../models/RideOffer.js';
 import logger from '../utils/logger.js';
-import { DRIVER_AVAILABILITY } from '../config/constants.js';
+import socketService from './socket.service.js';
+import { createNotification } from './notification.service.js';
+import { estimateTravelTime } from './maps.service.js';
+import { encodeGeohash } from '../utils/geohash.js';
+import { solveAssignment } from '../utils/hungarian.js';
+import { transitionRide, SYSTEM_ACTOR } from './rideState.service.js';
+import poolService from './pool.service.js';
+import { getBlockedDriverIds } from './blocklist.service.js';
+import { DRIVER_AVAILABILITY, NOTIFICATION_TYPES, RIDE_STATUS, RIDE_OFFER_STATUS, RIDE_TYPES, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
+
+dotenv.config();
+
+// Offers still waiting for the driver's answer
+const OPEN_OFFER_STATUSES = [RIDE_OFFER_STATUS.OFFERED, RIDE_OFFER_STATUS.VIEWED];
+
+// Batch matching: how heavily a second of pickup ETA counts per ride priority
+const RIDE_PRIORITY_WEIGHTS = { normal: 1, high: 1.5, emergency: 3 };
 
 // Driver Matching Service for Ride-Sharing Platform
 class DriverMatchingService {
   constructor() {
     this.searchRadiusKm = 5; // Default search radius
-    this.maxSearchTime = 30000; // 30 seconds max search time
+    this.radiusStepKm = 2.5; // Radius growth each time no candidate is left
+    this.maxSearchRadiusKm = 15; // Radius is never widened beyond this
+    this.maxSearchTime = 120000; // 2 minutes before the ride is cancelled by the system
     this.driverResponseTimeout = 15000; // 15 seconds for driver to respond
+    this.searchRetryInterval = 5000; // Wait before searching again when nobody is in range
     this.maxConcurrentRides = 1; // Maximum concurrent rides per driver
+
+    // rideId -> { startedAt, radiusKm, offeredDriverIds, currentOffer, poolMatch, timer, batched }
+    this.activeDispatches = new Map();
+
+    // Batch mode: waiting rides are matched together every few seconds instead of one by one
+    this.batchMatchingEnabled = process.env.BATCH_MATCHING_ENABLED === 'true';
+    this.batchIntervalSeconds = Math.min(parseInt(process.env.BATCH_MATCHING_INTERVAL_SECONDS) || 5, 59);
+    this.batchZonePrecision = 5; // Geohash precision of a matching zone (~4.9km cells)
+    this.batchRunning = false;
+    this.batchStats = { runs: 0, totalAssigned: 0, lastRunAt: null, lastRun: null };
   }
 
   /**
@@ -25,25 +57,35 @@ class DriverMatchingService {
       const {
         vehicleType = 'any',
         maxWaitTime = 10, // minutes
-        priority = 'speed' // 'speed', 'rating', 'distance'
+        priority = 'speed', // 'speed', 'rating', 'distance'
+        radiusKm = this.searchRadiusKm,
+        excludeDriverIds = [],
+        passengerId = null,
+        driverGender = DRIVER_GENDER_PREFERENCES.ANY,
+        driverIds = null
       } = preferences;
 
       // Step 1: Get all available drivers within search radius
-      const availableDrivers = await this.getAvailableDrivers(
-        pickupLocation,
-        this.searchRadiusKm
-      );
+      const availableDrivers = await this.getAvailableDrivers(pickupLocation, radiusKm, {
+        excludeDriverIds,
+        passengerId,
+        driverGender,
+        driverIds
+      });
 
       if (availableDrivers.length === 0) {
         logger.warn('No available drivers found within search radius');
-        return { success: false, reason: 'NO_DRIVERS_AVAILABLE' };
+        return {
+          success: false,
+          reason: driverGender === DRIVER_GENDER_PREFERENCES.ANY ? 'NO_DRIVERS_AVAILABLE' : 'NO_DRIVERS_FOR_GENDER_PREFERENCE'
+        };
       }
 
       // Step 2: Filter drivers by vehicle type if specified
       let filteredDrivers = availableDrivers;
       if (vehicleType !== 'any') {
         filteredDrivers = availableDrivers.filter(driver =>
-          driver.vehicle?.type === vehicleType
+          driver.vehicle?.vehicleType === vehicleType
         );
       }
 
@@ -70,8 +112,9 @@ class DriverMatchingService {
         drivers: topCandidates,
         searchCriteria: {
           pickupLocation,
-          searchRadius: this.searchRadiusKm,
+          searchRadius: radiusKm,
           vehicleType,
+          driverGender,
           totalAvailable: availableDrivers.length,
           filteredCount: filteredDrivers.length
         }
@@ -84,46 +127,72 @@ class DriverMatchingService {
   }
 
   /**
-   * Get all available drivers within radius
+   * Get all available drivers within radius, nearest first.
+   * Single geo lookup shared by matching, ride requests and sockets.
+   * Passing passengerId leaves out drivers blocked by, or blocking, that passenger;
+   * driverGender keeps only drivers whose gender an admin has verified;
+   * driverIds limits the search to those drivers.
    */
-  async getAvailableDrivers(centerLocation, radiusKm) {
+  async getAvailableDrivers(centerLocation, radiusKm, filters = {}) {
     try {
-      // Calculate bounding box for the search area
-      const { lat, lng } = centerLocation;
-      const latDelta = radiusKm / 111.32; // 1 degree latitude ≈ 111.32 km
-      const lngDelta = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
-
-      const minLat = lat - latDelta;
-      const maxLat = lat + latDelta;
-      const minLng = lng - lngDelta;
-      const maxLng = lng + lngDelta;
-
-      // Query available drivers within bounding box
-      const availableDrivers = await Driver.find({
+      const { vehicleType, passengerId, driverGender, driverIds } = filters;
+      let { excludeDriverIds = [] } = filters;
+
+      if (passengerId) {
+        excludeDriverIds = [...excludeDriverIds, ...await getBlockedDriverIds(passengerId)];
+      }
+
+      const query = {
         isApproved: true,
-        'availability.status': DRIVER_AVAILABILITY.AVAILABLE,
-        'availability.currentLocation.latitude': { $gte: minLat, $lte: maxLat },
-        'availability.currentLocation.longitude': { $gte: minLng, $lte: maxLng }
-      })
-      .populate('userId', 'name phone rating')
-      .populate('vehicle.vehicleId')
-      .limit(50); // Limit results for performance
-
-      // Filter by exact distance (more precise than bounding box)
-      const driversWithinRadius = [];
-      for (const driver of availableDrivers) {
-        const distance = this.calculateDistance(
-          centerLocation,
-          driver.availability.currentLocation
-        );
+        'availability.status': DRIVER_AVAILABILITY.AVAILABLE
+      };
+      if (vehicleType && vehicleType !== 'any') {
+        query['vehicle.vehicleType'] = vehicleType;
+      }
+      if (driverGender && driverGender !== DRIVER_GENDER_PREFERENCES.ANY) {
+        query.gender = driverGender;
+        query.genderVerified = true;
+      }
+      if (excludeDriverIds.length > 0) {
+        query._id = { $nin: excludeDriverIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+      }
+      if (driverIds) {
+        query._id = { ...query._id, $in: driverIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+      }
 
-        if (distance <= radiusKm) {
-          driver.distance = distance;
-          driversWithinRadius.push(driver);
+      const results = await Driver.aggregate([
+        {
+          $geoNear: {
+            near: {
+              type: 'Point',
+              coordinates: [Number(centerLocation.longitude), Number(centerLocation.latitude)]
+            },
+            key: 'availability.currentLocation',
+            distanceField: 'distanceMeters',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query
+          }
         }
-      }
+      ]);
 
-      return driversWithinRadius;
+      const drivers = results.map(result => {
+        const driver = Driver.hydrate(result);
+        driver.distance = result.distanceMeters / 1000; // in km
+        return driver;
+      });
+
+      await Driver.populate(drivers, [
+        {
+          path: 'userId',
+          select: 'phone isActive isBlocked',
+          match: { isActive: true, isBlocked: false }
+        },
+        { path: 'vehicle.vehicleId' }
+      ]);
+
+      // Drop drivers whose user account is inactive or blocked
+      return drivers.filter(driver => driver.userId !== null);
 
     } catch (error) {
       logger.error('Error getting available drivers:', error);
@@ -132,15 +201,19 @@ class DriverMatchingService {
   }
 
   /**
-   * Calculate scores for drivers based on various factors
+   * Calculate scores for drivers based on various factors.
+   * Every driver in the search radius is scored; their performance comes from one query.
    */
   async calculateDriverScores(drivers, pickupLocation, priority = 'speed') {
     const scoredDrivers = [];
+    const performance = await this.getDriverPerformance(drivers.map(driver => driver._id));
 
     for (const driver of drivers) {
+      const stats = performance.get(driver._id.toString()) || {};
+
       const score = {
         driverId: driver._id,
-        userId: driver.userId._id,
+        userId: driver.userId?._id || driver.userId,
         name: driver.name,
         rating: driver.rating,
         distance: driver.distance,
@@ -159,18 +232,18 @@ class DriverMatchingService {
       score.factors.rating = ratingScore;
       score.score += ratingScore * 0.25; // 25% weight
 
-      // Factor 3: Acceptance Rate (from recent rides)
-      const acceptanceRate = await this.calculateAcceptanceRate(driver._id);
+      // Factor 3: Acceptance Rate (from recent rides, 50% if no data)
+      const acceptanceRate = stats.acceptanceRate ?? 50;
       score.factors.acceptanceRate = acceptanceRate;
       score.score += acceptanceRate * 0.2; // 20% weight
 
       // Factor 4: Completion Rate
-      const completionRate = await this.calculateCompletionRate(driver._id);
+      const completionRate = stats.completionRate ?? 50;
       score.factors.completionRate = completionRate;
       score.score += completionRate * 0.15; // 15% weight
 
-      // Factor 5: Response Time (how quickly they accept rides)
-      const avgResponseTime = await this.calculateAverageResponseTime(driver._id);
+      // Factor 5: Response Time (how quickly they accept rides, 30 seconds if no data)
+      const avgResponseTime = stats.avgResponseTime ?? 30000;
       const responseScore = Math.max(0, 100 - (avgResponseTime / 1000)); // Faster is better
       score.factors.responseTime = responseScore;
       score.score += responseScore * 0.1; // 10% weight
@@ -212,166 +285,735 @@ class DriverMatchingService {
   }
 
   /**
-   * Calculate driver's acceptance rate
+   * Acceptance rate, completion rate and average response time of several drivers over
+   * the last 30 days, in one query. A metric is null when the driver has nothing to
+   * base it on.
+   * @param {ObjectId[]} driverIds - Driver _ids
+   * @returns {Map} - driverId string -> { acceptanceRate, completionRate, avgResponseTime }
    */
-  async calculateAcceptanceRate(driverId) {
+  async getDriverPerformance(driverIds) {
+    const performance = new Map();
+    if (!driverIds.length) return performance;
+
     try {
       const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
 
-      const totalRequests = await Ride.countDocuments({
-        driverId,
-        createdAt: { $gte: thirtyDaysAgo }
-      });
-
-      const acceptedRequests = await Ride.countDocuments({
-        driverId,
-        status: { $in: ['accepted', 'in-progress', 'completed'] },
-        createdAt: { $gte: thirtyDaysAgo }
-      });
-
-      return totalRequests > 0 ? (acceptedRequests / totalRequests) * 100 : 50; // Default 50% if no data
+      const results = await RideOffer.aggregate([
+        {
+          $match: {
+            driverId: { $in: driverIds.map(id => new mongoose.Types.ObjectId(id.toString())) },
+            // Superseded offers are left out - the driver never got to decide
+            status: { $in: [RIDE_OFFER_STATUS.ACCEPTED, RIDE_OFFER_STATUS.REJECTED, RIDE_OFFER_STATUS.EXPIRED] },
+            offeredAt: { $gte: thirtyDaysAgo }
+          }
+        },
+        {
+          // Outcome of the ride, only needed for accepted offers
+          $lookup: {
+            from: Ride.collection.name,
+            let: { rideId: '$rideId', status: '$status' },
+            pipeline: [
+              { $match: { $expr: { $and: [{ $eq: ['$_id', '$$rideId'] }, { $eq: ['$$status', RIDE_OFFER_STATUS.ACCEPTED] }] } } },
+              { $project: { status: 1, cancelledBy: 1 } }
+            ],
+            as: 'ride'
+          }
+        },
+        {
+          $addFields: {
+            rideStatus: { $arrayElemAt: ['$ride.status', 0] },
+            rideCancelledBy: { $arrayElemAt: ['$ride.cancelledBy', 0] }
+          }
+        },
+        {
+          $group: {
+            _id: '$driverId',
+            decided: { $sum: 1 },
+            accepted: { $sum: { $cond: [{ $eq: ['$status', RIDE_OFFER_STATUS.ACCEPTED] }, 1, 0] } },
+            // Only finished rides count - rides still under way have no outcome yet.
+            // A cancellation only counts against the driver when the driver cancelled.
+            completed: { $sum: { $cond: [{ $eq: ['$rideStatus', 'completed'] }, 1, 0] } },
+            finished: {
+              $sum: {
+                $cond: [
+                  {
+                    $or: [
+                      { $eq: ['$rideStatus', 'completed'] },
+                      { $and: [{ $eq: ['$rideStatus', 'cancelled'] }, { $eq: ['$rideCancelledBy', 'driver'] }] }
+                    ]
+                  },
+                  1,
+                  0
+                ]
+              }
+            },
+            // Expired offers count as the full response timeout
+            avgResponseTime: {
+              $avg: {
+                $cond: [
+                  { $eq: ['$status', RIDE_OFFER_STATUS.EXPIRED] },
+                  this.driverResponseTimeout,
+                  { $subtract: ['$respondedAt', '$offeredAt'] }
+                ]
+              }
+            }
+          }
+        }
+      ]);
 
+      for (const result of results) {
+        performance.set(result._id.toString(), {
+          acceptanceRate: (result.accepted / result.decided) * 100,
+          completionRate: result.finished > 0 ? (result.completed / result.finished) * 100 : null,
+          avgResponseTime: result.avgResponseTime ?? null
+        });
+      }
     } catch (error) {
-      logger.error('Error calculating acceptance rate:', error);
-      return 50; // Default value
+      logger.error('Error calculating driver performance:', error);
     }
+
+    return performance;
+  }
+
+  /**
+   * Calculate driver's acceptance rate from the offers they actually answered or ignored.
+   * Null when the driver has had no such offers.
+   */
+  async calculateAcceptanceRate(driverId) {
+    const performance = await this.getDriverPerformance([driverId]);
+    return performance.get(driverId.toString())?.acceptanceRate ?? null;
   }
 
   /**
-   * Calculate driver's completion rate
+   * Calculate driver's completion rate for rides they accepted from an offer.
+   * Null when none of those rides has finished yet.
    */
   async calculateCompletionRate(driverId) {
-    try {
-      const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const performance = await this.getDriverPerformance([driverId]);
+    return performance.get(driverId.toString())?.completionRate ?? null;
+  }
 
-      const acceptedRides = await Ride.countDocuments({
-        driverId,
-        status: { $in: ['accepted', 'in-progress'] },
-        createdAt: { $gte: thirtyDaysAgo }
-      });
+  /**
+   * Calculate average time between an offer and the driver's answer.
+   * Null when the driver has had no offers.
+   */
+  async calculateAverageResponseTime(driverId) {
+    const performance = await this.getDriverPerformance([driverId]);
+    return performance.get(driverId.toString())?.avgResponseTime ?? null;
+  }
 
-      const completedRides = await Ride.countDocuments({
+  /**
+   * Close an open offer with the given outcome
+   */
+  async resolveOffer(rideId, driverId, status) {
+    return RideOffer.findOneAndUpdate(
+      {
+        rideId,
         driverId,
-        status: 'completed',
-        createdAt: { $gte: thirtyDaysAgo }
-      });
+        status: { $in: OPEN_OFFER_STATUSES }
+      },
+      { status, respondedAt: new Date() },
+      { new: true, sort: { offeredAt: -1 } }
+    );
+  }
+
+  /**
+   * Close every other open offer for a ride once it is taken, cancelled or failed
+   */
+  async supersedeOpenOffers(rideId) {
+    return RideOffer.updateMany(
+      { rideId, status: { $in: OPEN_OFFER_STATUSES } },
+      { status: RIDE_OFFER_STATUS.SUPERSEDED, respondedAt: new Date() }
+    );
+  }
+
+  /**
+   * Driver opened the offer on their device
+   */
+  async markOfferViewed(rideId, driverUserId) {
+    const driver = await Driver.findOne({ userId: driverUserId }).select('_id');
+    if (!driver) return null;
+
+    return RideOffer.findOneAndUpdate(
+      { rideId, driverId: driver._id, status: RIDE_OFFER_STATUS.OFFERED },
+      { status: RIDE_OFFER_STATUS.VIEWED, viewedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record that a driver accepted a ride (REST, socket or matching route)
+   */
+  async recordOfferAccepted(rideId, driverId) {
+    const offer = await this.resolveOffer(rideId, driverId, RIDE_OFFER_STATUS.ACCEPTED);
+    await this.supersedeOpenOffers(rideId);
+    return offer;
+  }
+
+  /**
+   * Start the sequential dispatch loop for a pending ride.
+   * The ride is offered to one driver at a time; unanswered offers move on to the
+   * next candidate and the radius widens until maxSearchTime runs out.
+   */
+  async dispatchRide(rideId) {
+    const key = rideId.toString();
+    if (this.activeDispatches.has(key)) {
+      return { success: true, alreadyDispatching: true };
+    }
+
+    this.activeDispatches.set(key, {
+      startedAt: Date.now(),
+      radiusKm: this.searchRadiusKm,
+      offeredDriverIds: new Set(),
+      currentOffer: null,
+      timer: null,
+      batched: this.batchMatchingEnabled
+    });
 
-      return acceptedRides > 0 ? (completedRides / acceptedRides) * 100 : 50;
+    logger.info(`Dispatch started for ride ${key}`);
 
+    try {
+      return await this.offerToNextDriver(key);
     } catch (error) {
-      logger.error('Error calculating completion rate:', error);
-      return 50;
+      logger.error(`Dispatch failed for ride ${key}:`, error);
+      this.stopDispatch(key);
+      throw error;
     }
   }
 
   /**
-   * Calculate average response time for ride acceptance
+   * Offer the ride to the best candidate that has not been offered it yet
    */
-  async calculateAverageResponseTime(driverId) {
+  async offerToNextDriver(rideId) {
+    const state = this.activeDispatches.get(rideId);
+    if (!state) return { success: false, reason: 'DISPATCH_NOT_ACTIVE' };
+
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.currentOffer = null;
+    state.poolMatch = null;
+
+    const ride = await Ride.findById(rideId).populate('passengerId', 'userId name rating');
+    if (!ride || ride.status !== RIDE_STATUS.PENDING) {
+      this.stopDispatch(rideId);
+      return { success: false, reason: 'RIDE_NOT_PENDING' };
+    }
+
+    const elapsed = Date.now() - state.startedAt;
+    if (elapsed >= this.maxSearchTime) {
+      await this.failDispatch(ride);
+      return { success: false, reason: 'SEARCH_TIMEOUT' };
+    }
+
+    // Claimed scheduled rides and rides booked from a recurring schedule go to that driver first
+    const preferredDriverId = ride.preferredDriverId?.toString();
+    if (preferredDriverId && !state.offeredDriverIds.has(preferredDriverId)) {
+      const preferred = await this.findBestDriver(
+        ride.pickup.location,
+        ride.destination.location,
+        {
+          vehicleType: ride.vehicleType,
+          radiusKm: this.maxSearchRadiusKm,
+          passengerId: ride.passengerId?._id,
+          driverGender: ride.driverGenderPreference,
+          driverIds: [preferredDriverId]
+        }
+      );
+      if (preferred.success) {
+        return this.sendOffer(rideId, ride, preferred.drivers[0]);
+      }
+    }
+
+    // Pooled rides first try to join a driver already carrying riders the same way
+    if (ride.rideType === RIDE_TYPES.POOL) {
+      const match = await poolService.findPoolMatch(ride, [...state.offeredDriverIds]);
+      if (match) {
+        state.poolMatch = {
+          driverId: match.candidate.driverId.toString(),
+          poolId: match.poolId,
+          plan: match.plan
+        };
+        return this.sendOffer(rideId, ride, match.candidate);
+      }
+    }
+
+    // The next batch round picks the ride up together with the other waiting rides
+    if (state.batched) {
+      return { success: false, reason: 'QUEUED_FOR_BATCH', radiusKm: state.radiusKm };
+    }
+
+    const result = await this.findBestDriver(
+      ride.pickup.location,
+      ride.destination.location,
+      {
+        vehicleType: ride.vehicleType,
+        radiusKm: state.radiusKm,
+        excludeDriverIds: [...state.offeredDriverIds],
+        passengerId: ride.passengerId?._id,
+        driverGender: ride.driverGenderPreference
+      }
+    );
+
+    if (!result.success) {
+      // Nobody left in range - widen the search, then look again shortly
+      if (state.radiusKm < this.maxSearchRadiusKm) {
+        state.radiusKm = Math.min(state.radiusKm + this.radiusStepKm, this.maxSearchRadiusKm);
+        logger.info(`Ride ${rideId}: widening search radius to ${state.radiusKm} km`);
+      }
+
+      const remaining = this.maxSearchTime - elapsed;
+      state.timer = setTimeout(() => {
+        this.offerToNextDriver(rideId).catch(error =>
+          logger.error(`Dispatch retry failed for ride ${rideId}:`, error)
+        );
+      }, Math.min(this.searchRetryInterval, remaining));
+
+      return { success: false, reason: result.reason, radiusKm: state.radiusKm };
+    }
+
+    return this.sendOffer(rideId, ride, result.drivers[0]);
+  }
+
+  /**
+   * Offer a ride to a chosen candidate and start the response timer
+   */
+  async sendOffer(rideId, ride, candidate) {
+    const state = this.activeDispatches.get(rideId);
+    const expiresAt = new Date(Date.now() + this.driverResponseTimeout);
+
+    await RideOffer.create({
+      rideId,
+      driverId: candidate.driverId,
+      attempt: state.offeredDriverIds.size + 1,
+      radiusKm: state.radiusKm,
+      distanceKm: candidate.distance,
+      score: candidate.score,
+      expiresAt
+    });
+
+    state.offeredDriverIds.add(candidate.driverId.toString());
+    state.currentOffer = {
+      driverId: candidate.driverId.toString(),
+      driverUserId: candidate.userId.toString(),
+      expiresAt
+    };
+
+    socketService.notifyUser(
+      candidate.userId.toString(),
+      'ride:new_request',
+      this.buildOfferPayload(ride, candidate, expiresAt)
+    );
+
+    state.timer = setTimeout(() => {
+      this.handleOfferTimeout(rideId, candidate.driverId.toString()).catch(error =>
+        logger.error(`Offer timeout handling failed for ride ${rideId}:`, error)
+      );
+    }, this.driverResponseTimeout);
+
+    logger.info(`Ride ${rideId} offered to driver ${candidate.driverId} (${candidate.distance?.toFixed(2)} km away)`);
+
+    return {
+      success: true,
+      offeredTo: candidate.driverId,
+      radiusKm: state.radiusKm,
+      expiresAt
+    };
+  }
+
+  /**
+   * Match every waiting batched ride in one pass.
+   * Rides are grouped into zones by pickup geohash and vehicle type, and each zone
+   * is solved as an assignment that minimises the total weighted pickup ETA.
+   */
+  async runBatchMatching() {
+    if (this.batchRunning) return null;
+    this.batchRunning = true;
+    const startedAt = Date.now();
+
     try {
-      const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      const waitingIds = [...this.activeDispatches.entries()]
+        .filter(([, state]) => state.batched && !state.currentOffer)
+        .map(([rideId]) => rideId);
+
+      const summary = { zones: 0, rides: 0, drivers: 0, assigned: 0, unassigned: 0, totalEtaSeconds: 0, decisions: [] };
+      this.batchStats.runs++;
+      if (waitingIds.length === 0) return summary;
 
       const rides = await Ride.find({
-        driverId,
-        status: { $in: ['accepted', 'in-progress', 'completed'] },
-        createdAt: { $gte: thirtyDaysAgo }
-      }).select('createdAt acceptedAt');
+        _id: { $in: waitingIds },
+        status: RIDE_STATUS.PENDING
+      }).populate('passengerId', 'userId name rating');
+
+      const pendingIds = new Set(rides.map(ride => ride._id.toString()));
+      waitingIds.filter(rideId => !pendingIds.has(rideId)).forEach(rideId => this.stopDispatch(rideId));
+
+      // Drivers already holding an offer are not free this round
+      const reservedDriverIds = new Set(
+        [...this.activeDispatches.values()]
+          .filter(state => state.currentOffer)
+          .map(state => state.currentOffer.driverId)
+      );
 
-      if (rides.length === 0) return 30000; // Default 30 seconds
+      const zones = new Map();
+      for (const ride of rides) {
+        const state = this.activeDispatches.get(ride._id.toString());
+        if (!state || state.currentOffer) continue;
+
+        if (Date.now() - state.startedAt >= this.maxSearchTime) {
+          await this.failDispatch(ride);
+          continue;
+        }
+
+        const zone = encodeGeohash(
+          ride.pickup.location.latitude,
+          ride.pickup.location.longitude,
+          this.batchZonePrecision
+        );
+        const key = `${zone}:${ride.vehicleType}`;
+        if (!zones.has(key)) zones.set(key, { zone, vehicleType: ride.vehicleType, rides: [] });
+        zones.get(key).rides.push(ride);
+      }
+
+      for (const { zone, vehicleType, rides: zoneRides } of zones.values()) {
+        const result = await this.assignZone(zone, zoneRides, reservedDriverIds);
+        summary.zones++;
+        summary.rides += zoneRides.length;
+        summary.drivers += result.driverCount;
+        summary.assigned += result.decisions.length;
+        summary.unassigned += zoneRides.length - result.decisions.length;
+        summary.totalEtaSeconds += result.decisions.reduce((sum, d) => sum + d.etaSeconds, 0);
+        summary.decisions.push(...result.decisions.map(d => ({ ...d, vehicleType })));
+      }
 
-      const responseTimes = rides
-        .filter(ride => ride.acceptedAt)
-        .map(ride => ride.acceptedAt - ride.createdAt);
+      summary.durationMs = Date.now() - startedAt;
+      this.batchStats.totalAssigned += summary.assigned;
+      this.batchStats.lastRunAt = new Date(startedAt);
+      this.batchStats.lastRun = summary;
 
-      const avgResponseTime = responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length;
+      if (summary.rides > 0) {
+        logger.info(`Batch matching: ${summary.assigned}/${summary.rides} ride(s) assigned across ${summary.zones} zone(s)`);
+      }
 
-      return avgResponseTime || 30000;
+      return summary;
 
     } catch (error) {
-      logger.error('Error calculating response time:', error);
-      return 30000;
+      logger.error('Batch matching error:', error);
+      throw error;
+    } finally {
+      this.batchRunning = false;
     }
   }
 
   /**
-   * Send ride request to selected drivers
+   * Solve one zone: rides are rows, candidate drivers are columns.
+   * A driver only becomes a column for rides that have them within their search radius.
    */
-  async sendRideRequestsToDrivers(rideId, driverCandidates) {
-    try {
-      logger.info(`Sending ride request ${rideId} to ${driverCandidates.length} drivers`);
+  async assignZone(zone, rides, reservedDriverIds) {
+    const candidatesByRide = [];
+    const driverIds = [];
+
+    for (const ride of rides) {
+      const state = this.activeDispatches.get(ride._id.toString());
+      const drivers = await this.getAvailableDrivers(ride.pickup.location, state.radiusKm, {
+        vehicleType: ride.vehicleType,
+        excludeDriverIds: [...state.offeredDriverIds, ...reservedDriverIds],
+        passengerId: ride.passengerId?._id,
+        driverGender: ride.driverGenderPreference
+      });
+      const scored = await this.calculateDriverScores(drivers, ride.pickup.location);
+
+      const candidates = new Map();
+      for (const candidate of scored) {
+        const driverId = candidate.driverId.toString();
+        candidates.set(driverId, candidate);
+        if (!driverIds.includes(driverId)) driverIds.push(driverId);
+      }
+      candidatesByRide.push(candidates);
+    }
 
-      const ride = await Ride.findById(rideId);
-      if (!ride) {
-        throw new Error('Ride not found');
+    const costMatrix = rides.map((ride, i) => driverIds.map(driverId => {
+      const candidate = candidatesByRide[i].get(driverId);
+      return candidate ? this.assignmentCost(ride, candidate) : Infinity;
+    }));
+    const assignment = solveAssignment(costMatrix);
+
+    const decisions = [];
+    for (let i = 0; i < rides.length; i++) {
+      const rideId = rides[i]._id.toString();
+      const state = this.activeDispatches.get(rideId);
+
+      if (assignment[i] === -1) {
+        // Nobody free in range - widen the search for the next round
+        if (state.radiusKm < this.maxSearchRadiusKm) {
+          state.radiusKm = Math.min(state.radiusKm + this.radiusStepKm, this.maxSearchRadiusKm);
+        }
+        continue;
       }
 
-      // Send notifications to drivers (this would integrate with push notifications)
-      const notifications = driverCandidates.map(driver => ({
-        driverId: driver.driverId,
+      const driverId = driverIds[assignment[i]];
+      const candidate = candidatesByRide[i].get(driverId);
+      await this.sendOffer(rideId, rides[i], candidate);
+      reservedDriverIds.add(driverId);
+
+      decisions.push({
         rideId,
-        message: `New ride request: ${ride.pickup.address} to ${ride.destination.address}`,
-        expiresAt: new Date(Date.now() + this.driverResponseTimeout)
-      }));
+        driverId,
+        zone,
+        priority: rides[i].priority,
+        distanceKm: candidate.distance,
+        etaSeconds: estimateTravelTime(candidate.distance, 30).duration,
+        score: candidate.score,
+        cost: costMatrix[i][assignment[i]]
+      });
+    }
 
-      // In production, send push notifications here
-      logger.info('Ride requests sent to drivers:', notifications.map(n => n.driverId));
+    return { driverCount: driverIds.length, decisions };
+  }
 
-      return {
-        success: true,
-        notificationsSent: notifications.length,
-        expiresAt: new Date(Date.now() + this.driverResponseTimeout)
-      };
+  /**
+   * Cost of offering a ride to a candidate in batch mode: pickup ETA in seconds,
+   * weighted by ride priority and reduced for drivers with a better matching score
+   */
+  assignmentCost(ride, candidate) {
+    const etaSeconds = estimateTravelTime(candidate.distance, 30).duration;
+    const priorityWeight = RIDE_PRIORITY_WEIGHTS[ride.priority] || RIDE_PRIORITY_WEIGHTS.normal;
+    const scoreFactor = 2 - Math.min(Math.max(candidate.score, 0), 100) / 100;
+    return etaSeconds * priorityWeight * scoreFactor;
+  }
+
+  /**
+   * Build the socket payload a driver receives with an offer
+   */
+  buildOfferPayload(ride, candidate, expiresAt) {
+    let driverDistance = null;
+    let driverETA = null;
+
+    if (typeof candidate.distance === 'number') {
+      const eta = estimateTravelTime(candidate.distance, 30); // 30 km/h average speed
+      driverDistance = { km: candidate.distance, text: `${candidate.distance.toFixed(1)} km` };
+      driverETA = { minutes: Math.ceil(eta.duration / 60), text: eta.durationText };
+    }
+
+    return {
+      rideId: ride._id,
+      pickup: { address: ride.pickup.address, coordinates: ride.pickup.location },
+      dropoff: { address: ride.destination.address, coordinates: ride.destination.location },
+      fare: ride.fare?.estimated,
+      distance: ride.route?.distance,
+      duration: ride.route?.duration,
+      estimatedFare: ride.fare?.breakdown,
+      // Rides booked for someone else show the rider's name, not the booker's
+      passenger: {
+        id: ride.passengerId?.userId,
+        name: ride.rider?.name || ride.passengerId?.name,
+        rating: ride.passengerId?.rating || 0,
+        bookedForSomeoneElse: !!ride.rider?.name
+      },
+      driverDistance,
+      driverETA,
+      requestedAt: ride.requestedAt,
+      priority: ride.priority,
+      paymentMethod: ride.payment?.method,
+      notes: ride.notes,
+      isScheduled: ride.isScheduled,
+      scheduledAt: ride.scheduledAt,
+      pool: candidate.pool || null, // Seats and stop order when joining the driver's shared trip
+      expiresAt,
+      responseTimeoutSeconds: Math.round(this.driverResponseTimeout / 1000)
+    };
+  }
+
+  /**
+   * Driver did not answer in time - withdraw the offer and move on
+   */
+  async handleOfferTimeout(rideId, driverId) {
+    const state = this.activeDispatches.get(rideId);
+    if (!state || state.currentOffer?.driverId !== driverId) return;
+
+    logger.info(`Offer for ride ${rideId} to driver ${driverId} expired`);
+
+    await this.resolveOffer(rideId, driverId, RIDE_OFFER_STATUS.EXPIRED);
+
+    socketService.notifyUser(state.currentOffer.driverUserId, 'ride:offer_expired', {
+      rideId,
+      message: 'Ride request expired'
+    });
+
+    await this.offerToNextDriver(rideId);
+  }
+
+  /**
+   * Whether a driver may accept a ride: only the driver holding its current offer can.
+   * Without dispatch state in this process (restart, failed dispatch, another instance)
+   * the driver needs an open, unexpired offer on record.
+   */
+  async isOfferedTo(rideId, driverId) {
+    const state = this.activeDispatches.get(rideId.toString());
+    if (state) {
+      return state.currentOffer?.driverId === driverId.toString();
+    }
+
+    const offer = await RideOffer.exists({
+      rideId,
+      driverId,
+      status: { $in: OPEN_OFFER_STATUSES },
+      expiresAt: { $gt: new Date() }
+    });
+    return !!offer;
+  }
+
+  /**
+   * Pool the driver's current offer would add the ride to, if any
+   */
+  getPoolOffer(rideId, driverId) {
+    const state = this.activeDispatches.get(rideId.toString());
+    if (!state?.poolMatch || state.poolMatch.driverId !== driverId.toString()) return null;
+    return state.poolMatch;
+  }
+
+  /**
+   * Stop dispatching a ride (accepted, cancelled or failed)
+   */
+  stopDispatch(rideId) {
+    const key = rideId.toString();
+    const state = this.activeDispatches.get(key);
+    if (!state) return null;
+
+    clearTimeout(state.timer);
+    this.activeDispatches.delete(key);
+    return state;
+  }
+
+  /**
+   * Stop dispatching and tell the driver holding the offer that it is gone
+   */
+  async cancelDispatch(rideId) {
+    const state = this.stopDispatch(rideId);
+    if (state?.currentOffer) {
+      socketService.notifyUser(state.currentOffer.driverUserId, 'ride:offer_withdrawn', {
+        rideId: rideId.toString(),
+        message: 'Ride request is no longer available'
+      });
+    }
 
+    try {
+      await this.supersedeOpenOffers(rideId);
     } catch (error) {
-      logger.error('Error sending ride requests:', error);
-      throw error;
+      logger.error(`Failed to close open offers for ride ${rideId}:`, error);
     }
   }
 
   /**
-   * Handle driver response to ride request
+   * No driver could be matched - cancel the ride on behalf of the system
    */
-  async handleDriverResponse(rideId, driverId, accepted) {
+  async failDispatch(ride) {
+    this.stopDispatch(ride._id);
+
+    const reason = 'No driver accepted the ride request';
+    const cancelled = await Ride.findOne({ _id: ride._id, status: RIDE_STATUS.PENDING });
+    if (!cancelled) return null;
+
+    // Open offers are closed by the state machine's cancellation side effects
     try {
-      logger.info(`Driver ${driverId} ${accepted ? 'accepted' : 'rejected'} ride ${rideId}`);
+      await transitionRide(cancelled, RIDE_STATUS.CANCELLED, { actor: SYSTEM_ACTOR, reason });
+    } catch (error) {
+      logger.warn(`Ride ${ride._id} could not be cancelled by system: ${error.message}`);
+      return null;
+    }
+
+    logger.warn(`Ride ${ride._id} cancelled by system: ${reason}`);
 
-      const ride = await Ride.findById(rideId);
-      if (!ride) {
-        throw new Error('Ride not found');
+    const passengerUserId = ride.passengerId?.userId?.toString();
+    if (passengerUserId) {
+      socketService.notifyUser(passengerUserId, 'ride:cancelled', {
+        rideId: ride._id,
+        cancelledBy: 'system',
+        reason,
+        cancellationFee: 0,
+        message: 'Sorry, no driver is available right now. Please try again.'
+      });
+
+      try {
+        await createNotification(
+          passengerUserId,
+          NOTIFICATION_TYPES.RIDE,
+          'No driver found',
+          'We could not find a driver for your ride request. You have not been charged.',
+          { rideId: ride._id }
+        );
+      } catch (notifyErr) {
+        logger.error('Failed to create no-driver notification:', notifyErr);
       }
+    }
 
-      if (accepted) {
-        // Assign driver to ride
-        ride.driverId = driverId;
-        ride.status = 'accepted';
-        ride.acceptedAt = new Date();
-        await ride.save();
-
-        // Update driver status
-        await Driver.findByIdAndUpdate(driverId, {
-          status: 'ON_RIDE',
-          'availability.status': DRIVER_AVAILABILITY.ON_RIDE
-        });
+    return cancelled;
+  }
+
+  /**
+   * Cancel pending rides that have no running dispatch (e.g. after a restart)
+   * and have been waiting longer than maxSearchTime
+   */
+  async expireStalePendingRides() {
+    const threshold = new Date(Date.now() - this.maxSearchTime);
+
+    // Waiting time counts from the request, or from activation for scheduled rides;
+    // unrelated writes to the ride (updatedAt) must not keep it alive
+    const staleRides = await Ride.find({
+      status: RIDE_STATUS.PENDING,
+      $or: [
+        { activatedAt: { $lte: threshold } },
+        { activatedAt: null, requestedAt: { $lte: threshold } }
+      ]
+    }).populate('passengerId', 'userId');
+
+    let expired = 0;
+    for (const ride of staleRides) {
+      if (this.activeDispatches.has(ride._id.toString())) continue;
+      const cancelled = await this.failDispatch(ride);
+      if (cancelled) expired++;
+    }
+
+    return { checked: staleRides.length, expired };
+  }
+
+  /**
+   * Handle driver response to ride request
+   */
+  async handleDriverResponse(rideId, driverUserId, accepted) {
+    try {
+      logger.info(`Driver ${driverUserId} ${accepted ? 'accepted' : 'rejected'} ride ${rideId}`);
 
-        // Notify other drivers that ride is taken
-        // (In production, cancel their notifications)
+      if (accepted) {
+        const { acceptRideService } = await import('./ride.service.js');
+        const result = await acceptRideService(driverUserId, rideId);
 
         return {
           success: true,
           action: 'RIDE_ACCEPTED',
-          ride,
+          ride: result,
           message: 'Ride successfully assigned to driver'
         };
+      }
 
-      } else {
-        // Driver rejected - try next driver if available
-        return {
-          success: true,
-          action: 'RIDE_REJECTED',
-          message: 'Driver rejected the ride'
-        };
+      const driver = await Driver.findOne({ userId: driverUserId });
+      if (!driver) {
+        throw new Error('Driver profile not found');
+      }
+
+      await this.resolveOffer(rideId, driver._id, RIDE_OFFER_STATUS.REJECTED);
+
+      // Driver rejected - offer the ride to the next candidate straight away
+      const state = this.activeDispatches.get(rideId.toString());
+      if (state?.currentOffer?.driverId === driver._id.toString()) {
+        await this.offerToNextDriver(rideId.toString());
       }
 
+      return {
+        success: true,
+        action: 'RIDE_REJECTED',
+        message: 'Driver rejected the ride'
+      };
+
     } catch (error) {
       logger.error('Error handling driver response:', error);
       throw error;
@@ -381,8 +1023,22 @@ class DriverMatchingService {
   /**
    * Get matching statistics
    */
-  async getMatchingStats() {
+  async getMatchingStats(driverId = null) {
     try {
+      const startOfDay = new Date(new Date().setHours(0, 0, 0, 0));
+
+      const offersToday = await RideOffer.aggregate([
+        { $match: { offeredAt: { $gte: startOfDay } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+      const offersByStatus = Object.fromEntries(
+        Object.values(RIDE_OFFER_STATUS).map(status => [
+          status,
+          offersToday.find(o => o._id === status)?.count || 0
+        ])
+      );
+      const decidedToday = offersByStatus.accepted + offersByStatus.rejected + offersByStatus.expired;
+
       const stats = {
         totalDrivers: await Driver.countDocuments({ isApproved: true }),
         availableDrivers: await Driver.countDocuments({
@@ -390,16 +1046,54 @@ class DriverMatchingService {
           'availability.status': DRIVER_AVAILABILITY.AVAILABLE
         }),
         activeRides: await Ride.countDocuments({
-          status: { $in: ['accepted', 'in-progress'] }
+          status: { $in: ['accepted', 'arrived', 'in-progress'] }
         }),
         completedRidesToday: await Ride.countDocuments({
           status: 'completed',
           completedAt: {
             $gte: new Date(new Date().setHours(0, 0, 0, 0))
           }
+        }),
+        activeDispatches: this.activeDispatches.size,
+        batchMatching: {
+          enabled: this.batchMatchingEnabled,
+          intervalSeconds: this.batchIntervalSeconds,
+          zonePrecision: this.batchZonePrecision,
+          runs: this.batchStats.runs,
+          totalAssigned: this.batchStats.totalAssigned,
+          lastRunAt: this.batchStats.lastRunAt,
+          lastRun: this.batchStats.lastRun
+        },
+        offersToday: {
+          total: offersToday.reduce((sum, o) => sum + o.count, 0),
+          byStatus: offersByStatus,
+          acceptanceRate: decidedToday > 0
+            ? Math.round((offersByStatus.accepted / decidedToday) * 10000) / 100
+            : null
+        },
+        systemCancelledToday: await Ride.countDocuments({
+          status: 'cancelled',
+          cancelledBy: 'system',
+          cancelledAt: {
+            $gte: new Date(new Date().setHours(0, 0, 0, 0))
+          }
         })
       };
 
+      if (driverId) {
+        const performance = await this.getDriverPerformance([driverId]);
+        const { acceptanceRate = null, completionRate = null, avgResponseTime = null } =
+          performance.get(driverId.toString()) || {};
+
+        // No data is reported as null rather than the defaults used for scoring
+        stats.driver = {
+          driverId,
+          acceptanceRate: acceptanceRate === null ? null : Math.round(acceptanceRate * 100) / 100,
+          completionRate: completionRate === null ? null : Math.round(completionRate * 100) / 100,
+          avgResponseTimeMs: avgResponseTime === null ? null : Math.round(avgResponseTime)
+        };
+      }
+
       return stats;
 
     } catch (error) {
@@ -0,0 +1,221 @@
+import FareTable from '../models/FareTable.js';
+import logger from '../utils/logger.js';
+import { calculateDistance } from '../utils/helpers.js';
+import { SERVICE_CITIES, DEFAULT_FARE_CITY } from '../config/constants.js';
+
+// Rates used when no fare table has been configured yet
+const BUILT_IN_FARE_TABLE = {
+  _id: null,
+  city: DEFAULT_FARE_CITY,
+  version: 0,
+  baseFare: 100,
+  bookingFee: 0,
+  perStopFee: 50,
+  minimumFare: 0,
+  perKmRate: 30,
+  perMinuteRate: 5,
+  waitingRatePerMinute: 5,
+  waitingGraceMinutes: 3,
+  currency: 'PKR',
+  effectiveFrom: new Date(0),
+  source: 'built-in'
+};
+
+const EDITABLE_FIELDS = [
+  'baseFare', 'bookingFee', 'perStopFee', 'minimumFare', 'perKmRate', 'perMinuteRate',
+  'waitingRatePerMinute', 'waitingGraceMinutes', 'currency', 'effectiveFrom', 'notes'
+];
+
+/**
+ * Resolve the pricing city for a location (nearest service city within its radius)
+ */
+export const resolveCity = (location) => {
+  if (!location || location.latitude == null || location.longitude == null) {
+    return DEFAULT_FARE_CITY;
+  }
+
+  let nearest = null;
+  for (const city of SERVICE_CITIES) {
+    const distanceKm = calculateDistance(
+      Number(location.latitude),
+      Number(location.longitude),
+      city.center.latitude,
+      city.center.longitude
+    );
+    if (distanceKm <= city.radiusKm && (!nearest || distanceKm < nearest.distanceKm)) {
+      nearest = { key: city.key, distanceKm };
+    }
+  }
+
+  return nearest ? nearest.key : DEFAULT_FARE_CITY;
+};
+
+/**
+ * Fare table that applied to a city and vehicle type at a point in time.
+ * Falls back to the default city, then to the built-in rates.
+ */
+export const getFareTable = async ({ city = DEFAULT_FARE_CITY, vehicleType, at = new Date() }) => {
+  const cities = city === DEFAULT_FARE_CITY ? [city] : [city, DEFAULT_FARE_CITY];
+
+  for (const candidateCity of cities) {
+    const table = await FareTable.findOne({
+      city: candidateCity,
+      vehicleType,
+      isActive: true,
+      effectiveFrom: { $lte: at }
+    }).sort({ effectiveFrom: -1, version: -1 }).lean();
+
+    if (table) {
+      return { ...table, source: candidateCity === city ? 'city' : 'default' };
+    }
+  }
+
+  logger.warn(`No fare table for ${vehicleType} in ${city}, using built-in rates`);
+  return { ...BUILT_IN_FARE_TABLE, vehicleType };
+};
+
+/**
+ * Waiting charge for the time a driver spent at the pickup.
+ * Only whole minutes beyond the table's grace period are charged.
+ */
+export const calculateWaitingFare = (waitingSeconds, table) => {
+  const graceMinutes = table.waitingGraceMinutes ?? BUILT_IN_FARE_TABLE.waitingGraceMinutes;
+  const ratePerMinute = table.waitingRatePerMinute || 0;
+  const chargeableMinutes = Math.max(0, Math.floor(waitingSeconds / 60 - graceMinutes));
+
+  return {
+    seconds: Math.max(0, Math.round(waitingSeconds)),
+    graceMinutes,
+    chargeableMinutes,
+    ratePerMinute,
+    waitingFare: Math.round(chargeableMinutes * ratePerMinute)
+  };
+};
+
+/**
+ * List fare table versions (admin)
+ */
+export const listFareTablesService = async ({ city, vehicleType, includeInactive = false, page = 1, limit = 50 }) => {
+  const query = {};
+  if (city) query.city = city.toLowerCase();
+  if (vehicleType) query.vehicleType = vehicleType;
+  if (!includeInactive) query.isActive = true;
+
+  const skip = (page - 1) * limit;
+  const [tables, total] = await Promise.all([
+    FareTable.find(query)
+      .sort({ city: 1, vehicleType: 1, effectiveFrom: -1, version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy updatedBy', 'name'),
+    FareTable.countDocuments(query)
+  ]);
+
+  // Mark the version currently in effect for each city/vehicle type
+  const now = new Date();
+  const current = new Set();
+  return {
+    tables: tables.map(table => {
+      const key = `${table.city}:${table.vehicleType}`;
+      const isCurrent = table.isActive && table.effectiveFrom <= now && !current.has(key);
+      if (isCurrent) current.add(key);
+      return { ...table.toJSON(), isCurrent };
+    }),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export const getFareTableByIdService = async (id) => {
+  const table = await FareTable.findById(id).populate('createdBy updatedBy', 'name');
+  if (!table) {
+    throw new Error('Fare table not found');
+  }
+  return table;
+};
+
+/**
+ * Create a new version of a city/vehicle type price list (admin)
+ */
+export const createFareTableService = async (data, adminId) => {
+  const city = (data.city || DEFAULT_FARE_CITY).toLowerCase();
+  const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : new Date();
+
+  if (effectiveFrom < new Date(Date.now() - 60 * 1000)) {
+    throw new Error('Fare tables cannot take effect in the past');
+  }
+
+  const latest = await FareTable.findOne({ city, vehicleType: data.vehicleType })
+    .sort({ version: -1 })
+    .select('version');
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+
+  const table = await FareTable.create({
+    ...fields,
+    city,
+    vehicleType: data.vehicleType,
+    version: (latest?.version || 0) + 1,
+    effectiveFrom,
+    createdBy: adminId,
+    updatedBy: adminId
+  });
+
+  logger.info(`Fare table v${table.version} created for ${table.vehicleType} in ${city}, effective ${effectiveFrom.toISOString()}`);
+  return table;
+};
+
+/**
+ * Edit a version that has not taken effect yet (admin).
+ * Versions already in effect are immutable - create a new version instead.
+ */
+export const updateFareTableService = async (id, data, adminId) => {
+  const table = await FareTable.findById(id);
+  if (!table) {
+    throw new Error('Fare table not found');
+  }
+  if (!table.isActive) {
+    throw new Error('Fare table has been withdrawn');
+  }
+  if (table.effectiveFrom <= new Date()) {
+    throw new Error('Fare table is already in effect. Create a new version instead');
+  }
+  if (data.effectiveFrom && new Date(data.effectiveFrom) < new Date(Date.now() - 60 * 1000)) {
+    throw new Error('Fare tables cannot take effect in the past');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) table[field] = data[field];
+  });
+  table.updatedBy = adminId;
+  await table.save();
+
+  logger.info(`Fare table ${table._id} (v${table.version}) updated`);
+  return table;
+};
+
+/**
+ * Withdraw a version that has not taken effect yet (admin)
+ */
+export const deleteFareTableService = async (id, adminId) => {
+  const table = await FareTable.findById(id);
+  if (!table) {
+    throw new Error('Fare table not found');
+  }
+  if (table.effectiveFrom <= new Date()) {
+    throw new Error('Fare table is already in effect and is kept for audit. Create a new version instead');
+  }
+
+  table.isActive = false;
+  table.updatedBy = adminId;
+  await table.save();
+
+  logger.info(`Fare table ${table._id} (v${table.version}) withdrawn`);
+  return table;
+};
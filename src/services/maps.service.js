@@ -47,14 +47,19 @@ export const getDistanceFromGoogle = async (pickupCoords, dropoffCoords) => {
 /**
  * Get directions and route information using Google Maps Directions API
  */
-export const getDirectionsFromGoogle = async (pickupCoords, dropoffCoords) => {
+export const getDirectionsFromGoogle = async (pickupCoords, dropoffCoords, stops = []) => {
   const apiKey = process.env.GOOGLE_MAPS_API_KEY;
 
   if (!apiKey) {
     throw new Error('Google Maps API key not configured');
   }
 
-  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${pickupCoords.latitude},${pickupCoords.longitude}&destination=${dropoffCoords.latitude},${dropoffCoords.longitude}&key=${apiKey}`;
+  // Intermediate stops are visited in the order given
+  const waypointsParam = stops.length
+    ? `&waypoints=${encodeURIComponent(stops.map(stop => `${stop.latitude},${stop.longitude}`).join('|'))}`
+    : '';
+
+  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${pickupCoords.latitude},${pickupCoords.longitude}&destination=${dropoffCoords.latitude},${dropoffCoords.longitude}${waypointsParam}&key=${apiKey}`;
 
   try {
     const response = await axios.get(url);
@@ -73,22 +78,29 @@ export const getDirectionsFromGoogle = async (pickupCoords, dropoffCoords) => {
     }
 
     const route = response.data.routes[0];
-    const leg = route.legs[0];
+    const steps = route.legs.flatMap(leg => leg.steps);
+    const distance = route.legs.reduce((sum, leg) => sum + leg.distance.value, 0);
+    const duration = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0);
 
     return {
-      distance: leg.distance.value, // in meters
-      duration: leg.duration.value, // in seconds
-      distanceText: leg.distance.text,
-      durationText: leg.duration.text,
+      distance, // in meters
+      duration, // in seconds
+      distanceText: route.legs.length === 1 ? route.legs[0].distance.text : `${(distance / 1000).toFixed(1)} km`,
+      durationText: route.legs.length === 1 ? route.legs[0].duration.text : `${Math.ceil(duration / 60)} mins`,
       polyline: route.overview_polyline.points,
       bounds: route.bounds,
-      steps: leg.steps.map(step => ({
+      // One leg per stop, plus the final leg to the dropoff
+      legs: route.legs.map(leg => ({
+        distance: leg.distance.value,
+        duration: leg.duration.value
+      })),
+      steps: steps.map(step => ({
         distance: step.distance.value,
         duration: step.duration.value,
         instructions: step.html_instructions,
         polyline: step.polyline.points
       })),
-      waypoints: leg.steps.map(step => ({
+      waypoints: steps.map(step => ({
         latitude: step.start_location.lat,
         longitude: step.start_location.lng
       }))
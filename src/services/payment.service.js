@@ -1,4 +1,6 @@
+import crypto from 'crypto';
 import axios from 'axios';
+import Stripe from 'stripe';
 import Payment from '../models/Payment.js';
 import logger from '../utils/logger.js';
 
@@ -27,7 +29,7 @@ const PAYMENT_CONFIG = {
  * Process payment through appropriate gateway
  */
 export const processPayment = async (paymentData) => {
-  const { rideId, amount, method, userId, orderId } = paymentData;
+  const { rideId, amount, method, userId, orderId, type = 'ride', metadata } = paymentData;
 
   // Validate payment method
   if (!['easypaisa', 'jazzcash', 'card'].includes(method)) {
@@ -36,14 +38,15 @@ export const processPayment = async (paymentData) => {
 
   // Create payment record
   const payment = await Payment.create({
-    rideId,
+    ride: rideId,
     userId,
-    type: 'ride',
+    type,
     amount,
     currency: 'PKR',
     method,
     status: 'pending',
-    gateway: method
+    gateway: method,
+    metadata
   });
 
   try {
@@ -119,7 +122,7 @@ const processEasypaisaPayment = async (payment, orderId) => {
 
   // Generate secure hash for EasyPaisa
   const hashString = `${config.hashKey}${payload.storeId}${payload.orderRefNumber}${payload.transactionAmount}${payload.transactionType}`;
-  payload.secureHash = require('crypto').createHash('sha256').update(hashString).digest('hex');
+  payload.secureHash = crypto.createHash('sha256').update(hashString).digest('hex');
 
   try {
     // For EasyPaisa, we typically redirect to their payment page
@@ -174,7 +177,7 @@ const processJazzCashPayment = async (payment, orderId) => {
     pp_Password: config.password,
     pp_OrderRef: txnRefNo,
     pp_Amount: payment.amount.toString(), // Amount in rupees (not paisas for this API)
-    pp_Description: `Ride payment - ${payment.rideId}`,
+    pp_Description: `Ride payment - ${payment.ride}`,
     pp_SuccessURL: `${process.env.BASE_URL}/api/v1/payments/jazzcash/success`,
     pp_FailureURL: `${process.env.BASE_URL}/api/v1/payments/jazzcash/failure`,
     pp_TxnCurrency: 'PKR',
@@ -189,7 +192,7 @@ const processJazzCashPayment = async (payment, orderId) => {
 
   // Generate integrity hash as per JazzCash documentation
   const hashString = `${config.integritySalt}&${payload.pp_Amount}&${payload.pp_OrderRef}&${payload.pp_TxnCurrency}&${payload.pp_TxnDateTime}`;
-  payload.pp_SecureHash = require('crypto').createHash('sha256').update(hashString).digest('hex');
+  payload.pp_SecureHash = crypto.createHash('sha256').update(hashString).digest('hex');
 
   try {
     // For JazzCash, redirect to their hosted payment page
@@ -226,7 +229,7 @@ const processJazzCashPayment = async (payment, orderId) => {
  * Process card payment using Stripe
  */
 const processCardPayment = async (payment, orderId) => {
-  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
   if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_PUBLISHABLE_KEY) {
     throw new Error('Stripe configuration incomplete');
@@ -239,10 +242,10 @@ const processCardPayment = async (payment, orderId) => {
       currency: payment.currency.toLowerCase(),
       metadata: {
         orderId: orderId || `CARD-${payment._id}`,
-        rideId: payment.rideId,
-        userId: payment.userId
+        rideId: payment.ride?.toString(),
+        userId: payment.userId?.toString()
       },
-      description: `Ride payment - ${payment.rideId}`,
+      description: `Ride payment - ${payment.ride}`,
       receipt_email: payment.userEmail || undefined,
       // Enable automatic payment methods for the checkout
       automatic_payment_methods: {
@@ -390,7 +393,7 @@ export const processRefund = async (paymentId, refundAmount, reason) => {
 
   // Create refund payment record
   const refundPayment = await Payment.create({
-    rideId: payment.rideId,
+    ride: payment.ride,
     userId: payment.userId,
     type: 'refund',
     amount: refundAmount,
@@ -482,9 +485,9 @@ export const handlePaymentWebhook = async (gateway, webhookData) => {
     }
 
     // If payment was for a ride, update ride status
-    if (payment.rideId && status === 'completed') {
+    if (payment.ride && status === 'completed') {
       const Ride = (await import('../models/Ride.js')).default;
-      await Ride.findByIdAndUpdate(payment.rideId, {
+      await Ride.findByIdAndUpdate(payment.ride, {
         'payment.status': 'completed',
         'payment.paidAt': new Date(),
         'payment.transactionId': transactionId
@@ -556,7 +559,7 @@ const processJazzCashWebhook = (webhookData) => {
  * Process Stripe webhook data
  */
 const processStripeWebhook = async (webhookData) => {
-  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
   // Verify webhook signature if webhook secret is configured
   if (PAYMENT_CONFIG.STRIPE.webhookSecret && webhookData.rawBody) {
@@ -767,7 +770,7 @@ export const getPaymentHistory = async (userId, filters = {}) => {
   }
 
   const payments = await Payment.find(query)
-    .populate('rideId', 'pickup dropoff status')
+    .populate('ride', 'pickup dropoff status')
     .sort({ createdAt: -1 })
     .limit(limit)
     .skip((page - 1) * limit);
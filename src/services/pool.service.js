@@ -0,0 +1,371 @@
+import dotenv from 'dotenv';
+import RidePool from '../models/RidePool.js';
+import Driver from '../models/Driver.js';
+import logger from '../utils/logger.js';
+import socketService from './socket.service.js';
+import { calculateHaversineDistance, estimateTravelTime } from './maps.service.js';
+import { getBlockedDriverIds } from './blocklist.service.js';
+import {
+  RIDE_POOL_STATUS,
+  POOL_STOP_TYPES,
+  RIDE_STOP_STATUS,
+  RIDE_STATUS,
+  VEHICLE_TYPES,
+  DRIVER_GENDER_PREFERENCES
+} from '../config/constants.js';
+
+dotenv.config();
+
+// Passenger seats assumed when the driver's vehicle record has no capacity
+const DEFAULT_CAPACITY = {
+  [VEHICLE_TYPES.CAR]: 4,
+  [VEHICLE_TYPES.AUTO]: 3,
+  [VEHICLE_TYPES.BIKE]: 1
+};
+
+const { PICKUP, DROPOFF } = POOL_STOP_TYPES;
+const { PENDING, REACHED } = RIDE_STOP_STATUS;
+
+const plainStop = (stop) => (typeof stop.toObject === 'function' ? stop.toObject() : stop);
+
+// Pooled Ride Service - seats several riders going the same way in one vehicle
+class PoolService {
+  constructor() {
+    this.maxDetourMinutes = parseFloat(process.env.POOL_MAX_DETOUR_MINUTES) || 10; // Extra time a rider may spend because of other riders
+    this.discount = parseFloat(process.env.POOL_DISCOUNT) || 0.25; // Share of the solo fare taken off pooled rides
+    this.maxSeatsPerRequest = 2;
+    this.searchRadiusKm = 5; // Pooled driver must be this close to the new pickup
+    this.averageSpeedKmh = 30;
+  }
+
+  /**
+   * Passenger seats in a driver's vehicle
+   */
+  getVehicleCapacity(driver) {
+    return driver.vehicle?.vehicleId?.capacity
+      || DEFAULT_CAPACITY[driver.vehicle?.vehicleType]
+      || DEFAULT_CAPACITY[VEHICLE_TYPES.CAR];
+  }
+
+  /**
+   * Discounted fare for a pooled rider
+   */
+  applyDiscount(fareBreakdown) {
+    const poolDiscount = Math.round(fareBreakdown.total * this.discount);
+    return { ...fareBreakdown, poolDiscount, total: fareBreakdown.total - poolDiscount };
+  }
+
+  travelSeconds(from, to) {
+    const { distanceKm } = calculateHaversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    return estimateTravelTime(distanceKm, this.averageSpeedKmh).duration;
+  }
+
+  /**
+   * Seconds from the start point to each stop when visited in order
+   */
+  scheduleEtas(start, stops) {
+    let elapsed = 0;
+    let previous = start;
+    return stops.map(stop => {
+      elapsed += this.travelSeconds(previous, stop.location);
+      previous = stop.location;
+      return elapsed;
+    });
+  }
+
+  /**
+   * Cheapest way to fit a new rider's pickup and dropoff into a pool's remaining stops.
+   * Every order is tried; an order is allowed when the car never holds more riders than
+   * it has seats and nobody (including the new rider, for pickup and time in the car)
+   * is delayed beyond the detour limit.
+   * Returns null when no order fits.
+   */
+  planInsertion(pool, driverLocation, ride) {
+    const seats = ride.pool?.seats || 1;
+    const rideKey = ride._id.toString();
+    const maxDetourSeconds = this.maxDetourMinutes * 60;
+
+    const stops = pool.stops.map(plainStop);
+    const reached = stops.filter(stop => stop.status === REACHED);
+    const pending = stops.filter(stop => stop.status === PENDING);
+
+    // Riders already in the car: dropoff pending, pickup done
+    const pendingPickups = new Set(pending.filter(stop => stop.type === PICKUP).map(stop => stop.rideId.toString()));
+    const onboardAtStart = pending
+      .filter(stop => stop.type === DROPOFF && !pendingPickups.has(stop.rideId.toString()))
+      .reduce((sum, stop) => sum + stop.seats, 0);
+
+    const currentEtas = this.scheduleEtas(driverLocation, pending);
+    const currentDropoffEtas = new Map();
+    pending.forEach((stop, index) => {
+      if (stop.type === DROPOFF) currentDropoffEtas.set(stop.rideId.toString(), currentEtas[index]);
+    });
+    const currentTotal = currentEtas.length ? currentEtas[currentEtas.length - 1] : 0;
+
+    const pickupStop = {
+      rideId: ride._id,
+      type: PICKUP,
+      location: { latitude: ride.pickup.location.latitude, longitude: ride.pickup.location.longitude },
+      address: ride.pickup.address,
+      seats,
+      status: PENDING
+    };
+    const dropoffStop = {
+      rideId: ride._id,
+      type: DROPOFF,
+      location: { latitude: ride.destination.location.latitude, longitude: ride.destination.location.longitude },
+      address: ride.destination.address,
+      seats,
+      status: PENDING
+    };
+    const directSeconds = this.travelSeconds(pickupStop.location, dropoffStop.location);
+    const directPickupSeconds = this.travelSeconds(driverLocation, pickupStop.location);
+
+    let best = null;
+    for (let i = 0; i <= pending.length; i++) {
+      for (let j = i; j <= pending.length; j++) {
+        const candidate = [
+          ...pending.slice(0, i),
+          pickupStop,
+          ...pending.slice(i, j),
+          dropoffStop,
+          ...pending.slice(j)
+        ];
+
+        let onboard = onboardAtStart;
+        const fitsSeats = candidate.every(stop => {
+          onboard += stop.type === PICKUP ? stop.seats : -stop.seats;
+          return onboard <= pool.capacity;
+        });
+        if (!fitsSeats) continue;
+
+        const etas = this.scheduleEtas(driverLocation, candidate);
+
+        const othersOnTime = candidate.every((stop, index) =>
+          stop.type !== DROPOFF
+          || stop.rideId.toString() === rideKey
+          || etas[index] - currentDropoffEtas.get(stop.rideId.toString()) <= maxDetourSeconds
+        );
+        if (!othersOnTime) continue;
+
+        // Pickup is at index i and dropoff at index j + 1
+        const inCarSeconds = etas[j + 1] - etas[i];
+        if (etas[i] - directPickupSeconds > maxDetourSeconds) continue;
+        if (inCarSeconds - directSeconds > maxDetourSeconds) continue;
+
+        const addedSeconds = etas[etas.length - 1] - currentTotal;
+        if (!best || addedSeconds < best.addedSeconds) {
+          best = {
+            stops: [...reached, ...candidate],
+            addedSeconds,
+            pickupEtaSeconds: etas[i],
+            revision: pool.revision
+          };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Open pool whose driver can take a pooled ride with the smallest added trip time
+   */
+  async findPoolMatch(ride, excludeDriverIds = []) {
+    const seats = ride.pool?.seats || 1;
+    const blockedDriverIds = await getBlockedDriverIds(ride.passengerId?._id || ride.passengerId);
+
+    const pools = await RidePool.find({
+      status: RIDE_POOL_STATUS.OPEN,
+      vehicleType: ride.vehicleType,
+      driverId: { $nin: [...excludeDriverIds, ...blockedDriverIds] }
+    }).populate('driverId', 'userId name rating availability gender genderVerified').lean();
+
+    const driverGender = ride.driverGenderPreference || DRIVER_GENDER_PREFERENCES.ANY;
+
+    let best = null;
+    for (const pool of pools) {
+      const driver = pool.driverId;
+      const coordinates = driver?.availability?.currentLocation?.coordinates;
+      if (!coordinates || pool.capacity - pool.seatsTaken < seats) continue;
+      if (driverGender !== DRIVER_GENDER_PREFERENCES.ANY && !(driver.gender === driverGender && driver.genderVerified)) continue;
+
+      const driverLocation = { latitude: coordinates[1], longitude: coordinates[0] };
+      const { distanceKm } = calculateHaversineDistance(
+        driverLocation.latitude,
+        driverLocation.longitude,
+        ride.pickup.location.latitude,
+        ride.pickup.location.longitude
+      );
+      if (distanceKm > this.searchRadiusKm) continue;
+
+      const plan = this.planInsertion(pool, driverLocation, ride);
+      if (plan && (!best || plan.addedSeconds < best.plan.addedSeconds)) {
+        best = { pool, driver, distanceKm, plan };
+      }
+    }
+
+    if (!best) return null;
+
+    return {
+      poolId: best.pool._id,
+      plan: best.plan,
+      candidate: {
+        driverId: best.driver._id,
+        userId: best.driver.userId,
+        name: best.driver.name,
+        rating: best.driver.rating,
+        distance: best.distanceKm,
+        pool: {
+          poolId: best.pool._id,
+          seatsAvailable: best.pool.capacity - best.pool.seatsTaken - seats,
+          addedMinutes: Math.ceil(best.plan.addedSeconds / 60),
+          stops: this.formatStops(best.plan.stops)
+        }
+      }
+    };
+  }
+
+  /**
+   * Start a pool with the first pooled ride a driver accepts.
+   * Returns null when the vehicle has no seat left to share.
+   */
+  async openPool(ride, driver) {
+    const seats = ride.pool?.seats || 1;
+    const capacity = this.getVehicleCapacity(driver);
+    if (capacity <= seats) return null;
+
+    const pool = await RidePool.create({
+      driverId: driver._id,
+      vehicleType: ride.vehicleType,
+      capacity,
+      seatsTaken: seats,
+      rides: [ride._id],
+      stops: [
+        { rideId: ride._id, type: PICKUP, location: ride.pickup.location, address: ride.pickup.address, seats },
+        { rideId: ride._id, type: DROPOFF, location: ride.destination.location, address: ride.destination.address, seats }
+      ]
+    });
+
+    logger.info(`Pool ${pool._id} opened by driver ${driver._id} with ${capacity} seats`);
+    return pool;
+  }
+
+  /**
+   * Add a ride to a pool using a plan from findPoolMatch.
+   * Fails if the pool changed since the plan was made.
+   */
+  async joinPool(poolId, ride, plan) {
+    const seats = ride.pool?.seats || 1;
+
+    const pool = await RidePool.findOneAndUpdate(
+      { _id: poolId, status: RIDE_POOL_STATUS.OPEN, revision: plan.revision },
+      {
+        $set: { stops: plan.stops },
+        $inc: { seatsTaken: seats, revision: 1 },
+        $addToSet: { rides: ride._id }
+      },
+      { new: true }
+    );
+
+    if (!pool) {
+      throw new Error('This shared ride is no longer available');
+    }
+
+    logger.info(`Ride ${ride._id} joined pool ${poolId} (${pool.seatsTaken}/${pool.capacity} seats)`);
+    return pool;
+  }
+
+  /**
+   * Keep a pool in step with a pooled ride's status.
+   * Returns whether the pool still has riders to serve.
+   */
+  async handleRideTransition(ride, to) {
+    const pool = await RidePool.findById(ride.pool.poolId);
+    if (!pool || pool.status === RIDE_POOL_STATUS.CLOSED) return { active: false };
+
+    const rideKey = ride._id.toString();
+    const seats = ride.pool.seats || 1;
+    const stopOf = (type) => pool.stops.find(stop => stop.rideId.toString() === rideKey && stop.type === type);
+    const markReached = (stop) => {
+      if (stop && stop.status !== REACHED) {
+        stop.status = REACHED;
+        stop.reachedAt = new Date();
+      }
+    };
+
+    if (to === RIDE_STATUS.IN_PROGRESS) {
+      markReached(stopOf(PICKUP));
+    } else if (to === RIDE_STATUS.COMPLETED) {
+      markReached(stopOf(PICKUP));
+      markReached(stopOf(DROPOFF));
+      pool.seatsTaken = Math.max(0, pool.seatsTaken - seats);
+    } else if (to === RIDE_STATUS.CANCELLED) {
+      if (stopOf(DROPOFF)?.status !== REACHED) {
+        pool.seatsTaken = Math.max(0, pool.seatsTaken - seats);
+      }
+      pool.stops = pool.stops.filter(stop => stop.rideId.toString() !== rideKey || stop.status === REACHED);
+    } else {
+      return { active: true };
+    }
+
+    pool.revision += 1;
+    if (!pool.stops.some(stop => stop.status === PENDING)) {
+      pool.status = RIDE_POOL_STATUS.CLOSED;
+      pool.closedAt = new Date();
+      logger.info(`Pool ${pool._id} closed`);
+    }
+    await pool.save();
+
+    await this.notifyDriver(pool);
+    return { active: pool.status === RIDE_POOL_STATUS.OPEN };
+  }
+
+  /**
+   * Take a ride back out of a pool it was added to but never got
+   */
+  async releaseRide(poolId, ride) {
+    return this.handleRideTransition(
+      { _id: ride._id, pool: { poolId, seats: ride.pool?.seats || 1 } },
+      RIDE_STATUS.CANCELLED
+    );
+  }
+
+  formatStops(stops) {
+    return stops
+      .map(plainStop)
+      .filter(stop => stop.status === PENDING)
+      .map(stop => ({
+        rideId: stop.rideId,
+        type: stop.type,
+        address: stop.address,
+        location: stop.location,
+        seats: stop.seats
+      }));
+  }
+
+  /**
+   * Send the driver the pool's seat count and remaining stop order
+   */
+  async notifyDriver(pool) {
+    try {
+      const driver = await Driver.findById(pool.driverId).select('userId');
+      if (!driver) return;
+
+      socketService.notifyUser(driver.userId.toString(), 'pool:updated', {
+        poolId: pool._id,
+        status: pool.status,
+        capacity: pool.capacity,
+        seatsTaken: pool.seatsTaken,
+        seatsAvailable: Math.max(0, pool.capacity - pool.seatsTaken),
+        stops: this.formatStops(pool.stops)
+      });
+    } catch (error) {
+      logger.error(`Failed to send pool update for ${pool._id}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+const poolService = new PoolService();
+export default poolService;
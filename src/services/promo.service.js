@@ -0,0 +1,368 @@
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import Ride from '../models/Ride.js';
+import logger from '../utils/logger.js';
+import { PROMO_DISCOUNT_TYPES, PROMO_REDEMPTION_STATUS, RIDE_STATUS } from '../config/constants.js';
+
+const EDITABLE_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxDiscount', 'minFare', 'usageLimit',
+  'perUserLimit', 'validFrom', 'validUntil', 'vehicleTypes', 'cities', 'firstRideOnly', 'isActive'
+];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const validatePromotionRules = (promotion) => {
+  if (promotion.validUntil <= promotion.validFrom) {
+    throw new Error('validUntil must be after validFrom');
+  }
+  if (promotion.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE && promotion.discountValue > 100) {
+    throw new Error('Percentage discounts cannot be more than 100');
+  }
+  if (promotion.usageLimit && promotion.usageLimit < promotion.usedCount) {
+    throw new Error(`usageLimit cannot be lower than the ${promotion.usedCount} uses already redeemed`);
+  }
+};
+
+/**
+ * PKR a promotion takes off a fare, never more than the fare itself
+ */
+export const calculatePromoDiscount = (promotion, fareTotal) => {
+  let discount = promotion.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE
+    ? fareTotal * promotion.discountValue / 100
+    : promotion.discountValue;
+
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  return Math.round(Math.min(discount, fareTotal));
+};
+
+/**
+ * Fare after a promo discount that has already been worked out
+ */
+export const applyPromoDiscount = (fareBreakdown, { code, discount }) => {
+  const promoDiscount = Math.min(discount, fareBreakdown.total);
+  return { ...fareBreakdown, promoCode: code, promoDiscount, total: fareBreakdown.total - promoDiscount };
+};
+
+/**
+ * Check whether a code can be used on a fare and work out its discount.
+ * Per-passenger rules are skipped when passengerId is not known (anonymous estimates).
+ *
+ * @param {string} code - Promo code as typed by the passenger
+ * @param {Object} context - { passengerId, vehicleType, city, fareTotal, at }
+ * @returns {Object} - { promotion, discount }
+ */
+export const evaluatePromoCode = async (code, { passengerId, vehicleType, city, fareTotal, at = new Date() }) => {
+  const promotion = await Promotion.findOne({ code: normalizeCode(code), isActive: true });
+  if (!promotion) {
+    throw new Error('Invalid promo code');
+  }
+
+  if (at < promotion.validFrom) {
+    throw new Error('Promo code is not valid yet');
+  }
+  if (at > promotion.validUntil) {
+    throw new Error('Promo code has expired');
+  }
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+    throw new Error('Promo code has reached its usage limit');
+  }
+  if (promotion.vehicleTypes.length && !promotion.vehicleTypes.includes(vehicleType)) {
+    throw new Error(`Promo code is only valid for: ${promotion.vehicleTypes.join(', ')}`);
+  }
+  if (promotion.cities.length && !promotion.cities.includes(city)) {
+    throw new Error('Promo code is not valid in this city');
+  }
+  if (fareTotal < promotion.minFare) {
+    throw new Error(`Promo code requires a fare of at least ${promotion.minFare}`);
+  }
+
+  if (passengerId) {
+    const used = await PromoRedemption.countDocuments({
+      promotionId: promotion._id,
+      passengerId,
+      status: PROMO_REDEMPTION_STATUS.APPLIED
+    });
+    if (used >= promotion.perUserLimit) {
+      throw new Error('You have already used this promo code');
+    }
+
+    if (promotion.firstRideOnly) {
+      const hasRidden = await Ride.exists({ passengerId, status: RIDE_STATUS.COMPLETED });
+      if (hasRidden) {
+        throw new Error('Promo code is only valid on your first ride');
+      }
+    }
+  }
+
+  return { promotion, discount: calculatePromoDiscount(promotion, fareTotal) };
+};
+
+/**
+ * Record a promo use for a ride.
+ * The total limit is enforced with a conditional increment and the per-passenger limit
+ * with the unique slot index, so concurrent requests cannot go over either limit.
+ */
+export const redeemPromotion = async ({ promotion, passengerId, rideId, discount, fareBeforeDiscount }) => {
+  const counted = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    throw new Error('Promo code has reached its usage limit');
+  }
+
+  const rollback = () => Promotion.updateOne(
+    { _id: promotion._id, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  const takenSlots = await PromoRedemption.find({
+    promotionId: promotion._id,
+    passengerId,
+    status: PROMO_REDEMPTION_STATUS.APPLIED
+  }).distinct('slot');
+  const slot = Array.from({ length: counted.perUserLimit }, (_, i) => i + 1)
+    .find(candidate => !takenSlots.includes(candidate));
+
+  if (!slot) {
+    await rollback();
+    throw new Error('You have already used this promo code');
+  }
+
+  try {
+    const redemption = await PromoRedemption.create({
+      promotionId: promotion._id,
+      code: promotion.code,
+      passengerId,
+      rideId,
+      slot,
+      discount,
+      fareBeforeDiscount
+    });
+
+    logger.info(`Promo ${promotion.code} redeemed on ride ${rideId} (${discount} off)`);
+    return redemption;
+  } catch (error) {
+    await rollback();
+    if (error.code === 11000) {
+      throw new Error('You have already used this promo code');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give a promo use back when its ride did not happen
+ */
+export const releaseRedemption = async (rideId, reason) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { rideId, status: PROMO_REDEMPTION_STATUS.APPLIED },
+    { status: PROMO_REDEMPTION_STATUS.RELEASED, releasedAt: new Date(), releaseReason: reason },
+    { new: true }
+  );
+  if (!redemption) return null;
+
+  await Promotion.updateOne(
+    { _id: redemption.promotionId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  logger.info(`Promo ${redemption.code} released from ride ${rideId}`);
+  return redemption;
+};
+
+export const listPromotionsService = async ({ search, isActive, page = 1, limit = 50 }) => {
+  const query = {};
+  if (search) query.code = { $regex: normalizeCode(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+  if (isActive !== undefined) query.isActive = isActive;
+
+  const skip = (page - 1) * limit;
+  const [promotions, total] = await Promise.all([
+    Promotion.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy updatedBy', 'name'),
+    Promotion.countDocuments(query)
+  ]);
+
+  return {
+    promotions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export const getPromotionByIdService = async (id) => {
+  const promotion = await Promotion.findById(id).populate('createdBy updatedBy', 'name');
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+  return promotion;
+};
+
+/**
+ * Create a promo code (admin)
+ */
+export const createPromotionService = async (data, adminId) => {
+  const code = normalizeCode(data.code);
+  if (await Promotion.exists({ code })) {
+    throw new Error('A promotion with this code already exists');
+  }
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+
+  const promotion = new Promotion({
+    ...fields,
+    code,
+    validFrom: data.validFrom ? new Date(data.validFrom) : new Date(),
+    createdBy: adminId,
+    updatedBy: adminId
+  });
+  validatePromotionRules(promotion);
+  await promotion.save();
+
+  logger.info(`Promotion ${promotion.code} created`);
+  return promotion;
+};
+
+/**
+ * Edit a promo code (admin). The code itself and its usage count cannot be changed.
+ */
+export const updatePromotionService = async (id, data, adminId) => {
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) promotion[field] = data[field];
+  });
+  validatePromotionRules(promotion);
+  promotion.updatedBy = adminId;
+  await promotion.save();
+
+  logger.info(`Promotion ${promotion.code} updated`);
+  return promotion;
+};
+
+/**
+ * Deactivate a promo code (admin). Promotions are kept so redemptions stay reportable.
+ */
+export const deletePromotionService = async (id, adminId) => {
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  promotion.isActive = false;
+  promotion.updatedBy = adminId;
+  await promotion.save();
+
+  logger.info(`Promotion ${promotion.code} deactivated`);
+  return promotion;
+};
+
+/**
+ * Redemptions per promotion over a period, with totals (admin)
+ */
+export const getPromotionReportService = async ({ promotionId, from, to }) => {
+  const match = {};
+  if (promotionId) match.promotionId = new mongoose.Types.ObjectId(promotionId);
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const rows = await PromoRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$promotionId',
+        code: { $first: '$code' },
+        redemptions: { $sum: { $cond: [{ $eq: ['$status', PROMO_REDEMPTION_STATUS.APPLIED] }, 1, 0] } },
+        released: { $sum: { $cond: [{ $eq: ['$status', PROMO_REDEMPTION_STATUS.RELEASED] }, 1, 0] } },
+        totalDiscount: {
+          $sum: { $cond: [{ $eq: ['$status', PROMO_REDEMPTION_STATUS.APPLIED] }, '$discount', 0] }
+        },
+        passengers: { $addToSet: '$passengerId' },
+        firstRedeemedAt: { $min: '$createdAt' },
+        lastRedeemedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        promotionId: '$_id',
+        code: 1,
+        redemptions: 1,
+        released: 1,
+        totalDiscount: 1,
+        uniquePassengers: { $size: '$passengers' },
+        averageDiscount: {
+          $cond: [{ $gt: ['$redemptions', 0] }, { $round: [{ $divide: ['$totalDiscount', '$redemptions'] }, 0] }, 0]
+        },
+        firstRedeemedAt: 1,
+        lastRedeemedAt: 1
+      }
+    },
+    { $sort: { totalDiscount: -1 } }
+  ]);
+
+  return {
+    period: { from: from || null, to: to || null },
+    promotions: rows,
+    totals: {
+      redemptions: rows.reduce((sum, row) => sum + row.redemptions, 0),
+      released: rows.reduce((sum, row) => sum + row.released, 0),
+      totalDiscount: rows.reduce((sum, row) => sum + row.totalDiscount, 0)
+    }
+  };
+};
+
+/**
+ * Individual redemptions of one promotion (admin)
+ */
+export const listPromotionRedemptionsService = async (promotionId, { status, page = 1, limit = 50 }) => {
+  const query = { promotionId };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const [redemptions, total] = await Promise.all([
+    PromoRedemption.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({ path: 'passengerId', select: 'userId', populate: { path: 'userId', select: 'name phone' } })
+      .populate('rideId', 'status fare.estimated fare.final requestedAt'),
+    PromoRedemption.countDocuments(query)
+  ]);
+
+  return {
+    redemptions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
@@ -0,0 +1,91 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { calculateHaversineDistance } from './maps.service.js';
+import { FARE_QUOTE_STATUS } from '../config/constants.js';
+
+dotenv.config();
+
+const QUOTE_AUDIENCE = 'fare-quote';
+
+// Upfront price quotes returned by the fare estimate and honoured at booking
+export const QUOTE_CONFIG = {
+  TTL_MINUTES: parseInt(process.env.FARE_QUOTE_TTL_MINUTES) || 5,
+  LOCATION_TOLERANCE_METERS: 150 // Booked pickup/dropoff may drift this far from the quoted ones
+};
+
+const getQuoteSecret = () => {
+  const secret = process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Fare quote secret is not configured');
+  }
+  return secret;
+};
+
+const toPoint = (coords) => ({ latitude: Number(coords.latitude), longitude: Number(coords.longitude) });
+
+/**
+ * Sign a fare quote covering the route, vehicle type, fare breakdown and surge
+ */
+export const signFareQuote = ({ pickup, dropoff, stops = [], vehicleType, city, route, fare, surge }) => {
+  const quoteId = crypto.randomUUID();
+  const token = jwt.sign(
+    {
+      quoteId,
+      pickup: toPoint(pickup),
+      dropoff: toPoint(dropoff),
+      stops: stops.map(toPoint),
+      vehicleType,
+      city,
+      route: { distance: route.distance, duration: route.duration },
+      fare,
+      surge: { zone: surge.zone, multiplier: surge.multiplier }
+    },
+    getQuoteSecret(),
+    { expiresIn: `${QUOTE_CONFIG.TTL_MINUTES}m`, audience: QUOTE_AUDIENCE }
+  );
+
+  const { iat, exp } = jwt.decode(token);
+  return {
+    quoteId,
+    token,
+    issuedAt: new Date(iat * 1000),
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+const isNear = (a, b) =>
+  calculateHaversineDistance(a.latitude, a.longitude, b.latitude, b.longitude).distance
+    <= QUOTE_CONFIG.LOCATION_TOLERANCE_METERS;
+
+/**
+ * Check a quote token against the ride being booked.
+ * Returns { status, quote } - quote is only set when the price can be honoured.
+ */
+export const verifyFareQuote = (token, { pickup, dropoff, stops = [], vehicleType }) => {
+  if (!token) {
+    return { status: FARE_QUOTE_STATUS.MISSING, quote: null };
+  }
+
+  let quote;
+  try {
+    quote = jwt.verify(token, getQuoteSecret(), { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    return {
+      status: error.name === 'TokenExpiredError' ? FARE_QUOTE_STATUS.EXPIRED : FARE_QUOTE_STATUS.INVALID,
+      quote: null
+    };
+  }
+
+  const matches = quote.vehicleType === vehicleType
+    && isNear(quote.pickup, toPoint(pickup))
+    && isNear(quote.dropoff, toPoint(dropoff))
+    && quote.stops.length === stops.length
+    && quote.stops.every((stop, index) => isNear(stop, toPoint(stops[index])));
+
+  if (!matches) {
+    return { status: FARE_QUOTE_STATUS.MISMATCH, quote: null };
+  }
+
+  return { status: FARE_QUOTE_STATUS.HONOURED, quote };
+};
@@ -0,0 +1,268 @@
+import dotenv from 'dotenv';
+import Rating from '../models/Rating.js';
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import Passenger from '../models/Passenger.js';
+import logger from '../utils/logger.js';
+import { blockUserService } from './blocklist.service.js';
+import { USER_ROLES, RIDE_STATUS, RATING_DIRECTIONS, RATING_TAGS, BLOCK_SOURCES } from '../config/constants.js';
+
+dotenv.config();
+
+export const RATING_CONFIG = {
+  EDIT_WINDOW_HOURS: 24, // A rating can be changed this long after it was first given
+  ROLLING_WINDOW: parseInt(process.env.RATING_ROLLING_WINDOW) || 100 // Averages use the last N rated trips
+};
+
+/**
+ * Rebuild a driver's or passenger's average from their last N ratings that were not excluded
+ * @param {string} direction - RATING_DIRECTIONS value; decides whether profileId is a driver or passenger
+ * @param {ObjectId} profileId - Driver or Passenger _id
+ */
+export const recalculateRatingAverage = async (direction, profileId) => {
+  const ratesDriver = direction === RATING_DIRECTIONS.PASSENGER_TO_DRIVER;
+  const field = ratesDriver ? 'driverId' : 'passengerId';
+
+  const [result] = await Rating.aggregate([
+    { $match: { direction, [field]: profileId, excluded: false } },
+    { $sort: { createdAt: -1 } },
+    { $limit: RATING_CONFIG.ROLLING_WINDOW },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = result ? Math.round(result.average * 100) / 100 : 0;
+  const ratingCount = result?.count || 0;
+
+  const Model = ratesDriver ? Driver : Passenger;
+  await Model.updateOne({ _id: profileId }, { rating, ratingCount });
+
+  return { rating, ratingCount };
+};
+
+/**
+ * Rate a completed ride, or change a rating within the edit window (Passenger or Driver).
+ * A 1-star rating also blocks the other party unless blockUser is false.
+ */
+export const submitRatingService = async (userId, userRole, rideId, { rating, review, tags = [], blockUser = true }) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('Rating must be a whole number between 1 and 5');
+  }
+
+  const ride = await Ride.findById(rideId).populate('passengerId driverId');
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  if (ride.status !== RIDE_STATUS.COMPLETED) {
+    throw new Error('Can only rate completed rides');
+  }
+
+  let direction;
+  if (userRole === USER_ROLES.PASSENGER) {
+    if (ride.passengerId.userId.toString() !== userId) {
+      throw new Error('Unauthorized');
+    }
+    direction = RATING_DIRECTIONS.PASSENGER_TO_DRIVER;
+  } else if (userRole === USER_ROLES.DRIVER) {
+    if (!ride.driverId || ride.driverId.userId.toString() !== userId) {
+      throw new Error('Unauthorized');
+    }
+    direction = RATING_DIRECTIONS.DRIVER_TO_PASSENGER;
+  } else {
+    throw new Error('Unauthorized');
+  }
+
+  const invalidTags = tags.filter(tag => !RATING_TAGS[direction].includes(tag));
+  if (invalidTags.length) {
+    throw new Error(`Invalid tags: ${invalidTags.join(', ')}`);
+  }
+
+  const now = new Date();
+  let record = await Rating.findOne({ rideId: ride._id, direction });
+
+  if (record) {
+    if (record.excluded) {
+      throw new Error('This rating was removed by an admin and can no longer be changed');
+    }
+    if (now > record.editableUntil) {
+      throw new Error(`Ratings can only be changed within ${RATING_CONFIG.EDIT_WINDOW_HOURS} hours`);
+    }
+    record.rating = rating;
+    record.review = review;
+    record.tags = tags;
+    record.editedAt = now;
+    await record.save();
+  } else {
+    try {
+      record = await Rating.create({
+        rideId: ride._id,
+        direction,
+        raterId: userId,
+        driverId: ride.driverId._id,
+        passengerId: ride.passengerId._id,
+        rating,
+        review,
+        tags,
+        editableUntil: new Date(now.getTime() + RATING_CONFIG.EDIT_WINDOW_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('This ride has already been rated');
+      }
+      throw error;
+    }
+  }
+
+  // Keep the ride's own rating fields in step for ride history and stats
+  if (direction === RATING_DIRECTIONS.PASSENGER_TO_DRIVER) {
+    ride.rating.passengerRating = rating;
+    ride.rating.passengerReview = review;
+  } else {
+    ride.rating.driverRating = rating;
+    ride.rating.driverReview = review;
+  }
+  ride.rating.ratedAt = now;
+  await ride.save();
+
+  const rateeId = direction === RATING_DIRECTIONS.PASSENGER_TO_DRIVER ? ride.driverId._id : ride.passengerId._id;
+  await recalculateRatingAverage(direction, rateeId);
+
+  logger.info(`Ride ${ride._id} ${record.editedAt ? 're-rated' : 'rated'} by ${userRole}: ${rating} stars`);
+
+  // The rating stands even if the block cannot be added (e.g. a full block list)
+  let blocked = false;
+  if (rating === 1 && blockUser !== false) {
+    try {
+      await blockUserService(userId, userRole, {
+        rideId: ride._id,
+        reason: 'Rated 1 star',
+        source: BLOCK_SOURCES.RATING
+      });
+      blocked = true;
+    } catch (error) {
+      logger.warn(`Could not block after 1-star rating on ride ${ride._id}: ${error.message}`);
+    }
+  }
+
+  return {
+    rideId: ride._id,
+    ratingId: record._id,
+    rating: record.rating,
+    review: record.review,
+    tags: record.tags,
+    editableUntil: record.editableUntil,
+    edited: !!record.editedAt,
+    blocked
+  };
+};
+
+const buildRatingFilter = ({ direction, driverId, passengerId, from, to }) => {
+  const match = {};
+  if (direction) match.direction = direction;
+  if (driverId) match.driverId = driverId;
+  if (passengerId) match.passengerId = passengerId;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  return match;
+};
+
+export const listRatingsService = async ({ rating, excluded, tag, page = 1, limit = 50, ...filters }) => {
+  const query = buildRatingFilter(filters);
+  if (rating) query.rating = rating;
+  if (excluded !== undefined) query.excluded = excluded;
+  if (tag) query.tags = tag;
+
+  const skip = (page - 1) * limit;
+  const [ratings, total] = await Promise.all([
+    Rating.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('driverId passengerId', 'name rating')
+      .populate('exclusion.by', 'name'),
+    Rating.countDocuments(query)
+  ]);
+
+  return {
+    ratings,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Star and tag distribution of ratings matching the filters (admin)
+ */
+export const getRatingDistributionService = async (filters) => {
+  const match = buildRatingFilter(filters);
+
+  const [result] = await Rating.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        stars: [
+          { $match: { excluded: false } },
+          { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ],
+        summary: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: { $cond: ['$excluded', 0, 1] } },
+              excluded: { $sum: { $cond: ['$excluded', 1, 0] } },
+              average: { $avg: { $cond: ['$excluded', null, '$rating'] } }
+            }
+          }
+        ],
+        tags: [
+          { $match: { excluded: false } },
+          { $unwind: '$tags' },
+          { $group: { _id: { direction: '$direction', tag: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const summary = result.summary[0] || { total: 0, excluded: 0, average: null };
+  const distribution = Object.fromEntries([1, 2, 3, 4, 5].map(stars => [
+    stars,
+    result.stars.find(bucket => bucket._id === stars)?.count || 0
+  ]));
+
+  return {
+    filters: match,
+    total: summary.total,
+    excluded: summary.excluded,
+    average: summary.average ? Math.round(summary.average * 100) / 100 : 0,
+    distribution,
+    tags: result.tags.map(bucket => ({ direction: bucket._id.direction, tag: bucket._id.tag, count: bucket.count }))
+  };
+};
+
+/**
+ * Exclude a rating from averages, or put it back (admin)
+ */
+export const setRatingExclusionService = async (id, { excluded, reason }, adminId) => {
+  const rating = await Rating.findById(id);
+  if (!rating) {
+    throw new Error('Rating not found');
+  }
+
+  rating.excluded = excluded;
+  rating.exclusion = excluded ? { reason, by: adminId, at: new Date() } : undefined;
+  await rating.save();
+
+  const rateeId = rating.direction === RATING_DIRECTIONS.PASSENGER_TO_DRIVER ? rating.driverId : rating.passengerId;
+  const average = await recalculateRatingAverage(rating.direction, rateeId);
+
+  logger.info(`Rating ${rating._id} ${excluded ? 'excluded' : 'restored'} by admin ${adminId}`);
+  return { rating, average };
+};
@@ -0,0 +1,439 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Passenger from '../models/Passenger.js';
+import Driver from '../models/Driver.js';
+import Ride from '../models/Ride.js';
+import Referral from '../models/Referral.js';
+import logger from '../utils/logger.js';
+import { createNotification } from './notification.service.js';
+import {
+  USER_ROLES,
+  RIDE_STATUS,
+  REFERRAL_STATUS,
+  REFERRAL_HOLD_REASONS,
+  NOTIFICATION_TYPES
+} from '../config/constants.js';
+
+dotenv.config();
+
+export const REFERRAL_CONFIG = {
+  RIDES_REQUIRED: parseInt(process.env.REFERRAL_RIDES_REQUIRED) || 3, // Referee rides before the reward is paid
+  PASSENGER_CREDIT: parseFloat(process.env.REFERRAL_PASSENGER_CREDIT) || 200, // PKR ride credit
+  DRIVER_BONUS: parseFloat(process.env.REFERRAL_DRIVER_BONUS) || 500, // PKR added to earnings
+  CODE_LENGTH: 8
+};
+
+// No 0/O or 1/I so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateReferralCode = () =>
+  Array.from(crypto.randomBytes(REFERRAL_CONFIG.CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+const rewardFor = (referrerRole) => (referrerRole === USER_ROLES.DRIVER
+  ? { type: 'driver-bonus', amount: REFERRAL_CONFIG.DRIVER_BONUS }
+  : { type: 'ride-credit', amount: REFERRAL_CONFIG.PASSENGER_CREDIT });
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+// Last 10 digits, so +92300..., 0300... and 300... compare equal
+const phoneKey = (phone) => digitsOnly(phone).slice(-10);
+
+/**
+ * Signs that the referrer and referee are the same person.
+ * CNICs are not compared: registration already refuses a CNIC that is in use.
+ */
+const detectHoldReasons = (referrer, referee) => {
+  const reasons = [];
+
+  if (referrer.registrationDeviceId && referrer.registrationDeviceId === referee.registrationDeviceId) {
+    reasons.push(REFERRAL_HOLD_REASONS.SHARED_DEVICE);
+  }
+
+  const referrerPhones = [referrer.phone, referrer.alternatePhone].map(phoneKey).filter(Boolean);
+  const refereePhones = [referee.phone, referee.alternatePhone].map(phoneKey).filter(Boolean);
+  if (refereePhones.some(phone => referrerPhones.includes(phone))) {
+    reasons.push(REFERRAL_HOLD_REASONS.SHARED_PHONE);
+  }
+
+  return reasons;
+};
+
+/**
+ * Give a user their referral code if they do not have one yet
+ */
+export const assignReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateReferralCode();
+    if (await User.exists({ referralCode: code })) continue;
+
+    try {
+      const result = await User.updateOne(
+        { _id: user._id, referralCode: null },
+        { $set: { referralCode: code } }
+      );
+      if (result.matchedCount === 0) {
+        // Another request assigned one first
+        return (await User.findById(user._id).select('referralCode')).referralCode;
+      }
+      user.referralCode = code;
+      return code;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Failed to generate a referral code');
+};
+
+/**
+ * Active user who owns a referral code
+ */
+export const findReferrerByCode = async (code) => {
+  if (!code) return null;
+  return User.findOne({ referralCode: String(code).trim().toUpperCase(), isActive: true, isBlocked: false });
+};
+
+/**
+ * Record that a newly registered user signed up with someone's code
+ */
+export const createReferral = async (referee, code) => {
+  const referrer = await findReferrerByCode(code);
+  if (!referrer) {
+    throw new Error('Invalid referral code');
+  }
+  if (referrer._id.toString() === referee._id.toString()) {
+    throw new Error('You cannot use your own referral code');
+  }
+
+  const holdReasons = detectHoldReasons(referrer, referee);
+
+  const referral = await Referral.create({
+    referrerId: referrer._id,
+    referrerRole: referrer.role,
+    refereeId: referee._id,
+    refereeRole: referee.role,
+    code: referrer.referralCode,
+    status: holdReasons.length ? REFERRAL_STATUS.HELD : REFERRAL_STATUS.PENDING,
+    holdReasons,
+    ridesRequired: REFERRAL_CONFIG.RIDES_REQUIRED,
+    reward: rewardFor(referrer.role)
+  });
+
+  await User.updateOne({ _id: referee._id }, { referredBy: referrer._id });
+
+  logger.info(`Referral ${referral._id}: ${referrer._id} referred ${referee._id}${holdReasons.length ? ` (held: ${holdReasons.join(', ')})` : ''}`);
+  return referral;
+};
+
+/**
+ * Pay the referrer once. The status change is conditional so a reward is never paid twice.
+ */
+const payReferralReward = async (referralId) => {
+  const referral = await Referral.findOneAndUpdate(
+    { _id: referralId, status: REFERRAL_STATUS.PENDING, qualifiedAt: { $ne: null } },
+    { status: REFERRAL_STATUS.REWARDED, 'reward.paidAt': new Date() },
+    { new: true }
+  );
+  if (!referral) return null;
+
+  const { type, amount } = referral.reward;
+  if (type === 'driver-bonus') {
+    await Driver.updateOne(
+      { userId: referral.referrerId },
+      { $inc: { 'earnings.total': amount, 'earnings.pending': amount } }
+    );
+  } else {
+    await Passenger.updateOne({ userId: referral.referrerId }, { $inc: { rideCredit: amount } });
+  }
+
+  logger.info(`Referral ${referral._id} rewarded: ${type} of ${amount} to ${referral.referrerId}`);
+
+  try {
+    await createNotification(
+      referral.referrerId,
+      NOTIFICATION_TYPES.REFERRAL,
+      'Referral reward earned',
+      type === 'driver-bonus'
+        ? `A driver you referred completed ${referral.ridesRequired} rides. PKR ${amount} has been added to your earnings.`
+        : `Someone you referred completed ${referral.ridesRequired} rides. PKR ${amount} ride credit has been added to your account.`,
+      { referralId: referral._id, amount }
+    );
+  } catch (error) {
+    logger.error('Referral reward notification error:', error);
+  }
+
+  return referral;
+};
+
+const updateRefereeProgress = async (refereeUserId, countQuery) => {
+  const referral = await Referral.findOne({
+    refereeId: refereeUserId,
+    status: { $in: [REFERRAL_STATUS.PENDING, REFERRAL_STATUS.HELD] },
+    qualifiedAt: null
+  });
+  if (!referral) return;
+
+  referral.ridesCompleted = await Ride.countDocuments({ ...countQuery, status: RIDE_STATUS.COMPLETED });
+  if (referral.ridesCompleted >= referral.ridesRequired) {
+    referral.qualifiedAt = new Date();
+  }
+  await referral.save();
+
+  // Held referrals wait for an admin review before anything is paid
+  if (referral.qualifiedAt && referral.status === REFERRAL_STATUS.PENDING) {
+    await payReferralReward(referral._id);
+  }
+};
+
+/**
+ * Count a completed ride towards the passenger's and driver's own referrals
+ */
+export const recordCompletedRide = async (ride) => {
+  const passengerId = ride.passengerId?._id || ride.passengerId;
+  const driverId = ride.driverId?._id || ride.driverId;
+
+  const [passenger, driver] = await Promise.all([
+    Passenger.findById(passengerId).select('userId'),
+    driverId ? Driver.findById(driverId).select('userId') : null
+  ]);
+
+  if (passenger) {
+    await updateRefereeProgress(passenger.userId, { passengerId });
+  }
+  if (driver) {
+    await updateRefereeProgress(driver.userId, { driverId });
+  }
+};
+
+/**
+ * Use a passenger's ride credit towards a fare. Returns the PKR covered.
+ */
+export const redeemRideCredit = async (passengerId, fare) => {
+  const passenger = await Passenger.findById(passengerId).select('rideCredit');
+  const credit = Math.min(passenger?.rideCredit || 0, fare);
+  if (credit <= 0) return 0;
+
+  // Only succeeds if the balance has not been spent in the meantime
+  const result = await Passenger.updateOne(
+    { _id: passengerId, rideCredit: { $gte: credit } },
+    { $inc: { rideCredit: -credit } }
+  );
+  return result.modifiedCount ? credit : 0;
+};
+
+/**
+ * Pay an exact amount from a passenger's ride credit. Returns false if the balance is too low.
+ */
+export const spendRideCredit = async (passengerId, amount) => {
+  const result = await Passenger.updateOne(
+    { _id: passengerId, rideCredit: { $gte: amount } },
+    { $inc: { rideCredit: -amount } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Referral code, progress of each referee and rewards earned for a user
+ */
+export const getReferralDashboardService = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  const code = await assignReferralCode(user);
+
+  const referrals = await Referral.find({ referrerId: user._id }).sort({ createdAt: -1 });
+
+  // Referee names live on their passenger/driver profiles
+  const refereeIds = referrals.map(referral => referral.refereeId);
+  const [passengers, drivers] = await Promise.all([
+    Passenger.find({ userId: { $in: refereeIds } }).select('userId name'),
+    Driver.find({ userId: { $in: refereeIds } }).select('userId name')
+  ]);
+  const names = new Map([...passengers, ...drivers].map(profile => [profile.userId.toString(), profile.name]));
+
+  const count = (status) => referrals.filter(referral => referral.status === status).length;
+  const passenger = user.role === USER_ROLES.PASSENGER
+    ? await Passenger.findOne({ userId: user._id }).select('rideCredit')
+    : null;
+
+  return {
+    referralCode: code,
+    reward: { ...rewardFor(user.role), ridesRequired: REFERRAL_CONFIG.RIDES_REQUIRED },
+    rideCredit: passenger ? passenger.rideCredit : undefined,
+    stats: {
+      total: referrals.length,
+      pending: count(REFERRAL_STATUS.PENDING),
+      underReview: count(REFERRAL_STATUS.HELD),
+      rewarded: count(REFERRAL_STATUS.REWARDED),
+      totalEarned: referrals
+        .filter(referral => referral.status === REFERRAL_STATUS.REWARDED)
+        .reduce((sum, referral) => sum + referral.reward.amount, 0)
+    },
+    referrals: referrals.map(referral => ({
+      id: referral._id,
+      name: names.get(referral.refereeId.toString()) || null,
+      role: referral.refereeRole,
+      status: referral.status,
+      ridesCompleted: Math.min(referral.ridesCompleted, referral.ridesRequired),
+      ridesRequired: referral.ridesRequired,
+      reward: referral.reward,
+      joinedAt: referral.createdAt
+    }))
+  };
+};
+
+export const listReferralsService = async ({ status, page = 1, limit = 50 }) => {
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const [referrals, total] = await Promise.all([
+    Referral.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('referrerId refereeId', 'email phone role')
+      .populate('reviewedBy', 'name'),
+    Referral.countDocuments(query)
+  ]);
+
+  return {
+    referrals,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Release or reject a held referral (admin). Released referrals that already
+ * qualified are paid straight away.
+ */
+export const reviewReferralService = async (id, { approve, notes }, adminId) => {
+  const referral = await Referral.findOneAndUpdate(
+    { _id: id, status: REFERRAL_STATUS.HELD },
+    {
+      status: approve ? REFERRAL_STATUS.PENDING : REFERRAL_STATUS.REJECTED,
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      reviewNotes: notes
+    },
+    { new: true }
+  );
+  if (!referral) {
+    throw new Error('Referral not found or not held for review');
+  }
+
+  logger.info(`Referral ${referral._id} ${approve ? 'released' : 'rejected'} by admin ${adminId}`);
+
+  if (approve && referral.qualifiedAt) {
+    return (await payReferralReward(referral._id)) || referral;
+  }
+  return referral;
+};
+
+/**
+ * Referral sign-ups, conversions and payouts over a period (admin)
+ */
+export const getReferralReportService = async ({ from, to }) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const isRewarded = { $eq: ['$status', REFERRAL_STATUS.REWARDED] };
+  const [summary] = await Referral.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        signups: { $sum: 1 },
+        qualified: { $sum: { $cond: [{ $ifNull: ['$qualifiedAt', false] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$status', REFERRAL_STATUS.PENDING] }, 1, 0] } },
+        held: { $sum: { $cond: [{ $eq: ['$status', REFERRAL_STATUS.HELD] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', REFERRAL_STATUS.REJECTED] }, 1, 0] } },
+        rewarded: { $sum: { $cond: [isRewarded, 1, 0] } },
+        rideCreditPaid: {
+          $sum: { $cond: [{ $and: [isRewarded, { $eq: ['$reward.type', 'ride-credit'] }] }, '$reward.amount', 0] }
+        },
+        driverBonusPaid: {
+          $sum: { $cond: [{ $and: [isRewarded, { $eq: ['$reward.type', 'driver-bonus'] }] }, '$reward.amount', 0] }
+        }
+      }
+    }
+  ]);
+
+  const byRole = await Referral.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { referrerRole: '$referrerRole', refereeRole: '$refereeRole' },
+        signups: { $sum: 1 },
+        rewarded: { $sum: { $cond: [isRewarded, 1, 0] } },
+        paid: { $sum: { $cond: [isRewarded, '$reward.amount', 0] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        referrerRole: '$_id.referrerRole',
+        refereeRole: '$_id.refereeRole',
+        signups: 1,
+        rewarded: 1,
+        paid: 1
+      }
+    }
+  ]);
+
+  const topReferrers = await Referral.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$referrerId',
+        signups: { $sum: 1 },
+        rewarded: { $sum: { $cond: [isRewarded, 1, 0] } },
+        paid: { $sum: { $cond: [isRewarded, '$reward.amount', 0] } }
+      }
+    },
+    { $sort: { rewarded: -1, signups: -1 } },
+    { $limit: 10 },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        email: '$user.email',
+        role: '$user.role',
+        signups: 1,
+        rewarded: 1,
+        paid: 1
+      }
+    }
+  ]);
+
+  const totals = summary || {
+    signups: 0, qualified: 0, pending: 0, held: 0, rejected: 0, rewarded: 0, rideCreditPaid: 0, driverBonusPaid: 0
+  };
+  delete totals._id;
+
+  return {
+    period: { from: from || null, to: to || null },
+    summary: {
+      ...totals,
+      conversionRate: totals.signups ? Math.round((totals.qualified / totals.signups) * 10000) / 100 : 0,
+      totalPaid: totals.rideCreditPaid + totals.driverBonusPaid
+    },
+    byRole,
+    topReferrers
+  };
+};
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Ride from '../models/Ride.js';
 import Passenger from '../models/Passenger.js';
 import Driver from '../models/Driver.js';
@@ -6,48 +8,227 @@ import Payment from '../models/Payment.js';
 import logger from '../utils/logger.js';
 import { getDistanceFromGoogle, getDirectionsFromGoogle, geocodeAddress, calculateHaversineDistance, estimateTravelTime } from './maps.service.js';
 import socketService from './socket.service.js';
+import driverMatchingService from './driverMatching.service.js';
+import surgeService from './surge.service.js';
+import { getFareTable, resolveCity, calculateWaitingFare } from './fare.service.js';
+import { cleanTrackedPath } from '../utils/trackedPath.js';
+import { createNotification, notifyAdmins } from './notification.service.js';
+import { transitionRide, recordRideCreated, RIDE_ACTORS } from './rideState.service.js';
+import poolService from './pool.service.js';
+import { signFareQuote, verifyFareQuote } from './quote.service.js';
+import { evaluatePromoCode, applyPromoDiscount, redeemPromotion, releaseRedemption } from './promo.service.js';
+import { redeemRideCredit, spendRideCredit } from './referral.service.js';
+import { submitRatingService } from './rating.service.js';
 import { processPayment } from './payment.service.js';
+import { notifyRiderOfDriver, autoShareRide } from './rideShare.service.js';
 import { useSubscriptionCredit } from './subscription.service.js';
-import { USER_ROLES, DRIVER_AVAILABILITY } from '../config/constants.js';
+import { getBlockedDriverIds } from './blocklist.service.js';
+import { monitorRideLocation } from './rideMonitor.service.js';
+import { USER_ROLES, DRIVER_AVAILABILITY, DEFAULT_FARE_CITY, VEHICLE_TYPES, RIDE_STATUS, NOTIFICATION_TYPES, MAX_RIDE_STOPS, RIDE_STOP_STATUS, RIDE_TYPES, DESTINATION_CHANGE_STATUS, FARE_QUOTE_STATUS, TIP_STATUS, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 import { uploadImage } from '../config/cloudinary.js';
+import { formatPhoneNumber, isValidPhone } from '../utils/helpers.js';
 
-// Fare calculation constants
+// Fare calculation constants (rates themselves come from fare tables)
 const FARE_CONFIG = {
-  BASE_FARE: 100,           // Base fare in PKR
-  PER_KM_RATE: 30,          // Per kilometer rate
-  PER_MINUTE_RATE: 5,       // Per minute rate
-  SURGE_MULTIPLIER: 1.0,    // Surge pricing (can be dynamic)
-  CANCELLATION_FEE: 50,     // Cancellation fee
+  SURGE_MULTIPLIER: 1.0,    // Default surge, zone multipliers come from surgeService
   DRIVER_COMMISSION: 0.20,  // 20% commission to platform
-  DRIVER_SEARCH_RADIUS_KM: 5 // Search radius for drivers
+  DRIVER_SEARCH_RADIUS_KM: 5, // Search radius for drivers
+  ARRIVAL_RADIUS_KM: 0.5,    // Driver must be this close to pickup to mark arrived
+  MAX_OVER_ESTIMATE_PERCENT: 20, // Final fare cap above the estimate when the destination was not changed
+  MIN_TRACKED_POINTS: 10, // A tracked path needs this many usable fixes to be billed
+  MAX_TRACKED_GAP_PERCENT: 30 // ...and at most this share of its distance bridged across GPS gaps
 };
 
 /**
- * Calculate fare based on distance and time
+ * Calculate fare based on distance and time, using the fare table
+ * that applied to the city and vehicle type at the given time
  */
-export const calculateFare = (distanceKm, durationMinutes = 0, surgeMultiplier = 1.0) => {
-  const distanceFare = distanceKm * FARE_CONFIG.PER_KM_RATE;
-  const timeFare = durationMinutes * FARE_CONFIG.PER_MINUTE_RATE;
-  const subtotal = FARE_CONFIG.BASE_FARE + distanceFare + timeFare;
-  const totalFare = subtotal * surgeMultiplier;
+export const calculateFare = async (distanceKm, durationMinutes = 0, surgeMultiplier = 1.0, options = {}) => {
+  const { vehicleType = VEHICLE_TYPES.CAR, city = DEFAULT_FARE_CITY, at = new Date(), stops = 0 } = options;
+  const table = await getFareTable({ city, vehicleType, at });
+
+  const distanceFare = distanceKm * table.perKmRate;
+  const timeFare = durationMinutes * table.perMinuteRate;
+  const subtotal = table.baseFare + distanceFare + timeFare;
+  const surgedFare = subtotal * surgeMultiplier;
+  // Booking and stop fees are charged on top and are not surged
+  const stopFee = stops * (table.perStopFee || 0);
+  const totalFare = Math.max(surgedFare, table.minimumFare) + table.bookingFee + stopFee;
 
   return {
-    baseFare: FARE_CONFIG.BASE_FARE,
+    baseFare: table.baseFare,
     distanceFare: Math.round(distanceFare),
     timeFare: Math.round(timeFare),
+    bookingFee: table.bookingFee,
+    stops,
+    stopFee: Math.round(stopFee),
+    minimumFare: table.minimumFare,
+    minimumFareApplied: surgedFare < table.minimumFare,
     subtotal: Math.round(subtotal),
     surgeMultiplier,
     total: Math.round(totalFare),
-    currency: 'PKR'
+    currency: table.currency,
+    fareTable: {
+      id: table._id,
+      city: table.city,
+      version: table.version
+    }
   };
 };
+// Driver must answer a destination change within this time
+const DESTINATION_CHANGE_CONFIG = {
+  RESPONSE_TIMEOUT_SECONDS: 60
+};
+
+// Passengers can tip up to this long after the ride is completed
+const TIP_CONFIG = {
+  WINDOW_HOURS: 24,
+  MAX_AMOUNT: 5000 // PKR
+};
+
+// Trip PIN the passenger gives the driver at pickup
+const START_PIN_CONFIG = {
+  LENGTH: 4,
+  MAX_ATTEMPTS: 3, // Ride is locked after this many wrong PINs
+};
+
+const generateStartPin = () =>
+  crypto.randomInt(0, 10 ** START_PIN_CONFIG.LENGTH).toString().padStart(START_PIN_CONFIG.LENGTH, '0');
+
+/**
+ * Check the PIN a driver entered against the ride's trip PIN.
+ * Wrong PINs are recorded on the ride; too many lock it and alert the passenger and admins.
+ */
+const verifyStartPin = async (ride, pin, location) => {
+  const startPin = ride.safety.startPin;
+
+  // Rides accepted before trip PINs existed have no code to check
+  if (!startPin?.code) return;
+
+  if (startPin.lockedAt) {
+    throw new Error('Too many incorrect PIN attempts. This ride is locked, please contact support.');
+  }
+
+  if (String(pin ?? '').trim() === startPin.code) {
+    startPin.verifiedAt = new Date();
+    return;
+  }
+
+  startPin.failedAttempts.push({
+    at: new Date(),
+    location: location ? { latitude: location.latitude, longitude: location.longitude } : undefined
+  });
+  const attemptsRemaining = Math.max(0, START_PIN_CONFIG.MAX_ATTEMPTS - startPin.failedAttempts.length);
+  if (attemptsRemaining === 0) {
+    startPin.lockedAt = new Date();
+  }
+  await ride.save();
+
+  logger.warn(`Incorrect trip PIN for ride ${ride._id} (${attemptsRemaining} attempt(s) remaining)`);
+
+  const passengerUserId = ride.passengerId?.userId?.toString();
+  try {
+    if (passengerUserId) {
+      socketService.notifyUser(passengerUserId, 'ride:pin_failed', {
+        rideId: ride._id,
+        attemptsRemaining,
+        locked: attemptsRemaining === 0,
+        message: attemptsRemaining === 0
+          ? 'Your driver entered a wrong trip PIN too many times. Do not get in the car and contact support.'
+          : 'Your driver entered a wrong trip PIN. Only share your PIN once you are in the right car.'
+      });
+    }
+
+    if (attemptsRemaining === 0) {
+      await notifyAdmins(
+        NOTIFICATION_TYPES.RIDE,
+        'Trip PIN locked',
+        `Ride ${ride._id} was locked after ${START_PIN_CONFIG.MAX_ATTEMPTS} incorrect trip PIN attempts.`,
+        { rideId: ride._id, driverId: ride.driverId }
+      );
+    }
+  } catch (notifyError) {
+    logger.error('Failed to send trip PIN alert:', notifyError);
+  }
+
+  throw new Error(attemptsRemaining > 0
+    ? `Incorrect trip PIN. ${attemptsRemaining} attempt(s) remaining.`
+    : 'Too many incorrect PIN attempts. This ride is locked, please contact support.');
+};
+
 // Scheduled ride constraints
-const SCHEDULED_RIDE_CONFIG = {
+export const SCHEDULED_RIDE_CONFIG = {
   MIN_ADVANCE_MINUTES: 30,
   MAX_ADVANCE_DAYS: 7,
   ACTIVATION_BUFFER_MINUTES: 15, // Start matching drivers 15 min before scheduled time
 };
 
+/**
+ * Route from pickup through any stops to the dropoff.
+ * Falls back to straight-line legs when Google Maps is unavailable.
+ */
+const getRouteData = async (pickupCoords, dropoffCoords, stops = []) => {
+  try {
+    return await getDirectionsFromGoogle(pickupCoords, dropoffCoords, stops);
+  } catch (error) {
+    logger.warn('Google Maps API failed, using fallback calculation:', error.message);
+
+    const points = [pickupCoords, ...stops, dropoffCoords];
+    const legs = points.slice(1).map((point, index) => {
+      const haversineDistance = calculateHaversineDistance(
+        points[index].latitude,
+        points[index].longitude,
+        point.latitude,
+        point.longitude
+      );
+      return {
+        distance: haversineDistance.distance,
+        duration: estimateTravelTime(haversineDistance.distanceKm).duration
+      };
+    });
+
+    const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+    const duration = legs.reduce((sum, leg) => sum + leg.duration, 0);
+
+    return {
+      distance,
+      duration,
+      distanceText: `${(distance / 1000).toFixed(1)} km`,
+      durationText: `${Math.round(duration / 60)} mins`,
+      polyline: null, // No polyline available in fallback
+      bounds: null,
+      legs,
+      steps: [],
+      waypoints: []
+    };
+  }
+};
+
+/**
+ * Geocode intermediate stops that were sent without coordinates
+ */
+const resolveStops = async (stops = []) => {
+  if (stops.length > MAX_RIDE_STOPS) {
+    throw new Error(`A ride can have at most ${MAX_RIDE_STOPS} stops`);
+  }
+
+  return Promise.all(stops.map(async (stop, index) => {
+    if (!stop?.address) {
+      throw new Error(`Stop ${index + 1} must have an address`);
+    }
+    if (stop.coords?.latitude != null && stop.coords?.longitude != null) {
+      return { address: stop.address, latitude: stop.coords.latitude, longitude: stop.coords.longitude };
+    }
+
+    try {
+      const geocoded = await geocodeAddress(stop.address);
+      return { address: stop.address, latitude: geocoded.latitude, longitude: geocoded.longitude };
+    } catch (error) {
+      throw new Error(`Failed to geocode stop ${index + 1}: ${error.message}`);
+    }
+  }));
+};
+
 export const requestRideService = async (passengerId, rideData) => {
   const {
     pickupLocation,
@@ -58,7 +239,16 @@ export const requestRideService = async (passengerId, rideData) => {
     vehicleType,
     rideType = 'one-time',
     notes,
-    scheduledAt: scheduledAtInput
+    stops: stopsInput = [],
+    seats = 1,
+    scheduledAt: scheduledAtInput,
+    quoteToken,
+    promoCode,
+    driverGenderPreference: driverGenderInput,
+    rider: riderInput,
+    // Set internally when a recurring schedule books an occurrence
+    recurrence,
+    preferredDriverId
   } = rideData;
 
   // Validate required fields
@@ -79,6 +269,28 @@ export const requestRideService = async (passengerId, rideData) => {
     throw new Error('Invalid vehicle type. Must be one of: car, bike, auto');
   }
 
+  // Booking for someone else: the passenger stays the booker, the rider is who gets picked up
+  let rider = null;
+  if (riderInput) {
+    if (!riderInput.name?.trim() || !isValidPhone(riderInput.phone)) {
+      throw new Error('Rider name and a valid phone number are required when booking for someone else');
+    }
+    rider = { name: riderInput.name.trim(), phone: formatPhoneNumber(riderInput.phone) };
+  }
+
+  const isPool = rideType === RIDE_TYPES.POOL;
+  if (isPool) {
+    if (vehicleType === VEHICLE_TYPES.BIKE) {
+      throw new Error('Shared rides are not available for bikes');
+    }
+    if (!Number.isInteger(seats) || seats < 1 || seats > poolService.maxSeatsPerRequest) {
+      throw new Error(`Shared rides can book 1 to ${poolService.maxSeatsPerRequest} seats`);
+    }
+    if (stopsInput.length > 0) {
+      throw new Error('Shared rides cannot have intermediate stops');
+    }
+  }
+
   // Validate scheduled ride time if provided
   let scheduledAt = null;
   if (scheduledAtInput) {
@@ -133,6 +345,9 @@ export const requestRideService = async (passengerId, rideData) => {
     throw new Error('Passenger profile not found');
   }
 
+  // A per-ride choice overrides the passenger's default
+  const driverGenderPreference = driverGenderInput || passenger.driverGenderPreference || DRIVER_GENDER_PREFERENCES.ANY;
+
   // Check if passenger has active subscription for subscription rides
   if (rideType === 'subscription') {
     if (!passenger.hasActiveSubscription()) {
@@ -143,44 +358,69 @@ export const requestRideService = async (passengerId, rideData) => {
     }
   }
 
-  // 2️⃣ Get route information from Google Maps (with fallback)
-  let routeData;
-  try {
-    routeData = await getDirectionsFromGoogle(finalPickupCoords, finalDropoffCoords);
-  } catch (error) {
-    logger.warn('Google Maps API failed, using fallback calculation:', error.message);
-    // Fallback to Haversine distance calculation
-    const haversineDistance = calculateHaversineDistance(
-      finalPickupCoords.latitude,
-      finalPickupCoords.longitude,
-      finalDropoffCoords.latitude,
-      finalDropoffCoords.longitude
-    );
-    const estimatedTime = estimateTravelTime(haversineDistance.distanceKm);
-    
-    routeData = {
-      distance: haversineDistance.distance,
-      duration: estimatedTime.duration,
-      distanceText: haversineDistance.distanceText,
-      durationText: estimatedTime.durationText,
-      polyline: null, // No polyline available in fallback
-      bounds: null,
-      steps: [],
-      waypoints: []
-    };
-  }
-  
+  // 2️⃣ Get route information through any stops (Google Maps with fallback)
+  const stops = await resolveStops(stopsInput);
+  const routeData = await getRouteData(finalPickupCoords, finalDropoffCoords, stops);
+
   const distanceKm = routeData.distance / 1000;
   const durationMinutes = routeData.duration / 60;
 
-  // 3️⃣ Calculate fare
-  const fareBreakdown = calculateFare(distanceKm, durationMinutes);
+  // 3️⃣ Honour the price quoted by the fare estimate while its token is valid, otherwise re-quote.
+  // Quotes include current surge, so they never apply to scheduled rides.
+  const quoteCheck = scheduledAt
+    ? { status: quoteToken ? FARE_QUOTE_STATUS.MISMATCH : FARE_QUOTE_STATUS.MISSING, quote: null }
+    : verifyFareQuote(quoteToken, {
+      pickup: finalPickupCoords,
+      dropoff: finalDropoffCoords,
+      stops,
+      vehicleType
+    });
+  const { quote } = quoteCheck;
+
+  if (quoteToken && !quote) {
+    logger.info(`Fare quote not honoured for passenger ${passengerId} (${quoteCheck.status}), re-quoting`);
+  }
+
+  // Scheduled rides are priced without surge
+  let surge;
+  let city;
+  let soloFare;
+  if (quote) {
+    surge = quote.surge;
+    city = quote.city;
+    soloFare = quote.fare;
+  } else {
+    surge = scheduledAt
+      ? { zone: surgeService.getCell(finalPickupCoords), multiplier: FARE_CONFIG.SURGE_MULTIPLIER, source: 'default' }
+      : await surgeService.getMultiplierForLocation(finalPickupCoords);
+    city = resolveCity(finalPickupCoords);
+    soloFare = await calculateFare(distanceKm, durationMinutes, surge.multiplier, {
+      vehicleType,
+      city,
+      stops: stops.length
+    });
+  }
+  const tripFare = isPool ? poolService.applyDiscount(soloFare) : soloFare;
+
+  // Promo codes come off the fare last; the code is checked now and redeemed when the ride is created
+  let promo = null;
+  if (promoCode) {
+    promo = await evaluatePromoCode(promoCode, {
+      passengerId: passenger._id,
+      vehicleType,
+      city,
+      fareTotal: tripFare.total
+    });
+  }
+  const fareBreakdown = promo
+    ? applyPromoDiscount(tripFare, { code: promo.promotion.code, discount: promo.discount })
+    : tripFare;
 
   // 4️⃣ Check for existing active rides for this passenger (skip for scheduled rides)
   if (!scheduledAt) {
     const existingActiveRide = await Ride.findOne({
       passengerId: passenger._id,
-      status: { $in: ['accepted', 'in-progress'] }
+      status: { $in: ['accepted', 'arrived', 'in-progress'] }
     });
 
     if (existingActiveRide) {
@@ -188,163 +428,140 @@ export const requestRideService = async (passengerId, rideData) => {
     }
   }
 
-  // 5️⃣ Find nearby available drivers (within 5km radius) - skip for scheduled rides
+  // 5️⃣ Find nearby available drivers - skip for scheduled rides
   let availableDrivers = [];
   let nearestDriver = null;
   let driverETA = null;
   let driverETAText = null;
 
   if (!scheduledAt) {
-    const drivers = await Driver.find({
-      'availability.status': DRIVER_AVAILABILITY.AVAILABLE,
-      isApproved: true,
-      'vehicle.vehicleType': vehicleType
-    }).populate({
-      path: 'userId',
-      select: 'name phone',
-      match: { isActive: true, isBlocked: false }
-    }).populate({
-      path: 'vehicle',
-      select: 'vehicleType model color registrationNumber'
-    });
-
-    availableDrivers = drivers.filter(driver => driver.userId !== null);
+    // Nearest first, within the widest radius dispatch may search
+    availableDrivers = await driverMatchingService.getAvailableDrivers(
+      finalPickupCoords,
+      driverMatchingService.maxSearchRadiusKm,
+      { vehicleType, passengerId: passenger._id, driverGender: driverGenderPreference }
+    );
 
     if (!availableDrivers.length) {
+      if (driverGenderPreference !== DRIVER_GENDER_PREFERENCES.ANY) {
+        throw new Error(`No ${driverGenderPreference} drivers available nearby at the moment. Please try again later or book without the driver preference.`);
+      }
       throw new Error('No drivers available at the moment. Please try again later.');
     }
 
-    if (availableDrivers.length > 0) {
-      const driversWithDistance = availableDrivers.map(driver => {
-        if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
-          const driverDistance = calculateHaversineDistance(
-            finalPickupCoords.latitude,
-            finalPickupCoords.longitude,
-            driver.availability.currentLocation.latitude,
-            driver.availability.currentLocation.longitude
-          );
-          const eta = estimateTravelTime(driverDistance.distanceKm, 30);
-          return {
-            driver,
-            distance: driverDistance.distanceKm,
-            eta: eta.duration,
-            etaText: eta.durationText
-          };
-        }
-        return { driver, distance: null, eta: null, etaText: null };
-      }).filter(d => d.distance !== null);
-
-      if (driversWithDistance.length > 0) {
-        nearestDriver = driversWithDistance.reduce((nearest, current) =>
-          current.distance < nearest.distance ? current : nearest
-        );
-        driverETA = nearestDriver.eta;
-        driverETAText = nearestDriver.etaText;
-      }
-    }
+    const eta = estimateTravelTime(availableDrivers[0].distance, 30);
+    nearestDriver = {
+      driver: availableDrivers[0],
+      distance: availableDrivers[0].distance,
+      eta: eta.duration,
+      etaText: eta.durationText
+    };
+    driverETA = nearestDriver.eta;
+    driverETAText = nearestDriver.etaText;
   }
 
-  // 6️⃣ Create ride request
-  const ride = await Ride.create({
-    passengerId: passenger._id,
-    vehicleType,
-    rideType,
-    status: scheduledAt ? 'scheduled' : 'pending',
-    isScheduled: !!scheduledAt,
-    scheduledAt: scheduledAt || undefined,
-    pickup: {
-      location: {
-        latitude: finalPickupCoords.latitude,
-        longitude: finalPickupCoords.longitude
-      },
-      address: pickupLocation
-    },
-    destination: {
-      location: {
-        latitude: finalDropoffCoords.latitude,
-        longitude: finalDropoffCoords.longitude
-      },
-      address: dropoffLocation
-    },
-    route: {
-      distance: routeData.distance,
-      duration: routeData.duration,
-      polyline: routeData.polyline
-    },
-    fare: {
-      estimated: fareBreakdown.total,
-      currency: fareBreakdown.currency,
-      breakdown: fareBreakdown
-    },
-    payment: {
-      method: paymentMethod
-    },
-    notes,
-    priority: 'normal'
-  });
-
-  logger.info(`Ride requested: ${ride._id} by passenger ${passengerId}${scheduledAt ? ` (scheduled for ${scheduledAt.toISOString()})` : ''}`);
+  // 6️⃣ Create ride request, redeeming the promo code against its id first
+  const rideId = new mongoose.Types.ObjectId();
+  let redemption = null;
+  if (promo) {
+    redemption = await redeemPromotion({
+      promotion: promo.promotion,
+      passengerId: passenger._id,
+      rideId,
+      discount: fareBreakdown.promoDiscount,
+      fareBeforeDiscount: tripFare.total
+    });
+  }
 
-  // 7️⃣ Notify nearby drivers via socket (skip for scheduled rides - drivers notified when ride activates)
-  if (!scheduledAt) {
+  let ride;
   try {
-    for (const driver of availableDrivers) {
-      // Calculate driver-specific distance and ETA
-      let driverDistance = null;
-      let driverETA = null;
-
-      if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
-        const distance = calculateHaversineDistance(
-          driver.availability.currentLocation.latitude,
-          driver.availability.currentLocation.longitude,
-          finalPickupCoords.latitude,
-          finalPickupCoords.longitude
-        );
-
-        driverDistance = {
-          km: distance.distanceKm,
-          text: distance.distanceText
-        };
-
-        const eta = estimateTravelTime(distance.distanceKm, 30); // 30 km/h average speed
-        driverETA = {
-          minutes: Math.ceil(eta.duration / 60),
-          text: eta.durationText
-        };
-      }
-
-      socketService.notifyUser(driver.userId.toString(), 'ride:new_request', {
-        rideId: ride._id,
-        pickup: {
-          address: pickupLocation,
-          coordinates: finalPickupCoords
+    ride = await Ride.create({
+      _id: rideId,
+      passengerId: passenger._id,
+      vehicleType,
+      rideType,
+      driverGenderPreference,
+      status: scheduledAt ? 'scheduled' : 'pending',
+      isScheduled: !!scheduledAt,
+      scheduledAt: scheduledAt || undefined,
+      recurrence: recurrence || undefined,
+      rider: rider || undefined,
+      preferredDriverId: preferredDriverId || undefined,
+      pickup: {
+        location: {
+          latitude: finalPickupCoords.latitude,
+          longitude: finalPickupCoords.longitude
         },
-        dropoff: {
-          address: dropoffLocation,
-          coordinates: finalDropoffCoords
+        address: pickupLocation
+      },
+      zone: surge.zone,
+      city,
+      destination: {
+        location: {
+          latitude: finalDropoffCoords.latitude,
+          longitude: finalDropoffCoords.longitude
+        },
+        address: dropoffLocation
+      },
+      stops: stops.map((stop, index) => ({
+        location: {
+          latitude: stop.latitude,
+          longitude: stop.longitude
         },
-        fare: fareBreakdown.total,
+        address: stop.address,
+        order: index + 1
+      })),
+      route: {
         distance: routeData.distance,
         duration: routeData.duration,
-        estimatedFare: fareBreakdown,
-        passenger: {
-          id: passengerId,
-          name: passenger.name,
-          rating: passenger.rating || 0
-        },
-        driverDistance,
-        driverETA,
-        requestedAt: ride.createdAt,
-        priority: ride.priority,
-        paymentMethod: paymentMethod,
-        notes: notes
-      });
+        polyline: routeData.polyline,
+        legs: routeData.legs
+      },
+      fare: {
+        estimated: fareBreakdown.total,
+        currency: fareBreakdown.currency,
+        breakdown: fareBreakdown,
+        quote: {
+          status: quoteCheck.status,
+          quoteId: quote?.quoteId,
+          issuedAt: quote ? new Date(quote.iat * 1000) : undefined,
+          expiresAt: quote ? new Date(quote.exp * 1000) : undefined
+        }
+      },
+      payment: {
+        method: paymentMethod
+      },
+      notes,
+      pool: isPool ? { seats } : undefined,
+      promo: redemption
+        ? {
+          promotionId: promo.promotion._id,
+          redemptionId: redemption._id,
+          code: redemption.code,
+          discount: redemption.discount
+        }
+        : undefined,
+      priority: 'normal'
+    });
+  } catch (error) {
+    if (redemption) {
+      await releaseRedemption(rideId, 'Ride could not be created');
     }
-
-    logger.info(`Notified ${availableDrivers.length} nearby drivers about ride ${ride._id}`);
-  } catch (socketError) {
-    logger.error('Socket notification failed for ride request:', socketError);
+    throw error;
   }
+
+  await recordRideCreated(ride, { role: RIDE_ACTORS.PASSENGER, userId: passengerId });
+
+  logger.info(`Ride requested: ${ride._id} by passenger ${passengerId}${scheduledAt ? ` (scheduled for ${scheduledAt.toISOString()})` : ''}`);
+
+  // 7️⃣ Start dispatching to the best drivers one at a time (scheduled rides are dispatched when they activate)
+  let dispatchResult = null;
+  if (!scheduledAt) {
+    try {
+      dispatchResult = await driverMatchingService.dispatchRide(ride._id);
+    } catch (dispatchError) {
+      logger.error('Dispatch failed to start for ride request:', dispatchError);
+    }
   }
 
   // Calculate estimated arrival time (for immediate rides: now + duration; for scheduled: scheduledAt + duration)
@@ -354,21 +571,9 @@ export const requestRideService = async (passengerId, rideData) => {
 
   // Get nearby drivers count and locations for map display (only for immediate rides)
   const nearbyDriversInfo = availableDrivers.map(driver => {
-    let distanceFromPickup = null;
-    let etaToPickup = null;
-    
-    if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
-      const driverDistance = calculateHaversineDistance(
-        finalPickupCoords.latitude,
-        finalPickupCoords.longitude,
-        driver.availability.currentLocation.latitude,
-        driver.availability.currentLocation.longitude
-      );
-      const eta = estimateTravelTime(driverDistance.distanceKm, 30);
-      distanceFromPickup = driverDistance.distanceKm;
-      etaToPickup = eta.duration;
-    }
-    
+    const distanceFromPickup = driver.distance;
+    const etaToPickup = estimateTravelTime(driver.distance, 30).duration;
+
     return {
       id: driver._id,
       location: driver.availability?.currentLocation || null,
@@ -383,6 +588,11 @@ export const requestRideService = async (passengerId, rideData) => {
     rideId: ride._id,
     estimatedFare: fareBreakdown.total,
     fareBreakdown: fareBreakdown,
+    quote: {
+      status: quoteCheck.status,
+      locked: !!quote
+    },
+    driverGenderPreference,
     distance: routeData.distance,
     distanceText: routeData.distanceText,
     duration: routeData.duration,
@@ -390,12 +600,14 @@ export const requestRideService = async (passengerId, rideData) => {
     route: {
       polyline: routeData.polyline,
       bounds: routeData.bounds,
-      waypoints: routeData.waypoints
+      waypoints: routeData.waypoints,
+      legs: routeData.legs
     },
     pickup: {
       location: finalPickupCoords,
       address: pickupLocation
     },
+    stops: ride.stops,
     destination: {
       location: finalDropoffCoords,
       address: dropoffLocation
@@ -419,10 +631,12 @@ export const requestRideService = async (passengerId, rideData) => {
       eta: Math.ceil(nearestDriver.eta / 60) // in minutes
     } : null,
     status: ride.status,
-    driversNotified: scheduledAt ? 0 : availableDrivers.length,
+    rider: ride.rider?.name ? { name: ride.rider.name, phone: ride.rider.phone } : null,
+    driversNotified: dispatchResult?.success ? 1 : 0,
+    searchTimeoutSeconds: scheduledAt ? null : Math.round(driverMatchingService.maxSearchTime / 1000),
     message: scheduledAt
       ? `Ride scheduled successfully for ${scheduledAt.toLocaleString()}. Drivers will be notified 15 minutes before pickup time.`
-      : `Ride requested successfully. Notified ${availableDrivers.length} nearby drivers.`,
+      : `Ride requested successfully. Searching among ${availableDrivers.length} nearby drivers.`,
     ...(scheduledAt && {
       scheduledAt: scheduledAt.toISOString(),
       scheduledAtFormatted: scheduledAt.toLocaleString(),
@@ -430,12 +644,16 @@ export const requestRideService = async (passengerId, rideData) => {
   };
 };
 export const acceptRideService = async (driverId, rideId) => {
-  const driver = await Driver.findOne({ userId: driverId });
+  const driver = await Driver.findOne({ userId: driverId })
+    .populate('userId', 'phone')
+    .populate('vehicle.vehicleId', 'capacity');
   if (!driver) {
     throw new Error('Driver profile not found');
   }
 
-  if (driver.availability?.status !== 'available') {
+  // Drivers already on a shared trip can take pooled rides offered to them
+  const poolOffer = driverMatchingService.getPoolOffer(rideId, driver._id);
+  if (driver.availability?.status !== 'available' && !poolOffer) {
     throw new Error('Driver is not available');
   }
 
@@ -449,6 +667,21 @@ export const acceptRideService = async (driverId, rideId) => {
     throw new Error('Ride is no longer available');
   }
 
+  if (!(await driverMatchingService.isOfferedTo(rideId, driver._id))) {
+    throw new Error('This ride is currently offered to another driver');
+  }
+
+  // Blocks and a women-driver preference hold however the driver reached the ride
+  const blockedDriverIds = await getBlockedDriverIds(ride.passengerId._id);
+  const genderPreference = ride.driverGenderPreference;
+  if (
+    blockedDriverIds.includes(driver._id.toString()) ||
+    (genderPreference && genderPreference !== DRIVER_GENDER_PREFERENCES.ANY &&
+      (driver.gender !== genderPreference || !driver.genderVerified))
+  ) {
+    throw new Error('This ride is not available to you');
+  }
+
   // 3️⃣ Check if driver is within reasonable distance (5km max)
   if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
     const driverLocation = {
@@ -477,19 +710,73 @@ export const acceptRideService = async (driverId, rideId) => {
     logger.warn(`Driver ${driverId} has no location data, skipping distance validation`);
   }
 
-  // 4️⃣ Update ride with driver and status
-  ride.driverId = driver._id;
-  ride.status = 'accepted';
-  ride.acceptedAt = new Date();
-  await ride.save();
+  // Pooled rides join the driver's shared trip, or start one
+  let pool = null;
+  if (ride.rideType === RIDE_TYPES.POOL) {
+    pool = poolOffer
+      ? await poolService.joinPool(poolOffer.poolId, ride, poolOffer.plan)
+      : await poolService.openPool(ride, driver);
+  }
 
-  // 5️⃣ Update driver availability
-  driver.availability.status = 'busy';
-  driver.availability.lastUpdated = new Date();
-  await driver.save();
+  // 4️⃣ Assign driver (state machine marks the driver busy and stops dispatch)
+  try {
+    await transitionRide(ride, RIDE_STATUS.ACCEPTED, {
+      actor: { role: RIDE_ACTORS.DRIVER, userId: driverId },
+      location: driver.availability?.currentLocation,
+      updates: {
+        driverId: driver._id,
+        'safety.startPin': {
+          code: generateStartPin(),
+          generatedAt: new Date(),
+          failedAttempts: []
+        },
+        ...(pool && { 'pool.poolId': pool._id, 'pool.joinedAt': new Date() })
+      }
+    });
+  } catch (error) {
+    // Give the seats back if the ride was taken in the meantime
+    if (pool) {
+      await poolService.releaseRide(pool._id, ride);
+    }
+    throw error;
+  }
+
+  if (pool) {
+    await poolService.notifyDriver(pool);
+  }
+
+  try {
+    await driverMatchingService.recordOfferAccepted(ride._id, driver._id);
+  } catch (offerError) {
+    logger.error('Failed to record accepted ride offer:', offerError);
+  }
 
   logger.info(`Ride ${rideId} accepted by driver ${driverId}`);
 
+  // Calculate ETA and distance for response
+  let driverDistance = null;
+  let driverETA = null;
+
+  if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
+    const distance = calculateHaversineDistance(
+      driver.availability.currentLocation.latitude,
+      driver.availability.currentLocation.longitude,
+      ride.pickup.location.latitude,
+      ride.pickup.location.longitude
+    );
+
+    driverDistance = {
+      km: distance.distanceKm,
+      text: distance.distanceText
+    };
+
+    const eta = estimateTravelTime(distance.distanceKm, 30); // 30 km/h average speed
+    driverETA = {
+      minutes: Math.ceil(eta.duration / 60),
+      text: eta.durationText
+    };
+  }
+
   // 6️⃣ Notify passenger via socket and add to active rides tracking
   try {
     // Add to active rides tracking in socket service
@@ -517,6 +804,8 @@ export const acceptRideService = async (driverId, rideId) => {
         address: ride.pickup.address,
         coordinates: ride.pickup.location
       },
+      // Only the passenger receives the PIN; they tell it to the driver at pickup
+      startPin: ride.safety.startPin.code,
       message: 'Driver found! Your ride is on the way.'
     });
 
@@ -526,28 +815,20 @@ export const acceptRideService = async (driverId, rideId) => {
     // Don't fail the ride acceptance if socket fails
   }
 
-  // Calculate ETA and distance for response
-  let driverDistance = null;
-  let driverETA = null;
-
-  if (driver.availability?.currentLocation?.latitude && driver.availability?.currentLocation?.longitude) {
-    const distance = calculateHaversineDistance(
-      driver.availability.currentLocation.latitude,
-      driver.availability.currentLocation.longitude,
-      ride.pickup.location.latitude,
-      ride.pickup.location.longitude
-    );
-
-    driverDistance = {
-      km: distance.distanceKm,
-      text: distance.distanceText
-    };
+  // Someone riding on another person's booking has no app; they get the driver and PIN by SMS
+  if (ride.rider?.phone) {
+    try {
+      await notifyRiderOfDriver(ride, driver);
+    } catch (smsError) {
+      logger.error(`Failed to text rider for ride ${rideId}:`, smsError);
+    }
+  }
 
-    const eta = estimateTravelTime(distance.distanceKm, 30); // 30 km/h average speed
-    driverETA = {
-      minutes: Math.ceil(eta.duration / 60),
-      text: eta.durationText
-    };
+  // Passengers with auto-share on have their chosen emergency contacts texted a live link
+  try {
+    await autoShareRide(ride, driver);
+  } catch (shareError) {
+    logger.error(`Failed to auto-share ride ${rideId}:`, shareError);
   }
 
   return {
@@ -576,17 +857,118 @@ export const acceptRideService = async (driverId, rideId) => {
   };
 };
 
+/**
+ * Mark driver as arrived at pickup (Driver)
+ * Starts the waiting clock that is charged after the grace period
+ */
+export const markArrivedService = async (driverId, rideId, currentCoords) => {
+  // 1️⃣ Validate driver and ride
+  const driver = await Driver.findOne({ userId: driverId });
+  if (!driver) {
+    throw new Error('Driver not found');
+  }
+
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId name');
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  if (!ride.driverId || ride.driverId.toString() !== driver._id.toString()) {
+    throw new Error('You are not assigned to this ride');
+  }
+
+  if (ride.status !== RIDE_STATUS.ACCEPTED) {
+    throw new Error('Ride cannot be marked as arrived at this stage');
+  }
+
+  // 2️⃣ Check the driver is actually at the pickup
+  const driverLocation = currentCoords?.latitude != null && currentCoords?.longitude != null
+    ? currentCoords
+    : driver.availability?.currentLocation;
+
+  if (driverLocation?.latitude != null && driverLocation?.longitude != null) {
+    const distance = calculateHaversineDistance(
+      driverLocation.latitude,
+      driverLocation.longitude,
+      ride.pickup.location.latitude,
+      ride.pickup.location.longitude
+    );
+
+    if (distance.distanceKm > FARE_CONFIG.ARRIVAL_RADIUS_KM) {
+      throw new Error(`You are not at the pickup location yet (${distance.distanceKm.toFixed(2)} km away)`);
+    }
+  } else {
+    logger.warn(`Driver ${driverId} has no location data, skipping arrival distance check`);
+  }
+
+  // 3️⃣ Update ride status
+  await transitionRide(ride, RIDE_STATUS.ARRIVED, {
+    actor: { role: RIDE_ACTORS.DRIVER, userId: driverId },
+    location: driverLocation
+  });
+
+  const fareTable = await getFareTable({
+    city: ride.city || resolveCity(ride.pickup.location),
+    vehicleType: ride.vehicleType,
+    at: ride.requestedAt
+  });
+  const waitingPolicy = calculateWaitingFare(0, fareTable);
+
+  logger.info(`Driver ${driverId} arrived at pickup for ride ${rideId}`);
+
+  // 4️⃣ Notify passenger
+  const passengerUserId = ride.passengerId.userId.toString();
+  const arrivalMessage = waitingPolicy.ratePerMinute > 0
+    ? `Your driver has arrived. Waiting is free for ${waitingPolicy.graceMinutes} minutes, then PKR ${waitingPolicy.ratePerMinute} per minute.`
+    : 'Your driver has arrived at the pickup location.';
+
+  try {
+    socketService.notifyUser(passengerUserId, 'ride:driver_arrived', {
+      rideId: ride._id,
+      arrivedAt: ride.arrivedAt,
+      waiting: {
+        graceMinutes: waitingPolicy.graceMinutes,
+        ratePerMinute: waitingPolicy.ratePerMinute
+      },
+      message: arrivalMessage
+    });
+
+    await createNotification(
+      passengerUserId,
+      NOTIFICATION_TYPES.RIDE,
+      'Driver arrived',
+      arrivalMessage,
+      { rideId: ride._id }
+    );
+  } catch (notifyError) {
+    logger.error('Failed to notify passenger of driver arrival:', notifyError);
+  }
+
+  return {
+    rideId: ride._id,
+    status: ride.status,
+    arrivedAt: ride.arrivedAt,
+    waiting: {
+      graceMinutes: waitingPolicy.graceMinutes,
+      ratePerMinute: waitingPolicy.ratePerMinute
+    },
+    message: 'Passenger notified of your arrival'
+  };
+};
+
 /**
  * Start a ride (Driver)
  */
-export const startRideService = async (driverId, rideId, startCoords, driverPhotoFile) => {
+export const startRideService = async (driverId, rideId, startCoords, driverPhotoFile, pin) => {
   // 1️⃣ Validate driver and ride
   const driver = await Driver.findOne({ userId: driverId });
   if (!driver) {
     throw new Error('Driver not found');
   }
 
-  const ride = await Ride.findById(rideId);
+  const ride = await Ride.findById(rideId)
+    .select('+safety.startPin.code')
+    .populate('passengerId', 'userId');
   if (!ride) {
     throw new Error('Ride not found');
   }
@@ -595,10 +977,13 @@ export const startRideService = async (driverId, rideId, startCoords, driverPhot
     throw new Error('You are not assigned to this ride');
   }
 
-  if (ride.status !== 'accepted') {
+  if (![RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED].includes(ride.status)) {
     throw new Error('Ride cannot be started at this stage');
   }
 
+  // Trip PIN proves the right passenger is in the right car
+  await verifyStartPin(ride, pin, startCoords);
+
   // 2️⃣ Upload and validate driver photo
   logger.info('Uploading driver photo for ride verification...');
   let driverPhotoUrl;
@@ -620,9 +1005,23 @@ export const startRideService = async (driverId, rideId, startCoords, driverPhot
   // 3️⃣ Perform safety checks (helmet, seatbelt detection)
   // TODO: Integrate with image processing service
 
-  // 3️⃣ Update ride status and tracking
-  ride.status = 'in-progress';
-  ride.startedAt = new Date();
+  // 3️⃣ Update ride status and tracking
+  await transitionRide(ride, RIDE_STATUS.IN_PROGRESS, {
+    actor: { role: RIDE_ACTORS.DRIVER, userId: driverId },
+    location: startCoords
+  });
+
+  // Settle the time the driver waited at pickup
+  if (ride.arrivedAt) {
+    const fareTable = await getFareTable({
+      city: ride.city || resolveCity(ride.pickup.location),
+      vehicleType: ride.vehicleType,
+      at: ride.requestedAt
+    });
+    const { waitingFare, ...waiting } = calculateWaitingFare((ride.startedAt - ride.arrivedAt) / 1000, fareTable);
+    ride.waiting = waiting;
+    ride.fare.breakdown.waitingFare = waitingFare;
+  }
   ride.tracking = {
     startLocation: {
       latitude: startCoords.latitude,
@@ -662,6 +1061,11 @@ export const startRideService = async (driverId, rideId, startCoords, driverPhot
       url: driverPhotoUrl,
       uploadedAt: ride.safety.driverPhotoUploadedAt
     },
+    waiting: ride.arrivedAt ? {
+      minutes: Math.round(ride.waiting.seconds / 60),
+      chargeableMinutes: ride.waiting.chargeableMinutes,
+      waitingFare: ride.fare.breakdown.waitingFare
+    } : null,
     message: 'Ride started successfully with driver verification'
   };
 };
@@ -672,12 +1076,17 @@ export const startRideService = async (driverId, rideId, startCoords, driverPhot
 export const updateRideLocationService = async (driverId, rideId, locationData) => {
   const { latitude, longitude, speed, heading } = locationData;
 
-  const ride = await Ride.findById(rideId);
+  const driver = await Driver.findOne({ userId: driverId }).select('_id');
+  if (!driver) {
+    throw new Error('Driver not found');
+  }
+
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId');
   if (!ride) {
     throw new Error('Ride not found');
   }
 
-  if (ride.driverId.toString() !== driverId) {
+  if (!ride.driverId || ride.driverId.toString() !== driver._id.toString()) {
     throw new Error('Unauthorized');
   }
 
@@ -714,6 +1123,19 @@ export const updateRideLocationService = async (driverId, rideId, locationData)
     speed: speed || null,
     heading: heading || null
   });
+  socketService.emitToRideShares(ride._id.toString(), 'share:location', {
+    rideId: ride._id,
+    location: ride.tracking.currentLocation,
+    heading: heading || null,
+    timestamp: ride.tracking.currentLocation.timestamp
+  });
+
+  // Safety monitoring must never fail the location update itself
+  try {
+    await monitorRideLocation(ride, ride.tracking.currentLocation);
+  } catch (error) {
+    logger.error(`Ride monitor failed for ride ${ride._id}:`, error);
+  }
 
   return {
     rideId: ride._id,
@@ -722,6 +1144,402 @@ export const updateRideLocationService = async (driverId, rideId, locationData)
   };
 };
 
+/**
+ * Ask the driver to take the ride to a new destination (Passenger)
+ * Re-routes from the car's current position and re-quotes the whole trip
+ */
+export const requestDestinationChangeService = async (userId, rideId, { dropoffLocation, dropoffCoords }) => {
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId name').populate('driverId', 'userId');
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  if (ride.passengerId.userId.toString() !== userId) {
+    throw new Error('Unauthorized to change this ride');
+  }
+
+  if (![RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED, RIDE_STATUS.IN_PROGRESS].includes(ride.status)) {
+    throw new Error('Destination can only be changed once a driver has accepted the ride');
+  }
+
+  if (ride.rideType === RIDE_TYPES.POOL) {
+    throw new Error('Destination cannot be changed on a shared ride');
+  }
+
+  const now = new Date();
+  const openChange = ride.destinationChanges.find(change => change.status === DESTINATION_CHANGE_STATUS.PENDING);
+  if (openChange && openChange.expiresAt > now) {
+    throw new Error('A destination change is already waiting for the driver');
+  }
+  if (openChange) {
+    openChange.status = DESTINATION_CHANGE_STATUS.EXPIRED;
+  }
+
+  let newCoords = dropoffCoords;
+  if (newCoords?.latitude == null || newCoords?.longitude == null) {
+    try {
+      newCoords = await geocodeAddress(dropoffLocation);
+    } catch (error) {
+      throw new Error(`Failed to geocode new destination: ${error.message}`);
+    }
+  }
+
+  // Route from where the car is now; before the trip starts that is the pickup
+  const started = ride.status === RIDE_STATUS.IN_PROGRESS;
+  const currentLocation = started && ride.tracking?.currentLocation?.latitude != null
+    ? ride.tracking.currentLocation
+    : ride.pickup.location;
+  const origin = { latitude: currentLocation.latitude, longitude: currentLocation.longitude };
+  const remainingStops = (ride.stops || [])
+    .filter(stop => stop.status !== RIDE_STOP_STATUS.REACHED)
+    .map(stop => ({ latitude: stop.location.latitude, longitude: stop.location.longitude }));
+
+  const routeData = await getRouteData(
+    origin,
+    { latitude: newCoords.latitude, longitude: newCoords.longitude },
+    remainingStops
+  );
+
+  // Whole trip = what has been driven so far + the new remaining route
+  const travelledDistance = started ? cleanTrackedPath(ride.tracking.path).distance : 0;
+  const travelledDuration = started && ride.startedAt ? Math.round((now - ride.startedAt) / 1000) : 0;
+
+  const tripFare = await calculateFare(
+    (travelledDistance + routeData.distance) / 1000,
+    (travelledDuration + routeData.duration) / 60,
+    ride.fare.breakdown?.surgeMultiplier || FARE_CONFIG.SURGE_MULTIPLIER,
+    {
+      vehicleType: ride.vehicleType,
+      city: ride.city || resolveCity(ride.pickup.location),
+      at: ride.requestedAt,
+      stops: ride.stops?.length || 0
+    }
+  );
+  // The promo discount redeemed at booking still applies
+  const fareBreakdown = ride.promo?.code ? applyPromoDiscount(tripFare, ride.promo) : tripFare;
+
+  ride.destinationChanges.push({
+    previousDestination: ride.destination,
+    newDestination: {
+      location: { latitude: newCoords.latitude, longitude: newCoords.longitude },
+      address: dropoffLocation
+    },
+    requestedFrom: origin,
+    travelledDistance: Math.round(travelledDistance),
+    travelledDuration,
+    route: {
+      distance: routeData.distance,
+      duration: routeData.duration,
+      polyline: routeData.polyline
+    },
+    previousEstimate: ride.fare.estimated,
+    newEstimate: fareBreakdown.total,
+    fareBreakdown,
+    requestedAt: now,
+    expiresAt: new Date(now.getTime() + DESTINATION_CHANGE_CONFIG.RESPONSE_TIMEOUT_SECONDS * 1000)
+  });
+  await ride.save();
+
+  const change = ride.destinationChanges[ride.destinationChanges.length - 1];
+
+  logger.info(`Destination change requested for ride ${rideId}: PKR ${change.previousEstimate} -> ${change.newEstimate}`);
+
+  try {
+    socketService.notifyUser(ride.driverId.userId.toString(), 'ride:destination_change_requested', {
+      rideId: ride._id,
+      changeId: change._id,
+      passengerName: ride.passengerId.name,
+      previousDestination: change.previousDestination,
+      newDestination: change.newDestination,
+      route: change.route,
+      previousEstimate: change.previousEstimate,
+      newEstimate: change.newEstimate,
+      expiresAt: change.expiresAt,
+      message: `Passenger wants to go to ${dropoffLocation} instead`
+    });
+  } catch (socketError) {
+    logger.error('Failed to send destination change to driver:', socketError);
+  }
+
+  return {
+    rideId: ride._id,
+    changeId: change._id,
+    status: change.status,
+    newDestination: change.newDestination,
+    route: change.route,
+    previousEstimate: change.previousEstimate,
+    newEstimate: change.newEstimate,
+    fareBreakdown,
+    expiresAt: change.expiresAt,
+    message: 'Waiting for the driver to accept the new destination'
+  };
+};
+
+/**
+ * Accept or reject a requested destination change (Driver)
+ */
+export const respondDestinationChangeService = async (driverUserId, rideId, changeId, accepted) => {
+  const driver = await Driver.findOne({ userId: driverUserId }).select('_id');
+  if (!driver) {
+    throw new Error('Driver not found');
+  }
+
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId');
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  if (!ride.driverId || ride.driverId.toString() !== driver._id.toString()) {
+    throw new Error('You are not assigned to this ride');
+  }
+
+  const change = ride.destinationChanges.id(changeId);
+  if (!change || change.status !== DESTINATION_CHANGE_STATUS.PENDING) {
+    throw new Error('No pending destination change found');
+  }
+
+  const now = new Date();
+  if (change.expiresAt <= now) {
+    change.status = DESTINATION_CHANGE_STATUS.EXPIRED;
+    await ride.save();
+    throw new Error('Destination change request has expired');
+  }
+
+  if (![RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED, RIDE_STATUS.IN_PROGRESS].includes(ride.status)) {
+    throw new Error('Ride can no longer be changed');
+  }
+
+  change.status = accepted ? DESTINATION_CHANGE_STATUS.ACCEPTED : DESTINATION_CHANGE_STATUS.REJECTED;
+  change.respondedAt = now;
+
+  if (accepted) {
+    ride.destination = {
+      location: {
+        latitude: change.newDestination.location.latitude,
+        longitude: change.newDestination.location.longitude
+      },
+      address: change.newDestination.address
+    };
+    ride.route.distance = change.travelledDistance + change.route.distance;
+    ride.route.duration = change.travelledDuration + change.route.duration;
+    ride.route.polyline = change.route.polyline;
+    ride.route.legs = [];
+    ride.fare.estimated = change.newEstimate;
+    // Waiting already charged at pickup stays on the fare
+    ride.fare.breakdown = {
+      ...change.fareBreakdown,
+      waitingFare: ride.fare.breakdown?.waitingFare
+    };
+  }
+  await ride.save();
+
+  logger.info(`Destination change ${changeId} for ride ${rideId} ${change.status} by driver ${driverUserId}`);
+
+  try {
+    socketService.notifyUser(ride.passengerId.userId.toString(), `ride:destination_change_${change.status}`, {
+      rideId: ride._id,
+      changeId: change._id,
+      destination: ride.destination,
+      estimatedFare: ride.fare.estimated,
+      message: accepted
+        ? `Your driver is heading to ${change.newDestination.address}. New estimated fare: PKR ${change.newEstimate}`
+        : 'Your driver declined the destination change'
+    });
+  } catch (socketError) {
+    logger.error('Failed to send destination change response to passenger:', socketError);
+  }
+
+  return {
+    rideId: ride._id,
+    changeId: change._id,
+    status: change.status,
+    destination: ride.destination,
+    estimatedFare: ride.fare.estimated
+  };
+};
+
+/**
+ * Mark an intermediate stop as reached (Driver)
+ * Stops are visited in order; the passenger is notified of each one
+ */
+export const markStopReachedService = async (driverId, rideId, stopIndex, currentCoords) => {
+  const driver = await Driver.findOne({ userId: driverId });
+  if (!driver) {
+    throw new Error('Driver not found');
+  }
+
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId');
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  if (!ride.driverId || ride.driverId.toString() !== driver._id.toString()) {
+    throw new Error('You are not assigned to this ride');
+  }
+
+  if (ride.status !== RIDE_STATUS.IN_PROGRESS) {
+    throw new Error('Stops can only be marked once the ride has started');
+  }
+
+  const stop = ride.stops?.[stopIndex];
+  if (!stop) {
+    throw new Error('Stop not found');
+  }
+  if (stop.status === RIDE_STOP_STATUS.REACHED) {
+    throw new Error('Stop has already been reached');
+  }
+  if (ride.stops.slice(0, stopIndex).some(previous => previous.status !== RIDE_STOP_STATUS.REACHED)) {
+    throw new Error('Previous stops must be reached first');
+  }
+
+  // Check the driver is actually at the stop
+  const driverLocation = currentCoords?.latitude != null && currentCoords?.longitude != null
+    ? currentCoords
+    : driver.availability?.currentLocation;
+
+  if (driverLocation?.latitude != null && driverLocation?.longitude != null) {
+    const distance = calculateHaversineDistance(
+      driverLocation.latitude,
+      driverLocation.longitude,
+      stop.location.latitude,
+      stop.location.longitude
+    );
+
+    if (distance.distanceKm > FARE_CONFIG.ARRIVAL_RADIUS_KM) {
+      throw new Error(`You are not at stop ${stopIndex + 1} yet (${distance.distanceKm.toFixed(2)} km away)`);
+    }
+  } else {
+    logger.warn(`Driver ${driverId} has no location data, skipping stop distance check`);
+  }
+
+  stop.status = RIDE_STOP_STATUS.REACHED;
+  stop.reachedAt = new Date();
+  await ride.save();
+
+  const remainingStops = ride.stops.filter(s => s.status !== RIDE_STOP_STATUS.REACHED).length;
+
+  logger.info(`Ride ${rideId}: stop ${stopIndex + 1} reached by driver ${driverId}`);
+
+  try {
+    socketService.notifyUser(ride.passengerId.userId.toString(), 'ride:stop_reached', {
+      rideId: ride._id,
+      stopIndex,
+      address: stop.address,
+      reachedAt: stop.reachedAt,
+      remainingStops,
+      message: `Your driver has reached stop ${stopIndex + 1}: ${stop.address}`
+    });
+  } catch (socketError) {
+    logger.error('Failed to notify passenger of reached stop:', socketError);
+  }
+
+  return {
+    rideId: ride._id,
+    stopIndex,
+    stop,
+    remainingStops,
+    message: 'Stop marked as reached'
+  };
+};
+
+/**
+ * Work out the final trip fare (before waiting charges) from the tracked path when it
+ * covers the trip well enough. Falls back to the distance the driver app reported, then to the estimate.
+ * Unless the passenger changed destination, the fare is capped at the estimate
+ * plus FARE_CONFIG.MAX_OVER_ESTIMATE_PERCENT, and a ride booked on an honoured
+ * quote is charged exactly the quoted (estimated) fare.
+ */
+export const reconcileFinalFare = async (ride, { endCoords, finalDistance, finalDuration }) => {
+  const now = new Date();
+  const trail = [...(ride.tracking?.path || [])];
+  if (endCoords?.latitude != null && endCoords?.longitude != null) {
+    trail.push({ latitude: endCoords.latitude, longitude: endCoords.longitude, timestamp: now });
+  }
+  const cleaned = cleanTrackedPath(trail);
+
+  // A sparse or mostly bridged trail measures close to a straight line and would under-bill
+  const gapPercent = cleaned.distance > 0 ? (cleaned.gapDistance / cleaned.distance) * 100 : 100;
+  const pathCovered = cleaned.points.length >= FARE_CONFIG.MIN_TRACKED_POINTS &&
+    gapPercent <= FARE_CONFIG.MAX_TRACKED_GAP_PERCENT;
+
+  let source = 'estimate';
+  let distance = ride.route?.distance || 0;
+  if (pathCovered) {
+    source = 'tracked-path';
+    distance = cleaned.distance;
+  } else if (finalDistance) {
+    source = 'reported';
+    distance = finalDistance;
+  }
+  const duration = ride.startedAt
+    ? Math.round((now - ride.startedAt) / 1000)
+    : finalDuration || ride.route?.duration || 0;
+
+  const routeChanged = (ride.destinationChanges || [])
+    .some(change => change.status === DESTINATION_CHANGE_STATUS.ACCEPTED);
+  // The upfront price holds unless the passenger asked to go somewhere else
+  const quoteLocked = ride.fare.quote?.status === FARE_QUOTE_STATUS.HONOURED && !routeChanged;
+
+  const estimatedFare = ride.fare.estimated;
+  let trackedFare = estimatedFare;
+  if (source !== 'estimate' && !quoteLocked) {
+    // Keep the surge the passenger was quoted at request time
+    const fareBreakdown = await calculateFare(
+      distance / 1000,
+      duration / 60,
+      ride.fare.breakdown?.surgeMultiplier || FARE_CONFIG.SURGE_MULTIPLIER,
+      {
+        vehicleType: ride.vehicleType,
+        city: ride.city || resolveCity(ride.pickup.location),
+        at: ride.requestedAt,
+        stops: ride.stops?.length || 0
+      }
+    );
+    let tripFare = ride.rideType === RIDE_TYPES.POOL
+      ? poolService.applyDiscount(fareBreakdown)
+      : fareBreakdown;
+    // The promo discount redeemed at booking is a fixed amount
+    if (ride.promo?.code) {
+      tripFare = applyPromoDiscount(tripFare, ride.promo);
+    }
+    trackedFare = tripFare.total;
+  }
+
+  const capFare = Math.round(estimatedFare * (1 + FARE_CONFIG.MAX_OVER_ESTIMATE_PERCENT / 100));
+  const capApplied = !routeChanged && !quoteLocked && trackedFare > capFare;
+  const finalFare = quoteLocked ? estimatedFare : (capApplied ? capFare : trackedFare);
+
+  const estimatedDistance = ride.route?.distance || 0;
+
+  return {
+    source,
+    estimatedDistance,
+    estimatedDuration: ride.route?.duration || 0,
+    distance,
+    duration,
+    distanceDeviationPercent: estimatedDistance
+      ? Math.round(((distance - estimatedDistance) / estimatedDistance) * 10000) / 100
+      : null,
+    reportedDistance: finalDistance || null,
+    path: {
+      totalPoints: cleaned.totalPoints,
+      usedPoints: cleaned.points.length,
+      removed: cleaned.removed,
+      gaps: cleaned.gaps,
+      gapDistance: cleaned.gapDistance,
+      covered: pathCovered
+    },
+    estimatedFare,
+    trackedFare,
+    capPercent: FARE_CONFIG.MAX_OVER_ESTIMATE_PERCENT,
+    capFare,
+    capApplied,
+    routeChanged,
+    quoteLocked,
+    finalFare
+  };
+};
+
 /**
  * Complete a ride (Driver)
  */
@@ -747,19 +1565,27 @@ export const completeRideService = async (driverId, rideId, completionData) => {
     throw new Error('Ride is not in progress');
   }
 
-  // 2️⃣ Calculate final fare (if distance-based payment)
-  let finalFare = ride.fare.estimated;
-  if (ride.payment.method !== 'cash' && finalDistance) {
-    const actualDistanceKm = finalDistance / 1000;
-    const actualDurationMin = finalDuration / 60;
-    const fareBreakdown = calculateFare(actualDistanceKm, actualDurationMin);
-    finalFare = fareBreakdown.total;
-  }
+  // 2️⃣ Calculate final fare from the trip actually driven
+  const reconciliation = await reconcileFinalFare(ride, { endCoords, finalDistance, finalDuration });
+  let finalFare = reconciliation.finalFare;
+
+  // Waiting at pickup is charged on top of the trip fare
+  const waitingFare = ride.fare.breakdown?.waitingFare || 0;
+  finalFare += waitingFare;
+
+  // 3️⃣ Complete the ride (state machine frees the driver)
+  await transitionRide(ride, RIDE_STATUS.COMPLETED, {
+    actor: { role: RIDE_ACTORS.DRIVER, userId: driverId },
+    location: endCoords
+  });
+
+  // Referral ride credit covers part of the fare; the driver is still paid on the full fare
+  const creditApplied = await redeemRideCredit(ride.passengerId._id, finalFare);
+  const amountDue = finalFare - creditApplied;
 
-  // 3️⃣ Complete the ride
-  ride.status = 'completed';
-  ride.completedAt = new Date();
   ride.fare.final = finalFare;
+  ride.fare.creditApplied = creditApplied;
+  ride.fare.reconciliation = reconciliation;
   ride.tracking.endLocation = {
     latitude: endCoords.latitude,
     longitude: endCoords.longitude
@@ -767,10 +1593,7 @@ export const completeRideService = async (driverId, rideId, completionData) => {
 
   await ride.save();
 
-  // 4️⃣ Update driver availability and earnings
-  driver.availability.status = DRIVER_AVAILABILITY.AVAILABLE;
-  driver.availability.lastUpdated = new Date();
-
+  // 4️⃣ Update driver earnings
   // Calculate driver earnings (after platform commission)
   const driverEarnings = finalFare * (1 - FARE_CONFIG.DRIVER_COMMISSION);
   driver.earnings.total += driverEarnings;
@@ -781,11 +1604,11 @@ export const completeRideService = async (driverId, rideId, completionData) => {
 
   // 5️⃣ Process payment
   let paymentResult = null;
-  if (ride.payment.method !== 'cash') {
+  if (ride.payment.method !== 'cash' && amountDue > 0) {
     try {
       paymentResult = await processPayment({
         rideId: ride._id,
-        amount: finalFare,
+        amount: amountDue,
         method: ride.payment.method,
         userId: ride.passengerId.userId
       });
@@ -797,7 +1620,7 @@ export const completeRideService = async (driverId, rideId, completionData) => {
       ride.payment.status = 'failed';
     }
   } else {
-    // Cash payment - mark as completed
+    // Cash payment (or fully covered by ride credit) - mark as completed
     ride.payment.status = 'completed';
     ride.payment.paidAt = new Date();
   }
@@ -827,6 +1650,16 @@ export const completeRideService = async (driverId, rideId, completionData) => {
     rideId: ride._id,
     status: ride.status,
     finalFare,
+    waitingFare,
+    creditApplied,
+    amountDue,
+    fareReconciliation: {
+      source: reconciliation.source,
+      distance: reconciliation.distance,
+      duration: reconciliation.duration,
+      estimatedFare: reconciliation.estimatedFare,
+      capApplied: reconciliation.capApplied
+    },
     paymentStatus: ride.payment.status,
     completedAt: ride.completedAt,
     driverEarnings,
@@ -838,7 +1671,7 @@ export const completeRideService = async (driverId, rideId, completionData) => {
  * Cancel a ride (Passenger or Driver)
  */
 export const cancelRideService = async (userId, userRole, rideId, cancellationData) => {
-  const { reason } = cancellationData;
+  const { reason, cancellationFee = 0 } = cancellationData;
 
   const ride = await Ride.findById(rideId).populate('passengerId driverId');
   if (!ride) {
@@ -851,77 +1684,55 @@ export const cancelRideService = async (userId, userRole, rideId, cancellationDa
 
   if (userRole === USER_ROLES.PASSENGER && ride.passengerId.userId.toString() === userId) {
     isAuthorized = true;
-    cancelledBy = 'passenger';
+    cancelledBy = RIDE_ACTORS.PASSENGER;
   } else if (userRole === USER_ROLES.DRIVER && ride.driverId && ride.driverId.userId.toString() === userId) {
     isAuthorized = true;
-    cancelledBy = 'driver';
+    cancelledBy = RIDE_ACTORS.DRIVER;
   }
 
   if (!isAuthorized) {
     throw new Error('Unauthorized to cancel this ride');
   }
 
-  // Ride may already be cancelled by processCancellation (called from controller)
-  const alreadyCancelled = ride.status === 'cancelled';
-  if (!alreadyCancelled && !['scheduled', 'pending', 'accepted'].includes(ride.status)) {
-    throw new Error('Ride cannot be cancelled at this stage');
-  }
-
-  // Apply cancellation fee if applicable (no fee for scheduled/pending - driver not yet assigned)
-  let cancellationFee = 0;
-  if (ride.status === 'accepted') {
-    cancellationFee = FARE_CONFIG.CANCELLATION_FEE;
-  }
-
-  // Update ride (only if not already cancelled by processCancellation)
-  if (!alreadyCancelled) {
-    ride.status = 'cancelled';
-    ride.cancelledBy = cancelledBy;
-    ride.cancellationReason = reason;
-    ride.cancellationFee = cancellationFee;
-    ride.cancelledAt = new Date();
-    await ride.save();
-  }
-
-  const effectiveCancelledBy = ride.cancelledBy || cancelledBy;
-
-  // Update driver availability if assigned
-  if (ride.driverId) {
-    await Driver.findByIdAndUpdate(ride.driverId, {
-      'availability.status': 'available',
-      'availability.lastUpdated': new Date()
-    });
-  }
+  // State machine checks the ride can still be cancelled, stops dispatch and frees the driver
+  await transitionRide(ride, RIDE_STATUS.CANCELLED, {
+    actor: { role: cancelledBy, userId },
+    reason,
+    updates: {
+      cancellationFee,
+      'fare.cancellationFee': cancellationFee
+    }
+  });
 
-  logger.info(`Ride ${rideId} cancelled by ${effectiveCancelledBy}: ${ride.cancellationReason || reason}`);
+  logger.info(`Ride ${rideId} cancelled by ${cancelledBy}: ${reason}`);
 
   // Notify the other party and nearby drivers if ride was cancelled before acceptance
   try {
-    if (ride.status === 'cancelled' && !ride.driverId) {
+    if (!ride.driverId) {
       socketService.broadcast('ride:cancelled_unassigned', {
         rideId: ride._id,
-        cancelledBy: effectiveCancelledBy,
-        reason: ride.cancellationReason || reason,
+        cancelledBy,
+        reason,
         message: 'Ride request cancelled before driver assignment'
       });
-    } else if (ride.driverId) {
+    } else {
       socketService.notifyUser(ride.driverId.userId.toString(), 'ride:cancelled', {
         rideId: ride._id,
-        cancelledBy: effectiveCancelledBy,
-        reason: ride.cancellationReason || reason,
-        cancellationFee: ride.cancellationFee ?? cancellationFee,
-        message: `Ride cancelled by ${effectiveCancelledBy}`
+        cancelledBy,
+        reason,
+        cancellationFee,
+        message: `Ride cancelled by ${cancelledBy}`
       });
     }
 
     const passengerUserId = ride.passengerId.userId.toString();
-    if (effectiveCancelledBy !== 'passenger') {
+    if (cancelledBy !== RIDE_ACTORS.PASSENGER) {
       socketService.notifyUser(passengerUserId, 'ride:cancelled', {
         rideId: ride._id,
-        cancelledBy: effectiveCancelledBy,
-        reason: ride.cancellationReason || reason,
-        cancellationFee: ride.cancellationFee ?? cancellationFee,
-        message: `Ride cancelled by ${effectiveCancelledBy}`
+        cancelledBy,
+        reason,
+        cancellationFee,
+        message: `Ride cancelled by ${cancelledBy}`
       });
     }
   } catch (socketError) {
@@ -932,76 +1743,160 @@ export const cancelRideService = async (userId, userRole, rideId, cancellationDa
   return {
     rideId: ride._id,
     status: ride.status,
-    cancelledBy: effectiveCancelledBy,
-    cancellationFee: ride.cancellationFee ?? cancellationFee,
+    cancelledBy,
+    cancellationFee,
     message: 'Ride cancelled successfully'
   };
 };
 
 /**
- * Rate a ride (Passenger rates driver, Driver rates passenger)
+ * Rate a ride (Passenger rates driver, Driver rates passenger).
+ * Rating again within the edit window changes the earlier rating.
  */
 export const rateRideService = async (userId, userRole, rideId, ratingData) => {
-  const { rating, review } = ratingData;
+  const { rating, review, tags, tip, tipPayWith, blockUser } = ratingData;
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('Rating must be a whole number between 1 and 5');
+  }
+
+  // The rating is saved before a tip is charged, so a rejected rating never leaves a paid tip behind.
+  // If the tip then fails, sending the same request again edits the rating and retries the tip.
+  const result = await submitRatingService(userId, userRole, rideId, { rating, review, tags, blockUser });
 
-  if (rating < 1 || rating > 5) {
-    throw new Error('Rating must be between 1 and 5');
+  let tipResult = null;
+  if (tip && userRole === USER_ROLES.PASSENGER) {
+    tipResult = await addTipService(userId, rideId, { amount: tip, payWith: tipPayWith });
+  }
+
+  return {
+    ...result,
+    tip: tipResult,
+    message: 'Rating submitted successfully'
+  };
+};
+
+/**
+ * Tip the driver after a completed ride (Passenger).
+ * Paid with the ride's payment method, or from ride credit when payWith is 'wallet'.
+ * The whole tip is added to the driver's earnings; no commission is taken.
+ */
+export const addTipService = async (userId, rideId, { amount, payWith = 'ride' }) => {
+  amount = Math.round(amount);
+  if (!Number.isFinite(amount) || amount < 1 || amount > TIP_CONFIG.MAX_AMOUNT) {
+    throw new Error(`Tip must be between 1 and ${TIP_CONFIG.MAX_AMOUNT}`);
   }
 
   const ride = await Ride.findById(rideId).populate('passengerId driverId');
   if (!ride) {
     throw new Error('Ride not found');
   }
-
-  if (ride.status !== 'completed') {
-    throw new Error('Can only rate completed rides');
+  if (ride.passengerId.userId.toString() !== userId) {
+    throw new Error('Unauthorized');
+  }
+  if (ride.status !== RIDE_STATUS.COMPLETED || !ride.driverId) {
+    throw new Error('Can only tip completed rides');
   }
 
-  // Rate based on user role
-  if (userRole === USER_ROLES.PASSENGER) {
-    // Passenger rating driver
-    if (ride.passengerId.userId.toString() !== userId) {
-      throw new Error('Unauthorized');
-    }
+  const tipDeadline = new Date(ride.completedAt.getTime() + TIP_CONFIG.WINDOW_HOURS * 60 * 60 * 1000);
+  if (new Date() > tipDeadline) {
+    throw new Error(`Tips can only be added within ${TIP_CONFIG.WINDOW_HOURS} hours of the ride`);
+  }
 
-    ride.rating.passengerRating = rating;
-    ride.rating.passengerReview = review;
+  const method = payWith === 'wallet' ? 'wallet' : ride.payment.method;
 
-    // Update driver rating
-    if (ride.driverId) {
-      const driver = await Driver.findById(ride.driverId);
-      const totalRides = driver.totalRides || 1;
-      const currentRating = driver.rating || 0;
-      driver.rating = ((currentRating * (totalRides - 1)) + rating) / totalRides;
-      await driver.save();
-    }
-  } else if (userRole === USER_ROLES.DRIVER) {
-    // Driver rating passenger
-    if (!ride.driverId || ride.driverId.userId.toString() !== userId) {
-      throw new Error('Unauthorized');
+  // Claim the tip slot so two requests cannot both tip the same ride
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, 'tip.status': { $nin: [TIP_STATUS.PENDING, TIP_STATUS.COMPLETED] } },
+    {
+      $set: {
+        tip: { amount, method, status: TIP_STATUS.PENDING, addedAt: new Date() }
+      }
     }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new Error('This ride has already been tipped');
+  }
 
-    ride.rating.driverRating = rating;
-    ride.rating.driverReview = review;
+  let transactionId;
+  let paid = true;
+  if (method === 'wallet') {
+    paid = await spendRideCredit(ride.passengerId._id, amount);
+  } else if (method !== 'cash') {
+    try {
+      const paymentResult = await processPayment({
+        rideId: ride._id,
+        amount,
+        method,
+        userId: ride.passengerId.userId,
+        type: 'tip'
+      });
+      paid = paymentResult.success;
+      transactionId = paymentResult.transactionId;
+    } catch (paymentError) {
+      logger.error('Tip payment failed:', paymentError);
+      paid = false;
+    }
+  }
 
-    // Update passenger rating
-    const passenger = ride.passengerId;
-    const totalRides = passenger.totalRides || 1;
-    const currentRating = passenger.rating || 0;
-    passenger.rating = ((currentRating * (totalRides - 1)) + rating) / totalRides;
-    await passenger.save();
+  if (!paid) {
+    await Ride.updateOne({ _id: ride._id }, { 'tip.status': TIP_STATUS.FAILED });
+    throw new Error(method === 'wallet' ? 'Not enough ride credit for this tip' : 'Tip payment failed');
   }
 
-  ride.rating.ratedAt = new Date();
-  await ride.save();
+  const paidAt = new Date();
+  await Ride.updateOne(
+    { _id: ride._id },
+    { 'tip.status': TIP_STATUS.COMPLETED, 'tip.transactionId': transactionId, 'tip.paidAt': paidAt }
+  );
+  await Driver.updateOne(
+    { _id: ride.driverId._id },
+    { $inc: { 'earnings.total': amount, 'earnings.pending': amount, 'earnings.tips': amount } }
+  );
 
-  logger.info(`Ride ${rideId} rated by ${userRole}: ${rating} stars`);
+  logger.info(`Ride ${ride._id} tipped ${amount} (${method}) by passenger ${userId}`);
+
+  const driverUserId = ride.driverId.userId.toString();
+  try {
+    await createNotification(
+      driverUserId,
+      NOTIFICATION_TYPES.PAYMENT,
+      'You received a tip',
+      `${ride.passengerId.name || 'Your passenger'} tipped you PKR ${amount}.`,
+      { rideId: ride._id, amount }
+    );
+    socketService.notifyUser(driverUserId, 'ride:tip_received', {
+      rideId: ride._id,
+      amount,
+      paidAt
+    });
+  } catch (error) {
+    logger.error('Tip notification error:', error);
+  }
 
   return {
     rideId: ride._id,
-    rating: userRole === USER_ROLES.PASSENGER ? ride.rating.passengerRating : ride.rating.driverRating,
-    review: userRole === USER_ROLES.PASSENGER ? ride.rating.passengerReview : ride.rating.driverReview,
-    message: 'Rating submitted successfully'
+    amount,
+    method,
+    status: TIP_STATUS.COMPLETED,
+    paidAt
+  };
+};
+
+/**
+ * Drivers see who they are picking up: the rider's name in place of the booker's.
+ * The rider's phone stays hidden; chat and calls go through the booker.
+ */
+const showRiderToDriver = (rideData) => {
+  if (!rideData.rider?.name) return rideData;
+
+  const { phone, notifiedAt, ...rider } = rideData.rider;
+  return {
+    ...rideData,
+    rider,
+    passengerId: rideData.passengerId?.name !== undefined
+      ? { ...rideData.passengerId, name: rider.name }
+      : rideData.passengerId
   };
 };
 
@@ -1010,8 +1905,9 @@ export const rateRideService = async (userId, userRole, rideId, ratingData) => {
  */
 export const getRideDetailsService = async (userId, userRole, rideId) => {
   const ride = await Ride.findById(rideId)
-    .populate('passengerId', 'name rating totalRides')
-    .populate('driverId', 'name rating totalRides vehicle')
+    .select('+safety.startPin.code')
+    .populate('passengerId', 'userId name rating totalRides')
+    .populate('driverId', 'userId name rating totalRides vehicle')
     .populate('passengerId.userId', 'name phone')
     .populate('driverId.userId', 'name phone');
 
@@ -1020,15 +1916,28 @@ export const getRideDetailsService = async (userId, userRole, rideId) => {
   }
 
   // Check authorization
-  const isPassenger = userRole === USER_ROLES.PASSENGER && ride.passengerId.userId.toString() === userId;
-  const isDriver = userRole === USER_ROLES.DRIVER && ride.driverId && ride.driverId.userId.toString() === userId;
+  // userId may be populated, so compare ids rather than documents
+  const userIdOf = (profile) => (profile?.userId?._id || profile?.userId)?.toString();
+  const isPassenger = userRole === USER_ROLES.PASSENGER && userIdOf(ride.passengerId) === userId;
+  const isDriver = userRole === USER_ROLES.DRIVER && ride.driverId && userIdOf(ride.driverId) === userId;
   const isAdmin = userRole === USER_ROLES.ADMIN;
 
   if (!isPassenger && !isDriver && !isAdmin) {
     throw new Error('Unauthorized to view this ride');
   }
 
-  return ride;
+  // Trip PIN is only ever shown to the passenger, and only until the ride starts
+  const rideData = isDriver ? showRiderToDriver(ride.toJSON()) : ride.toJSON();
+  const showPin = isPassenger && [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED].includes(ride.status);
+  if (rideData.safety?.startPin) {
+    if (showPin) {
+      rideData.safety.startPin.code = ride.safety.startPin.code;
+    } else {
+      delete rideData.safety.startPin.code;
+    }
+  }
+
+  return rideData;
 };
 
 /**
@@ -1070,7 +1979,7 @@ export const getRideHistoryService = async (userId, userRole, filters = {}) => {
   const total = await Ride.countDocuments(query);
 
   return {
-    rides,
+    rides: userRole === USER_ROLES.DRIVER ? rides.map(ride => showRiderToDriver(ride.toJSON())) : rides,
     pagination: {
       page,
       limit,
@@ -1096,6 +2005,7 @@ export const getScheduledRidesService = async (userId) => {
     scheduledAt: { $gte: new Date() }
   })
     .populate('passengerId', 'name rating')
+    .populate('reservation.driverId', 'name rating vehicle.model vehicle.color vehicle.registrationNumber')
     .sort({ scheduledAt: 1 });
 
   return rides;
@@ -1128,7 +2038,7 @@ export const updateDriverAvailabilityService = async (driverId, availabilityData
     // Check if driver has any active rides
     const activeRide = await Ride.findOne({
       driverId: driver._id,
-      status: { $in: ['accepted', 'in-progress'] }
+      status: { $in: ['accepted', 'arrived', 'in-progress'] }
     });
 
     if (activeRide) {
@@ -1154,40 +2064,100 @@ export const updateDriverAvailabilityService = async (driverId, availabilityData
 /**
  * Get fare estimate
  */
-export const getFareEstimateService = async (pickupCoords, dropoffCoords) => {
-  let routeData;
-  try {
-    routeData = await getDirectionsFromGoogle(pickupCoords, dropoffCoords);
-  } catch (error) {
-    logger.warn('Google Maps API failed for fare estimate, using fallback:', error.message);
-    // Fallback to Haversine distance calculation
-    const haversineDistance = calculateHaversineDistance(
-      pickupCoords.latitude,
-      pickupCoords.longitude,
-      dropoffCoords.latitude,
-      dropoffCoords.longitude
-    );
-    const estimatedTime = estimateTravelTime(haversineDistance.distanceKm);
-    
-    routeData = {
-      distance: haversineDistance.distance,
-      duration: estimatedTime.duration,
-      distanceText: haversineDistance.distanceText,
-      durationText: estimatedTime.durationText
-    };
+export const getFareEstimateService = async (pickupCoords, dropoffCoords, vehicleType = VEHICLE_TYPES.CAR, stops = [], options = {}) => {
+  const { promoCode, driverGenderPreference, userId } = options;
+
+  if (stops.length > MAX_RIDE_STOPS) {
+    throw new Error(`A ride can have at most ${MAX_RIDE_STOPS} stops`);
   }
-  
+
+  const routeData = await getRouteData(pickupCoords, dropoffCoords, stops);
+
   const distanceKm = routeData.distance / 1000;
   const durationMinutes = routeData.duration / 60;
 
-  const fareBreakdown = calculateFare(distanceKm, durationMinutes);
+  const surge = await surgeService.getMultiplierForLocation(pickupCoords);
+  const city = resolveCity(pickupCoords);
+  const fareBreakdown = await calculateFare(distanceKm, durationMinutes, surge.multiplier, {
+    vehicleType,
+    city,
+    stops: stops.length
+  });
+
+  const passenger = userId ? await Passenger.findOne({ userId }).select('_id driverGenderPreference') : null;
+
+  // Preview a promo code; per-passenger rules are only checked for signed-in passengers
+  let promo = null;
+  if (promoCode) {
+    try {
+      const { promotion, discount } = await evaluatePromoCode(promoCode, {
+        passengerId: passenger?._id,
+        vehicleType,
+        city,
+        fareTotal: fareBreakdown.total
+      });
+      promo = {
+        code: promotion.code,
+        valid: true,
+        discount,
+        totalAfterDiscount: fareBreakdown.total - discount
+      };
+    } catch (error) {
+      promo = { code: promoCode, valid: false, message: error.message };
+    }
+  }
+
+  // Warn up front when nobody nearby can meet the passenger's driver preference
+  let driverPreference = null;
+  const driverGender = driverGenderPreference || passenger?.driverGenderPreference || DRIVER_GENDER_PREFERENCES.ANY;
+  if (driverGender !== DRIVER_GENDER_PREFERENCES.ANY) {
+    const matchingDrivers = await driverMatchingService.getAvailableDrivers(
+      pickupCoords,
+      driverMatchingService.maxSearchRadiusKm,
+      { vehicleType, passengerId: passenger?._id, driverGender }
+    );
+    driverPreference = {
+      driverGender,
+      availableNearby: matchingDrivers.length,
+      warning: matchingDrivers.length
+        ? null
+        : `No ${driverGender} drivers are available nearby right now. Your ride may take longer to match or not be matched at all.`
+    };
+  }
+
+  // Signed quote the passenger can book with to lock this price (promo codes are applied on top)
+  const quote = signFareQuote({
+    pickup: pickupCoords,
+    dropoff: dropoffCoords,
+    stops,
+    vehicleType,
+    city,
+    route: routeData,
+    fare: fareBreakdown,
+    surge
+  });
 
   return {
     distance: routeData.distance,
     duration: routeData.duration,
     distanceText: routeData.distanceText,
     durationText: routeData.durationText,
+    legs: routeData.legs,
+    vehicleType,
+    city,
     fare: fareBreakdown,
+    surge: {
+      zone: surge.zone,
+      multiplier: surge.multiplier,
+      active: surge.multiplier > 1
+    },
+    quote: {
+      quoteId: quote.quoteId,
+      token: quote.token,
+      expiresAt: quote.expiresAt
+    },
+    promo,
+    driverPreference,
     currency: 'PKR'
   };
 };
\ No newline at end of file
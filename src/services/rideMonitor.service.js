@@ -0,0 +1,357 @@
+/**
+ * Ride Monitor
+ * Watches in-progress rides for going off the planned route, long stops in unexpected
+ * places and a silent driver phone. Each finding sends the passenger an "Are you safe?"
+ * prompt; an unanswered prompt raises an automatic SOS alert.
+ */
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import SystemSettings from '../models/SystemSettings.js';
+import socketService from './socket.service.js';
+import { createNotification } from './notification.service.js';
+import { triggerSOSAlertService } from './sos.service.js';
+import { calculateHaversineDistance } from './maps.service.js';
+import { decodePolyline, distanceToPathMeters } from '../utils/polyline.js';
+import logger from '../utils/logger.js';
+import {
+  USER_ROLES,
+  RIDE_STATUS,
+  NOTIFICATION_TYPES,
+  RIDE_SAFETY_CHECK_REASONS,
+  RIDE_SAFETY_CHECK_STATUS
+} from '../config/constants.js';
+
+const SETTINGS_KEY = 'rideMonitor';
+const SETTINGS_CACHE_MS = 30 * 1000;
+const STOP_RADIUS_METERS = 50; // Moving less than this counts as standing still
+
+// Admin-adjustable thresholds, stored in SystemSettings under SETTINGS_KEY
+export const RIDE_MONITOR_DEFAULTS = {
+  enabled: true,
+  offRouteMeters: 300,
+  offRouteSeconds: 120,
+  stopSeconds: 300,
+  expectedStopRadiusMeters: 150, // Stops this close to pickup, a planned stop or the destination are expected
+  silenceSeconds: 180,
+  responseSeconds: 120, // Time the passenger has to answer before an automatic SOS
+  quietMinutes: 10 // No new prompt this long after the passenger said they were safe
+};
+
+const PROMPTS = {
+  [RIDE_SAFETY_CHECK_REASONS.OFF_ROUTE]: 'Your ride has gone off its planned route. Are you safe?',
+  [RIDE_SAFETY_CHECK_REASONS.UNEXPECTED_STOP]: 'Your ride has been stopped for a while. Are you safe?',
+  [RIDE_SAFETY_CHECK_REASONS.SIGNAL_LOST]: 'We have lost your driver\'s location. Are you safe?'
+};
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+export const getRideMonitorSettings = async () => {
+  if (cachedSettings && Date.now() - cachedAt < SETTINGS_CACHE_MS) {
+    return cachedSettings;
+  }
+  const setting = await SystemSettings.findOne({ key: SETTINGS_KEY }).lean();
+  cachedSettings = { ...RIDE_MONITOR_DEFAULTS, ...(setting?.value || {}) };
+  cachedAt = Date.now();
+  return cachedSettings;
+};
+
+/**
+ * Change monitor thresholds (admin); only the given fields change
+ */
+export const updateRideMonitorSettings = async (values, adminId) => {
+  const current = await getRideMonitorSettings();
+  const next = { ...current, ...values };
+
+  await SystemSettings.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { value: next, updatedBy: adminId },
+    { upsert: true, new: true }
+  );
+  cachedSettings = next;
+  cachedAt = Date.now();
+
+  logger.info(`Ride monitor settings updated by admin ${adminId}`);
+  return next;
+};
+
+// Decoded planned routes, reused across location updates of the same ride
+const routeCache = new Map();
+const ROUTE_CACHE_SIZE = 500;
+
+const getPlannedRoute = (ride) => {
+  const polyline = ride.route?.polyline;
+  if (!polyline) return null;
+
+  const key = ride._id.toString();
+  const cached = routeCache.get(key);
+  if (cached?.polyline === polyline) return cached.points;
+
+  const points = decodePolyline(polyline);
+  if (routeCache.size >= ROUTE_CACHE_SIZE) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  routeCache.set(key, { polyline, points });
+  return points.length ? points : null;
+};
+
+const metersBetween = (a, b) =>
+  calculateHaversineDistance(a.latitude, a.longitude, b.latitude, b.longitude).distance;
+
+const isExpectedStop = (ride, point, radiusMeters) => [
+  ride.pickup?.location,
+  ride.destination?.location,
+  ...(ride.stops || []).map(stop => stop.location)
+].some(place => place?.latitude != null && metersBetween(place, point) <= radiusMeters);
+
+const passengerUserIdOf = (ride) => (ride.passengerId?.userId || ride.passengerId)?.toString();
+
+/**
+ * Ask the passenger whether they are safe. Only one check is open per ride at a time.
+ * @returns {Object|null} - The check, or null when none was opened
+ */
+const promptSafetyCheck = async (ride, reason, location, measured) => {
+  const settings = await getRideMonitorSettings();
+  const now = new Date();
+  if (ride.safety?.monitor?.quietUntil > now) return null;
+
+  const check = {
+    _id: new mongoose.Types.ObjectId(),
+    reason,
+    status: RIDE_SAFETY_CHECK_STATUS.PENDING,
+    location: location?.latitude != null ? { latitude: location.latitude, longitude: location.longitude } : undefined,
+    measured,
+    promptedAt: now,
+    expiresAt: new Date(now.getTime() + settings.responseSeconds * 1000)
+  };
+
+  // Conditional push so a location update and the job running together open one check
+  const result = await Ride.updateOne(
+    { _id: ride._id, status: RIDE_STATUS.IN_PROGRESS, 'safety.checks.status': { $ne: RIDE_SAFETY_CHECK_STATUS.PENDING } },
+    { $push: { 'safety.checks': check } }
+  );
+  if (!result.modifiedCount) return null;
+
+  logger.warn(`Ride ${ride._id}: safety check opened (${reason}${measured != null ? `, ${measured}` : ''})`);
+
+  const passengerUserId = passengerUserIdOf(ride);
+  try {
+    socketService.notifyUser(passengerUserId, 'ride:safety_check', {
+      rideId: ride._id,
+      checkId: check._id,
+      reason,
+      expiresAt: check.expiresAt,
+      message: PROMPTS[reason]
+    });
+    await createNotification(passengerUserId, NOTIFICATION_TYPES.SOS, 'Are you safe?', PROMPTS[reason], {
+      rideId: ride._id,
+      checkId: check._id,
+      reason
+    });
+  } catch (error) {
+    logger.error(`Failed to send safety check for ride ${ride._id}:`, error);
+  }
+
+  return check;
+};
+
+/**
+ * Compare a new driver position with the planned route and the last stop.
+ * Called for every location update of an in-progress ride.
+ * @param {Document|string} rideOrId - Ride (with passengerId populated or not) or its id
+ * @param {Object} point - { latitude, longitude, timestamp }
+ */
+export const monitorRideLocation = async (rideOrId, point) => {
+  const settings = await getRideMonitorSettings();
+  if (!settings.enabled) return null;
+
+  const ride = typeof rideOrId === 'object' && rideOrId.pickup
+    ? rideOrId
+    : await Ride.findById(rideOrId, 'passengerId status pickup destination stops route.polyline safety.monitor safety.checks');
+  if (!ride || ride.status !== RIDE_STATUS.IN_PROGRESS) return null;
+
+  const now = point.timestamp ? new Date(point.timestamp) : new Date();
+  const monitor = ride.safety?.monitor || {};
+  const updates = { 'safety.monitor.lastSignalAt': now };
+  let finding = null;
+
+  const route = getPlannedRoute(ride);
+  if (route) {
+    const offBy = Math.round(distanceToPathMeters(point, route));
+    if (offBy > settings.offRouteMeters) {
+      const since = monitor.offRouteSince || now;
+      updates['safety.monitor.offRouteSince'] = since;
+      updates['safety.monitor.offRouteMeters'] = offBy;
+      if (now - since >= settings.offRouteSeconds * 1000) {
+        finding = { reason: RIDE_SAFETY_CHECK_REASONS.OFF_ROUTE, measured: offBy };
+      }
+    } else if (monitor.offRouteSince) {
+      updates['safety.monitor.offRouteSince'] = null;
+      updates['safety.monitor.offRouteMeters'] = null;
+    }
+  }
+
+  const stopLocation = monitor.stopLocation;
+  if (stopLocation?.latitude != null && monitor.stoppedSince && metersBetween(stopLocation, point) <= STOP_RADIUS_METERS) {
+    const stoppedSeconds = Math.round((now - monitor.stoppedSince) / 1000);
+    if (!finding && stoppedSeconds >= settings.stopSeconds && !isExpectedStop(ride, point, settings.expectedStopRadiusMeters)) {
+      finding = { reason: RIDE_SAFETY_CHECK_REASONS.UNEXPECTED_STOP, measured: stoppedSeconds };
+    }
+  } else {
+    updates['safety.monitor.stoppedSince'] = now;
+    updates['safety.monitor.stopLocation'] = { latitude: point.latitude, longitude: point.longitude };
+  }
+
+  await Ride.updateOne({ _id: ride._id }, { $set: updates });
+
+  return finding ? promptSafetyCheck(ride, finding.reason, point, finding.measured) : null;
+};
+
+/**
+ * Prompt passengers on in-progress rides whose driver's phone has stopped sending locations
+ */
+export const checkSilentRides = async () => {
+  const settings = await getRideMonitorSettings();
+  if (!settings.enabled) return { prompted: 0 };
+
+  const cutoff = new Date(Date.now() - settings.silenceSeconds * 1000);
+  const rides = await Ride.find({
+    status: RIDE_STATUS.IN_PROGRESS,
+    'safety.checks.status': { $ne: RIDE_SAFETY_CHECK_STATUS.PENDING },
+    $or: [
+      { 'safety.monitor.lastSignalAt': { $lte: cutoff } },
+      { 'safety.monitor.lastSignalAt': null, startedAt: { $lte: cutoff } }
+    ]
+  }, 'passengerId status startedAt tracking.currentLocation safety.monitor')
+    .populate('passengerId', 'userId');
+
+  let prompted = 0;
+  for (const ride of rides) {
+    const lastSignalAt = ride.safety?.monitor?.lastSignalAt || ride.startedAt;
+    const silentSeconds = Math.round((Date.now() - lastSignalAt) / 1000);
+    const check = await promptSafetyCheck(ride, RIDE_SAFETY_CHECK_REASONS.SIGNAL_LOST, ride.tracking?.currentLocation, silentSeconds);
+    if (check) prompted++;
+  }
+
+  return { prompted };
+};
+
+const raiseSOS = async (ride, check, { alertType, severity, description }) => {
+  const { alert } = await triggerSOSAlertService(passengerUserIdOf(ride), USER_ROLES.PASSENGER, {
+    rideId: ride._id,
+    location: check.location?.latitude != null ? check.location : undefined,
+    alertType,
+    severity,
+    description,
+    source: 'ride_monitor'
+  });
+
+  await Ride.updateOne(
+    { _id: ride._id, 'safety.checks._id': check._id },
+    { $set: { 'safety.checks.$.sosAlertId': alert._id } }
+  );
+  return alert;
+};
+
+/**
+ * Raise an automatic SOS for every safety check the passenger did not answer in time
+ */
+export const escalateUnansweredChecks = async () => {
+  const settings = await getRideMonitorSettings();
+  const now = new Date();
+  // An SOS is already with the admins; don't keep re-prompting for the same situation
+  const quietUntil = new Date(now.getTime() + settings.quietMinutes * 60 * 1000);
+  const rides = await Ride.find({
+    status: RIDE_STATUS.IN_PROGRESS,
+    'safety.checks': { $elemMatch: { status: RIDE_SAFETY_CHECK_STATUS.PENDING, expiresAt: { $lte: now } } }
+  }).populate('passengerId', 'userId');
+
+  let escalated = 0;
+  for (const ride of rides) {
+    const check = ride.safety.checks.find(item =>
+      item.status === RIDE_SAFETY_CHECK_STATUS.PENDING && item.expiresAt <= now);
+    if (!check) continue;
+
+    // Claim the check so overlapping job runs raise one alert
+    const result = await Ride.updateOne(
+      { _id: ride._id, 'safety.checks': { $elemMatch: { _id: check._id, status: RIDE_SAFETY_CHECK_STATUS.PENDING } } },
+      {
+        $set: {
+          'safety.checks.$.status': RIDE_SAFETY_CHECK_STATUS.ESCALATED,
+          'safety.checks.$.escalatedAt': now,
+          'safety.monitor.quietUntil': quietUntil
+        }
+      }
+    );
+    if (!result.modifiedCount) continue;
+
+    try {
+      const alert = await raiseSOS(ride, check, {
+        alertType: 'automatic',
+        severity: 'high',
+        description: `No answer to "Are you safe?" (${check.reason.replace('_', ' ')})`
+      });
+      escalated++;
+      logger.warn(`Ride ${ride._id}: unanswered safety check escalated to SOS alert ${alert._id}`);
+    } catch (error) {
+      logger.error(`Failed to raise automatic SOS for ride ${ride._id}:`, error);
+    }
+  }
+
+  return { escalated };
+};
+
+/**
+ * Passenger answers an "Are you safe?" prompt; asking for help raises an SOS alert at once (Passenger)
+ */
+export const respondSafetyCheckService = async (userId, rideId, checkId, safe) => {
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId');
+  if (!ride || passengerUserIdOf(ride) !== userId) {
+    throw new Error('Ride not found');
+  }
+
+  const check = ride.safety?.checks?.id(checkId);
+  if (!check) {
+    throw new Error('Safety check not found');
+  }
+  if (check.status !== RIDE_SAFETY_CHECK_STATUS.PENDING) {
+    throw new Error(check.status === RIDE_SAFETY_CHECK_STATUS.ESCALATED
+      ? 'An SOS alert was already raised for this safety check'
+      : 'This safety check has already been answered');
+  }
+
+  const settings = await getRideMonitorSettings();
+  const now = new Date();
+  const status = safe ? RIDE_SAFETY_CHECK_STATUS.SAFE : RIDE_SAFETY_CHECK_STATUS.HELP;
+
+  const result = await Ride.updateOne(
+    { _id: ride._id, 'safety.checks': { $elemMatch: { _id: check._id, status: RIDE_SAFETY_CHECK_STATUS.PENDING } } },
+    {
+      $set: {
+        'safety.checks.$.status': status,
+        'safety.checks.$.respondedAt': now,
+        'safety.monitor.quietUntil': new Date(now.getTime() + settings.quietMinutes * 60 * 1000),
+        // Start the clocks again so the same detour or stop is not reported straight away
+        ...(safe && {
+          'safety.monitor.offRouteSince': null,
+          'safety.monitor.stoppedSince': now
+        })
+      }
+    }
+  );
+  if (!result.modifiedCount) {
+    throw new Error('This safety check has already been answered');
+  }
+
+  let sosAlert = null;
+  if (!safe) {
+    sosAlert = await raiseSOS(ride, check, {
+      alertType: 'manual',
+      severity: 'critical',
+      description: `Passenger asked for help after a safety check (${check.reason.replace('_', ' ')})`
+    });
+  }
+
+  logger.info(`Ride ${ride._id}: safety check ${check._id} answered ${status}`);
+  return { rideId: ride._id, checkId: check._id, status, sosAlertId: sosAlert?._id || null };
+};
@@ -0,0 +1,586 @@
+import dotenv from 'dotenv';
+import RideSchedule from '../models/RideSchedule.js';
+import Ride from '../models/Ride.js';
+import Passenger from '../models/Passenger.js';
+import Driver from '../models/Driver.js';
+import logger from '../utils/logger.js';
+import { geocodeAddress } from './maps.service.js';
+import { requestRideService, SCHEDULED_RIDE_CONFIG } from './ride.service.js';
+import { transitionRide, RIDE_ACTORS } from './rideState.service.js';
+import { getBlockedDriverIds } from './blocklist.service.js';
+import { createNotification } from './notification.service.js';
+import {
+  RIDE_STATUS,
+  RIDE_SCHEDULE_STATUS,
+  RIDE_SCHEDULE_EXCEPTION_TYPES,
+  NOTIFICATION_TYPES
+} from '../config/constants.js';
+
+dotenv.config();
+
+export const RIDE_SCHEDULE_CONFIG = {
+  UTC_OFFSET_MINUTES: 300, // Schedules are kept in Pakistan time (no daylight saving)
+  LOOKAHEAD_HOURS: parseInt(process.env.RECURRING_RIDE_LOOKAHEAD_HOURS) || 24, // Occurrences are booked this far ahead
+  MAX_ACTIVE_SCHEDULES: 10, // Active or paused schedules per passenger
+  UPCOMING_DAYS: 14 // Occurrences listed with a schedule
+};
+
+const EDITABLE_FIELDS = [
+  'vehicleType', 'paymentMethod', 'notes', 'driverGenderPreference', 'preferredDriverId',
+  'pattern', 'startDate', 'endDate', 'skipDates'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_MS = RIDE_SCHEDULE_CONFIG.UTC_OFFSET_MINUTES * 60 * 1000;
+
+// Local calendar date (YYYY-MM-DD) of an instant
+const toLocalDate = (date) => new Date(date.getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+// Instant of a local date and HH:mm time
+const toInstant = (localDate, time) => new Date(Date.parse(`${localDate}T${time}:00.000Z`) - OFFSET_MS);
+
+const nextLocalDate = (localDate) => new Date(Date.parse(localDate) + DAY_MS).toISOString().slice(0, 10);
+
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Occurrences of a schedule with occurrenceAt in (from, to], oldest first.
+ * Holidays and skipped occurrences are included and flagged.
+ */
+const buildOccurrences = (schedule, from, to) => {
+  const occurrences = [];
+  const lastDate = toLocalDate(to);
+
+  for (let date = toLocalDate(from); date <= lastDate; date = nextLocalDate(date)) {
+    if (date < schedule.startDate || (schedule.endDate && date > schedule.endDate)) continue;
+
+    const dayOfWeek = new Date(Date.parse(date)).getUTCDay();
+    for (const slot of schedule.pattern) {
+      if (slot.dayOfWeek !== dayOfWeek) continue;
+
+      const occurrenceAt = toInstant(date, slot.time);
+      if (occurrenceAt <= from || occurrenceAt > to) continue;
+
+      const exception = schedule.exceptions.find(item => sameInstant(item.occurrenceAt, occurrenceAt));
+      const rescheduled = exception?.type === RIDE_SCHEDULE_EXCEPTION_TYPES.RESCHEDULE;
+      occurrences.push({
+        occurrenceAt,
+        pickupAt: rescheduled ? exception.pickupAt : occurrenceAt,
+        date,
+        time: slot.time,
+        holiday: schedule.skipDates.includes(date),
+        skipped: exception?.type === RIDE_SCHEDULE_EXCEPTION_TYPES.SKIP,
+        rescheduled
+      });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.occurrenceAt - b.occurrenceAt);
+};
+
+const findOccurrence = (schedule, occurrenceAt) => {
+  const [occurrence] = buildOccurrences(schedule, new Date(occurrenceAt.getTime() - 1), occurrenceAt);
+  if (!occurrence) {
+    throw new Error('This schedule has no ride at that time');
+  }
+  return occurrence;
+};
+
+const validateScheduleRules = (schedule) => {
+  if (!schedule.pattern.length) {
+    throw new Error('A schedule needs at least one day and time');
+  }
+  const slots = schedule.pattern.map(slot => `${slot.dayOfWeek}-${slot.time}`);
+  if (new Set(slots).size !== slots.length) {
+    throw new Error('The same day and time appears more than once in the pattern');
+  }
+  if (schedule.endDate && schedule.endDate < schedule.startDate) {
+    throw new Error('endDate must not be before startDate');
+  }
+};
+
+// A preferred driver must be someone the passenger has ridden with and neither side has blocked
+const validatePreferredDriver = async (passengerId, driverId) => {
+  const driver = await Driver.findById(driverId).select('isApproved');
+  if (!driver || !driver.isApproved) {
+    throw new Error('Preferred driver not found');
+  }
+
+  const [hasRidden, blockedDriverIds] = await Promise.all([
+    Ride.exists({ passengerId, driverId, status: RIDE_STATUS.COMPLETED }),
+    getBlockedDriverIds(passengerId)
+  ]);
+  if (!hasRidden) {
+    throw new Error('You can only choose a driver you have completed a ride with');
+  }
+  if (blockedDriverIds.includes(driverId.toString())) {
+    throw new Error('This driver cannot be matched with you');
+  }
+};
+
+const resolvePlace = async (address, coords) => {
+  if (coords) {
+    return { address, location: { latitude: coords.latitude, longitude: coords.longitude } };
+  }
+  try {
+    const geocoded = await geocodeAddress(address);
+    return { address, location: { latitude: geocoded.latitude, longitude: geocoded.longitude } };
+  } catch (error) {
+    throw new Error(`Failed to geocode ${address}: ${error.message}`);
+  }
+};
+
+const getPassengerSchedule = async (userId, id) => {
+  const passenger = await Passenger.findOne({ userId }).select('_id userId');
+  if (!passenger) {
+    throw new Error('Passenger profile not found');
+  }
+
+  const schedule = await RideSchedule.findOne({ _id: id, passengerId: passenger._id });
+  if (!schedule) {
+    throw new Error('Ride schedule not found');
+  }
+  return { passenger, schedule };
+};
+
+const assertOpen = (schedule) => {
+  if ([RIDE_SCHEDULE_STATUS.CANCELLED, RIDE_SCHEDULE_STATUS.ENDED].includes(schedule.status)) {
+    throw new Error(`This schedule is ${schedule.status}`);
+  }
+};
+
+const passengerActor = (userId) => ({ role: RIDE_ACTORS.PASSENGER, userId });
+
+/**
+ * Cancel the series' booked rides that have not started dispatching yet.
+ * Superseded rides are booked again by the next run with the schedule's current details;
+ * rides up to keepBefore are left as booked.
+ */
+const cancelUpcomingRides = async (schedule, { actor, reason, superseded = false, keepBefore = null }) => {
+  const query = { 'recurrence.scheduleId': schedule._id, status: RIDE_STATUS.SCHEDULED };
+  if (keepBefore) query.scheduledAt = { $gt: keepBefore };
+  const rides = await Ride.find(query);
+
+  for (const ride of rides) {
+    try {
+      await transitionRide(ride, RIDE_STATUS.CANCELLED, {
+        actor,
+        reason,
+        updates: superseded ? { 'recurrence.superseded': true } : {}
+      });
+    } catch (error) {
+      // Activated in the meantime - it goes ahead as booked
+      logger.warn(`Ride schedule ${schedule._id}: could not cancel ride ${ride._id}: ${error.message}`);
+    }
+  }
+  return rides.length;
+};
+
+const bookOccurrence = (schedule, passengerUserId, occurrence) => requestRideService(passengerUserId, {
+  pickupLocation: schedule.pickup.address,
+  dropoffLocation: schedule.destination.address,
+  pickupCoords: { latitude: schedule.pickup.location.latitude, longitude: schedule.pickup.location.longitude },
+  dropoffCoords: { latitude: schedule.destination.location.latitude, longitude: schedule.destination.location.longitude },
+  paymentMethod: schedule.paymentMethod,
+  vehicleType: schedule.vehicleType,
+  notes: schedule.notes,
+  driverGenderPreference: schedule.driverGenderPreference,
+  scheduledAt: occurrence.pickupAt,
+  recurrence: { scheduleId: schedule._id, occurrenceAt: occurrence.occurrenceAt },
+  preferredDriverId: schedule.preferredDriverId
+});
+
+/**
+ * Book every occurrence between the schedule's materialisedUntil and the lookahead as a scheduled ride.
+ * Occurrences that cannot be booked are skipped and the passenger is told why.
+ */
+export const materialiseSchedule = async (schedule, now = new Date()) => {
+  const until = new Date(now.getTime() + RIDE_SCHEDULE_CONFIG.LOOKAHEAD_HOURS * 60 * 60 * 1000);
+  const from = schedule.materialisedUntil > now ? schedule.materialisedUntil : now;
+  if (from >= until) return { booked: 0, failed: 0 };
+
+  // Claim the window first so overlapping job runs never book an occurrence twice
+  const claimed = await RideSchedule.findOneAndUpdate(
+    { _id: schedule._id, status: RIDE_SCHEDULE_STATUS.ACTIVE, materialisedUntil: schedule.materialisedUntil },
+    { materialisedUntil: until },
+    { new: true }
+  );
+  if (!claimed) return { booked: 0, failed: 0 };
+
+  const occurrences = buildOccurrences(claimed, from, until)
+    .filter(occurrence => !occurrence.holiday && !occurrence.skipped);
+  if (!occurrences.length) return { booked: 0, failed: 0 };
+
+  // Occurrences that already have a ride, other than one superseded by a series change, are left alone
+  const alreadyBooked = await Ride.find({
+    'recurrence.scheduleId': claimed._id,
+    'recurrence.occurrenceAt': { $in: occurrences.map(occurrence => occurrence.occurrenceAt) },
+    'recurrence.superseded': { $ne: true }
+  }).distinct('recurrence.occurrenceAt');
+
+  const passenger = await Passenger.findById(claimed.passengerId).select('userId');
+  if (!passenger) {
+    logger.warn(`Ride schedule ${claimed._id}: passenger not found, skipping`);
+    return { booked: 0, failed: 0 };
+  }
+  const passengerUserId = passenger.userId.toString();
+
+  let booked = 0;
+  let failed = 0;
+  for (const occurrence of occurrences) {
+    if (alreadyBooked.some(at => sameInstant(at, occurrence.occurrenceAt))) continue;
+
+    try {
+      await bookOccurrence(claimed, passengerUserId, occurrence);
+      booked++;
+    } catch (error) {
+      failed++;
+      logger.warn(`Ride schedule ${claimed._id}: could not book ${occurrence.occurrenceAt.toISOString()}: ${error.message}`);
+      await RideSchedule.updateOne(
+        { _id: claimed._id },
+        { lastError: { occurrenceAt: occurrence.occurrenceAt, message: error.message, at: new Date() } }
+      );
+      await createNotification(
+        passengerUserId,
+        NOTIFICATION_TYPES.RIDE,
+        'Commute ride not booked',
+        `We could not book your ${occurrence.time} ride on ${occurrence.date}: ${error.message}`,
+        { scheduleId: claimed._id, occurrenceAt: occurrence.occurrenceAt }
+      );
+    }
+  }
+
+  if (booked > 0) {
+    logger.info(`Ride schedule ${claimed._id}: booked ${booked} occurrence(s)`);
+  }
+  return { booked, failed };
+};
+
+/**
+ * End schedules past their end date and book upcoming occurrences of the active ones.
+ * Run by the scheduled ride job.
+ */
+export const processRecurringSchedules = async (now = new Date()) => {
+  await RideSchedule.updateMany(
+    { status: RIDE_SCHEDULE_STATUS.ACTIVE, endDate: { $lt: toLocalDate(now) } },
+    { status: RIDE_SCHEDULE_STATUS.ENDED }
+  );
+
+  const lookahead = new Date(now.getTime() + RIDE_SCHEDULE_CONFIG.LOOKAHEAD_HOURS * 60 * 60 * 1000);
+  const schedules = await RideSchedule.find({
+    status: RIDE_SCHEDULE_STATUS.ACTIVE,
+    materialisedUntil: { $lt: lookahead }
+  });
+
+  let booked = 0;
+  let failed = 0;
+  for (const schedule of schedules) {
+    try {
+      const result = await materialiseSchedule(schedule, now);
+      booked += result.booked;
+      failed += result.failed;
+    } catch (error) {
+      logger.error(`Failed to process ride schedule ${schedule._id}:`, error);
+    }
+  }
+
+  return { schedules: schedules.length, booked, failed };
+};
+
+// Book right away instead of waiting for the job, so the passenger sees their next rides
+const rebook = async (schedule) => {
+  try {
+    await materialiseSchedule(schedule);
+  } catch (error) {
+    logger.error(`Failed to book ride schedule ${schedule._id}:`, error);
+  }
+  return RideSchedule.findById(schedule._id);
+};
+
+/**
+ * Upcoming occurrences of a schedule with the ride booked for each, if any
+ */
+export const getUpcomingOccurrences = async (schedule, days = RIDE_SCHEDULE_CONFIG.UPCOMING_DAYS) => {
+  const now = new Date();
+  const occurrences = buildOccurrences(schedule, now, new Date(now.getTime() + days * DAY_MS));
+
+  const rides = await Ride.find({
+    'recurrence.scheduleId': schedule._id,
+    'recurrence.occurrenceAt': { $in: occurrences.map(occurrence => occurrence.occurrenceAt) },
+    'recurrence.superseded': { $ne: true }
+  }).select('status scheduledAt recurrence.occurrenceAt driverId');
+
+  return occurrences.map(occurrence => {
+    const ride = rides.find(item => sameInstant(item.recurrence.occurrenceAt, occurrence.occurrenceAt));
+    return {
+      ...occurrence,
+      ride: ride ? { _id: ride._id, status: ride.status, scheduledAt: ride.scheduledAt, driverId: ride.driverId } : null
+    };
+  });
+};
+
+/**
+ * Set up a recurring ride (Passenger)
+ */
+export const createRideScheduleService = async (userId, data) => {
+  const passenger = await Passenger.findOne({ userId }).select('_id');
+  if (!passenger) {
+    throw new Error('Passenger profile not found');
+  }
+
+  const openSchedules = await RideSchedule.countDocuments({
+    passengerId: passenger._id,
+    status: { $in: [RIDE_SCHEDULE_STATUS.ACTIVE, RIDE_SCHEDULE_STATUS.PAUSED] }
+  });
+  if (openSchedules >= RIDE_SCHEDULE_CONFIG.MAX_ACTIVE_SCHEDULES) {
+    throw new Error(`You can have at most ${RIDE_SCHEDULE_CONFIG.MAX_ACTIVE_SCHEDULES} recurring rides`);
+  }
+
+  if (data.startDate < toLocalDate(new Date())) {
+    throw new Error('startDate cannot be in the past');
+  }
+  if (data.preferredDriverId) {
+    await validatePreferredDriver(passenger._id, data.preferredDriverId);
+  }
+
+  const [pickup, destination] = await Promise.all([
+    resolvePlace(data.pickupLocation, data.pickupCoords),
+    resolvePlace(data.dropoffLocation, data.dropoffCoords)
+  ]);
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+
+  const schedule = new RideSchedule({
+    ...fields,
+    passengerId: passenger._id,
+    pickup,
+    destination,
+    materialisedUntil: new Date()
+  });
+  validateScheduleRules(schedule);
+  await schedule.save();
+
+  logger.info(`Ride schedule ${schedule._id} created by passenger ${passenger._id}`);
+  return rebook(schedule);
+};
+
+export const listRideSchedulesService = async (userId, { status } = {}) => {
+  const passenger = await Passenger.findOne({ userId }).select('_id');
+  if (!passenger) {
+    throw new Error('Passenger profile not found');
+  }
+
+  const query = { passengerId: passenger._id };
+  if (status) query.status = status;
+
+  return RideSchedule.find(query)
+    .sort({ createdAt: -1 })
+    .populate('preferredDriverId', 'name rating');
+};
+
+export const getRideScheduleService = async (userId, id) => {
+  const { schedule } = await getPassengerSchedule(userId, id);
+  await schedule.populate('preferredDriverId', 'name rating');
+
+  return {
+    schedule,
+    upcoming: await getUpcomingOccurrences(schedule)
+  };
+};
+
+/**
+ * Edit a whole series (Passenger). Rides already booked but not yet dispatched are rebooked
+ * with the new details.
+ */
+export const updateRideScheduleService = async (userId, id, data) => {
+  const { passenger, schedule } = await getPassengerSchedule(userId, id);
+  assertOpen(schedule);
+
+  if (data.preferredDriverId && data.preferredDriverId !== schedule.preferredDriverId?.toString()) {
+    await validatePreferredDriver(schedule.passengerId, data.preferredDriverId);
+  }
+  if (data.pickupLocation || data.pickupCoords) {
+    schedule.pickup = await resolvePlace(data.pickupLocation || schedule.pickup.address, data.pickupCoords);
+  }
+  if (data.dropoffLocation || data.dropoffCoords) {
+    schedule.destination = await resolvePlace(data.dropoffLocation || schedule.destination.address, data.dropoffCoords);
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) schedule[field] = data[field];
+  });
+  validateScheduleRules(schedule);
+  await schedule.save();
+
+  logger.info(`Ride schedule ${schedule._id} updated`);
+
+  if (schedule.status !== RIDE_SCHEDULE_STATUS.ACTIVE) {
+    return schedule;
+  }
+
+  // Rides inside the minimum booking notice could not be booked again, so the change
+  // applies from the first occurrence after it (plus a minute for the rebooking itself)
+  const rebookFrom = new Date(Date.now() + (SCHEDULED_RIDE_CONFIG.MIN_ADVANCE_MINUTES + 1) * 60 * 1000);
+  await cancelUpcomingRides(schedule, {
+    actor: passengerActor(passenger.userId),
+    reason: 'Recurring ride updated',
+    superseded: true,
+    keepBefore: rebookFrom
+  });
+  schedule.materialisedUntil = rebookFrom;
+  await schedule.save();
+  return rebook(schedule);
+};
+
+/**
+ * Stop booking rides for a series until it is resumed (Passenger)
+ */
+export const pauseRideScheduleService = async (userId, id) => {
+  const { passenger, schedule } = await getPassengerSchedule(userId, id);
+  if (schedule.status !== RIDE_SCHEDULE_STATUS.ACTIVE) {
+    throw new Error('Only active schedules can be paused');
+  }
+
+  schedule.status = RIDE_SCHEDULE_STATUS.PAUSED;
+  schedule.pausedAt = new Date();
+  await schedule.save();
+
+  const cancelledRides = await cancelUpcomingRides(schedule, {
+    actor: passengerActor(passenger.userId),
+    reason: 'Recurring ride paused',
+    superseded: true
+  });
+
+  logger.info(`Ride schedule ${schedule._id} paused`);
+  return { schedule, cancelledRides };
+};
+
+export const resumeRideScheduleService = async (userId, id) => {
+  const { schedule } = await getPassengerSchedule(userId, id);
+  if (schedule.status !== RIDE_SCHEDULE_STATUS.PAUSED) {
+    throw new Error('Only paused schedules can be resumed');
+  }
+
+  schedule.status = RIDE_SCHEDULE_STATUS.ACTIVE;
+  schedule.pausedAt = null;
+  schedule.materialisedUntil = new Date();
+  await schedule.save();
+
+  logger.info(`Ride schedule ${schedule._id} resumed`);
+  return rebook(schedule);
+};
+
+/**
+ * End a series for good (Passenger). Booked rides that have not been dispatched are cancelled.
+ */
+export const cancelRideScheduleService = async (userId, id, reason) => {
+  const { passenger, schedule } = await getPassengerSchedule(userId, id);
+  assertOpen(schedule);
+
+  schedule.status = RIDE_SCHEDULE_STATUS.CANCELLED;
+  schedule.cancelledAt = new Date();
+  schedule.cancellationReason = reason;
+  await schedule.save();
+
+  const cancelledRides = await cancelUpcomingRides(schedule, {
+    actor: passengerActor(passenger.userId),
+    reason: reason || 'Recurring ride cancelled'
+  });
+
+  logger.info(`Ride schedule ${schedule._id} cancelled`);
+  return { schedule, cancelledRides };
+};
+
+// The booked ride for an occurrence may only be changed before it starts dispatching
+const getOccurrenceRide = async (schedule, occurrenceAt) => {
+  const ride = await Ride.findOne({
+    'recurrence.scheduleId': schedule._id,
+    'recurrence.occurrenceAt': occurrenceAt,
+    'recurrence.superseded': { $ne: true },
+    status: { $ne: RIDE_STATUS.CANCELLED }
+  });
+  if (ride && ride.status !== RIDE_STATUS.SCHEDULED) {
+    throw new Error('This ride is already being dispatched. Cancel it from the ride instead.');
+  }
+  return ride;
+};
+
+// Replaces any earlier change to the same occurrence; changes to past occurrences are dropped
+const setException = (schedule, exception) => {
+  const now = new Date();
+  schedule.exceptions = schedule.exceptions.filter(item =>
+    item.occurrenceAt > now && !sameInstant(item.occurrenceAt, exception.occurrenceAt)
+  );
+  schedule.exceptions.push(exception);
+};
+
+/**
+ * Skip one occurrence of a series (Passenger)
+ */
+export const skipOccurrenceService = async (userId, id, occurrenceAtInput) => {
+  const { passenger, schedule } = await getPassengerSchedule(userId, id);
+  assertOpen(schedule);
+
+  const occurrenceAt = new Date(occurrenceAtInput);
+  if (occurrenceAt <= new Date()) {
+    throw new Error('Only upcoming rides can be skipped');
+  }
+  const occurrence = findOccurrence(schedule, occurrenceAt);
+
+  const ride = await getOccurrenceRide(schedule, occurrenceAt);
+  if (ride) {
+    await transitionRide(ride, RIDE_STATUS.CANCELLED, {
+      actor: passengerActor(passenger.userId),
+      reason: 'Skipped from recurring ride'
+    });
+  }
+
+  setException(schedule, { occurrenceAt, type: RIDE_SCHEDULE_EXCEPTION_TYPES.SKIP });
+  await schedule.save();
+
+  logger.info(`Ride schedule ${schedule._id}: occurrence ${occurrenceAt.toISOString()} skipped`);
+  return { ...occurrence, skipped: true, cancelledRideId: ride?._id || null };
+};
+
+/**
+ * Move one occurrence of a series to another time on the same day (Passenger)
+ */
+export const rescheduleOccurrenceService = async (userId, id, occurrenceAtInput, pickupAtInput) => {
+  const { schedule } = await getPassengerSchedule(userId, id);
+  assertOpen(schedule);
+
+  const occurrenceAt = new Date(occurrenceAtInput);
+  const pickupAt = new Date(pickupAtInput);
+  const occurrence = findOccurrence(schedule, occurrenceAt);
+
+  if (occurrence.skipped) {
+    throw new Error('This ride was skipped');
+  }
+  if (toLocalDate(pickupAt) !== occurrence.date) {
+    throw new Error('A single ride can only be moved to another time on the same day');
+  }
+  const minTime = new Date(Date.now() + SCHEDULED_RIDE_CONFIG.MIN_ADVANCE_MINUTES * 60 * 1000);
+  if (pickupAt < minTime) {
+    throw new Error(`Pickup must be at least ${SCHEDULED_RIDE_CONFIG.MIN_ADVANCE_MINUTES} minutes from now`);
+  }
+
+  const ride = await getOccurrenceRide(schedule, occurrenceAt);
+  if (ride) {
+    const result = await Ride.updateOne({ _id: ride._id, status: RIDE_STATUS.SCHEDULED }, { scheduledAt: pickupAt });
+    if (result.matchedCount === 0) {
+      throw new Error('This ride is already being dispatched. Cancel it from the ride instead.');
+    }
+  }
+
+  if (sameInstant(pickupAt, occurrenceAt)) {
+    schedule.exceptions = schedule.exceptions.filter(item => !sameInstant(item.occurrenceAt, occurrenceAt));
+  } else {
+    setException(schedule, { occurrenceAt, type: RIDE_SCHEDULE_EXCEPTION_TYPES.RESCHEDULE, pickupAt });
+  }
+  await schedule.save();
+
+  logger.info(`Ride schedule ${schedule._id}: occurrence ${occurrenceAt.toISOString()} moved to ${pickupAt.toISOString()}`);
+  return { ...occurrence, pickupAt, rescheduled: !sameInstant(pickupAt, occurrenceAt), rideId: ride?._id || null };
+};
@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+import Ride from '../models/Ride.js';
+import RideShare from '../models/RideShare.js';
+import Passenger from '../models/Passenger.js';
+import socketService from './socket.service.js';
+import { sendSMS } from './sms.service.js';
+import { formatPhoneNumber } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+import { RIDE_STATUS, RIDE_SHARE_SOURCES } from '../config/constants.js';
+
+// Live-trip share links: anyone holding the token can follow the ride until it ends
+export const RIDE_SHARE_CONFIG = {
+  DEFAULT_TTL_MINUTES: 240,
+  MAX_TTL_MINUTES: 720,
+  ENDED_GRACE_MINUTES: 15, // Final status stays visible this long after the ride ends
+  MAX_ACTIVE_SHARES: 10, // Per ride
+  MAX_RECIPIENTS: 5, // Per share
+  SOCKET_NAMESPACE: '/ride-share'
+};
+
+// Rides that can be shared, and the ones where the driver's position is shown
+const SHAREABLE_STATUSES = [RIDE_STATUS.PENDING, RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED, RIDE_STATUS.IN_PROGRESS];
+const LIVE_STATUSES = [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED, RIDE_STATUS.IN_PROGRESS];
+const ENDED_STATUSES = [RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED];
+
+const INVALID_LINK = 'Share link is invalid or has expired';
+
+export const getShareUrl = (token) => `${process.env.BASE_URL}/api/v1/rides/track/${token}`;
+
+const loadSharedRide = (rideId) => Ride.findById(rideId)
+  .populate('passengerId', 'name')
+  .populate('driverId', 'name rating vehicle availability.currentLocation');
+
+/**
+ * What a share link shows: trip status, driver and vehicle, route and the driver's position while live.
+ * No phone numbers, fare or payment details.
+ */
+const toSharedRideView = (ride) => {
+  const live = LIVE_STATUSES.includes(ride.status);
+  const driver = ride.driverId;
+  // Before the trip starts the ride has no tracked position yet, so use the driver's own
+  const location = ride.tracking?.currentLocation?.latitude != null
+    ? ride.tracking.currentLocation
+    : driver?.availability?.currentLocation;
+
+  return {
+    rideId: ride._id,
+    status: ride.status,
+    riderName: ride.rider?.name || ride.passengerId?.name,
+    pickup: { address: ride.pickup.address, location: ride.pickup.location },
+    destination: { address: ride.destination.address, location: ride.destination.location },
+    stops: (ride.stops || []).map(stop => ({ address: stop.address, location: stop.location, status: stop.status })),
+    route: {
+      polyline: ride.route?.polyline,
+      distance: ride.route?.distance,
+      duration: ride.route?.duration
+    },
+    driver: driver
+      ? {
+        name: driver.name,
+        rating: driver.rating || 0,
+        vehicle: {
+          model: driver.vehicle?.model,
+          color: driver.vehicle?.color,
+          registrationNumber: driver.vehicle?.registrationNumber
+        }
+      }
+      : null,
+    currentLocation: live && location?.latitude != null
+      ? { latitude: location.latitude, longitude: location.longitude, timestamp: location.timestamp }
+      : null,
+    heading: live ? ride.tracking?.heading : undefined,
+    acceptedAt: ride.acceptedAt,
+    arrivedAt: ride.arrivedAt,
+    startedAt: ride.startedAt,
+    completedAt: ride.completedAt,
+    cancelledAt: ride.cancelledAt
+  };
+};
+
+const toShareSummary = (share) => ({
+  shareId: share._id,
+  token: share.token,
+  url: getShareUrl(share.token),
+  socketNamespace: RIDE_SHARE_CONFIG.SOCKET_NAMESPACE,
+  source: share.source,
+  recipients: share.recipients,
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  endedAt: share.endedAt,
+  active: share.isActive(),
+  viewCount: share.viewCount,
+  createdAt: share.createdAt
+});
+
+const createRideShare = async (ride, { source, recipients = [], ttlMinutes = RIDE_SHARE_CONFIG.DEFAULT_TTL_MINUTES }) => {
+  return RideShare.create({
+    rideId: ride._id,
+    passengerId: ride.passengerId._id || ride.passengerId,
+    token: crypto.randomBytes(24).toString('base64url'),
+    source,
+    recipients,
+    expiresAt: new Date(Date.now() + Math.min(ttlMinutes, RIDE_SHARE_CONFIG.MAX_TTL_MINUTES) * 60 * 1000)
+  });
+};
+
+// Text every recipient; a failed SMS leaves that recipient without notifiedAt
+const textRecipients = async (share, message) => {
+  let sent = 0;
+  for (const recipient of share.recipients) {
+    try {
+      await sendSMS(formatPhoneNumber(recipient.phone), message);
+      recipient.notifiedAt = new Date();
+      sent++;
+    } catch (error) {
+      logger.error(`Ride share ${share._id}: failed to text ${recipient.phone}:`, error.message);
+    }
+  }
+  await share.save();
+  return sent;
+};
+
+const describeVehicle = (driver) => {
+  const vehicle = [driver.vehicle?.color, driver.vehicle?.model].filter(Boolean).join(' ');
+  const plate = driver.vehicle?.registrationNumber ? ` (${driver.vehicle.registrationNumber})` : '';
+  return `${driver.name}${vehicle ? `, ${vehicle}` : ''}${plate}`;
+};
+
+const getOwnedRide = async (userId, rideId) => {
+  const passenger = await Passenger.findOne({ userId });
+  if (!passenger) {
+    throw new Error('Passenger profile not found');
+  }
+  const ride = await Ride.findOne({ _id: rideId, passengerId: passenger._id });
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+  return { passenger, ride };
+};
+
+/**
+ * Share an active ride through a public link, optionally texting it to emergency contacts or other people (Passenger)
+ * @param {Object} data - { contactIds, contacts: [{ name, phone }], expiresInMinutes }
+ */
+export const shareRideService = async (userId, rideId, { contactIds = [], contacts = [], expiresInMinutes } = {}) => {
+  const { passenger, ride } = await getOwnedRide(userId, rideId);
+
+  if (!SHAREABLE_STATUSES.includes(ride.status)) {
+    throw new Error('Only active rides can be shared');
+  }
+
+  const activeShares = await RideShare.countDocuments({ rideId: ride._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (activeShares >= RIDE_SHARE_CONFIG.MAX_ACTIVE_SHARES) {
+    throw new Error(`A ride can have at most ${RIDE_SHARE_CONFIG.MAX_ACTIVE_SHARES} active share links`);
+  }
+
+  const recipients = [];
+  for (const contactId of contactIds) {
+    const contact = passenger.emergencyContacts.id(contactId);
+    if (!contact) {
+      throw new Error('Emergency contact not found');
+    }
+    recipients.push({ name: contact.name, phone: contact.phone });
+  }
+  recipients.push(...contacts.map(({ name, phone }) => ({ name, phone })));
+
+  // One text per number, however it was written
+  const unique = [...new Map(recipients.map(recipient => [formatPhoneNumber(recipient.phone), recipient])).values()];
+  if (unique.length > RIDE_SHARE_CONFIG.MAX_RECIPIENTS) {
+    throw new Error(`A ride can be texted to at most ${RIDE_SHARE_CONFIG.MAX_RECIPIENTS} people at a time`);
+  }
+
+  const share = await createRideShare(ride, {
+    source: RIDE_SHARE_SOURCES.MANUAL,
+    recipients: unique,
+    ttlMinutes: expiresInMinutes
+  });
+
+  if (unique.length) {
+    await textRecipients(share,
+      `${passenger.name} is sharing their Baneen ride with you. Follow it live: ${getShareUrl(share.token)}`);
+  }
+
+  logger.info(`Ride ${ride._id} shared by passenger ${passenger._id} (${unique.length} recipient(s))`);
+  return toShareSummary(share);
+};
+
+/**
+ * Share links created for one of the passenger's rides, newest first (Passenger)
+ */
+export const listRideSharesService = async (userId, rideId) => {
+  const { ride } = await getOwnedRide(userId, rideId);
+  const shares = await RideShare.find({ rideId: ride._id }).sort({ createdAt: -1 });
+  return shares.map(toShareSummary);
+};
+
+/**
+ * Turn a share link off; anyone watching it is disconnected (Passenger)
+ */
+export const revokeRideShareService = async (userId, rideId, shareId) => {
+  const { ride } = await getOwnedRide(userId, rideId);
+
+  const share = await RideShare.findOneAndUpdate(
+    { _id: shareId, rideId: ride._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+  if (!share) {
+    throw new Error('Share link not found');
+  }
+
+  socketService.closeRideShares(`share_${share._id}`, 'share:revoked', { rideId: ride._id, message: 'This share link was turned off' });
+
+  logger.info(`Ride share ${share._id} for ride ${ride._id} revoked`);
+  return toShareSummary(share);
+};
+
+/**
+ * Look up a share token; throws unless it is live
+ */
+export const resolveShareToken = async (token) => {
+  const share = token ? await RideShare.findOne({ token }) : null;
+  if (!share || !share.isActive()) {
+    throw new Error(INVALID_LINK);
+  }
+
+  const ride = await loadSharedRide(share.rideId);
+  if (!ride) {
+    throw new Error('Ride not found');
+  }
+
+  return { share, ride, view: toSharedRideView(ride) };
+};
+
+/**
+ * Public, read-only view of a shared ride (no login)
+ */
+export const getSharedRideService = async (token) => {
+  const { share, view } = await resolveShareToken(token);
+
+  await RideShare.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } });
+
+  return {
+    ride: view,
+    expiresAt: share.expiresAt,
+    socketNamespace: RIDE_SHARE_CONFIG.SOCKET_NAMESPACE
+  };
+};
+
+/**
+ * Push a ride's latest state to everyone following it; once the ride ends its links
+ * show the final status for a short while and the live connections are closed.
+ * Called by the ride state machine on every transition.
+ */
+export const publishRideUpdate = async (ride) => {
+  const now = new Date();
+  const watched = await RideShare.exists({ rideId: ride._id, revokedAt: null, expiresAt: { $gt: now } });
+  if (!watched) return;
+
+  const view = toSharedRideView(await loadSharedRide(ride._id));
+
+  if (ENDED_STATUSES.includes(ride.status)) {
+    await RideShare.updateMany(
+      { rideId: ride._id, endedAt: null },
+      {
+        $set: { endedAt: now },
+        $min: { expiresAt: new Date(now.getTime() + RIDE_SHARE_CONFIG.ENDED_GRACE_MINUTES * 60 * 1000) }
+      }
+    );
+    socketService.closeRideShares(`ride_${ride._id}`, 'share:ended', view);
+    return;
+  }
+
+  socketService.emitToRideShares(ride._id, 'share:snapshot', view);
+};
+
+/**
+ * Text the person riding on someone else's booking their driver, trip PIN and a share link.
+ * @param {Document} ride - Accepted ride with passengerId populated and the start PIN set
+ * @param {Document} driver - Assigned driver
+ */
+export const notifyRiderOfDriver = async (ride, driver) => {
+  if (!ride.rider?.phone) return false;
+
+  const share = await createRideShare(ride, {
+    source: RIDE_SHARE_SOURCES.RIDER,
+    recipients: [{ name: ride.rider.name, phone: ride.rider.phone }],
+    ttlMinutes: RIDE_SHARE_CONFIG.MAX_TTL_MINUTES
+  });
+
+  const sent = await textRecipients(share, [
+    `Hi ${ride.rider.name}, ${ride.passengerId?.name || 'someone'} booked you a Baneen ride.`,
+    `Driver: ${describeVehicle(driver)}.`,
+    `Trip PIN: ${ride.safety.startPin.code} - tell it to the driver at pickup.`,
+    `Track your ride: ${getShareUrl(share.token)}`
+  ].join(' '));
+  if (!sent) return false;
+
+  await Ride.updateOne({ _id: ride._id }, { 'rider.notifiedAt': new Date() });
+  logger.info(`Ride ${ride._id}: driver details sent to rider by SMS`);
+  return true;
+};
+
+/**
+ * Text the passenger's chosen emergency contacts a share link once a driver is assigned,
+ * when the passenger has auto-share turned on
+ */
+export const autoShareRide = async (ride, driver) => {
+  const passenger = await Passenger.findById(ride.passengerId._id || ride.passengerId, 'name emergencyContacts autoShare');
+  if (!passenger?.autoShare?.enabled) return 0;
+
+  const chosen = passenger.autoShare.contactIds.map(id => id.toString());
+  const recipients = passenger.emergencyContacts
+    .filter(contact => chosen.includes(contact._id.toString()))
+    .map(contact => ({ name: contact.name, phone: contact.phone }));
+  if (!recipients.length) return 0;
+
+  if (await RideShare.exists({ rideId: ride._id, source: RIDE_SHARE_SOURCES.AUTO })) return 0;
+
+  const share = await createRideShare(ride, {
+    source: RIDE_SHARE_SOURCES.AUTO,
+    recipients,
+    ttlMinutes: RIDE_SHARE_CONFIG.MAX_TTL_MINUTES
+  });
+
+  const sent = await textRecipients(share,
+    `${passenger.name} is on a Baneen ride with ${describeVehicle(driver)}. Follow it live: ${getShareUrl(share.token)}`);
+
+  logger.info(`Ride ${ride._id} auto-shared with ${sent}/${recipients.length} emergency contact(s)`);
+  return sent;
+};
+
+/**
+ * Turn auto-share on or off and choose which emergency contacts receive it (Passenger)
+ */
+export const updateAutoShareService = async (userId, { enabled, contactIds }) => {
+  const passenger = await Passenger.findOne({ userId });
+  if (!passenger) {
+    throw new Error('Passenger profile not found');
+  }
+
+  if (contactIds !== undefined) {
+    if (contactIds.some(id => !passenger.emergencyContacts.id(id))) {
+      throw new Error('Emergency contact not found');
+    }
+    passenger.autoShare.contactIds = [...new Set(contactIds.map(String))];
+  }
+  if (enabled && !passenger.autoShare.contactIds.length) {
+    throw new Error('Choose at least one emergency contact to share rides with');
+  }
+  passenger.autoShare.enabled = enabled;
+  await passenger.save();
+
+  return passenger.autoShare;
+};
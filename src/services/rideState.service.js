@@ -0,0 +1,233 @@
+/**
+ * Ride State Machine
+ * Single place that decides which status changes are allowed, who may make them
+ * and what happens alongside. Every transition is written to the RideEvent log.
+ */
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import RideEvent from '../models/RideEvent.js';
+import poolService from './pool.service.js';
+import { releaseRedemption } from './promo.service.js';
+import { recordCompletedRide } from './referral.service.js';
+import logger from '../utils/logger.js';
+import { RIDE_STATUS, DRIVER_AVAILABILITY } from '../config/constants.js';
+
+export const RIDE_ACTORS = {
+  PASSENGER: 'passenger',
+  DRIVER: 'driver',
+  ADMIN: 'admin',
+  SYSTEM: 'system',
+};
+
+export const SYSTEM_ACTOR = { role: RIDE_ACTORS.SYSTEM };
+
+const { PASSENGER, DRIVER, ADMIN, SYSTEM } = RIDE_ACTORS;
+
+// from -> to -> roles allowed to make the change
+export const RIDE_TRANSITIONS = {
+  [RIDE_STATUS.SCHEDULED]: {
+    [RIDE_STATUS.PENDING]: [SYSTEM],
+    [RIDE_STATUS.CANCELLED]: [PASSENGER, ADMIN, SYSTEM],
+  },
+  [RIDE_STATUS.PENDING]: {
+    [RIDE_STATUS.ACCEPTED]: [DRIVER],
+    [RIDE_STATUS.CANCELLED]: [PASSENGER, ADMIN, SYSTEM],
+  },
+  [RIDE_STATUS.ACCEPTED]: {
+    [RIDE_STATUS.ARRIVED]: [DRIVER],
+    [RIDE_STATUS.IN_PROGRESS]: [DRIVER],
+    [RIDE_STATUS.CANCELLED]: [PASSENGER, DRIVER, ADMIN, SYSTEM],
+  },
+  [RIDE_STATUS.ARRIVED]: {
+    [RIDE_STATUS.IN_PROGRESS]: [DRIVER],
+    [RIDE_STATUS.CANCELLED]: [PASSENGER, DRIVER, ADMIN, SYSTEM],
+  },
+  [RIDE_STATUS.IN_PROGRESS]: {
+    [RIDE_STATUS.COMPLETED]: [DRIVER, ADMIN],
+    [RIDE_STATUS.CANCELLED]: [ADMIN],
+  },
+  [RIDE_STATUS.COMPLETED]: {},
+  [RIDE_STATUS.CANCELLED]: {},
+};
+
+// Timestamp recorded on the ride when it enters a status
+const TIMESTAMP_FIELDS = {
+  [RIDE_STATUS.PENDING]: 'activatedAt',
+  [RIDE_STATUS.ACCEPTED]: 'acceptedAt',
+  [RIDE_STATUS.ARRIVED]: 'arrivedAt',
+  [RIDE_STATUS.IN_PROGRESS]: 'startedAt',
+  [RIDE_STATUS.COMPLETED]: 'completedAt',
+  [RIDE_STATUS.CANCELLED]: 'cancelledAt',
+};
+
+// Used in error messages: "Cannot <action> a ride that is <status>"
+const ACTION_LABELS = {
+  [RIDE_STATUS.PENDING]: 'activate',
+  [RIDE_STATUS.ACCEPTED]: 'accept',
+  [RIDE_STATUS.ARRIVED]: 'mark arrival for',
+  [RIDE_STATUS.IN_PROGRESS]: 'start',
+  [RIDE_STATUS.COMPLETED]: 'complete',
+  [RIDE_STATUS.CANCELLED]: 'cancel',
+};
+
+const CANCELLED_BY = {
+  [PASSENGER]: 'passenger',
+  [DRIVER]: 'driver',
+  [ADMIN]: 'admin',
+  [SYSTEM]: 'system',
+};
+
+const setDriverAvailability = async (driverId, status) => {
+  await Driver.updateOne(
+    { _id: driverId },
+    { 'availability.status': status, 'availability.lastUpdated': new Date() }
+  );
+};
+
+const getDriverMatchingService = async () =>
+  (await import('./driverMatching.service.js')).default;
+
+const getScheduledRideService = async () =>
+  import('./scheduledRide.service.js');
+
+const getRideShareService = async () =>
+  import('./rideShare.service.js');
+
+// Pooled rides update their shared trip; returns whether other riders are still on it
+const updatePool = async (ride, to) => {
+  if (!ride.pool?.poolId) return { active: false };
+  return poolService.handleRideTransition(ride, to);
+};
+
+// Side effects run after the status change is stored
+const SIDE_EFFECTS = {
+  [RIDE_STATUS.ACCEPTED]: async (ride) => {
+    (await getDriverMatchingService()).stopDispatch(ride._id);
+    await setDriverAvailability(ride.driverId._id || ride.driverId, DRIVER_AVAILABILITY.BUSY);
+  },
+  [RIDE_STATUS.IN_PROGRESS]: async (ride) => {
+    await updatePool(ride, RIDE_STATUS.IN_PROGRESS);
+  },
+  [RIDE_STATUS.COMPLETED]: async (ride) => {
+    const pool = await updatePool(ride, RIDE_STATUS.COMPLETED);
+    if (!pool.active) {
+      await setDriverAvailability(ride.driverId._id || ride.driverId, DRIVER_AVAILABILITY.AVAILABLE);
+    }
+    await recordCompletedRide(ride);
+  },
+  [RIDE_STATUS.CANCELLED]: async (ride) => {
+    await (await getDriverMatchingService()).cancelDispatch(ride._id);
+    // A cancelled ride gives its promo code use back
+    if (ride.promo?.redemptionId) {
+      await releaseRedemption(ride._id, 'Ride cancelled');
+    }
+    if (ride.driverId) {
+      const pool = await updatePool(ride, RIDE_STATUS.CANCELLED);
+      if (!pool.active) {
+        await setDriverAvailability(ride.driverId._id || ride.driverId, DRIVER_AVAILABILITY.AVAILABLE);
+      }
+    }
+    // A driver who claimed the scheduled ride in advance hears it is off
+    if (ride.reservation?.driverId) {
+      await (await getScheduledRideService()).notifyReservationCancelled(ride);
+    }
+  },
+};
+
+/**
+ * Whether an actor role may move a ride between two statuses
+ */
+export const canTransition = (from, to, role) =>
+  !!RIDE_TRANSITIONS[from]?.[to]?.includes(role);
+
+/**
+ * Move a ride to a new status.
+ * The change is applied only if the ride is still in the status it was loaded with,
+ * so two concurrent transitions cannot both succeed.
+ *
+ * @param {Document} ride - Ride document; updated in memory as well
+ * @param {string} to - Target status
+ * @param {Object} context - { actor: { role, userId }, reason, location, updates, metadata }
+ */
+export const transitionRide = async (ride, to, context = {}) => {
+  const { actor = SYSTEM_ACTOR, reason, location, updates = {}, metadata } = context;
+  const from = ride.status;
+
+  if (!RIDE_TRANSITIONS[from]?.[to]) {
+    throw new Error(`Cannot ${ACTION_LABELS[to] || 'update'} a ride that is ${from}`);
+  }
+  if (!canTransition(from, to, actor.role)) {
+    throw new Error(`A ${actor.role} cannot ${ACTION_LABELS[to] || 'update'} a ride that is ${from}`);
+  }
+
+  const now = new Date();
+  const changes = { ...updates, status: to };
+  if (TIMESTAMP_FIELDS[to]) {
+    changes[TIMESTAMP_FIELDS[to]] = now;
+  }
+  if (to === RIDE_STATUS.CANCELLED) {
+    changes.cancelledBy = changes.cancelledBy || CANCELLED_BY[actor.role];
+    changes.cancellationReason = changes.cancellationReason || reason;
+  }
+
+  const result = await Ride.updateOne({ _id: ride._id, status: from }, { $set: changes });
+  if (result.matchedCount === 0) {
+    throw new Error(`Ride is no longer ${from}`);
+  }
+
+  // Keep the caller's document in step with what was stored
+  ride.set(changes);
+
+  await RideEvent.create({
+    rideId: ride._id,
+    from,
+    to,
+    actor: { role: actor.role, userId: actor.userId },
+    reason,
+    location: location?.latitude != null
+      ? { latitude: location.latitude, longitude: location.longitude }
+      : undefined,
+    metadata
+  });
+
+  logger.info(`Ride ${ride._id}: ${from} -> ${to} by ${actor.role}${actor.userId ? ` ${actor.userId}` : ''}`);
+
+  if (SIDE_EFFECTS[to]) {
+    try {
+      await SIDE_EFFECTS[to](ride);
+    } catch (error) {
+      logger.error(`Side effects failed for ride ${ride._id} (${from} -> ${to}):`, error);
+    }
+  }
+
+  // People following the ride through a share link see every status change
+  try {
+    await (await getRideShareService()).publishRideUpdate(ride);
+  } catch (error) {
+    logger.error(`Failed to update share links for ride ${ride._id}:`, error);
+  }
+
+  return ride;
+};
+
+/**
+ * Log the initial status of a newly created ride
+ */
+export const recordRideCreated = async (ride, actor) => {
+  return RideEvent.create({
+    rideId: ride._id,
+    from: null,
+    to: ride.status,
+    actor: { role: actor.role, userId: actor.userId },
+    location: ride.pickup?.location
+  });
+};
+
+/**
+ * Full transition history of a ride, oldest first
+ */
+export const getRideTimeline = async (rideId) => {
+  return RideEvent.find({ rideId })
+    .sort({ createdAt: 1 })
+    .lean();
+};
@@ -1,20 +1,108 @@
 /**
  * Scheduled Ride Activation Service
  * Activates scheduled rides when their pickup time is approaching (15 min before)
- * and notifies nearby drivers - same flow as immediate ride request
+ * and dispatches them to drivers - same flow as immediate ride request.
+ * Drivers can also claim upcoming scheduled rides in advance; a claimed ride is
+ * offered to its driver first on activation, or goes back to the open pool if
+ * that driver is offline by then.
  */
 import Ride from '../models/Ride.js';
 import Driver from '../models/Driver.js';
 import Passenger from '../models/Passenger.js';
 import logger from '../utils/logger.js';
 import socketService from './socket.service.js';
-import { calculateHaversineDistance, estimateTravelTime } from './maps.service.js';
-import { DRIVER_AVAILABILITY } from '../config/constants.js';
+import driverMatchingService from './driverMatching.service.js';
+import { createNotification } from './notification.service.js';
+import { getBlockedPassengerIds } from './blocklist.service.js';
+import { calculateHaversineDistance } from './maps.service.js';
+import { transitionRide, SYSTEM_ACTOR } from './rideState.service.js';
+import {
+  RIDE_STATUS,
+  DRIVER_AVAILABILITY,
+  DRIVER_GENDER_PREFERENCES,
+  NOTIFICATION_TYPES,
+  RIDE_RESERVATION_RELEASE_REASONS
+} from '../config/constants.js';
 
 const ACTIVATION_BUFFER_MINUTES = 15;
 
+export const RESERVATION_CONFIG = {
+  REMINDER_MINUTES: 60, // Claiming driver is reminded this long before pickup, and again on activation
+  CLAIMS_CLOSE_MINUTES: 20, // No new claims this close to pickup, so a claim never races activation
+  MAX_ACTIVE_CLAIMS: 5, // Per driver
+  MIN_GAP_MINUTES: 60, // Between two pickups claimed by the same driver
+  BROWSE_RADIUS_KM: 25, // Open rides shown to a driver, measured from their last location
+  BROWSE_LIMIT: 50
+};
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Socket event for the open app plus a stored notification for later
+const notifyUser = async (userId, event, title, message, data) => {
+  socketService.notifyUser(userId.toString(), event, { ...data, message });
+  await createNotification(userId, NOTIFICATION_TYPES.RIDE, title, message, data);
+};
+
+const releaseUpdates = (driverId, reason) => ({
+  'reservation.driverId': null,
+  'reservation.releasedDriverId': driverId,
+  'reservation.releasedAt': new Date(),
+  'reservation.releaseReason': reason
+});
+
+const reservationSummary = (ride) => ({
+  rideId: ride._id,
+  scheduledAt: ride.scheduledAt,
+  pickup: { address: ride.pickup.address, location: ride.pickup.location },
+  destination: { address: ride.destination.address, location: ride.destination.location }
+});
+
 /**
- * Activate a single scheduled ride - transition to pending and notify drivers
+ * Decide what activation does with a claimed ride: offer it to the claiming driver first
+ * when they are available, otherwise drop the claim so dispatch searches everyone
+ */
+const resolveReservation = async (ride) => {
+  const driverId = ride.reservation?.driverId;
+  if (!driverId) return { updates: {} };
+
+  const driver = await Driver.findById(driverId, 'userId name availability.status');
+  const status = driver?.availability?.status;
+  if (status === DRIVER_AVAILABILITY.AVAILABLE) {
+    return { driver, updates: { preferredDriverId: driver._id } };
+  }
+
+  const reason = status === DRIVER_AVAILABILITY.BUSY
+    ? RIDE_RESERVATION_RELEASE_REASONS.DRIVER_BUSY
+    : RIDE_RESERVATION_RELEASE_REASONS.DRIVER_OFFLINE;
+  return { driver, released: reason, updates: releaseUpdates(driverId, reason) };
+};
+
+const notifyReservationOutcome = async (ride, passenger, { driver, released }) => {
+  if (!driver) return;
+
+  try {
+    if (!released) {
+      await notifyUser(driver.userId, 'ride:reservation_reminder', 'Claimed ride starting soon',
+        `Your claimed ride is ${ACTIVATION_BUFFER_MINUTES} minutes away. It is being offered to you now.`,
+        { ...reservationSummary(ride), minutesToPickup: ACTIVATION_BUFFER_MINUTES });
+      return;
+    }
+
+    await notifyUser(driver.userId, 'ride:reservation_released', 'Claimed ride released',
+      released === RIDE_RESERVATION_RELEASE_REASONS.DRIVER_BUSY
+        ? 'You were still on another trip, so your claimed ride went to another driver.'
+        : 'You were offline near pickup time, so your claimed ride went to another driver.',
+      { ...reservationSummary(ride), reason: released });
+    await notifyUser(passenger.userId, 'ride:reservation_released', 'Finding you another driver',
+      `${driver.name} is not available for your scheduled ride. We are finding you another driver.`,
+      { rideId: ride._id, reason: released });
+  } catch (error) {
+    logger.error(`Failed to send reservation notifications for ride ${ride._id}:`, error);
+  }
+};
+
+/**
+ * Activate a single scheduled ride - transition to pending and start dispatch
  */
 export const activateScheduledRide = async (ride) => {
   try {
@@ -24,96 +112,77 @@ export const activateScheduledRide = async (ride) => {
       return { success: false, reason: 'passenger_not_found' };
     }
 
-    const pickupLocation = ride.pickup.address;
-    const dropoffLocation = ride.destination.address;
-    const finalPickupCoords = ride.pickup.location;
-    const finalDropoffCoords = ride.destination.location;
-    const vehicleType = ride.vehicleType;
-    const paymentMethod = ride.payment.method;
-    const notes = ride.notes;
-
-    // Find available drivers
-    let availableDrivers = await Driver.find({
-      'availability.status': DRIVER_AVAILABILITY.AVAILABLE,
-      isApproved: true,
-      'vehicle.vehicleType': vehicleType,
-    })
-      .populate({
-        path: 'userId',
-        select: 'name phone',
-        match: { isActive: true, isBlocked: false },
-      })
-      .populate({
-        path: 'vehicle',
-        select: 'vehicleType model color registrationNumber',
-      });
-
-    availableDrivers = availableDrivers.filter((d) => d.userId !== null);
+    const reservation = await resolveReservation(ride);
 
     // Update ride status to pending (now active, waiting for driver)
-    ride.status = 'pending';
-    await ride.save();
-
-    logger.info(`Scheduled ride ${ride._id} activated, notifying ${availableDrivers.length} drivers`);
-
-    // Notify drivers
-    for (const driver of availableDrivers) {
-      let driverDistance = null;
-      let driverETA = null;
-
-      if (
-        driver.availability?.currentLocation?.latitude &&
-        driver.availability?.currentLocation?.longitude
-      ) {
-        const distance = calculateHaversineDistance(
-          driver.availability.currentLocation.latitude,
-          driver.availability.currentLocation.longitude,
-          finalPickupCoords.latitude,
-          finalPickupCoords.longitude
-        );
-        const eta = estimateTravelTime(distance.distanceKm, 30);
-        driverDistance = { km: distance.distanceKm, text: distance.distanceText };
-        driverETA = { minutes: Math.ceil(eta.duration / 60), text: eta.durationText };
-      }
-
-      socketService.notifyUser(driver.userId.toString(), 'ride:new_request', {
-        rideId: ride._id,
-        pickup: { address: pickupLocation, coordinates: finalPickupCoords },
-        dropoff: { address: dropoffLocation, coordinates: finalDropoffCoords },
-        fare: ride.fare?.estimated,
-        distance: ride.route?.distance,
-        duration: ride.route?.duration,
-        estimatedFare: ride.fare?.breakdown,
-        passenger: {
-          id: passenger.userId,
-          name: passenger.name,
-          rating: passenger.rating || 0,
-        },
-        driverDistance,
-        driverETA,
-        requestedAt: ride.updatedAt,
-        priority: ride.priority,
-        paymentMethod,
-        notes,
-        isScheduled: true,
-        scheduledAt: ride.scheduledAt,
-      });
-    }
+    await transitionRide(ride, RIDE_STATUS.PENDING, {
+      actor: SYSTEM_ACTOR,
+      reason: 'Scheduled pickup time approaching',
+      updates: reservation.updates,
+      metadata: reservation.released ? { reservationReleased: reservation.released } : undefined
+    });
+
+    await notifyReservationOutcome(ride, passenger, reservation);
+
+    // Offer the ride to the best drivers one at a time, skipping drivers either side has blocked
+    const dispatchResult = await driverMatchingService.dispatchRide(ride._id);
+
+    logger.info(`Scheduled ride ${ride._id} activated, dispatch ${dispatchResult.success ? 'offered to a driver' : 'searching'}`);
 
     // Notify passenger that their scheduled ride is now active
     socketService.notifyUser(passenger.userId.toString(), 'ride:scheduled_activated', {
       rideId: ride._id,
       message: 'Your scheduled ride is now active. Drivers are being notified.',
-      driversNotified: availableDrivers.length,
+      driversNotified: dispatchResult.success ? 1 : 0,
     });
 
-    return { success: true, driversNotified: availableDrivers.length };
+    return { success: true, driversNotified: dispatchResult.success ? 1 : 0 };
   } catch (error) {
     logger.error(`Failed to activate scheduled ride ${ride._id}:`, error);
     return { success: false, reason: error.message };
   }
 };
 
+/**
+ * Remind claiming drivers an hour before pickup; each claim is reminded once
+ */
+export const sendReservationReminders = async () => {
+  const rides = await Ride.find({
+    status: RIDE_STATUS.SCHEDULED,
+    'reservation.driverId': { $ne: null },
+    'reservation.remindedAt': null,
+    scheduledAt: { $lte: minutesFromNow(RESERVATION_CONFIG.REMINDER_MINUTES) }
+  }).populate('reservation.driverId', 'userId availability.status');
+
+  let sent = 0;
+  for (const ride of rides) {
+    const driver = ride.reservation.driverId;
+    if (!driver) continue;
+
+    // Claim the reminder so overlapping job runs send it once
+    const result = await Ride.updateOne(
+      { _id: ride._id, 'reservation.driverId': driver._id, 'reservation.remindedAt': null },
+      { $set: { 'reservation.remindedAt': new Date() } }
+    );
+    if (!result.modifiedCount) continue;
+
+    const minutesToPickup = Math.max(0, Math.round((ride.scheduledAt - Date.now()) / 60000));
+    const offline = driver.availability?.status === DRIVER_AVAILABILITY.OFFLINE;
+    try {
+      await notifyUser(driver.userId, 'ride:reservation_reminder', 'Claimed ride coming up',
+        offline
+          ? `Your claimed ride is in ${minutesToPickup} minutes. Go online before pickup or it will go to another driver.`
+          : `Your claimed ride is in ${minutesToPickup} minutes.`,
+        { ...reservationSummary(ride), minutesToPickup });
+      sent++;
+    } catch (error) {
+      logger.error(`Failed to remind driver about claimed ride ${ride._id}:`, error);
+    }
+  }
+
+  return { sent };
+};
+
 /**
  * Process all scheduled rides that are due for activation
  * Run via cron every 5-10 minutes
@@ -130,8 +199,10 @@ export const processScheduledRides = async () => {
     scheduledAt: { $lte: activationThreshold },
   }).populate('passengerId');
 
+  const reminders = await sendReservationReminders();
+
   if (ridesToActivate.length === 0) {
-    return { processed: 0 };
+    return { processed: 0, reminded: reminders.sent };
   }
 
   logger.info(`Processing ${ridesToActivate.length} scheduled ride(s) for activation`);
@@ -142,5 +213,230 @@ export const processScheduledRides = async () => {
     if (result.success) activated++;
   }
 
-  return { processed: ridesToActivate.length, activated };
+  return { processed: ridesToActivate.length, activated, reminded: reminders.sent };
+};
+
+/**
+ * Tell the claiming driver their scheduled ride was cancelled before anyone was assigned.
+ * Called by the ride state machine on every cancellation.
+ */
+export const notifyReservationCancelled = async (ride) => {
+  const driverId = ride.reservation?.driverId;
+  if (!driverId || ride.driverId) return;
+
+  const driver = await Driver.findById(driverId._id || driverId, 'userId');
+  if (!driver) return;
+
+  await notifyUser(driver.userId, 'ride:reservation_cancelled', 'Claimed ride cancelled',
+    'A scheduled ride you claimed has been cancelled.',
+    { ...reservationSummary(ride), reason: ride.cancellationReason });
+};
+
+const getApprovedDriver = async (userId) => {
+  const driver = await Driver.findOne({ userId });
+  if (!driver) {
+    throw new Error('Driver profile not found');
+  }
+  if (!driver.isApproved) {
+    throw new Error('Driver is not approved yet');
+  }
+  if (!driver.vehicle?.vehicleType) {
+    throw new Error('Register a vehicle before claiming scheduled rides');
+  }
+  return driver;
+};
+
+// Gender preferences this driver can serve
+const servableGenderPreferences = (driver) => [
+  DRIVER_GENDER_PREFERENCES.ANY,
+  null,
+  ...(driver.genderVerified && driver.gender ? [driver.gender] : [])
+];
+
+const toListing = (ride, driver) => {
+  const location = driver.availability?.currentLocation;
+  const distanceFromDriverKm = location?.coordinates?.length
+    ? calculateHaversineDistance(location.latitude, location.longitude, ride.pickup.location.latitude, ride.pickup.location.longitude).distanceKm
+    : null;
+
+  return {
+    ...reservationSummary(ride),
+    rideType: ride.rideType,
+    vehicleType: ride.vehicleType,
+    estimatedFare: ride.fare?.estimated,
+    currency: ride.fare?.currency,
+    distanceKm: ride.route?.distance ? Math.round(ride.route.distance / 100) / 10 : null,
+    durationMinutes: ride.route?.duration ? Math.ceil(ride.route.duration / 60) : null,
+    stops: ride.stops?.length || 0,
+    recurring: !!ride.recurrence?.scheduleId,
+    passenger: ride.passengerId?.name
+      ? { name: ride.passengerId.name, rating: ride.passengerId.rating }
+      : undefined,
+    distanceFromDriverKm: distanceFromDriverKm != null ? Math.round(distanceFromDriverKm * 10) / 10 : null,
+    claimedAt: ride.reservation?.claimedAt
+  };
+};
+
+/**
+ * Upcoming scheduled rides nobody has claimed that this driver can take (Driver)
+ */
+export const listOpenScheduledRidesService = async (userId) => {
+  const driver = await getApprovedDriver(userId);
+  const blockedPassengerIds = await getBlockedPassengerIds(driver._id);
+
+  const rides = await Ride.find({
+    status: RIDE_STATUS.SCHEDULED,
+    isScheduled: true,
+    'reservation.driverId': null,
+    scheduledAt: { $gt: minutesFromNow(RESERVATION_CONFIG.CLAIMS_CLOSE_MINUTES) },
+    vehicleType: driver.vehicle.vehicleType,
+    driverGenderPreference: { $in: servableGenderPreferences(driver) },
+    passengerId: { $nin: blockedPassengerIds }
+  })
+    .populate('passengerId', 'name rating')
+    .sort({ scheduledAt: 1 });
+
+  const listings = rides
+    .map(ride => toListing(ride, driver))
+    .filter(ride => ride.distanceFromDriverKm == null || ride.distanceFromDriverKm <= RESERVATION_CONFIG.BROWSE_RADIUS_KM)
+    .slice(0, RESERVATION_CONFIG.BROWSE_LIMIT);
+
+  return { rides: listings, count: listings.length, radiusKm: RESERVATION_CONFIG.BROWSE_RADIUS_KM };
+};
+
+/**
+ * Scheduled rides this driver has claimed and not yet started (Driver)
+ */
+export const listClaimedScheduledRidesService = async (userId) => {
+  const driver = await Driver.findOne({ userId });
+  if (!driver) {
+    throw new Error('Driver profile not found');
+  }
+
+  const rides = await Ride.find({
+    'reservation.driverId': driver._id,
+    status: { $in: [RIDE_STATUS.SCHEDULED, RIDE_STATUS.PENDING] }
+  })
+    .populate('passengerId', 'name rating')
+    .sort({ scheduledAt: 1 });
+
+  return {
+    rides: rides.map(ride => ({ ...toListing(ride, driver), status: ride.status })),
+    count: rides.length,
+    limit: RESERVATION_CONFIG.MAX_ACTIVE_CLAIMS
+  };
+};
+
+/**
+ * Claim an upcoming scheduled ride; the passenger is told who their driver will be (Driver)
+ */
+export const claimScheduledRideService = async (userId, rideId) => {
+  const driver = await getApprovedDriver(userId);
+
+  const ride = await Ride.findById(rideId).populate('passengerId', 'userId name');
+  if (!ride || !ride.isScheduled) {
+    throw new Error('Scheduled ride not found');
+  }
+  if (ride.status !== RIDE_STATUS.SCHEDULED) {
+    throw new Error('This ride is no longer open for claiming');
+  }
+  if (ride.reservation?.driverId) {
+    throw new Error(ride.reservation.driverId.toString() === driver._id.toString()
+      ? 'You have already claimed this ride'
+      : 'This ride has already been claimed by another driver');
+  }
+  if (ride.scheduledAt <= minutesFromNow(RESERVATION_CONFIG.CLAIMS_CLOSE_MINUTES)) {
+    throw new Error(`Rides can only be claimed more than ${RESERVATION_CONFIG.CLAIMS_CLOSE_MINUTES} minutes before pickup`);
+  }
+  if (ride.vehicleType !== driver.vehicle.vehicleType) {
+    throw new Error(`This ride needs a ${ride.vehicleType}`);
+  }
+  if (!servableGenderPreferences(driver).includes(ride.driverGenderPreference || null)) {
+    throw new Error('This ride is reserved for drivers matching the passenger\'s preference');
+  }
+  if ((await getBlockedPassengerIds(driver._id)).includes(ride.passengerId._id.toString())) {
+    throw new Error('You cannot claim rides for this passenger');
+  }
+
+  const gap = RESERVATION_CONFIG.MIN_GAP_MINUTES * 60 * 1000;
+  const claims = await Ride.find({
+    'reservation.driverId': driver._id,
+    status: RIDE_STATUS.SCHEDULED
+  }, 'scheduledAt');
+  if (claims.length >= RESERVATION_CONFIG.MAX_ACTIVE_CLAIMS) {
+    throw new Error(`You can hold at most ${RESERVATION_CONFIG.MAX_ACTIVE_CLAIMS} claimed rides`);
+  }
+  if (claims.some(claim => Math.abs(claim.scheduledAt - ride.scheduledAt) < gap)) {
+    throw new Error(`Claimed pickups must be at least ${RESERVATION_CONFIG.MIN_GAP_MINUTES} minutes apart`);
+  }
+
+  // Conditional update so two drivers claiming at once cannot both win
+  const claimedAt = new Date();
+  const result = await Ride.updateOne(
+    { _id: ride._id, status: RIDE_STATUS.SCHEDULED, 'reservation.driverId': null },
+    { $set: { 'reservation.driverId': driver._id, 'reservation.claimedAt': claimedAt, 'reservation.remindedAt': null } }
+  );
+  if (!result.modifiedCount) {
+    throw new Error('This ride has already been claimed by another driver');
+  }
+
+  logger.info(`Scheduled ride ${ride._id} claimed by driver ${driver._id}`);
+
+  try {
+    await notifyUser(ride.passengerId.userId, 'ride:reservation_confirmed', 'Driver confirmed',
+      `${driver.name} will pick you up on ${ride.scheduledAt.toLocaleString()}.`,
+      {
+        rideId: ride._id,
+        scheduledAt: ride.scheduledAt,
+        driver: {
+          id: driver._id,
+          name: driver.name,
+          rating: driver.rating || 0,
+          vehicle: {
+            model: driver.vehicle?.model,
+            color: driver.vehicle?.color,
+            registrationNumber: driver.vehicle?.registrationNumber
+          }
+        }
+      });
+  } catch (error) {
+    logger.error(`Failed to confirm claimed ride ${ride._id} to passenger:`, error);
+  }
+
+  return {
+    ...reservationSummary(ride),
+    claimedAt,
+    reminderAt: new Date(ride.scheduledAt.getTime() - RESERVATION_CONFIG.REMINDER_MINUTES * 60 * 1000)
+  };
+};
+
+/**
+ * Give up a claimed ride before it activates; it goes back to the open list (Driver)
+ */
+export const releaseScheduledRideService = async (userId, rideId) => {
+  const driver = await Driver.findOne({ userId });
+  if (!driver) {
+    throw new Error('Driver profile not found');
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, status: RIDE_STATUS.SCHEDULED, 'reservation.driverId': driver._id },
+    { $set: releaseUpdates(driver._id, RIDE_RESERVATION_RELEASE_REASONS.DRIVER) },
+    { new: true }
+  ).populate('passengerId', 'userId');
+  if (!ride) {
+    throw new Error('Claimed ride not found');
+  }
+
+  logger.info(`Driver ${driver._id} released claimed scheduled ride ${ride._id}`);
+
+  try {
+    await notifyUser(ride.passengerId.userId, 'ride:reservation_released', 'Driver unavailable',
+      `${driver.name} can no longer take your scheduled ride. Another driver will be found.`,
+      { rideId: ride._id, reason: RIDE_RESERVATION_RELEASE_REASONS.DRIVER });
+  } catch (error) {
+    logger.error(`Failed to tell passenger about released ride ${ride._id}:`, error);
+  }
+
+  return { rideId: ride._id, releasedAt: ride.reservation.releasedAt };
 };
@@ -25,6 +25,7 @@ class SocketService {
 
     this.io.use(this.authenticateSocket);
     this.setupEventHandlers();
+    this.setupRideShareNamespace();
 
     logger.info('Socket.io initialized successfully');
   }
@@ -81,6 +82,33 @@ class SocketService {
     });
   }
 
+  // Public, read-only live view of a shared ride; viewers connect with a share token instead of a login
+  setupRideShareNamespace() {
+    const namespace = this.io.of('/ride-share');
+
+    namespace.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth.token || socket.handshake.query.token;
+        const { resolveShareToken } = await import('./rideShare.service.js');
+        const { share, ride, view } = await resolveShareToken(token);
+
+        socket.shareId = share._id.toString();
+        socket.rideId = ride._id.toString();
+        socket.snapshot = view;
+        next();
+      } catch (error) {
+        next(new Error(error.message || 'Share link is invalid or has expired'));
+      }
+    });
+
+    namespace.on('connection', (socket) => {
+      socket.join(`ride_${socket.rideId}`);
+      socket.join(`share_${socket.shareId}`);
+      socket.emit('share:snapshot', socket.snapshot);
+      socket.snapshot = null;
+    });
+  }
+
   setupRideEvents(socket) {
     const userId = socket.userId;
     const userRole = socket.userRole;
@@ -137,6 +165,40 @@ class SocketService {
       }
     });
 
+    // Driver opened a ride offer
+    socket.on('ride:offer_viewed', async (data) => {
+      try {
+        const { rideId } = data;
+
+        const { default: driverMatchingService } = await import('./driverMatching.service.js');
+        await driverMatchingService.markOfferViewed(rideId, socket.userId);
+
+      } catch (error) {
+        logger.error('Ride offer viewed socket error:', error);
+      }
+    });
+
+    // Reject ride offer (Driver) - offer moves on to the next candidate
+    socket.on('ride:reject', async (data) => {
+      try {
+        const { rideId } = data;
+
+        const { default: driverMatchingService } = await import('./driverMatching.service.js');
+        await driverMatchingService.handleDriverResponse(rideId, socket.userId, false);
+
+        socket.emit('ride:reject_confirmed', { rideId });
+
+        logger.info(`Ride ${rideId} rejected via socket by driver ${socket.userId}`);
+
+      } catch (error) {
+        logger.error('Ride reject socket error:', error);
+        socket.emit('ride:error', {
+          type: 'reject_failed',
+          message: error.message || 'Failed to reject ride'
+        });
+      }
+    });
+
     // Start ride (Driver)
     socket.on('ride:start', async (data) => {
       try {
@@ -161,6 +223,55 @@ class SocketService {
       }
     });
 
+    // Reached an intermediate stop (Driver)
+    socket.on('ride:stop_reached', async (data) => {
+      try {
+        const { rideId, stopIndex, latitude, longitude } = data;
+        const driverId = socket.userId;
+
+        const { markStopReachedService } = await import('./ride.service.js');
+        const result = await markStopReachedService(
+          driverId,
+          rideId,
+          Number(stopIndex),
+          latitude != null && longitude != null ? { latitude, longitude } : null
+        );
+
+        socket.emit('ride:stop_reached_confirmed', {
+          rideId: result.rideId,
+          stopIndex: result.stopIndex,
+          remainingStops: result.remainingStops,
+          message: result.message
+        });
+
+      } catch (error) {
+        logger.error('Stop reached socket error:', error);
+        socket.emit('ride:error', {
+          type: 'stop_reached_failed',
+          message: error.message || 'Failed to mark stop as reached'
+        });
+      }
+    });
+
+    // Answer a passenger's destination change (Driver)
+    socket.on('ride:destination_change_response', async (data) => {
+      try {
+        const { rideId, changeId, accepted } = data;
+
+        const { respondDestinationChangeService } = await import('./ride.service.js');
+        const result = await respondDestinationChangeService(socket.userId, rideId, changeId, !!accepted);
+
+        socket.emit('ride:destination_change_confirmed', result);
+
+      } catch (error) {
+        logger.error('Destination change response socket error:', error);
+        socket.emit('ride:error', {
+          type: 'destination_change_failed',
+          message: error.message || 'Failed to answer destination change'
+        });
+      }
+    });
+
     // Update location (Driver - Real-time tracking)
     socket.on('ride:location_update', async (data) => {
       try {
@@ -178,6 +289,19 @@ class SocketService {
           });
         }
 
+        // Anyone following the ride through a share link sees the driver move too
+        if (activeRide && activeRide.driverUserId === userId) {
+          this.emitToRideShares(rideId, 'share:location', {
+            rideId,
+            location: { latitude, longitude },
+            heading,
+            timestamp: new Date()
+          });
+
+          const { monitorRideLocation } = await import('./rideMonitor.service.js');
+          await monitorRideLocation(rideId, { latitude, longitude });
+        }
+
       } catch (error) {
         logger.error('Location update socket error:', error);
       }
@@ -316,23 +440,11 @@ class SocketService {
     });
   }
 
-  // Find nearby available drivers
+  // Find nearby available drivers, nearest first
   async findNearbyDrivers(pickupCoords, radiusKm = 5) {
     try {
-      // Import Driver model
-      const Driver = (await import('../models/Driver.js')).default;
-
-      // Find drivers within radius (simplified - in production use geospatial queries)
-      const drivers = await Driver.find({
-        'availability.status': 'available',
-        isApproved: true,
-        isActive: true,
-        isBlocked: false
-      })
-      .populate('userId', 'name phone')
-      .limit(10); // Limit to prevent spam
-
-      return drivers;
+      const { default: driverMatchingService } = await import('./driverMatching.service.js');
+      return await driverMatchingService.getAvailableDrivers(pickupCoords, radiusKm);
     } catch (error) {
       logger.error('Find nearby drivers error:', error);
       return [];
@@ -392,6 +504,19 @@ class SocketService {
     this.io.emit(event, data);
   }
 
+  // Send to everyone following a ride through a share link
+  emitToRideShares(rideId, event, data) {
+    this.io?.of('/ride-share').to(`ride_${rideId}`).emit(event, data);
+  }
+
+  // Tell share-link viewers in a room why the stream stopped, then disconnect them
+  closeRideShares(room, event, data) {
+    const namespace = this.io?.of('/ride-share');
+    if (!namespace) return;
+    namespace.to(room).emit(event, data);
+    namespace.in(room).disconnectSockets(true);
+  }
+
   // Get connected users count
   getConnectedUsersCount() {
     return this.connectedUsers.size;
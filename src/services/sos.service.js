@@ -3,7 +3,8 @@ import Ride from '../models/Ride.js';
 import Passenger from '../models/Passenger.js';
 import Driver from '../models/Driver.js';
 import { sendSMS } from './sms.service.js';
-import { notifyAdmins } from './notification.service.js';
+import { notifyAdmins, createNotification } from './notification.service.js';
+import socketService from './socket.service.js';
 import { formatPhoneNumber } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 import { USER_ROLES, NOTIFICATION_TYPES } from '../config/constants.js';
@@ -17,7 +18,7 @@ const findActiveRideForUser = async (userId, userRole) => {
     if (!passenger) return null;
     return Ride.findOne({
       passengerId: passenger._id,
-      status: { $in: ['accepted', 'in-progress'] },
+      status: { $in: ['accepted', 'arrived', 'in-progress'] },
     });
   }
   if (userRole === USER_ROLES.DRIVER) {
@@ -25,7 +26,7 @@ const findActiveRideForUser = async (userId, userRole) => {
     if (!driver) return null;
     return Ride.findOne({
       driverId: driver._id,
-      status: { $in: ['accepted', 'in-progress'] },
+      status: { $in: ['accepted', 'arrived', 'in-progress'] },
     });
   }
   return null;
@@ -76,8 +77,10 @@ export const triggerSOSAlertService = async (userId, userRole, data) => {
     ride = await findActiveRideForUser(userId, userRole);
   }
 
-  // Use live location: from body, or from ride's current tracking, or from ride's pickup
-  let location = bodyLocation;
+  // Use live location: from body, or from ride's current tracking, or from ride's pickup.
+  // A booker raising SOS for someone else's ride is not in the car, so the ride's position wins.
+  const bookedForSomeoneElse = !!ride?.rider?.name;
+  let location = bookedForSomeoneElse && userRole === USER_ROLES.PASSENGER ? null : bodyLocation;
   if (!location?.latitude || !location?.longitude) {
     if (ride?.tracking?.currentLocation?.latitude != null && ride?.tracking?.currentLocation?.longitude != null) {
       location = {
@@ -166,12 +169,34 @@ export const triggerSOSAlertService = async (userId, userRole, data) => {
       NOTIFICATION_TYPES.SOS_ALERT,
       'SOS Alert Triggered',
       `A user has triggered an emergency SOS alert. Location: ${location?.address || 'Shared'}`,
-      { alertId: alert._id, rideId: ride?._id, userId }
+      { alertId: alert._id, rideId: ride?._id, userId, rider: ride?.rider?.name ? { name: ride.rider.name, phone: ride.rider.phone } : undefined }
     );
   } catch (notifyErr) {
     logger.error('SOS: Failed to notify admins:', notifyErr);
   }
 
+  // The rider has no app on a ride booked for them, so an SOS from the driver goes to the booker
+  if (bookedForSomeoneElse && userRole !== USER_ROLES.PASSENGER) {
+    try {
+      const booker = await Passenger.findById(ride.passengerId, 'userId');
+      if (booker) {
+        const message = `An SOS was raised on ${ride.rider.name}'s ride. Location: ${location.address || `${location.latitude}, ${location.longitude}`}`;
+        socketService.notifyUser(booker.userId.toString(), 'ride:sos_alert', {
+          alertId: alert._id,
+          rideId: ride._id,
+          location: alert.location,
+          message
+        });
+        await createNotification(booker.userId, NOTIFICATION_TYPES.SOS_ALERT, 'SOS on a ride you booked', message, {
+          alertId: alert._id,
+          rideId: ride._id
+        });
+      }
+    } catch (notifyErr) {
+      logger.error('SOS: Failed to notify booker:', notifyErr);
+    }
+  }
+
   return {
     alert: {
       _id: alert._id,
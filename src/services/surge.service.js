@@ -0,0 +1,254 @@
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import SystemSettings from '../models/SystemSettings.js';
+import logger from '../utils/logger.js';
+import { encodeGeohash, decodeGeohash } from '../utils/geohash.js';
+import { DRIVER_AVAILABILITY, RIDE_STATUS } from '../config/constants.js';
+
+const OVERRIDES_KEY = 'surgeOverrides';
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]+$/;
+
+// Surge Pricing Service - demand/supply multiplier per geohash cell
+class SurgeService {
+  constructor() {
+    this.cellPrecision = 5; // Geohash precision of a surge cell (~4.9km cells)
+    this.windowMs = 10 * 60 * 1000; // Requests in the last 10 minutes count as demand
+    this.minMultiplier = 1.0;
+    this.maxMultiplier = 2.5; // Dynamic surge never goes above this
+    this.maxOverrideMultiplier = 5.0; // Admin overrides are capped here
+    this.ratioThreshold = 1.0; // Surge starts once requests outnumber drivers
+    this.multiplierPerRatio = 0.5; // Surge added per unit of demand/supply ratio above threshold
+    this.smoothing = 0.3; // Weight of the newest reading, keeps prices from jumping
+    this.step = 0.1; // Published multipliers are rounded to this
+
+    // cell -> { multiplier, rawMultiplier, demand, supply, updatedAt }
+    this.cells = new Map();
+  }
+
+  /**
+   * Surge cell id for a location
+   */
+  getCell(location) {
+    return encodeGeohash(Number(location.latitude), Number(location.longitude), this.cellPrecision);
+  }
+
+  isValidCell(cell) {
+    return typeof cell === 'string' && cell.length === this.cellPrecision && GEOHASH_PATTERN.test(cell);
+  }
+
+  /**
+   * Recount demand and supply per cell and publish smoothed multipliers
+   */
+  async recompute() {
+    try {
+      const since = new Date(Date.now() - this.windowMs);
+
+      const [demandByCell, drivers] = await Promise.all([
+        Ride.aggregate([
+          {
+            $match: {
+              zone: { $ne: null },
+              $or: [
+                { status: RIDE_STATUS.PENDING },
+                { requestedAt: { $gte: since }, isScheduled: { $ne: true } }
+              ]
+            }
+          },
+          { $group: { _id: '$zone', count: { $sum: 1 } } }
+        ]),
+        Driver.find({
+          isApproved: true,
+          'availability.status': DRIVER_AVAILABILITY.AVAILABLE,
+          'availability.currentLocation.coordinates': { $exists: true }
+        }).select('availability.currentLocation').lean()
+      ]);
+
+      const readings = new Map();
+      const reading = (cell) => {
+        if (!readings.has(cell)) readings.set(cell, { demand: 0, supply: 0 });
+        return readings.get(cell);
+      };
+
+      demandByCell.forEach(({ _id, count }) => { reading(_id).demand = count; });
+      drivers.forEach(driver => {
+        const [longitude, latitude] = driver.availability.currentLocation.coordinates;
+        reading(this.getCell({ latitude, longitude })).supply++;
+      });
+
+      // Cells that went quiet still need to decay back to 1.0
+      this.cells.forEach((_, cell) => reading(cell));
+
+      const now = new Date();
+      readings.forEach(({ demand, supply }, cell) => {
+        const rawMultiplier = this.calculateRawMultiplier(demand, supply);
+        const previous = this.cells.get(cell)?.multiplier ?? this.minMultiplier;
+        const multiplier = this.roundMultiplier(previous + this.smoothing * (rawMultiplier - previous));
+
+        if (multiplier <= this.minMultiplier && rawMultiplier <= this.minMultiplier && demand === 0) {
+          this.cells.delete(cell);
+          return;
+        }
+
+        this.cells.set(cell, { multiplier, rawMultiplier, demand, supply, updatedAt: now });
+      });
+
+      return { cells: this.cells.size, surging: [...this.cells.values()].filter(c => c.multiplier > 1).length };
+
+    } catch (error) {
+      logger.error('Surge recompute error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsmoothed multiplier for one reading, capped to [minMultiplier, maxMultiplier]
+   */
+  calculateRawMultiplier(demand, supply) {
+    const ratio = demand / Math.max(supply, 1);
+    const multiplier = this.minMultiplier + Math.max(0, ratio - this.ratioThreshold) * this.multiplierPerRatio;
+    return Math.min(Math.max(multiplier, this.minMultiplier), this.maxMultiplier);
+  }
+
+  roundMultiplier(multiplier) {
+    const rounded = Math.round(multiplier / this.step) * this.step;
+    return Math.min(Math.max(Number(rounded.toFixed(2)), this.minMultiplier), this.maxMultiplier);
+  }
+
+  /**
+   * Active admin overrides keyed by cell (expired ones are dropped)
+   */
+  async getOverrides() {
+    const setting = await SystemSettings.findOne({ key: OVERRIDES_KEY }).lean();
+    const overrides = setting?.value || {};
+    const now = Date.now();
+
+    return Object.fromEntries(
+      Object.entries(overrides).filter(([, override]) =>
+        !override.expiresAt || new Date(override.expiresAt).getTime() > now
+      )
+    );
+  }
+
+  /**
+   * Multiplier to charge for a pickup location
+   */
+  async getMultiplierForLocation(location) {
+    const cell = this.getCell(location);
+
+    try {
+      const overrides = await this.getOverrides();
+      if (overrides[cell]) {
+        return { zone: cell, multiplier: overrides[cell].multiplier, source: 'override' };
+      }
+    } catch (error) {
+      logger.error('Failed to load surge overrides:', error);
+    }
+
+    const published = this.cells.get(cell);
+    return {
+      zone: cell,
+      multiplier: published?.multiplier ?? this.minMultiplier,
+      source: published ? 'dynamic' : 'default'
+    };
+  }
+
+  /**
+   * Current surge map for admins: dynamic cells plus overrides
+   */
+  async getSurgeMap() {
+    const overrides = await this.getOverrides();
+    const cellIds = new Set([...this.cells.keys(), ...Object.keys(overrides)]);
+
+    const cells = [...cellIds].map(cell => {
+      const published = this.cells.get(cell);
+      const override = overrides[cell] || null;
+      return {
+        cell,
+        center: decodeGeohash(cell),
+        multiplier: override ? override.multiplier : published?.multiplier ?? this.minMultiplier,
+        source: override ? 'override' : 'dynamic',
+        dynamicMultiplier: published?.multiplier ?? this.minMultiplier,
+        rawMultiplier: published?.rawMultiplier ?? this.minMultiplier,
+        demand: published?.demand ?? 0,
+        supply: published?.supply ?? 0,
+        updatedAt: published?.updatedAt || null,
+        override
+      };
+    }).sort((a, b) => b.multiplier - a.multiplier);
+
+    return {
+      cells,
+      config: {
+        cellPrecision: this.cellPrecision,
+        windowMinutes: this.windowMs / 60000,
+        minMultiplier: this.minMultiplier,
+        maxMultiplier: this.maxMultiplier,
+        maxOverrideMultiplier: this.maxOverrideMultiplier,
+        smoothing: this.smoothing
+      }
+    };
+  }
+
+  /**
+   * Pin a cell to a fixed multiplier, optionally for a limited time
+   */
+  async setOverride(cell, { multiplier, durationMinutes, reason }, adminId) {
+    if (!this.isValidCell(cell)) {
+      throw new Error(`Invalid surge cell. Expected a ${this.cellPrecision}-character geohash`);
+    }
+
+    const value = Number(multiplier);
+    if (!Number.isFinite(value) || value < this.minMultiplier || value > this.maxOverrideMultiplier) {
+      throw new Error(`Multiplier must be between ${this.minMultiplier} and ${this.maxOverrideMultiplier}`);
+    }
+
+    // Without a duration the override stays until it is cleared
+    const hasDuration = durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== '';
+    const duration = Number(durationMinutes);
+    if (hasDuration && (!Number.isFinite(duration) || duration <= 0)) {
+      throw new Error('Duration must be a positive number of minutes');
+    }
+
+    const overrides = await this.getOverrides();
+    overrides[cell] = {
+      multiplier: Math.round(value * 100) / 100,
+      reason: reason || null,
+      expiresAt: hasDuration ? new Date(Date.now() + duration * 60000) : null,
+      setBy: adminId,
+      setAt: new Date()
+    };
+
+    await SystemSettings.findOneAndUpdate(
+      { key: OVERRIDES_KEY },
+      { value: overrides, updatedBy: adminId },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Surge override set for cell ${cell}: ${overrides[cell].multiplier}x`);
+    return { cell, ...overrides[cell] };
+  }
+
+  /**
+   * Return a cell to dynamic pricing
+   */
+  async clearOverride(cell, adminId) {
+    const overrides = await this.getOverrides();
+    if (!overrides[cell]) {
+      throw new Error('No surge override for this cell');
+    }
+
+    delete overrides[cell];
+    await SystemSettings.findOneAndUpdate(
+      { key: OVERRIDES_KEY },
+      { value: overrides, updatedBy: adminId },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Surge override cleared for cell ${cell}`);
+    return { cell };
+  }
+}
+
+// Export singleton instance
+const surgeService = new SurgeService();
+export default surgeService;
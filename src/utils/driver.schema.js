@@ -23,4 +23,7 @@ export const registerDriverSchema = Joi.object({
   vehicleName: Joi.string().min(2).required(),
   owner: Joi.string().min(3).required(),
   address: Joi.string().min(10).required(),
+  gender: Joi.string().valid('female', 'male').required(),
+  referralCode: Joi.string().trim().uppercase().alphanum().max(20).optional().allow(''),
+  deviceId: Joi.string().trim().max(200).optional(),
 });
@@ -0,0 +1,73 @@
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a coordinate as a geohash cell id
+ * Precision 5 is roughly a 4.9km x 4.9km cell, precision 6 roughly 1.2km x 0.6km
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Number of characters in the hash
+ * @returns {string} - Geohash
+ */
+export const encodeGeohash = (latitude, longitude, precision = 5) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash to the centre of its cell
+ * @param {string} hash - Geohash
+ * @returns {Object} - { latitude, longitude }
+ */
+export const decodeGeohash = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error(`Invalid geohash character: ${char}`);
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (latRange[0] + latRange[1]) / 2,
+    longitude: (lngRange[0] + lngRange[1]) / 2
+  };
+};
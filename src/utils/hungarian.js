@@ -0,0 +1,80 @@
+/**
+ * Solve a minimum-cost assignment with the Hungarian algorithm (O(n^3))
+ * Rows and columns may differ in number; each row gets at most one column.
+ * Cells set to Infinity are never assigned.
+ * @param {number[][]} costMatrix - costMatrix[row][col]
+ * @returns {number[]} - Assigned column for each row, or -1 when unassigned
+ */
+export const solveAssignment = (costMatrix) => {
+  const rows = costMatrix.length;
+  const cols = rows > 0 ? costMatrix[0].length : 0;
+  if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+  // Pad to a square matrix; forbidden and dummy cells get a cost larger than any real one
+  const size = Math.max(rows, cols);
+  const finiteCosts = costMatrix.flat().filter(Number.isFinite);
+  const forbidden = (finiteCosts.length ? Math.max(...finiteCosts.map(Math.abs)) : 0) * size + 1;
+  const cost = (i, j) => {
+    if (i >= rows || j >= cols) return forbidden;
+    const value = costMatrix[i][j];
+    return Number.isFinite(value) ? value : forbidden;
+  };
+
+  // Potentials and matching are 1-indexed; column 0 is a virtual start column
+  const u = new Array(size + 1).fill(0);
+  const v = new Array(size + 1).fill(0);
+  const match = new Array(size + 1).fill(0); // match[col] = row
+  const way = new Array(size + 1).fill(0);
+
+  for (let i = 1; i <= size; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(size + 1).fill(Infinity);
+    const used = new Array(size + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= size; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= size; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= size; j++) {
+    const i = match[j] - 1;
+    if (i < rows && j - 1 < cols && Number.isFinite(costMatrix[i][j - 1])) {
+      assignment[i] = j - 1;
+    }
+  }
+  return assignment;
+};
@@ -0,0 +1,67 @@
+const EARTH_RADIUS_METERS = 6371e3;
+
+/**
+ * Decode a Google encoded polyline (precision 5)
+ * @param {string} encoded - Polyline from the Directions API
+ * @returns {Array} - [{ latitude, longitude }]
+ */
+export const decodePolyline = (encoded = '') => {
+  const points = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += nextValue();
+    longitude += nextValue();
+    points.push({ latitude: latitude / 1e5, longitude: longitude / 1e5 });
+  }
+
+  return points;
+};
+
+/**
+ * Shortest distance from a point to a path, in meters.
+ * Uses a flat projection around the point, which is accurate over city distances.
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} path - [{ latitude, longitude }], at least one point
+ * @returns {number} - Meters, Infinity for an empty path
+ */
+export const distanceToPathMeters = (point, path = []) => {
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const lngScale = Math.cos(point.latitude * Math.PI / 180);
+  const project = (p) => ({
+    x: (p.longitude - point.longitude) * metersPerDegree * lngScale,
+    y: (p.latitude - point.latitude) * metersPerDegree
+  });
+
+  if (path.length === 1) {
+    const { x, y } = project(path[0]);
+    return Math.hypot(x, y);
+  }
+
+  let best = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    const a = project(path[i - 1]);
+    const b = project(path[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on segment a-b to the origin (the point itself)
+    const t = lengthSquared ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+};
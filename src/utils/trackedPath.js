@@ -0,0 +1,93 @@
+// Defaults for cleaning a driver's GPS trail before it is billed
+export const TRACKED_PATH_DEFAULTS = {
+  minMoveMeters: 15, // Smaller moves are treated as GPS jitter while standing still
+  maxSpeedKmh: 160, // Faster jumps between fixes are treated as teleports
+  gapSeconds: 90 // Longer silences between fixes are reported as GPS gaps
+};
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+const metersBetween = (a, b) => {
+  const φ1 = a.latitude * Math.PI / 180;
+  const φ2 = b.latitude * Math.PI / 180;
+  const Δφ = (b.latitude - a.latitude) * Math.PI / 180;
+  const Δλ = (b.longitude - a.longitude) * Math.PI / 180;
+
+  const h = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+const isValidPoint = (point) =>
+  Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude) &&
+  Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180 &&
+  !(point.latitude === 0 && point.longitude === 0);
+
+/**
+ * Clean a tracked GPS path and measure it.
+ * Points are ordered by time; jitter and impossible jumps are dropped. Gaps are
+ * bridged with a straight line (the shortest the car could have driven) and reported.
+ * @param {Array} path - [{ latitude, longitude, timestamp }]
+ * @param {Object} options - Overrides for TRACKED_PATH_DEFAULTS
+ * @returns {Object} - { points, distance (m), duration (s), totalPoints, removed, gaps, gapDistance }
+ */
+export const cleanTrackedPath = (path = [], options = {}) => {
+  const { minMoveMeters, maxSpeedKmh, gapSeconds } = { ...TRACKED_PATH_DEFAULTS, ...options };
+  const maxSpeedMps = maxSpeedKmh / 3.6;
+
+  const ordered = path
+    .filter(isValidPoint)
+    .map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: point.timestamp ? new Date(point.timestamp) : null
+    }))
+    .sort((a, b) => (a.timestamp && b.timestamp ? a.timestamp - b.timestamp : 0));
+
+  const removed = { invalid: path.length - ordered.length, jitter: 0, teleports: 0 };
+  const gaps = [];
+  const points = [];
+  let distance = 0;
+  let gapDistance = 0;
+
+  for (const point of ordered) {
+    const last = points[points.length - 1];
+    if (!last) {
+      points.push(point);
+      continue;
+    }
+
+    const meters = metersBetween(last, point);
+    const seconds = last.timestamp && point.timestamp ? (point.timestamp - last.timestamp) / 1000 : null;
+
+    if (meters < minMoveMeters) {
+      removed.jitter++;
+      continue;
+    }
+    if (seconds !== null && (seconds <= 0 || meters / seconds > maxSpeedMps)) {
+      removed.teleports++;
+      continue;
+    }
+
+    if (seconds !== null && seconds > gapSeconds) {
+      gaps.push({ from: last.timestamp, to: point.timestamp, seconds: Math.round(seconds), distance: Math.round(meters) });
+      gapDistance += meters;
+    }
+
+    distance += meters;
+    points.push(point);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    points,
+    distance: Math.round(distance),
+    duration: first?.timestamp && last?.timestamp ? Math.round((last.timestamp - first.timestamp) / 1000) : 0,
+    totalPoints: path.length,
+    removed,
+    gaps,
+    gapDistance: Math.round(gapDistance)
+  };
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { MAX_RIDE_STOPS, DRIVER_GENDER_PREFERENCES } from '../config/constants.js';
 export const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   phone: Joi.string().pattern(/^(\+92|92|0)?[0-9]{10}$/).required(),
@@ -73,12 +74,115 @@ export const rideRequestSchema = Joi.object({
   }).optional(),
   paymentMethod: Joi.string().valid('cash', 'easypaisa', 'jazzcash', 'card').required(),
   vehicleType: Joi.string().valid('car', 'bike', 'auto').required(),
-  rideType: Joi.string().valid('one-time', 'subscription').default('one-time'),
+  rideType: Joi.string().valid('one-time', 'subscription', 'pool').default('one-time'),
+  // Seats for a shared ride
+  seats: Joi.number().integer().min(1).max(2).optional(),
   notes: Joi.string().max(500).optional(),
+  // Intermediate stops, visited in the order given
+  stops: Joi.array().items(Joi.object({
+    address: Joi.string().required(),
+    coords: Joi.object({
+      latitude: Joi.number().required(),
+      longitude: Joi.number().required(),
+    }).optional(),
+  })).max(MAX_RIDE_STOPS).optional(),
   // Scheduled ride - ISO 8601 datetime, must be at least 30 min from now, max 7 days ahead
   scheduledAt: Joi.date().iso().min('now').optional(),
+  // Signed quote from the fare estimate - locks the quoted price while valid
+  quoteToken: Joi.string().optional(),
+  promoCode: Joi.string().trim().max(30).optional(),
+  // Overrides the passenger's default driver preference for this ride
+  driverGenderPreference: Joi.string().valid(...Object.values(DRIVER_GENDER_PREFERENCES)).optional(),
+  // Booking for someone else - they get the driver details, trip PIN and tracking link by SMS
+  rider: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    phone: Joi.string().pattern(/^(\+92|92|0)?[0-9]{10}$/).required(),
+  }).optional(),
+});
+
+// Mid-ride destination change
+export const destinationChangeSchema = Joi.object({
+  dropoffLocation: Joi.string().required(),
+  dropoffCoords: Joi.object({
+    latitude: Joi.number().required(),
+    longitude: Joi.number().required(),
+  }).optional(),
+});
+
+// Post-ride tip - 'wallet' pays from ride credit instead of the ride's payment method
+export const tipSchema = Joi.object({
+  amount: Joi.number().positive().max(5000).required(),
+  payWith: Joi.string().valid('ride', 'wallet').default('ride'),
+});
+
+// Recurring rides - dates and times are local (YYYY-MM-DD, HH:mm), dayOfWeek 0 = Sunday
+const localDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': 'Dates must be YYYY-MM-DD' });
+const coordsSchema = Joi.object({
+  latitude: Joi.number().required(),
+  longitude: Joi.number().required(),
+});
+const rideSchedulePattern = Joi.array().items(Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': 'Times must be HH:mm' }).required(),
+})).min(1).max(14);
+
+export const rideScheduleSchema = Joi.object({
+  pickupLocation: Joi.string().required(),
+  dropoffLocation: Joi.string().required(),
+  pickupCoords: coordsSchema.optional(),
+  dropoffCoords: coordsSchema.optional(),
+  paymentMethod: Joi.string().valid('cash', 'easypaisa', 'jazzcash', 'card').required(),
+  vehicleType: Joi.string().valid('car', 'bike', 'auto').required(),
+  notes: Joi.string().max(500).optional(),
+  driverGenderPreference: Joi.string().valid(...Object.values(DRIVER_GENDER_PREFERENCES)).optional(),
+  preferredDriverId: Joi.string().hex().length(24).optional(),
+  pattern: rideSchedulePattern.required(),
+  startDate: localDate.required(),
+  endDate: localDate.optional().allow(null),
+  skipDates: Joi.array().items(localDate).max(100).optional(),
+});
+
+export const rideScheduleUpdateSchema = Joi.object({
+  pickupLocation: Joi.string().optional(),
+  dropoffLocation: Joi.string().optional(),
+  pickupCoords: coordsSchema.optional(),
+  dropoffCoords: coordsSchema.optional(),
+  paymentMethod: Joi.string().valid('cash', 'easypaisa', 'jazzcash', 'card').optional(),
+  vehicleType: Joi.string().valid('car', 'bike', 'auto').optional(),
+  notes: Joi.string().max(500).optional().allow(''),
+  driverGenderPreference: Joi.string().valid(...Object.values(DRIVER_GENDER_PREFERENCES)).optional(),
+  preferredDriverId: Joi.string().hex().length(24).optional().allow(null),
+  pattern: rideSchedulePattern.optional(),
+  startDate: localDate.optional(),
+  endDate: localDate.optional().allow(null),
+  skipDates: Joi.array().items(localDate).max(100).optional(),
+}).min(1);
+
+// One occurrence of a recurring ride, identified by its slot in the pattern
+export const rideOccurrenceSkipSchema = Joi.object({
+  occurrenceAt: Joi.date().iso().required(),
 });
 
+export const rideOccurrenceRescheduleSchema = Joi.object({
+  occurrenceAt: Joi.date().iso().required(),
+  pickupAt: Joi.date().iso().required(),
+});
+
+// Block list entries - the person to block, or a ride they were on
+const objectId = Joi.string().hex().length(24);
+
+export const blockDriverSchema = Joi.object({
+  driverId: objectId,
+  rideId: objectId,
+  reason: Joi.string().trim().max(500).optional(),
+}).or('driverId', 'rideId');
+
+export const blockPassengerSchema = Joi.object({
+  passengerId: objectId,
+  rideId: objectId,
+  reason: Joi.string().trim().max(500).optional(),
+}).or('passengerId', 'rideId');
+
 // Emergency contact validation
 export const emergencyContactSchema = Joi.object({
   name: Joi.string().min(2).max(50).required(),
@@ -86,6 +190,38 @@ export const emergencyContactSchema = Joi.object({
   relationship: Joi.string().min(2).max(30).required(),
 });
 
+// Live-trip share link; contacts are texted the link
+export const rideShareSchema = Joi.object({
+  contactIds: Joi.array().items(objectId).max(5).optional(),
+  contacts: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    phone: Joi.string().pattern(/^(\+92|92|0)?[0-9]{10}$/).required(),
+  })).max(5).optional(),
+  expiresInMinutes: Joi.number().integer().min(15).max(720).optional(),
+});
+
+export const autoShareSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  contactIds: Joi.array().items(objectId).max(5).optional(),
+});
+
+export const safetyCheckResponseSchema = Joi.object({
+  checkId: objectId.required(),
+  safe: Joi.boolean().required(),
+});
+
+// Admin ride monitor thresholds; omitted fields keep their current value
+export const rideMonitorSettingsSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  offRouteMeters: Joi.number().integer().min(50).max(5000).optional(),
+  offRouteSeconds: Joi.number().integer().min(30).max(1800).optional(),
+  stopSeconds: Joi.number().integer().min(60).max(3600).optional(),
+  expectedStopRadiusMeters: Joi.number().integer().min(50).max(1000).optional(),
+  silenceSeconds: Joi.number().integer().min(60).max(1800).optional(),
+  responseSeconds: Joi.number().integer().min(30).max(600).optional(),
+  quietMinutes: Joi.number().integer().min(1).max(120).optional(),
+}).min(1);
+
 // Vehicle registration validation
 export const vehicleSchema = Joi.object({
   type: Joi.string().valid('car', 'bike', 'auto').required(),
@@ -125,6 +261,8 @@ export const registerPassengerSchema = Joi.object({
   cnic: Joi.string().pattern(/^\d{13}$/).required(),
   password: Joi.string().min(8).required(),
   confirmPassword: Joi.string().valid(Joi.ref('password')).required().messages({ 'any.only': 'Password and confirm password must match' }),
+  referralCode: Joi.string().trim().uppercase().alphanum().max(20).optional().allow(''),
+  deviceId: Joi.string().trim().max(200).optional(),
 });
 // Complaint validation
 export const complaintSchema = Joi.object({
@@ -143,3 +281,56 @@ export const subscriptionPlanSchema = Joi.object({
   validityDays: Joi.number().integer().positive().required(),
 });
 
+
+// Fare table validation (admin pricing)
+const fareRates = {
+  baseFare: Joi.number().min(0),
+  bookingFee: Joi.number().min(0),
+  perStopFee: Joi.number().min(0),
+  minimumFare: Joi.number().min(0),
+  perKmRate: Joi.number().min(0),
+  perMinuteRate: Joi.number().min(0),
+  waitingRatePerMinute: Joi.number().min(0),
+  waitingGraceMinutes: Joi.number().min(0),
+  currency: Joi.string().length(3).uppercase(),
+  effectiveFrom: Joi.date().iso(),
+  notes: Joi.string().max(500).allow(''),
+};
+
+export const fareTableSchema = Joi.object({
+  ...fareRates,
+  city: Joi.string().trim().lowercase().required(),
+  vehicleType: Joi.string().valid('car', 'bike', 'auto').required(),
+  baseFare: fareRates.baseFare.required(),
+  perKmRate: fareRates.perKmRate.required(),
+  perMinuteRate: fareRates.perMinuteRate.required(),
+});
+
+export const fareTableUpdateSchema = Joi.object(fareRates).min(1);
+
+// Promotion validation (admin promo codes)
+const promotionFields = {
+  description: Joi.string().max(200).allow(''),
+  discountType: Joi.string().valid('flat', 'percentage'),
+  discountValue: Joi.number().positive(),
+  maxDiscount: Joi.number().positive().allow(null),
+  minFare: Joi.number().min(0),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  validFrom: Joi.date().iso(),
+  validUntil: Joi.date().iso(),
+  vehicleTypes: Joi.array().items(Joi.string().valid('car', 'bike', 'auto')).unique(),
+  cities: Joi.array().items(Joi.string().trim().lowercase()).unique(),
+  firstRideOnly: Joi.boolean(),
+  isActive: Joi.boolean(),
+};
+
+export const promotionSchema = Joi.object({
+  ...promotionFields,
+  code: Joi.string().trim().uppercase().alphanum().min(3).max(30).required(),
+  discountType: promotionFields.discountType.required(),
+  discountValue: promotionFields.discountValue.required(),
+  validUntil: promotionFields.validUntil.required(),
+});
+
+export const promotionUpdateSchema = Joi.object(promotionFields).min(1);
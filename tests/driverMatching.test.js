@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const { default: driverMatchingService } = await import('../src/services/driverMatching.service.js');
+const { default: RideOffer } = await import('../src/models/RideOffer.js');
+const { default: Ride } = await import('../src/models/Ride.js');
+const { default: Driver } = await import('../src/models/Driver.js');
+
+const driverId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('driver performance', () => {
+  it('only counts rides the driver cancelled against the completion rate', async () => {
+    const aggregate = jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([]);
+
+    await driverMatchingService.getDriverPerformance([driverId]);
+
+    const group = aggregate.mock.calls[0][0].find(stage => stage.$group).$group;
+    const finishedWhen = group.finished.$sum.$cond[0].$or;
+    expect(finishedWhen).toContainEqual({ $eq: ['$rideStatus', 'completed'] });
+    expect(finishedWhen).toContainEqual({
+      $and: [{ $eq: ['$rideStatus', 'cancelled'] }, { $eq: ['$rideCancelledBy', 'driver'] }]
+    });
+  });
+
+  it('reports null for every per-driver metric when there is no data', async () => {
+    jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([]);
+
+    await expect(driverMatchingService.calculateAcceptanceRate(driverId)).resolves.toBeNull();
+    await expect(driverMatchingService.calculateCompletionRate(driverId)).resolves.toBeNull();
+    await expect(driverMatchingService.calculateAverageResponseTime(driverId)).resolves.toBeNull();
+  });
+
+  it('reports null in the matching stats of a driver without data', async () => {
+    jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Driver, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Ride, 'countDocuments').mockResolvedValue(0);
+
+    const stats = await driverMatchingService.getMatchingStats(driverId);
+
+    expect(stats.driver).toEqual({
+      driverId,
+      acceptanceRate: null,
+      completionRate: null,
+      avgResponseTimeMs: null
+    });
+  });
+
+  it('turns the aggregated counts into rates', async () => {
+    jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([
+      { _id: driverId, decided: 3, accepted: 2, completed: 1, finished: 1, avgResponseTime: 4321.6 }
+    ]);
+
+    const performance = await driverMatchingService.getDriverPerformance([driverId]);
+
+    expect(performance.get(driverId.toString())).toEqual({
+      acceptanceRate: (2 / 3) * 100,
+      completionRate: 100,
+      avgResponseTime: 4321.6
+    });
+  });
+
+  it('falls back to the scoring defaults when there is no data', async () => {
+    jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([]);
+
+    const [score] = await driverMatchingService.calculateDriverScores(
+      [{ _id: driverId, userId: new mongoose.Types.ObjectId(), rating: 5, distance: 0 }],
+      { latitude: 31.5, longitude: 74.3 }
+    );
+
+    expect(score.factors.acceptanceRate).toBe(50);
+    expect(score.factors.completionRate).toBe(50);
+    expect(score.factors.responseTime).toBe(70);
+  });
+
+  it('scores every driver in the search radius', async () => {
+    const aggregate = jest.spyOn(RideOffer, 'aggregate').mockResolvedValue([]);
+    const drivers = Array.from({ length: 30 }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      rating: 4.5,
+      distance: i * 0.1
+    }));
+
+    const scores = await driverMatchingService.calculateDriverScores(drivers, { latitude: 31.5, longitude: 74.3 });
+
+    expect(scores).toHaveLength(30);
+    expect(aggregate).toHaveBeenCalledTimes(1);
+  });
+});
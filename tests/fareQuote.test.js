@@ -0,0 +1,92 @@
+import jwt from 'jsonwebtoken';
+
+const { signFareQuote, verifyFareQuote, QUOTE_CONFIG } = await import('../src/services/quote.service.js');
+const { FARE_QUOTE_STATUS } = await import('../src/config/constants.js');
+
+const PICKUP = { latitude: 31.5204, longitude: 74.3587 };
+const DROPOFF = { latitude: 31.4697, longitude: 74.2728 };
+const STOP = { latitude: 31.5, longitude: 74.32 };
+const METER = 0.000009; // ~1 m of latitude
+
+const shifted = (point, meters) => ({ ...point, latitude: point.latitude + meters * METER });
+
+const quoteFor = (overrides = {}) => signFareQuote({
+  pickup: PICKUP,
+  dropoff: DROPOFF,
+  stops: [STOP],
+  vehicleType: 'car',
+  city: 'lahore',
+  route: { distance: 12000, duration: 1500 },
+  fare: { total: 620 },
+  surge: { zone: 'ttk7', multiplier: 1.2 },
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  pickup: PICKUP,
+  dropoff: DROPOFF,
+  stops: [STOP],
+  vehicleType: 'car',
+  ...overrides
+});
+
+describe('verifyFareQuote', () => {
+  it('honours a quote for the same trip and returns its price', () => {
+    const { token, quoteId } = quoteFor();
+
+    const { status, quote } = verifyFareQuote(token, booking());
+
+    expect(status).toBe(FARE_QUOTE_STATUS.HONOURED);
+    expect(quote).toMatchObject({ quoteId, fare: { total: 620 }, surge: { multiplier: 1.2 } });
+  });
+
+  it('allows the booked points to drift within the tolerance', () => {
+    const { token } = quoteFor();
+    const drift = QUOTE_CONFIG.LOCATION_TOLERANCE_METERS - 20;
+
+    const { status } = verifyFareQuote(token, booking({ pickup: shifted(PICKUP, drift), dropoff: shifted(DROPOFF, -drift) }));
+
+    expect(status).toBe(FARE_QUOTE_STATUS.HONOURED);
+  });
+
+  it('reports a missing quote', () => {
+    expect(verifyFareQuote(undefined, booking())).toEqual({ status: FARE_QUOTE_STATUS.MISSING, quote: null });
+  });
+
+  it('reports an expired quote', () => {
+    const expired = jwt.sign(
+      { vehicleType: 'car', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET,
+      { audience: 'fare-quote' }
+    );
+
+    expect(verifyFareQuote(expired, booking())).toEqual({ status: FARE_QUOTE_STATUS.EXPIRED, quote: null });
+  });
+
+  it('rejects a quote whose price was edited', () => {
+    const { token } = quoteFor();
+    const [header, , signature] = token.split('.');
+    const payload = { ...jwt.decode(token), fare: { total: 1 } };
+    const tampered = [header, Buffer.from(JSON.stringify(payload)).toString('base64url'), signature].join('.');
+
+    expect(verifyFareQuote(tampered, booking())).toEqual({ status: FARE_QUOTE_STATUS.INVALID, quote: null });
+  });
+
+  it('rejects a token signed for another purpose', () => {
+    const accessToken = jwt.sign({ userId: 'u1' }, process.env.JWT_SECRET);
+
+    expect(verifyFareQuote(accessToken, booking()).status).toBe(FARE_QUOTE_STATUS.INVALID);
+  });
+
+  it.each([
+    ['another vehicle type', { vehicleType: 'bike' }],
+    ['a pickup beyond the tolerance', { pickup: shifted(PICKUP, QUOTE_CONFIG.LOCATION_TOLERANCE_METERS + 50) }],
+    ['another dropoff', { dropoff: STOP }],
+    ['a stop left out', { stops: [] }],
+    ['a moved stop', { stops: [shifted(STOP, 500)] }]
+  ])('does not honour a quote for %s', (_, changes) => {
+    const { token } = quoteFor();
+
+    expect(verifyFareQuote(token, booking(changes))).toEqual({ status: FARE_QUOTE_STATUS.MISMATCH, quote: null });
+  });
+});
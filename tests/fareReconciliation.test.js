@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+
+const { reconcileFinalFare } = await import('../src/services/ride.service.js');
+const { default: FareTable } = await import('../src/models/FareTable.js');
+const { FARE_QUOTE_STATUS, DESTINATION_CHANGE_STATUS } = await import('../src/config/constants.js');
+
+// PKR 100 base + PKR 50 per km, nothing else, so fares are easy to read
+const FARE_TABLE = {
+  city: 'lahore',
+  vehicleType: 'car',
+  baseFare: 100,
+  perKmRate: 50,
+  perMinuteRate: 0,
+  minimumFare: 0,
+  bookingFee: 0,
+  perStopFee: 0,
+  currency: 'PKR',
+  version: 1
+};
+
+const START = { latitude: 31.5, longitude: 74.3 };
+const STEP = 0.0045; // ~500 m of latitude
+
+// A GPS fix every minute, ~500 m apart, heading north from START
+const trail = (fixes, startedAt) => Array.from({ length: fixes }, (_, i) => ({
+  latitude: START.latitude + i * STEP,
+  longitude: START.longitude,
+  timestamp: new Date(startedAt.getTime() + i * 60 * 1000)
+}));
+
+const buildRide = ({ fixes = 0, estimated = 350, quote, destinationChanges = [] } = {}) => {
+  const startedAt = new Date(Date.now() - (fixes + 1) * 60 * 1000);
+  return {
+    startedAt,
+    requestedAt: startedAt,
+    vehicleType: 'car',
+    city: 'lahore',
+    stops: [],
+    route: { distance: 5000, duration: 900 },
+    tracking: { path: trail(fixes, startedAt) },
+    fare: { estimated, breakdown: { surgeMultiplier: 1 }, quote },
+    destinationChanges
+  };
+};
+
+const endAfter = (fixes) => ({ latitude: START.latitude + fixes * STEP, longitude: START.longitude });
+
+describe('reconcileFinalFare', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(FareTable, 'findOne').mockReturnValue({
+      sort: () => ({ lean: async () => FARE_TABLE })
+    });
+  });
+
+  it('bills a well covered tracked path', async () => {
+    const ride = buildRide({ fixes: 12 });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.source).toBe('tracked-path');
+    expect(result.path.covered).toBe(true);
+    expect(result.distance).toBeGreaterThan(5900);
+    expect(result.distance).toBeLessThan(6100);
+    expect(result.finalFare).toBe(Math.round(100 + (result.distance / 1000) * 50));
+    expect(result.capApplied).toBe(false);
+  });
+
+  it('falls back to the reported distance when the trail is too sparse', async () => {
+    const ride = buildRide({ fixes: 1 });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12), finalDistance: 5200 });
+
+    expect(result.path.covered).toBe(false);
+    expect(result.source).toBe('reported');
+    expect(result.finalFare).toBe(360);
+  });
+
+  it('falls back to the estimate without a usable trail or reported distance', async () => {
+    const ride = buildRide({ fixes: 1 });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.source).toBe('estimate');
+    expect(result.finalFare).toBe(350);
+  });
+
+  it('caps the fare above the estimate when the destination was not changed', async () => {
+    const ride = buildRide({ fixes: 12, estimated: 200 });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.capApplied).toBe(true);
+    expect(result.capFare).toBe(240);
+    expect(result.finalFare).toBe(240);
+  });
+
+  it('charges the quoted fare when the quote was honoured', async () => {
+    const ride = buildRide({ fixes: 12, estimated: 330, quote: { status: FARE_QUOTE_STATUS.HONOURED } });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.quoteLocked).toBe(true);
+    expect(result.trackedFare).toBe(330);
+    expect(result.finalFare).toBe(330);
+  });
+
+  it('re-prices an honoured quote after an accepted destination change', async () => {
+    const ride = buildRide({
+      fixes: 12,
+      estimated: 200,
+      quote: { status: FARE_QUOTE_STATUS.HONOURED },
+      destinationChanges: [{ status: DESTINATION_CHANGE_STATUS.ACCEPTED }]
+    });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.quoteLocked).toBe(false);
+    expect(result.routeChanged).toBe(true);
+    expect(result.capApplied).toBe(false);
+    expect(result.finalFare).toBe(result.trackedFare);
+    expect(result.finalFare).toBeGreaterThan(200);
+  });
+
+  it('does not lock a quote that was not honoured', async () => {
+    const ride = buildRide({ fixes: 12, estimated: 350, quote: { status: FARE_QUOTE_STATUS.EXPIRED } });
+
+    const result = await reconcileFinalFare(ride, { endCoords: endAfter(12) });
+
+    expect(result.quoteLocked).toBe(false);
+    expect(result.finalFare).toBe(result.trackedFare);
+  });
+});
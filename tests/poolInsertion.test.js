@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const { default: poolService } = await import('../src/services/pool.service.js');
+const { POOL_STOP_TYPES, RIDE_STOP_STATUS } = await import('../src/config/constants.js');
+
+const { PICKUP, DROPOFF } = POOL_STOP_TYPES;
+const { PENDING, REACHED } = RIDE_STOP_STATUS;
+
+// Everything happens on one road heading north; km 0 is where the driver is now
+const KM = 0.009; // ~1 km of latitude
+const at = (km) => ({ latitude: 31.5 + km * KM, longitude: 74.3 });
+const DRIVER = at(0);
+
+const stop = (rideId, type, km, { seats = 1, status = PENDING } = {}) => ({
+  rideId, type, location: at(km), seats, status
+});
+
+const newRide = (pickupKm, dropoffKm, seats = 1) => ({
+  _id: new mongoose.Types.ObjectId(),
+  pool: { seats },
+  pickup: { location: at(pickupKm), address: `km ${pickupKm}` },
+  destination: { location: at(dropoffKm), address: `km ${dropoffKm}` }
+});
+
+// Rider already in the car, picked up behind the driver and getting off at km 5
+const poolWithRider = ({ seats = 1, capacity = 4 } = {}) => {
+  const riderId = new mongoose.Types.ObjectId();
+  return {
+    riderId,
+    pool: {
+      capacity,
+      revision: 3,
+      stops: [
+        stop(riderId, PICKUP, -1, { seats, status: REACHED }),
+        stop(riderId, DROPOFF, 5, { seats })
+      ]
+    }
+  };
+};
+
+describe('poolService.planInsertion', () => {
+  it('drives straight to the pickup and dropoff of an empty pool', () => {
+    const ride = newRide(1, 3);
+
+    const plan = poolService.planInsertion({ capacity: 4, revision: 0, stops: [] }, DRIVER, ride);
+
+    expect(plan.stops.map(s => s.type)).toEqual([PICKUP, DROPOFF]);
+    expect(plan.pickupEtaSeconds).toBe(poolService.travelSeconds(DRIVER, at(1)));
+    expect(plan.addedSeconds).toBe(poolService.travelSeconds(DRIVER, at(1)) + poolService.travelSeconds(at(1), at(3)));
+    expect(plan.revision).toBe(0);
+  });
+
+  it('fits a rider going the same way in before the current dropoff', () => {
+    const { riderId, pool } = poolWithRider();
+    const ride = newRide(1, 3);
+
+    const plan = poolService.planInsertion(pool, DRIVER, ride);
+
+    // The reached pickup stays at the front of the list
+    expect(plan.stops.map(s => [s.rideId.toString(), s.type])).toEqual([
+      [riderId.toString(), PICKUP],
+      [ride._id.toString(), PICKUP],
+      [ride._id.toString(), DROPOFF],
+      [riderId.toString(), DROPOFF]
+    ]);
+    expect(plan.addedSeconds).toBeLessThanOrEqual(2); // On the way, only rounding differs
+    expect(plan.revision).toBe(3);
+  });
+
+  it('refuses a rider when the car has no free seat before the detour limit runs out', () => {
+    const { pool } = poolWithRider({ seats: 2, capacity: 2 });
+
+    expect(poolService.planInsertion(pool, DRIVER, newRide(1, 3))).toBeNull();
+  });
+
+  it('refuses a rider whose trip would delay the others too much', () => {
+    const { pool } = poolWithRider();
+
+    // Heading the other way: whichever rider goes first, the other waits too long
+    expect(poolService.planInsertion(pool, DRIVER, newRide(-1, -4))).toBeNull();
+  });
+
+  it('takes a larger party when enough seats are free', () => {
+    const { pool } = poolWithRider({ seats: 1, capacity: 3 });
+
+    expect(poolService.planInsertion(pool, DRIVER, newRide(1, 3, 2))).not.toBeNull();
+    expect(poolService.planInsertion(pool, DRIVER, newRide(1, 3, 3))).toBeNull();
+  });
+});
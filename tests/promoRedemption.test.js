@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const { redeemPromotion } = await import('../src/services/promo.service.js');
+const { default: Promotion } = await import('../src/models/Promotion.js');
+const { default: PromoRedemption } = await import('../src/models/PromoRedemption.js');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const promotion = { _id: id(), code: 'EID50' };
+const redemptionInput = (overrides = {}) => ({
+  promotion,
+  passengerId: id(),
+  rideId: id(),
+  discount: 50,
+  fareBeforeDiscount: 400,
+  ...overrides
+});
+
+// Promotion as stored after the usedCount increment
+const mockCounted = (counted) => jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(counted);
+const mockTakenSlots = (slots) => jest.spyOn(PromoRedemption, 'find')
+  .mockReturnValue({ distinct: jest.fn().mockResolvedValue(slots) });
+
+let rollback;
+
+beforeEach(() => {
+  rollback = jest.spyOn(Promotion, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('redeemPromotion', () => {
+  it('only counts a use while the promotion is under its total limit', async () => {
+    const findOneAndUpdate = mockCounted(null);
+    const create = jest.spyOn(PromoRedemption, 'create');
+
+    await expect(redeemPromotion(redemptionInput())).rejects.toThrow('Promo code has reached its usage limit');
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toContainEqual({ $expr: { $lt: ['$usedCount', '$usageLimit'] } });
+    expect(update).toEqual({ $inc: { usedCount: 1 } });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('uses the first free per-passenger slot', async () => {
+    mockCounted({ ...promotion, perUserLimit: 3 });
+    mockTakenSlots([1, 3]);
+    const create = jest.spyOn(PromoRedemption, 'create').mockImplementation(async (doc) => doc);
+
+    const input = redemptionInput();
+    const redemption = await redeemPromotion(input);
+
+    expect(redemption).toMatchObject({ slot: 2, passengerId: input.passengerId, rideId: input.rideId, discount: 50 });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(rollback).not.toHaveBeenCalled();
+  });
+
+  it('gives the counted use back when the passenger has no slot left', async () => {
+    mockCounted({ ...promotion, perUserLimit: 2 });
+    mockTakenSlots([1, 2]);
+    const create = jest.spyOn(PromoRedemption, 'create');
+
+    await expect(redeemPromotion(redemptionInput())).rejects.toThrow('You have already used this promo code');
+
+    expect(create).not.toHaveBeenCalled();
+    expect(rollback).toHaveBeenCalledWith(
+      { _id: promotion._id, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  });
+
+  it('treats a slot taken by a concurrent request as the per-passenger limit', async () => {
+    mockCounted({ ...promotion, perUserLimit: 1 });
+    mockTakenSlots([]);
+    jest.spyOn(PromoRedemption, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(redeemPromotion(redemptionInput())).rejects.toThrow('You have already used this promo code');
+    expect(rollback).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives the counted use back and rethrows any other failure', async () => {
+    mockCounted({ ...promotion, perUserLimit: 1 });
+    mockTakenSlots([]);
+    jest.spyOn(PromoRedemption, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(redeemPromotion(redemptionInput())).rejects.toThrow('connection lost');
+    expect(rollback).toHaveBeenCalledTimes(1);
+  });
+});
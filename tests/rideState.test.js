@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const stopDispatch = jest.fn();
+const cancelDispatch = jest.fn().mockResolvedValue();
+jest.unstable_mockModule('../src/services/driverMatching.service.js', () => ({
+  default: { stopDispatch, cancelDispatch }
+}));
+
+const releaseRedemption = jest.fn().mockResolvedValue(null);
+jest.unstable_mockModule('../src/services/promo.service.js', () => ({ releaseRedemption }));
+
+const recordCompletedRide = jest.fn().mockResolvedValue();
+jest.unstable_mockModule('../src/services/referral.service.js', () => ({ recordCompletedRide }));
+
+const publishRideUpdate = jest.fn().mockResolvedValue();
+jest.unstable_mockModule('../src/services/rideShare.service.js', () => ({ publishRideUpdate }));
+
+const notifyReservationCancelled = jest.fn().mockResolvedValue();
+jest.unstable_mockModule('../src/services/scheduledRide.service.js', () => ({ notifyReservationCancelled }));
+
+const { transitionRide, canTransition, RIDE_ACTORS } = await import('../src/services/rideState.service.js');
+const { default: Ride } = await import('../src/models/Ride.js');
+const { default: Driver } = await import('../src/models/Driver.js');
+const { default: RideEvent } = await import('../src/models/RideEvent.js');
+const { default: poolService } = await import('../src/services/pool.service.js');
+const { RIDE_STATUS, DRIVER_AVAILABILITY } = await import('../src/config/constants.js');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildRide = (status, extra = {}) => new Ride({ status, passengerId: id(), ...extra });
+
+let rideUpdate;
+let driverUpdate;
+let eventCreate;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  rideUpdate = jest.spyOn(Ride, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  driverUpdate = jest.spyOn(Driver, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  eventCreate = jest.spyOn(RideEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transitionRide guards', () => {
+  it('rejects a change the state machine does not allow', async () => {
+    const ride = buildRide(RIDE_STATUS.COMPLETED);
+
+    await expect(transitionRide(ride, RIDE_STATUS.CANCELLED, { actor: { role: RIDE_ACTORS.ADMIN } }))
+      .rejects.toThrow('Cannot cancel a ride that is completed');
+    expect(rideUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects an actor who may not make the change', async () => {
+    const ride = buildRide(RIDE_STATUS.IN_PROGRESS);
+
+    await expect(transitionRide(ride, RIDE_STATUS.CANCELLED, { actor: { role: RIDE_ACTORS.PASSENGER } }))
+      .rejects.toThrow('A passenger cannot cancel a ride that is in-progress');
+    expect(rideUpdate).not.toHaveBeenCalled();
+  });
+
+  it('only writes when the ride is still in the status it was loaded with', async () => {
+    rideUpdate.mockResolvedValue({ matchedCount: 0 });
+    const ride = buildRide(RIDE_STATUS.PENDING);
+
+    await expect(transitionRide(ride, RIDE_STATUS.ACCEPTED, { actor: { role: RIDE_ACTORS.DRIVER } }))
+      .rejects.toThrow('Ride is no longer pending');
+    expect(rideUpdate.mock.calls[0][0]).toEqual({ _id: ride._id, status: RIDE_STATUS.PENDING });
+    expect(ride.status).toBe(RIDE_STATUS.PENDING);
+    expect(eventCreate).not.toHaveBeenCalled();
+  });
+
+  it('lets only the system activate a scheduled ride', () => {
+    expect(canTransition(RIDE_STATUS.SCHEDULED, RIDE_STATUS.PENDING, RIDE_ACTORS.SYSTEM)).toBe(true);
+    expect(canTransition(RIDE_STATUS.SCHEDULED, RIDE_STATUS.PENDING, RIDE_ACTORS.PASSENGER)).toBe(false);
+  });
+});
+
+describe('transitionRide side effects', () => {
+  it('stamps the status time, logs the event and makes the driver busy on accept', async () => {
+    const driverId = id();
+    const userId = id();
+    const ride = buildRide(RIDE_STATUS.PENDING);
+
+    await transitionRide(ride, RIDE_STATUS.ACCEPTED, {
+      actor: { role: RIDE_ACTORS.DRIVER, userId },
+      updates: { driverId }
+    });
+
+    expect(ride.status).toBe(RIDE_STATUS.ACCEPTED);
+    expect(ride.acceptedAt).toBeInstanceOf(Date);
+    expect(rideUpdate.mock.calls[0][1].$set).toMatchObject({ status: RIDE_STATUS.ACCEPTED, driverId });
+    expect(eventCreate).toHaveBeenCalledWith(expect.objectContaining({
+      rideId: ride._id,
+      from: RIDE_STATUS.PENDING,
+      to: RIDE_STATUS.ACCEPTED,
+      actor: { role: RIDE_ACTORS.DRIVER, userId }
+    }));
+    expect(stopDispatch).toHaveBeenCalledWith(ride._id);
+    expect(driverUpdate).toHaveBeenCalledWith(
+      { _id: driverId },
+      expect.objectContaining({ 'availability.status': DRIVER_AVAILABILITY.BUSY })
+    );
+    expect(publishRideUpdate).toHaveBeenCalledWith(ride);
+  });
+
+  it('records who cancelled, releases the promo and frees the driver', async () => {
+    const driverId = id();
+    const ride = buildRide(RIDE_STATUS.ACCEPTED, { driverId, promo: { code: 'EID', redemptionId: id() } });
+
+    await transitionRide(ride, RIDE_STATUS.CANCELLED, {
+      actor: { role: RIDE_ACTORS.ADMIN, userId: id() },
+      reason: 'Duplicate booking'
+    });
+
+    expect(ride.cancelledBy).toBe('admin');
+    expect(ride.cancellationReason).toBe('Duplicate booking');
+    expect(ride.cancelledAt).toBeInstanceOf(Date);
+    expect(cancelDispatch).toHaveBeenCalledWith(ride._id);
+    expect(releaseRedemption).toHaveBeenCalledWith(ride._id, 'Ride cancelled');
+    expect(driverUpdate).toHaveBeenCalledWith(
+      { _id: driverId },
+      expect.objectContaining({ 'availability.status': DRIVER_AVAILABILITY.AVAILABLE })
+    );
+    expect(notifyReservationCancelled).not.toHaveBeenCalled();
+  });
+
+  it('keeps a pooled driver busy while other riders are still on the trip', async () => {
+    const handleRideTransition = jest.spyOn(poolService, 'handleRideTransition').mockResolvedValue({ active: true });
+    const ride = buildRide(RIDE_STATUS.IN_PROGRESS, { driverId: id(), pool: { poolId: id(), seats: 1 } });
+
+    await transitionRide(ride, RIDE_STATUS.COMPLETED, { actor: { role: RIDE_ACTORS.DRIVER } });
+
+    expect(handleRideTransition).toHaveBeenCalledWith(ride, RIDE_STATUS.COMPLETED);
+    expect(driverUpdate).not.toHaveBeenCalled();
+    expect(recordCompletedRide).toHaveBeenCalledWith(ride);
+  });
+
+  it('keeps the stored change when a side effect fails', async () => {
+    stopDispatch.mockImplementationOnce(() => {
+      throw new Error('dispatch gone');
+    });
+    const ride = buildRide(RIDE_STATUS.PENDING);
+
+    await expect(transitionRide(ride, RIDE_STATUS.ACCEPTED, {
+      actor: { role: RIDE_ACTORS.DRIVER },
+      updates: { driverId: id() }
+    })).resolves.toBe(ride);
+    expect(ride.status).toBe(RIDE_STATUS.ACCEPTED);
+    expect(publishRideUpdate).toHaveBeenCalledWith(ride);
+  });
+});
@@ -0,0 +1,17 @@
+// Settings the services read when they are imported; no real gateway or database is reached
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest00000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN = 'test-twilio-token';
+process.env.EASYPAISA_MERCHANT_ID = 'test-easypaisa-merchant';
+process.env.EASYPAISA_PASSWORD = 'test-easypaisa-password';
+process.env.EASYPAISA_HASH_KEY = 'test-easypaisa-hash';
+process.env.JAZZCASH_MERCHANT_ID = 'test-jazzcash-merchant';
+process.env.JAZZCASH_PASSWORD = 'test-jazzcash-password';
+process.env.JAZZCASH_INTEGRITY_SALT = 'test-jazzcash-salt';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+process.env.STRIPE_PUBLISHABLE_KEY = 'pk_test_dummy';
+process.env.CLOUDINARY_CLOUD_NAME = 'test-cloud';
+process.env.CLOUDINARY_API_KEY = 'test-cloudinary-key';
+process.env.CLOUDINARY_API_SECRET = 'test-cloudinary-secret';
@@ -0,0 +1,7 @@
+import mongoose from 'mongoose';
+import logger from '../../src/utils/logger.js';
+
+logger.silent = true;
+
+// Tests stub every query they expect; anything else fails fast instead of waiting for a connection
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+
+const { default: surgeService } = await import('../src/services/surge.service.js');
+const { default: SystemSettings } = await import('../src/models/SystemSettings.js');
+
+const CELL = 'ttsgq';
+
+let save;
+
+beforeEach(() => {
+  jest.spyOn(surgeService, 'getOverrides').mockResolvedValue({});
+  save = jest.spyOn(SystemSettings, 'findOneAndUpdate').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('surgeService.setOverride', () => {
+  it.each([0, -15, 'soon', Infinity])('rejects a duration of %p minutes', async (durationMinutes) => {
+    await expect(surgeService.setOverride(CELL, { multiplier: 2, durationMinutes }, 'admin1'))
+      .rejects.toThrow('Duration must be a positive number of minutes');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('expires the override after the given duration', async () => {
+    const before = Date.now();
+
+    const override = await surgeService.setOverride(CELL, { multiplier: 2, durationMinutes: '30' }, 'admin1');
+
+    expect(override.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 60000);
+    expect(override.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60000);
+  });
+
+  it('keeps the override until it is cleared when no duration is given', async () => {
+    const override = await surgeService.setOverride(CELL, { multiplier: 2 }, 'admin1');
+
+    expect(override.expiresAt).toBeNull();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const paymentIntentsCreate = jest.fn().mockResolvedValue({
+  id: 'pi_test_tip',
+  client_secret: 'pi_test_tip_secret',
+  status: 'requires_payment_method'
+});
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn().mockImplementation(() => ({ paymentIntents: { create: paymentIntentsCreate } }))
+}));
+
+const { addTipService } = await import('../src/services/ride.service.js');
+const { default: Ride } = await import('../src/models/Ride.js');
+const { default: Driver } = await import('../src/models/Driver.js');
+const { default: Passenger } = await import('../src/models/Passenger.js');
+const { default: Payment } = await import('../src/models/Payment.js');
+const { default: Notification } = await import('../src/models/Notification.js');
+const { TIP_STATUS } = await import('../src/config/constants.js');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const completedRide = (method) => ({
+  _id: id(),
+  status: 'completed',
+  completedAt: new Date(Date.now() - 60 * 60 * 1000),
+  payment: { method },
+  passengerId: { _id: id(), userId: id(), name: 'Sara' },
+  driverId: { _id: id(), userId: id() }
+});
+
+describe('addTipService', () => {
+  let payments;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    paymentIntentsCreate.mockClear();
+    payments = [];
+
+    jest.spyOn(Ride, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Driver, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Passenger, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+
+    // Payment records go through real schema validation, only the write is stubbed
+    jest.spyOn(Payment, 'create').mockImplementation(async (data) => {
+      const payment = new Payment(data);
+      await payment.validate();
+      payments.push(payment);
+      return payment;
+    });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      return this;
+    });
+  });
+
+  const tip = (ride, options) => {
+    jest.spyOn(Ride, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(ride) });
+    return addTipService(ride.passengerId.userId.toString(), ride._id, options);
+  };
+
+  const lastRideUpdate = () => Ride.updateOne.mock.calls[Ride.updateOne.mock.calls.length - 1][1];
+
+  it.each(['card', 'easypaisa', 'jazzcash'])('charges a %s tip through the gateway as a tip payment', async (method) => {
+    const ride = completedRide(method);
+
+    const result = await tip(ride, { amount: 150 });
+
+    expect(result).toMatchObject({ amount: 150, method, status: TIP_STATUS.COMPLETED });
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ type: 'tip', method, amount: 150, status: 'completed' });
+    expect(payments[0].ride.toString()).toBe(ride._id.toString());
+    expect(lastRideUpdate()).toMatchObject({ 'tip.status': TIP_STATUS.COMPLETED });
+    expect(Driver.updateOne).toHaveBeenCalledWith(
+      { _id: ride.driverId._id },
+      { $inc: { 'earnings.total': 150, 'earnings.pending': 150, 'earnings.tips': 150 } }
+    );
+    expect(paymentIntentsCreate).toHaveBeenCalledTimes(method === 'card' ? 1 : 0);
+  });
+
+  it('takes a wallet tip from ride credit without a gateway payment', async () => {
+    const ride = completedRide('card');
+
+    const result = await tip(ride, { amount: 100, payWith: 'wallet' });
+
+    expect(result).toMatchObject({ method: 'wallet', status: TIP_STATUS.COMPLETED });
+    expect(Passenger.updateOne).toHaveBeenCalledWith(
+      { _id: ride.passengerId._id, rideCredit: { $gte: 100 } },
+      { $inc: { rideCredit: -100 } }
+    );
+    expect(payments).toHaveLength(0);
+  });
+
+  it('marks a wallet tip failed when ride credit is short', async () => {
+    Passenger.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+    const ride = completedRide('card');
+
+    await expect(tip(ride, { amount: 100, payWith: 'wallet' })).rejects.toThrow('Not enough ride credit for this tip');
+    expect(lastRideUpdate()).toEqual({ 'tip.status': TIP_STATUS.FAILED });
+    expect(Driver.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('records a cash tip without charging anyone', async () => {
+    const ride = completedRide('cash');
+
+    const result = await tip(ride, { amount: 50 });
+
+    expect(result).toMatchObject({ method: 'cash', status: TIP_STATUS.COMPLETED });
+    expect(payments).toHaveLength(0);
+  });
+
+  it('rejects tips that round below 1', async () => {
+    const ride = completedRide('card');
+
+    await expect(tip(ride, { amount: 0.4 })).rejects.toThrow('Tip must be between 1 and');
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+});